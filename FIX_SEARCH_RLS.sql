@@ -3,6 +3,10 @@
 -- ============================================
 -- This script fixes the search issue by allowing the anon role
 -- to SELECT from the tickets table for search functionality
+--
+-- SUPERSEDED: do not run. supabase/migrations/003_volunteer_accounts.sql
+-- drops this policy - only signed-in volunteers may read tickets, and
+-- search goes through search_tickets (017).
 -- ============================================
 
 -- Step 1: Check if RLS is enabled
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Signed Ticket CLI
+ *
+ * Mint and verify YATRA:v2 signed ticket tokens (for test fixtures and issuers).
+ *
+ * Usage:
+ *   node scripts/ticket-token.js keygen
+ *   node scripts/ticket-token.js mint --id <uuid> --code <6 digits> --event <event id> [--key <private key>]
+ *   node scripts/ticket-token.js verify <token> [--public-key <public key>] [--event <event id>]
+ *
+ * Keys default to the TICKET_SIGNING_KEY / VITE_TICKET_PUBLIC_KEY environment variables.
+ * Requires Node 20+ (WebCrypto Ed25519).
+ */
+
+import { parseQrPayload, PayloadFormat } from '../src/lib/qrPayload.js';
+import {
+  signTicketToken,
+  verifyTicketSignature,
+  generateSigningKeys,
+} from '../src/lib/signedTicket.js';
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+async function keygen() {
+  const { publicKey, privateKey } = await generateSigningKeys();
+  console.log('# Scanner .env (safe to ship in the bundle)');
+  console.log(`VITE_TICKET_PUBLIC_KEY=${publicKey}`);
+  console.log('');
+  console.log('# Issuer secret (NEVER put this in the scanner .env)');
+  console.log(`TICKET_SIGNING_KEY=${privateKey}`);
+}
+
+async function mint(args) {
+  const privateKey = args.key || process.env.TICKET_SIGNING_KEY;
+  const eventId = args.event || process.env.VITE_EVENT_ID;
+
+  if (!args.id) fail('--id <ticket uuid> is required');
+  if (!/^\d{6}$/.test(args.code || '')) fail('--code must be 6 digits');
+  if (!eventId) fail('--event <event id> is required');
+  if (!privateKey) fail('--key or TICKET_SIGNING_KEY is required');
+
+  const token = await signTicketToken(
+    { ticketId: args.id, code: args.code, eventId },
+    privateKey
+  );
+
+  // Round-trip through the scanner's parser so bad input fails here, not at the gate
+  const parsed = parseQrPayload(token);
+  if (!parsed.valid) fail(parsed.error);
+
+  console.log(token);
+}
+
+async function verify(args) {
+  const token = args._[1];
+  const publicKey = args['public-key'] || process.env.VITE_TICKET_PUBLIC_KEY;
+  const eventId = args.event || process.env.VITE_EVENT_ID;
+
+  if (!token) fail('token argument is required');
+  if (!publicKey) fail('--public-key or VITE_TICKET_PUBLIC_KEY is required');
+
+  const parsed = parseQrPayload(token);
+  if (!parsed.valid) fail(parsed.error);
+  if (parsed.format !== PayloadFormat.SIGNED) fail('Not a signed ticket token');
+
+  const signature = await verifyTicketSignature(parsed.token, publicKey);
+  if (!signature.ok) fail(`signature could not be checked: ${signature.error.message}`);
+
+  const signatureOk = signature.valid;
+  const eventOk = !eventId || parsed.eventId === eventId;
+
+  console.log(JSON.stringify({
+    valid: signatureOk && eventOk,
+    signature: signatureOk ? 'ok' : 'invalid',
+    event: eventOk ? 'ok' : `expected ${eventId}`,
+    claims: parsed.token.claims,
+  }, null, 2));
+
+  process.exit(signatureOk && eventOk ? 0 : 1);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const commands = { keygen, mint, verify };
+const command = commands[args._[0]];
+
+if (!command) {
+  console.error('Usage: node scripts/ticket-token.js <keygen|mint|verify> [options]');
+  process.exit(1);
+}
+
+command(args).catch((err) => fail(err.message));
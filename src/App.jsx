@@ -1,35 +1,105 @@
 /**
  * YATRA Event Entry Scanner
- * 
+ *
  * Main application component.
- * Handles authentication state and renders appropriate view.
+ * Handles volunteer session state and renders appropriate view.
+ * Admins can open the live gate dashboard (Routes.DASHBOARD), the
+ * bulk ticket import (Routes.IMPORT), report exports (Routes.REPORTS),
+ * printable ticket / badge sheets (Routes.PRINT) and the scanner device
+ * list (Routes.DEVICES).
+ *
+ * Without Supabase settings the app shows a configuration error, unless
+ * VITE_DEMO_MODE is on (see lib/ticketRepository.js). The admin screens
+ * call project RPCs directly, so demo mode never routes to them.
  */
 
 import { useState, useEffect } from 'react';
-import PasswordGate, { isAuthenticated } from './components/PasswordGate';
+import PasswordGate from './components/PasswordGate';
 import Scanner from './components/Scanner';
+import Dashboard from './components/Dashboard';
+import BulkImport from './components/BulkImport';
+import Reports from './components/Reports';
+import PrintSheets from './components/PrintSheets';
+import Devices from './components/Devices';
+import {
+  getCurrentVolunteer,
+  isSessionExpired,
+  onSignedOut,
+  signOut,
+  hasRole,
+  Roles,
+} from './lib/auth';
+import { Routes } from './lib/routes';
+import { isSupabaseConfigured, isDemoMode } from './lib/supabase';
 import './App.css';
 
+// How often to check whether the volunteer's shift has expired
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+
 export default function App() {
-  const [authenticated, setAuthenticated] = useState(false);
+  const [volunteer, setVolunteer] = useState(null);
   const [checking, setChecking] = useState(true);
+  const [route, setRoute] = useState(() => window.location.hash);
 
-  // Check authentication on mount
+  // Hash routing - keeps the scanner a single static page
   useEffect(() => {
-    setAuthenticated(isAuthenticated());
-    setChecking(false);
+    const handleHashChange = () => setRoute(window.location.hash);
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
   }, []);
 
-  // Handle successful authentication
-  const handleAuthenticated = () => {
-    setAuthenticated(true);
+  // Restore session on mount and react to sign-outs (e.g. refresh token revoked)
+  useEffect(() => {
+    getCurrentVolunteer().then((current) => {
+      setVolunteer(current);
+      setChecking(false);
+    });
+
+    return onSignedOut(() => setVolunteer(null));
+  }, []);
+
+  // End the session once the shift length is exceeded
+  useEffect(() => {
+    if (!volunteer) return;
+
+    const timer = setInterval(() => {
+      if (isSessionExpired(volunteer)) {
+        signOut();
+        setVolunteer(null);
+      }
+    }, SESSION_CHECK_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [volunteer]);
+
+  // Handle successful sign-in
+  const handleAuthenticated = (signedIn) => {
+    setVolunteer(signedIn);
   };
 
   // Handle logout
   const handleLogout = () => {
-    setAuthenticated(false);
+    setVolunteer(null);
   };
 
+  // Missing .env - nothing to connect to
+  if (!isSupabaseConfigured() && !isDemoMode()) {
+    return (
+      <div className="password-gate">
+        <div className="gate-container">
+          <div className="gate-header">
+            <h1>YATRA</h1>
+            <p>Scanner not configured</p>
+          </div>
+          <div className="gate-error">
+            Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY in .env, or
+            VITE_DEMO_MODE=true to try the scanner with sample data.
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Show nothing while checking auth
   if (checking) {
     return (
@@ -39,11 +109,39 @@ export default function App() {
     );
   }
 
-  // Show password gate if not authenticated
-  if (!authenticated) {
+  // Show sign-in if no volunteer session
+  if (!volunteer) {
     return <PasswordGate onAuthenticated={handleAuthenticated} />;
   }
 
-  // Show scanner if authenticated
-  return <Scanner onLogout={handleLogout} />;
+  // Admin screens need a real project
+  const adminScreens = hasRole(volunteer, Roles.ADMIN) && !isDemoMode();
+
+  // Live gate dashboard (admins only)
+  if (route === Routes.DASHBOARD && adminScreens) {
+    return <Dashboard onClose={() => { window.location.hash = Routes.SCANNER; }} />;
+  }
+
+  // Bulk ticket import (admins only)
+  if (route === Routes.IMPORT && adminScreens) {
+    return <BulkImport onClose={() => { window.location.hash = Routes.SCANNER; }} />;
+  }
+
+  // Attendance and audit exports (admins only)
+  if (route === Routes.REPORTS && adminScreens) {
+    return <Reports onClose={() => { window.location.hash = Routes.SCANNER; }} />;
+  }
+
+  // Printable ticket and badge sheets (admins only)
+  if (route === Routes.PRINT && adminScreens) {
+    return <PrintSheets onClose={() => { window.location.hash = Routes.SCANNER; }} />;
+  }
+
+  // Scanner devices: enrol to gates, revoke (admins only)
+  if (route === Routes.DEVICES && adminScreens) {
+    return <Devices onClose={() => { window.location.hash = Routes.SCANNER; }} />;
+  }
+
+  // Show scanner for the signed-in volunteer
+  return <Scanner volunteer={volunteer} onLogout={handleLogout} />;
 }
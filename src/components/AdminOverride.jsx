@@ -4,53 +4,102 @@
  * Protected admin interface for:
  * - Force allowing entry (when legitimate issue)
  * - Resetting entry (when wrong ticket scanned)
+ * - Cancelling, reissuing (lost ticket) and transferring tickets
+ * - Setting the group size of a group ticket
+ * - Issuing tickets to walk-ins (WalkInTicket)
  * - Viewing ticket status and override logs
  * 
- * Access: Requires separate admin PIN
- * All actions are logged for audit trail
+ * Access: Gate leads and admins, plus separate admin PIN
+ * The PIN is verified server-side and unlocks a 10-minute admin session
+ * All actions are logged for audit trail under the signed-in volunteer
+ * Force allow / reset apply to the scanner's active session
+ * Demo mode offers force allow / reset only - the ticket actions and
+ * walk-ins need a real project
  */
 
 import { useState } from 'react';
-import { searchTickets, getTicketStatus } from '../lib/ticketVerification';
-import { adminForceAllow, adminResetEntry, getOverrideLogs } from '../lib/adminOverride';
-import { getAdminPin } from '../lib/supabase';
+import WalkInTicket from './WalkInTicket';
+import { searchTickets, getTicketStatus, SEARCH_MIN_LENGTH } from '../lib/ticketVerification';
+import SearchHighlight from './SearchHighlight';
+import { isDemoMode } from '../lib/supabase';
+import {
+  verifyAdminPin,
+  getAdminToken,
+  getAdminSessionExpiry,
+  clearAdminToken,
+  adminForceAllow,
+  adminResetEntry,
+  adminCancelTicket,
+  adminReissueTicket,
+  adminTransferTicket,
+  adminSetGroupSize,
+  getOverrideLogs,
+  ADMIN_SESSION_EXPIRED,
+} from '../lib/adminOverride';
 
-export default function AdminOverride({ onClose, onResult }) {
-  const [pinVerified, setPinVerified] = useState(false);
+// Only live tickets can be cancelled, reissued or transferred
+const ACTIVE_STATUSES = ['valid', 'used'];
+
+export default function AdminOverride({ volunteer, session, onClose, onResult }) {
+  const [pinVerified, setPinVerified] = useState(() => Boolean(getAdminToken()));
   const [pinInput, setPinInput] = useState('');
   const [pinError, setPinError] = useState('');
+  const [pinChecking, setPinChecking] = useState(false);
   
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [selectedTicket, setSelectedTicket] = useState(null);
+  const [showWalkIn, setShowWalkIn] = useState(false);
   const [overrideLogs, setOverrideLogs] = useState([]);
   const [loading, setLoading] = useState(false);
   
   const [actionReason, setActionReason] = useState('');
-  const [adminName, setAdminName] = useState('');
   const [actionInProgress, setActionInProgress] = useState(false);
 
-  // Verify admin PIN
-  const handlePinSubmit = (e) => {
+  // Verify admin PIN on the server
+  const handlePinSubmit = async (e) => {
     e.preventDefault();
-    const correctPin = getAdminPin();
-    
-    if (pinInput === correctPin) {
+    setPinChecking(true);
+    const result = await verifyAdminPin(pinInput);
+    setPinChecking(false);
+    setPinInput('');
+
+    if (result.success) {
       setPinVerified(true);
       setPinError('');
+    } else if (result.lockedUntil) {
+      setPinError(
+        `${result.message} Try again after ${new Date(result.lockedUntil).toLocaleTimeString()}`
+      );
+    } else if (result.attemptsRemaining !== undefined) {
+      setPinError(`${result.message} (${result.attemptsRemaining} attempts left)`);
     } else {
-      setPinError('Invalid admin PIN');
-      setPinInput('');
+      setPinError(result.message);
+    }
+  };
+
+  // Close and end the admin session
+  const handleClose = () => {
+    clearAdminToken();
+    onClose();
+  };
+
+  // Send back to the PIN screen once the admin session is over - it timed
+  // out, or the server rejected the token (PIN entered on another device)
+  const requirePinIfExpired = () => {
+    if (!getAdminToken()) {
+      setPinVerified(false);
+      setPinError(ADMIN_SESSION_EXPIRED);
     }
   };
 
   // Search for tickets
   const handleSearch = async () => {
-    if (!searchQuery || searchQuery.length < 3) return;
+    if (!searchQuery || searchQuery.trim().length < SEARCH_MIN_LENGTH) return;
     
     setLoading(true);
-    const results = await searchTickets(searchQuery);
-    setSearchResults(results);
+    const result = await searchTickets(searchQuery);
+    setSearchResults(result.tickets);
     setLoading(false);
   };
 
@@ -72,22 +121,16 @@ export default function AdminOverride({ onClose, onResult }) {
       alert('Please provide a reason (minimum 10 characters)');
       return;
     }
-    
-    if (!adminName || adminName.trim().length < 2) {
-      alert('Please enter your name for audit trail');
-      return;
-    }
 
-    if (!confirm(`Force allow entry for ${selectedTicket.name}?\n\nThis action will be logged.`)) {
+    if (!confirm(`Force allow ${selectedTicket.name} into ${session?.label || 'the event'}?\n\nThis action will be logged.`)) {
       return;
     }
 
     setActionInProgress(true);
     const result = await adminForceAllow(
       selectedTicket.id,
-      currentDay,
-      actionReason,
-      adminName
+      session?.id || null,
+      actionReason
     );
     setActionInProgress(false);
 
@@ -98,6 +141,7 @@ export default function AdminOverride({ onClose, onResult }) {
       handleSelectTicket(selectedTicket);
     } else {
       alert(`✗ Failed to force entry\n\n${result.message}`);
+      requirePinIfExpired();
     }
   };
 
@@ -107,22 +151,16 @@ export default function AdminOverride({ onClose, onResult }) {
       alert('Please provide a reason (minimum 10 characters)');
       return;
     }
-    
-    if (!adminName || adminName.trim().length < 2) {
-      alert('Please enter your name for audit trail');
-      return;
-    }
 
-    if (!confirm(`Reset entry for ${selectedTicket.name}?\n\nThis action will be logged.`)) {
+    if (!confirm(`Reset ${session?.label || 'all'} entry for ${selectedTicket.name}?\n\nThis action will be logged.`)) {
       return;
     }
 
     setActionInProgress(true);
     const result = await adminResetEntry(
       selectedTicket.id,
-      currentDay,
-      actionReason,
-      adminName
+      session?.id || null,
+      actionReason
     );
     setActionInProgress(false);
 
@@ -133,6 +171,118 @@ export default function AdminOverride({ onClose, onResult }) {
       handleSelectTicket(selectedTicket);
     } else {
       alert(`✗ Failed to reset entry\n\n${result.message}`);
+      requirePinIfExpired();
+    }
+  };
+
+  // Cancel ticket (optionally recording a refund)
+  const handleCancelTicket = async () => {
+    if (!actionReason || actionReason.trim().length < 10) {
+      alert('Please provide a reason (minimum 10 characters)');
+      return;
+    }
+
+    if (!confirm(`Cancel the ticket for ${selectedTicket.name}?\n\nIt will be rejected at every gate. This action will be logged.`)) {
+      return;
+    }
+    const refunded = confirm('Was the attendee refunded?\n\nOK = refunded, Cancel = no refund');
+
+    setActionInProgress(true);
+    const result = await adminCancelTicket(selectedTicket.id, actionReason, refunded);
+    setActionInProgress(false);
+
+    if (result.success) {
+      alert(`✓ Ticket cancelled\n\n${result.message}`);
+      setActionReason('');
+      handleSelectTicket({ ...selectedTicket, ticket_status: 'cancelled' });
+    } else {
+      alert(`✗ Failed to cancel ticket\n\n${result.message}`);
+      requirePinIfExpired();
+    }
+  };
+
+  // Reissue a lost ticket under a new UUID and code
+  const handleReissueTicket = async () => {
+    if (!actionReason || actionReason.trim().length < 10) {
+      alert('Please provide a reason (minimum 10 characters)');
+      return;
+    }
+
+    if (!confirm(`Reissue the ticket for ${selectedTicket.name}?\n\nThe current QR and code ${selectedTicket.six_digit_code} will stop working. This action will be logged.`)) {
+      return;
+    }
+
+    setActionInProgress(true);
+    const result = await adminReissueTicket(selectedTicket.id, actionReason);
+    setActionInProgress(false);
+
+    if (result.success) {
+      alert(`✓ Ticket reissued\n\n${result.message}\nNew ticket ID: ${result.ticket.id}`);
+      setActionReason('');
+      // Continue with the new ticket
+      handleSelectTicket({
+        ...selectedTicket,
+        id: result.ticket.id,
+        six_digit_code: result.ticket.six_digit_code,
+      });
+    } else {
+      alert(`✗ Failed to reissue ticket\n\n${result.message}`);
+      requirePinIfExpired();
+    }
+  };
+
+  // Transfer ticket to another attendee
+  const handleTransferTicket = async () => {
+    if (!actionReason || actionReason.trim().length < 10) {
+      alert('Please provide a reason (minimum 10 characters)');
+      return;
+    }
+
+    const name = prompt('New holder name:');
+    if (!name) return;
+    const email = prompt('New holder email:');
+    if (!email) return;
+
+    if (!confirm(`Transfer ticket ${selectedTicket.six_digit_code} from ${selectedTicket.name} to ${name} (${email})?\n\nThis action will be logged.`)) {
+      return;
+    }
+
+    setActionInProgress(true);
+    const result = await adminTransferTicket(selectedTicket.id, { name, email }, actionReason);
+    setActionInProgress(false);
+
+    if (result.success) {
+      alert(`✓ Ticket transferred\n\n${result.message}`);
+      setActionReason('');
+      handleSelectTicket({ ...selectedTicket, name: name.trim(), email: email.trim().toLowerCase() });
+    } else {
+      alert(`✗ Failed to transfer ticket\n\n${result.message}`);
+      requirePinIfExpired();
+    }
+  };
+
+  // Set how many people the ticket admits
+  const handleSetGroupSize = async () => {
+    if (!actionReason || actionReason.trim().length < 10) {
+      alert('Please provide a reason (minimum 10 characters)');
+      return;
+    }
+
+    const input = prompt('Group size (1 = single ticket):', String(selectedTicket.headcount || 1));
+    if (input === null) return;
+    const headcount = Number(input.trim());
+
+    setActionInProgress(true);
+    const result = await adminSetGroupSize(selectedTicket.id, headcount, actionReason);
+    setActionInProgress(false);
+
+    if (result.success) {
+      alert(`✓ Group size updated\n\n${result.message}`);
+      setActionReason('');
+      handleSelectTicket({ ...selectedTicket, headcount: result.headcount });
+    } else {
+      alert(`✗ Failed to change group size\n\n${result.message}`);
+      requirePinIfExpired();
     }
   };
 
@@ -155,15 +305,20 @@ export default function AdminOverride({ onClose, onResult }) {
               placeholder="••••"
               autoFocus
               maxLength={6}
+              disabled={pinChecking}
             />
             
             {pinError && <div className="admin-pin-error">{pinError}</div>}
+            <p className="admin-pin-hint">
+              One admin session per volunteer - entering the PIN here signs
+              your admin session out on any other device.
+            </p>
             
             <div className="admin-pin-buttons">
-              <button type="submit" disabled={!pinInput}>
-                Verify
+              <button type="submit" disabled={!pinInput || pinChecking}>
+                {pinChecking ? 'Checking...' : 'Verify'}
               </button>
-              <button type="button" onClick={onClose} className="cancel-btn">
+              <button type="button" onClick={handleClose} className="cancel-btn">
                 Cancel
               </button>
             </div>
@@ -173,17 +328,30 @@ export default function AdminOverride({ onClose, onResult }) {
     );
   }
 
+  const isActiveTicket = ACTIVE_STATUSES.includes(selectedTicket?.ticket_status || 'valid');
+  // Lifecycle RPCs have no in-memory counterpart
+  const ticketActionsAvailable = !isDemoMode();
+
   // Main admin interface
   return (
     <div className="admin-override-screen">
       <div className="admin-header">
         <h2>ADMIN OVERRIDE MODE</h2>
-        <button onClick={onClose} className="close-btn">✕</button>
+        <button onClick={handleClose} className="close-btn">✕</button>
       </div>
 
       <div className="admin-content">
+        {/* Walk-in issuance */}
+        {showWalkIn && (
+          <WalkInTicket
+            session={session}
+            onBack={() => setShowWalkIn(false)}
+            onSessionExpired={requirePinIfExpired}
+          />
+        )}
+
         {/* Search section */}
-        {!selectedTicket && (
+        {!selectedTicket && !showWalkIn && (
           <div className="admin-search-section">
             <h3>Search Ticket</h3>
             <div className="admin-search-form">
@@ -191,14 +359,20 @@ export default function AdminOverride({ onClose, onResult }) {
                 type="text"
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
-                placeholder="Email, code, or UUID..."
+                placeholder="Name, email, phone, code, or UUID..."
                 onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
               />
-              <button onClick={handleSearch} disabled={loading || searchQuery.length < 3}>
+              <button onClick={handleSearch} disabled={loading || searchQuery.trim().length < SEARCH_MIN_LENGTH}>
                 {loading ? 'Searching...' : 'Search'}
               </button>
             </div>
 
+            {ticketActionsAvailable && (
+              <button onClick={() => setShowWalkIn(true)} className="walk-in-btn">
+                + Issue Walk-in Ticket
+              </button>
+            )}
+
             {searchResults.length > 0 && (
               <div className="admin-search-results">
                 {searchResults.map((ticket) => (
@@ -207,12 +381,28 @@ export default function AdminOverride({ onClose, onResult }) {
                     className="admin-ticket-result"
                     onClick={() => handleSelectTicket(ticket)}
                   >
-                    <div className="admin-ticket-code">{ticket.six_digit_code}</div>
+                    <div className="admin-ticket-code">
+                      <SearchHighlight text={ticket.six_digit_code} query={searchQuery} fuzzy={ticket.matched?.includes('code')} />
+                    </div>
                     <div className="admin-ticket-info">
-                      <div className="admin-ticket-name">{ticket.name}</div>
-                      <div className="admin-ticket-email">{ticket.email}</div>
+                      <div className="admin-ticket-name">
+                        <SearchHighlight text={ticket.name} query={searchQuery} fuzzy={ticket.matched?.includes('name')} />
+                      </div>
+                      <div className="admin-ticket-email">
+                        <SearchHighlight text={ticket.email} query={searchQuery} fuzzy={ticket.matched?.includes('email')} />
+                      </div>
+                      {ticket.phone && (
+                        <div className="admin-ticket-email">
+                          <SearchHighlight text={ticket.phone} query={searchQuery} fuzzy={ticket.matched?.includes('phone')} />
+                        </div>
+                      )}
                       {ticket.college && (
-                        <div className="admin-ticket-college">{ticket.college}</div>
+                        <div className="admin-ticket-college">
+                          <SearchHighlight text={ticket.college} query={searchQuery} fuzzy={ticket.matched?.includes('college')} />
+                        </div>
+                      )}
+                      {ticket.headcount > 1 && (
+                        <div className="ticket-group">Group of {ticket.headcount}</div>
                       )}
                     </div>
                     <div className="admin-ticket-status">
@@ -264,6 +454,19 @@ export default function AdminOverride({ onClose, onResult }) {
                   {selectedTicket.ticket_status || 'Unknown'}
                 </span>
               </div>
+              {selectedTicket.headcount > 1 && (
+                <div className="admin-detail-row">
+                  <span className="label">Group:</span>
+                  <span className="value">
+                    {selectedTicket.headcount} people
+                    {(selectedTicket.session_usage || []).map((usage) => (
+                      <span key={usage.session_id}>
+                        {' · '}{usage.admitted_count} in {usage.session_id}
+                      </span>
+                    ))}
+                  </span>
+                </div>
+              )}
               {selectedTicket.registration_id && (
                 <div className="admin-detail-row">
                   <span className="label">Registration ID:</span>
@@ -276,13 +479,13 @@ export default function AdminOverride({ onClose, onResult }) {
             <div className="admin-actions-card">
               <h3>Override Actions</h3>
               
-              <input
-                type="text"
-                value={adminName}
-                onChange={(e) => setAdminName(e.target.value)}
-                placeholder="Your name (for audit)"
-                className="admin-name-input"
-              />
+              <p className="admin-acting-as">
+                Logged as: {volunteer.name} ({volunteer.email})
+                {session && <> · Session: {session.label}</>}
+                {getAdminSessionExpiry() && (
+                  <> · Admin session until {new Date(getAdminSessionExpiry()).toLocaleTimeString()}</>
+                )}
+              </p>
               
               <textarea
                 value={actionReason}
@@ -295,19 +498,55 @@ export default function AdminOverride({ onClose, onResult }) {
               <div className="admin-action-buttons">
                 <button
                   onClick={handleForceAllow}
-                  disabled={actionInProgress || !actionReason || !adminName}
+                  disabled={actionInProgress || !actionReason}
                   className="force-allow-btn"
                 >
                   Force Allow Entry
                 </button>
                 <button
                   onClick={handleResetEntry}
-                  disabled={actionInProgress || !actionReason || !adminName}
+                  disabled={actionInProgress || !actionReason}
                   className="reset-entry-btn"
                 >
                   Reset Entry
                 </button>
               </div>
+
+              {ticketActionsAvailable && (
+                <>
+                  <h3>Ticket Actions</h3>
+                  <div className="admin-action-buttons">
+                    <button
+                      onClick={handleReissueTicket}
+                      disabled={actionInProgress || !actionReason || !isActiveTicket}
+                      className="reissue-btn"
+                    >
+                      Reissue Ticket
+                    </button>
+                    <button
+                      onClick={handleTransferTicket}
+                      disabled={actionInProgress || !actionReason || !isActiveTicket}
+                      className="transfer-btn"
+                    >
+                      Transfer Ticket
+                    </button>
+                    <button
+                      onClick={handleSetGroupSize}
+                      disabled={actionInProgress || !actionReason || !isActiveTicket}
+                      className="transfer-btn"
+                    >
+                      Set Group Size
+                    </button>
+                    <button
+                      onClick={handleCancelTicket}
+                      disabled={actionInProgress || !actionReason || !isActiveTicket}
+                      className="cancel-ticket-btn"
+                    >
+                      Cancel Ticket
+                    </button>
+                  </div>
+                </>
+              )}
             </div>
 
             {/* Override logs */}
@@ -326,6 +565,20 @@ export default function AdminOverride({ onClose, onResult }) {
                       </span>
                     </div>
                     <div className="log-reason">{log.reason}</div>
+                    {log.details?.replaced_by && (
+                      <div className="log-reason">Replaced by: {log.details.replaced_by}</div>
+                    )}
+                    {log.details?.to && (
+                      <div className="log-reason">
+                        From {log.details.from?.name} to {log.details.to.name} ({log.details.to.email})
+                      </div>
+                    )}
+                    {log.details?.refunded && <div className="log-reason">Refunded</div>}
+                    {log.details?.headcount && (
+                      <div className="log-reason">
+                        Group size {log.details.previous_headcount} → {log.details.headcount}
+                      </div>
+                    )}
                     <div className="log-admin">By: {log.admin_identifier}</div>
                   </div>
                 ))}
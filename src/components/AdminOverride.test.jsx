@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AdminOverride from './AdminOverride';
+import { verifyAdminPin, getAdminToken, clearAdminToken } from '../lib/adminOverride';
+import { verifyTicketById } from '../lib/ticketVerification';
+import { getTicketRepository } from '../lib/ticketRepository';
+import { DEMO_ADMIN_PIN, DEMO_VOLUNTEER } from '../lib/demoData';
+import { installMemoryRepository, demoTicket, DAY1 } from '../test/helpers';
+
+const REASON = 'Scanned the wrong wristband';
+const volunteer = { ...DEMO_VOLUNTEER, email: 'lead@example.com' };
+
+const renderOverride = () => {
+  const onClose = vi.fn();
+  render(<AdminOverride volunteer={volunteer} session={DAY1} onClose={onClose} onResult={() => {}} />);
+  return { onClose };
+};
+
+const enterPin = async (pin) => {
+  await userEvent.type(screen.getByLabelText('Enter Admin PIN:'), pin);
+  await userEvent.click(screen.getByRole('button', { name: 'Verify' }));
+};
+
+const selectTicket = async (query, name) => {
+  await userEvent.type(screen.getByPlaceholderText('Name, email, phone, code, or UUID...'), query);
+  await userEvent.click(screen.getByRole('button', { name: 'Search' }));
+  const result = [...document.querySelectorAll('.admin-ticket-result')]
+    .find((element) => element.textContent.includes(name));
+  await userEvent.click(result);
+  await screen.findByText('Ticket Details');
+};
+
+describe('AdminOverride', () => {
+  let confirmSpy;
+  let alertSpy;
+
+  beforeEach(() => {
+    confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+  });
+
+  it('asks for the PIN and counts failed attempts', async () => {
+    renderOverride();
+
+    await enterPin('0000');
+    expect(screen.getByText('Invalid admin PIN (4 attempts left)')).toBeInTheDocument();
+
+    await enterPin(DEMO_ADMIN_PIN);
+    expect(screen.getByText('ADMIN OVERRIDE MODE')).toBeInTheDocument();
+  });
+
+  it('skips the PIN while an admin session is open', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+
+    expect(screen.getByText('ADMIN OVERRIDE MODE')).toBeInTheDocument();
+  });
+
+  it('ends the admin session on close', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    const { onClose } = renderOverride();
+
+    await userEvent.click(screen.getByRole('button', { name: '✕' }));
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(getAdminToken()).toBeNull();
+  });
+
+  it('resets an entry and shows it in the override history', async () => {
+    const arjun = demoTicket('Arjun Rao');
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+
+    await selectTicket('Arjun', 'Arjun Rao');
+    await userEvent.type(screen.getByPlaceholderText('Reason for override (minimum 10 characters)...'), REASON);
+    await userEvent.click(screen.getByRole('button', { name: 'Reset Entry' }));
+
+    expect(confirmSpy).toHaveBeenCalledWith(expect.stringContaining('Reset Day 1 entry for Arjun Rao?'));
+    expect(alertSpy).toHaveBeenCalledWith(expect.stringContaining('Entry reset successfully'));
+    expect(await screen.findByText('RESET')).toBeInTheDocument();
+    expect(screen.getByText(REASON)).toBeInTheDocument();
+    expect(screen.getByText('By: Demo Volunteer')).toBeInTheDocument();
+
+    expect((await verifyTicketById(arjun.id, DAY1)).allowed).toBe(true);
+  });
+
+  it('forces entry for the active session', async () => {
+    const sriram = demoTicket('Sriram K');
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+
+    await selectTicket('Sriram', 'Sriram K');
+    await userEvent.type(screen.getByPlaceholderText('Reason for override (minimum 10 characters)...'), REASON);
+    await userEvent.click(screen.getByRole('button', { name: 'Force Allow Entry' }));
+
+    expect(alertSpy).toHaveBeenCalledWith(expect.stringContaining('Entry forced successfully'));
+    expect(await screen.findByText('ALLOW')).toBeInTheDocument();
+    expect((await verifyTicketById(sriram.id, DAY1)).reason).toBe('ALREADY_USED');
+  });
+
+  it('hides the ticket actions and walk-ins in demo mode', async () => {
+    vi.stubEnv('VITE_DEMO_MODE', 'true');
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+
+    expect(screen.queryByRole('button', { name: '+ Issue Walk-in Ticket' })).not.toBeInTheDocument();
+    await selectTicket('Sriram', 'Sriram K');
+
+    expect(screen.getByRole('button', { name: 'Force Allow Entry' })).toBeInTheDocument();
+    expect(screen.queryByText('Ticket Actions')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Reissue Ticket' })).not.toBeInTheDocument();
+  });
+
+  it('does nothing when the confirmation is declined', async () => {
+    const sriram = demoTicket('Sriram K');
+    confirmSpy.mockReturnValue(false);
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+
+    await selectTicket('Sriram', 'Sriram K');
+    await userEvent.type(screen.getByPlaceholderText('Reason for override (minimum 10 characters)...'), REASON);
+    await userEvent.click(screen.getByRole('button', { name: 'Force Allow Entry' }));
+
+    expect(alertSpy).not.toHaveBeenCalled();
+    expect((await verifyTicketById(sriram.id, DAY1)).allowed).toBe(true);
+  });
+
+  it('rejects short reasons before asking to confirm', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+
+    await selectTicket('Sriram', 'Sriram K');
+    await userEvent.type(screen.getByPlaceholderText('Reason for override (minimum 10 characters)...'), 'oops');
+    await userEvent.click(screen.getByRole('button', { name: 'Force Allow Entry' }));
+
+    expect(alertSpy).toHaveBeenCalledWith('Please provide a reason (minimum 10 characters)');
+    expect(confirmSpy).not.toHaveBeenCalled();
+  });
+
+  it('returns to the PIN screen once the admin session has expired', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+    await selectTicket('Sriram', 'Sriram K');
+
+    // The session lapses while the ticket is open
+    clearAdminToken();
+    await userEvent.type(screen.getByPlaceholderText('Reason for override (minimum 10 characters)...'), REASON);
+    await userEvent.click(screen.getByRole('button', { name: 'Force Allow Entry' }));
+
+    expect(alertSpy).toHaveBeenCalledWith(expect.stringContaining('Admin session expired. Re-enter PIN.'));
+    expect(screen.getByLabelText('Enter Admin PIN:')).toBeInTheDocument();
+    expect(screen.getByText('Admin session expired. Re-enter PIN.')).toBeInTheDocument();
+  });
+
+  it('returns to the PIN screen once the PIN is entered on another device', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    renderOverride();
+    await selectTicket('Sriram', 'Sriram K');
+
+    // The server revokes this device's token; the local copy has not expired
+    await getTicketRepository().verifyAdminPin({ pin: DEMO_ADMIN_PIN, deviceId: 'other-phone' });
+    await userEvent.type(screen.getByPlaceholderText('Reason for override (minimum 10 characters)...'), REASON);
+    await userEvent.click(screen.getByRole('button', { name: 'Force Allow Entry' }));
+
+    expect(getAdminToken()).toBeNull();
+    expect(screen.getByLabelText('Enter Admin PIN:')).toBeInTheDocument();
+    expect(screen.getByText('Admin session expired. Re-enter PIN.')).toBeInTheDocument();
+  });
+
+  it('refuses volunteers below gate lead at the PIN', async () => {
+    installMemoryRepository({ volunteer: { ...DEMO_VOLUNTEER, role: 'volunteer' } });
+    renderOverride();
+
+    await enterPin(DEMO_ADMIN_PIN);
+    expect(screen.getByText('Only gate leads and admins can override')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * BulkImport Component
+ *
+ * Admin screen for importing walk-in / partner lists:
+ * 1. Choose a CSV or XLSX file
+ * 2. Map its columns to name / email / phone / college / ticket type
+ * 3. Dry run - per-row report, nothing written
+ * 4. Import - registrations and tickets created, codes in the report
+ *
+ * The report can be downloaded as CSV (e.g. to send codes out).
+ */
+
+import { useState, useMemo } from 'react';
+import {
+  ImportFields,
+  ImportStatus,
+  readImportFile,
+  guessColumnMapping,
+  getUnmappedFields,
+  buildImportRows,
+  importTickets,
+  importReportToCsv,
+} from '../lib/bulkImport';
+import { downloadFile } from '../lib/csv';
+
+const PREVIEW_ROWS = 5;
+
+export default function BulkImport({ onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [fileError, setFileError] = useState('');
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const importRows = useMemo(
+    () => (table ? buildImportRows(table.rows, mapping) : []),
+    [table, mapping]
+  );
+  const unmapped = getUnmappedFields(mapping);
+
+  // Read the chosen file and guess the column mapping
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setFileError('');
+    setReport(null);
+    setTable(null);
+
+    try {
+      const parsed = await readImportFile(file);
+      if (parsed.rows.length === 0) {
+        setFileError('No data rows found below the header');
+        return;
+      }
+      setTable(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+    } catch (err) {
+      console.error('Import file error:', err);
+      setFileError(err.message || 'Could not read file');
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((current) => ({ ...current, [fieldKey]: value === '' ? null : Number(value) }));
+    setReport(null);
+  };
+
+  const runImport = async (dryRun) => {
+    if (!dryRun && !confirm(`Import ${report.counts[ImportStatus.READY]} rows and issue tickets?\n\nThis cannot be undone from the app.`)) {
+      return;
+    }
+
+    setRunning(true);
+    const result = await importTickets(importRows, { dryRun });
+    setRunning(false);
+
+    if (!result.success) {
+      alert(`✗ ${result.message}`);
+      return;
+    }
+    setReport(result);
+  };
+
+  const handleDownloadReport = () => {
+    downloadFile(
+      importReportToCsv(report.rows),
+      `import-report-${report.dryRun ? 'dry-run-' : ''}${fileName.replace(/\.\w+$/, '')}.csv`,
+      'text/csv'
+    );
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="scanner-header">
+        <div className="header-left">
+          <h1>IMPORT</h1>
+        </div>
+        <div className="header-right">
+          <button className="logout-btn" onClick={onClose}>
+            Scanner
+          </button>
+        </div>
+      </header>
+
+      <main className="dashboard-content">
+        <section className="dashboard-card">
+          <h3>1. Choose File</h3>
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={handleFileChange}
+            disabled={running}
+            className="import-file-input"
+          />
+          {fileError && <p className="admin-pin-error">{fileError}</p>}
+          {table && (
+            <p className="dashboard-note">
+              {fileName} · {table.rows.length} rows
+            </p>
+          )}
+        </section>
+
+        {table && (
+          <section className="dashboard-card">
+            <h3>2. Map Columns</h3>
+            {ImportFields.map((field) => (
+              <div key={field.key} className="dashboard-row">
+                <span>
+                  {field.label}
+                  {field.required && ' *'}
+                </span>
+                <select
+                  className="import-column-select"
+                  value={mapping[field.key] ?? ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  disabled={running}
+                >
+                  <option value="">— not mapped —</option>
+                  {table.headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            {unmapped.length > 0 && (
+              <p className="admin-pin-error">Map required columns: {unmapped.join(', ')}</p>
+            )}
+
+            <div className="import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    {ImportFields.map((field) => <th key={field.key}>{field.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {importRows.slice(0, PREVIEW_ROWS).map((record) => (
+                    <tr key={record.row}>
+                      <td>{record.row}</td>
+                      {ImportFields.map((field) => <td key={field.key}>{record[field.key]}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="admin-action-buttons">
+              <button
+                className="reset-entry-btn"
+                onClick={() => runImport(true)}
+                disabled={running || unmapped.length > 0}
+              >
+                {running ? 'Checking...' : 'Dry Run'}
+              </button>
+              {report?.dryRun && (
+                <button
+                  className="force-allow-btn"
+                  onClick={() => runImport(false)}
+                  disabled={running || report.counts[ImportStatus.READY] === 0}
+                >
+                  Import {report.counts[ImportStatus.READY]} Rows
+                </button>
+              )}
+            </div>
+          </section>
+        )}
+
+        {report && (
+          <section className="dashboard-card">
+            <h3>3. {report.dryRun ? 'Dry Run Report' : 'Import Report'}</h3>
+            <p className="dashboard-note">{report.message}</p>
+            {Object.values(ImportStatus).map((status) => (
+              <div key={status} className="dashboard-row">
+                <span className={`dashboard-result ${status === ImportStatus.READY || status === ImportStatus.IMPORTED ? 'valid' : ''}`}>
+                  {status.toUpperCase()}
+                </span>
+                <span>{report.counts[status]}</span>
+              </div>
+            ))}
+
+            <div className="import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Email</th>
+                    <th>Status</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map((row) => (
+                    <tr key={row.row} className={`import-row-${row.status}`}>
+                      <td>{row.row}</td>
+                      <td>{row.email}</td>
+                      <td>{row.status}</td>
+                      <td>{row.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <button className="logout-btn" onClick={handleDownloadReport}>
+              Download Report (CSV)
+            </button>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
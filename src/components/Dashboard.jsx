@@ -0,0 +1,204 @@
+/**
+ * Dashboard Component
+ *
+ * Live gate dashboard for admins:
+ * - Admitted vs total tickets for the selected session
+ * - Scans per minute per gate
+ * - Result breakdown by VerificationResult code
+ * - Most recent scans
+ *
+ * Updates in real time from scan_events inserts. If the realtime
+ * channel drops, it polls every few seconds until it reconnects.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import DaySelector from './DaySelector';
+import { Routes } from '../lib/routes';
+import { VerificationResult } from '../lib/ticketVerification';
+import { getCachedSessions, fetchSessions, getActiveSessionId } from '../lib/sessions';
+import {
+  fetchDashboardStats,
+  fetchRecentScans,
+  subscribeToScanEvents,
+  RECENT_SCAN_LIMIT,
+} from '../lib/dashboard';
+
+const POLL_INTERVAL_MS = 10 * 1000;
+
+// Batch stats refreshes when scans arrive in bursts
+const REFRESH_THROTTLE_MS = 2 * 1000;
+
+const ALLOWED_RESULTS = [VerificationResult.VALID, VerificationResult.EXITED];
+
+export default function Dashboard({ onClose }) {
+  const [sessions, setSessions] = useState(getCachedSessions);
+  const [sessionId, setSessionId] = useState(() => getActiveSessionId(getCachedSessions()));
+  const [stats, setStats] = useState(null);
+  const [recentScans, setRecentScans] = useState([]);
+  const [live, setLive] = useState(false);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const refreshTimer = useRef(null);
+
+  useEffect(() => {
+    fetchSessions().then(setSessions);
+  }, []);
+
+  const refreshStats = useCallback(async () => {
+    const latest = await fetchDashboardStats(sessionId);
+    if (latest) {
+      setStats(latest);
+      setUpdatedAt(new Date());
+    }
+  }, [sessionId]);
+
+  const refreshAll = useCallback(async () => {
+    const [, scans] = await Promise.all([refreshStats(), fetchRecentScans(sessionId)]);
+    setRecentScans(scans);
+  }, [refreshStats, sessionId]);
+
+  // Initial load and reload on session change
+  useEffect(() => {
+    setStats(null);
+    setRecentScans([]);
+    refreshAll();
+  }, [refreshAll]);
+
+  // Realtime: prepend new scans, refresh aggregates (throttled)
+  useEffect(() => {
+    const unsubscribe = subscribeToScanEvents(
+      (event) => {
+        if (event.session_id !== sessionId) return;
+
+        setRecentScans((current) => [event, ...current].slice(0, RECENT_SCAN_LIMIT));
+
+        if (!refreshTimer.current) {
+          refreshTimer.current = setTimeout(() => {
+            refreshTimer.current = null;
+            refreshStats();
+          }, REFRESH_THROTTLE_MS);
+        }
+      },
+      setLive
+    );
+
+    return () => {
+      unsubscribe();
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = null;
+    };
+  }, [sessionId, refreshStats]);
+
+  // Polling fallback while realtime is unavailable
+  useEffect(() => {
+    if (live) return;
+    const timer = setInterval(refreshAll, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [live, refreshAll]);
+
+  const admittedPercent = stats?.total_tickets
+    ? Math.round((stats.admitted / stats.total_tickets) * 100)
+    : 0;
+
+  return (
+    <div className="dashboard">
+      <header className="scanner-header">
+        <div className="header-left">
+          <h1>DASHBOARD</h1>
+          <span className={`connection-badge ${live ? 'online' : 'offline'}`}>
+            {live ? 'Live' : 'Polling'}
+          </span>
+        </div>
+        <div className="header-right">
+          <a className="logout-btn" href={Routes.IMPORT}>
+            Import
+          </a>
+          <a className="logout-btn" href={Routes.REPORTS}>
+            Reports
+          </a>
+          <a className="logout-btn" href={Routes.PRINT}>
+            Print
+          </a>
+          <a className="logout-btn" href={Routes.DEVICES}>
+            Devices
+          </a>
+          <button className="logout-btn" onClick={onClose}>
+            Scanner
+          </button>
+        </div>
+      </header>
+
+      <DaySelector
+        sessions={sessions}
+        currentSessionId={sessionId}
+        onSessionChange={setSessionId}
+      />
+
+      <main className="dashboard-content">
+        {!stats && <p className="dashboard-empty">Loading stats...</p>}
+
+        {stats && (
+          <>
+            <section className="dashboard-card">
+              <h3>Admitted</h3>
+              <p className="dashboard-figure">
+                {stats.admitted} <span>/ {stats.total_tickets}</span>
+              </p>
+              <div className="dashboard-progress">
+                <div style={{ width: `${Math.min(admittedPercent, 100)}%` }} />
+              </div>
+              <p className="dashboard-note">
+                {admittedPercent}% of tickets · Inside now {stats.inside}
+                {stats.capacity ? ` / ${stats.capacity}` : ''}
+              </p>
+            </section>
+
+            <section className="dashboard-card">
+              <h3>Throughput (last {stats.window_minutes} min)</h3>
+              {stats.gates.length === 0 && <p className="dashboard-empty">No scans yet</p>}
+              {stats.gates.map((gate) => (
+                <div key={gate.gate} className="dashboard-row">
+                  <span>{gate.gate}</span>
+                  <span>{gate.per_minute}/min</span>
+                  <span className="dashboard-dim">{gate.scans} scans</span>
+                </div>
+              ))}
+            </section>
+
+            <section className="dashboard-card">
+              <h3>Results</h3>
+              {Object.values(VerificationResult).map((code) => (
+                <div key={code} className="dashboard-row">
+                  <span className={`dashboard-result ${ALLOWED_RESULTS.includes(code) ? 'valid' : ''}`}>
+                    {code}
+                  </span>
+                  <span>{stats.results[code] || 0}</span>
+                </div>
+              ))}
+            </section>
+          </>
+        )}
+
+        <section className="dashboard-card">
+          <h3>Recent Scans</h3>
+          {recentScans.length === 0 && <p className="dashboard-empty">No scans yet</p>}
+          {recentScans.map((scan) => (
+            <div key={scan.id} className="dashboard-row">
+              <span className="dashboard-dim">
+                {new Date(scan.scanned_at).toLocaleTimeString()}
+              </span>
+              <span>{scan.gate || 'Unknown'}</span>
+              <span className={`dashboard-result ${ALLOWED_RESULTS.includes(scan.result) ? 'valid' : ''}`}>
+                {scan.result}
+              </span>
+              {scan.offline && <span className="dashboard-dim">offline</span>}
+            </div>
+          ))}
+        </section>
+
+        {updatedAt && (
+          <p className="dashboard-note">Updated {updatedAt.toLocaleTimeString()}</p>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,38 +1,35 @@
 /**
  * DaySelector Component
- * 
- * CRITICAL: Allows explicit day selection for event scanning
- * 
+ *
+ * CRITICAL: Allows explicit session selection for event scanning
+ *
  * Requirements:
  * - Must be clearly visible to volunteers
- * - Exactly one day active at all times
+ * - Exactly one session active at all times
  * - NO automatic date detection
- * - Volunteer manually selects the correct day
- * 
+ * - Volunteer manually selects the correct day or session
+ *   (Day 1, Day 2, workshop, pro-show)
+ *
  * This prevents timezone/clock issues and ensures
- * volunteers are always in control of which day's
- * tickets are being validated.
+ * volunteers are always in control of which session's
+ * entitlements are being validated.
  */
 
-export default function DaySelector({ currentDay, onDayChange }) {
+export default function DaySelector({ sessions, currentSessionId, onSessionChange }) {
   return (
     <div className="day-selector">
-      <label className="day-selector-label">EVENT DAY:</label>
+      <label className="day-selector-label">SESSION:</label>
       <div className="day-selector-buttons">
-        <button
-          className={`day-btn ${currentDay === 1 ? 'active' : ''}`}
-          onClick={() => onDayChange(1)}
-          type="button"
-        >
-          DAY 1
-        </button>
-        <button
-          className={`day-btn ${currentDay === 2 ? 'active' : ''}`}
-          onClick={() => onDayChange(2)}
-          type="button"
-        >
-          DAY 2
-        </button>
+        {sessions.map((session) => (
+          <button
+            key={session.id}
+            className={`day-btn ${currentSessionId === session.id ? 'active' : ''}`}
+            onClick={() => onSessionChange(session.id)}
+            type="button"
+          >
+            {session.label}
+          </button>
+        ))}
       </div>
     </div>
   );
@@ -0,0 +1,62 @@
+/**
+ * DeviceStatus Component
+ *
+ * Shown instead of the scanner until this device is enrolled to a gate,
+ * and after an admin revokes it. The device code matches the one in
+ * the admin Devices screen (Routes.DEVICES), where the device is
+ * assigned a gate.
+ */
+
+import { useState } from 'react';
+import { getDeviceId } from '../lib/device';
+import { getDeviceCode } from '../lib/devices';
+import { hasRole, Roles } from '../lib/auth';
+import { Routes } from '../lib/routes';
+
+export default function DeviceStatus({ device, volunteer, onRecheck, onLogout }) {
+  const [checking, setChecking] = useState(false);
+
+  const handleRecheck = async () => {
+    setChecking(true);
+    await onRecheck();
+    setChecking(false);
+  };
+
+  const getStatusText = () => {
+    if (!device) return 'Connect to the network to register this device.';
+    if (device.revoked) return 'This device has been revoked. Hand it to the gate lead.';
+    return 'This device is not registered to a gate yet. Ask an admin to enrol it.';
+  };
+
+  return (
+    <div className="password-gate">
+      <div className="gate-container">
+        <div className="gate-header">
+          <h1>{device?.revoked ? 'REVOKED' : 'REGISTER DEVICE'}</h1>
+          <p>{getStatusText()}</p>
+        </div>
+
+        <div className="gate-form">
+          <label>Device code</label>
+          <p className="device-code">{getDeviceCode(getDeviceId())}</p>
+          {device?.label && <p className="device-label">{device.label}</p>}
+
+          <button type="button" onClick={handleRecheck} disabled={checking}>
+            {checking ? 'Checking...' : 'Check Again'}
+          </button>
+        </div>
+
+        <div className="gate-footer">
+          {hasRole(volunteer, Roles.ADMIN) && (
+            <p>
+              <a href={Routes.DEVICES}>Open Devices to enrol it</a>
+            </p>
+          )}
+          <button className="logout-btn" onClick={onLogout}>
+            Logout
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+/**
+ * Devices Component
+ *
+ * Admin screen listing every scanner device: gate, last seen and who
+ * used it last. Pending devices (opened the scanner but not enrolled)
+ * are assigned a gate here; lost phones are revoked.
+ *
+ * A device's gate decides its zones, scan modes and sessions - gates
+ * are configured in SQL (see 015_device_enrolment.sql).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Routes } from '../lib/routes';
+import { fetchAccess, getCachedAccess } from '../lib/tiers';
+import { getDeviceId } from '../lib/device';
+import {
+  fetchDevices,
+  enrolDevice,
+  revokeDevice,
+  getDeviceCode,
+  getDeviceState,
+} from '../lib/devices';
+
+const STATE_BADGES = {
+  active: { text: 'Active', class: 'badge-success' },
+  pending: { text: 'Pending', class: 'badge-warning' },
+  revoked: { text: 'Revoked', class: 'badge-error' },
+};
+
+function formatSeen(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'Never';
+}
+
+export default function Devices({ onClose }) {
+  const [devices, setDevices] = useState([]);
+  const [gates, setGates] = useState(() => getCachedAccess().gates);
+  const [selectedGates, setSelectedGates] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+
+  const thisDeviceId = getDeviceId();
+
+  const loadDevices = useCallback(async () => {
+    const result = await fetchDevices();
+    setLoading(false);
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+    setError('');
+    setDevices(result.devices);
+  }, []);
+
+  useEffect(() => {
+    fetchAccess().then((access) => setGates(access.gates));
+    loadDevices();
+  }, [loadDevices]);
+
+  const getSelectedGate = (device) =>
+    selectedGates[device.id] || device.gate || gates[0]?.name || '';
+
+  const handleEnrol = async (device) => {
+    const gate = getSelectedGate(device);
+    const label = prompt(`Label for this device at ${gate}:`, device.label);
+    if (label === null) return;
+
+    setBusy(device.id);
+    const result = await enrolDevice(device.id, gate, label.trim());
+    setBusy(null);
+    alert(result.message);
+    if (result.success) loadDevices();
+  };
+
+  const handleRevoke = async (device) => {
+    const reason = prompt(`Revoke ${device.label}? It will stop scanning immediately.\n\nReason (min 10 characters):`);
+    if (reason === null) return;
+
+    setBusy(device.id);
+    const result = await revokeDevice(device.id, reason.trim());
+    setBusy(null);
+    alert(result.message);
+    if (result.success) loadDevices();
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="scanner-header">
+        <div className="header-left">
+          <h1>DEVICES</h1>
+        </div>
+        <div className="header-right">
+          <a className="logout-btn" href={Routes.DASHBOARD}>
+            Dashboard
+          </a>
+          <button className="logout-btn" onClick={onClose}>
+            Scanner
+          </button>
+        </div>
+      </header>
+
+      <main className="dashboard-content">
+        {loading && <p className="dashboard-empty">Loading devices...</p>}
+        {error && <p className="admin-pin-error">{error}</p>}
+
+        {!loading && !error && devices.length === 0 && (
+          <p className="dashboard-empty">
+            No devices yet - open the scanner on a phone to register it
+          </p>
+        )}
+
+        {devices.map((device) => {
+          const state = getDeviceState(device);
+          const badge = STATE_BADGES[state];
+          const isBusy = busy === device.id;
+
+          return (
+            <section key={device.id} className="dashboard-card device-card">
+              <div className="ticket-header">
+                <h3>
+                  {device.label}
+                  {device.id === thisDeviceId && <span className="dashboard-dim"> (this device)</span>}
+                </h3>
+                <span className={`ticket-badge ${badge.class}`}>{badge.text}</span>
+              </div>
+
+              <div className="dashboard-row">
+                <span>Code</span>
+                <span className="device-code">{getDeviceCode(device.id)}</span>
+              </div>
+              <div className="dashboard-row">
+                <span>Gate</span>
+                <span>{device.gate || '—'}</span>
+              </div>
+              <div className="dashboard-row">
+                <span>Last seen</span>
+                <span>{formatSeen(device.last_seen_at)}</span>
+                {device.last_volunteer && (
+                  <span className="dashboard-dim">{device.last_volunteer}</span>
+                )}
+              </div>
+              {device.enrolled_at && (
+                <div className="dashboard-row">
+                  <span>Enrolled</span>
+                  <span>{formatSeen(device.enrolled_at)}</span>
+                  {device.enrolled_by && <span className="dashboard-dim">{device.enrolled_by}</span>}
+                </div>
+              )}
+              {device.revoked_at && (
+                <p className="dashboard-note">
+                  Revoked {formatSeen(device.revoked_at)}
+                  {device.revoked_by ? ` by ${device.revoked_by}` : ''}: {device.revoke_reason}
+                </p>
+              )}
+
+              <div className="admin-action-buttons">
+                <select
+                  className="import-column-select"
+                  value={getSelectedGate(device)}
+                  onChange={(e) => setSelectedGates({ ...selectedGates, [device.id]: e.target.value })}
+                  disabled={isBusy}
+                  aria-label="Gate"
+                >
+                  {gates.map((gate) => (
+                    <option key={gate.name} value={gate.name}>{gate.name}</option>
+                  ))}
+                </select>
+                <button
+                  className="force-allow-btn"
+                  onClick={() => handleEnrol(device)}
+                  disabled={isBusy || gates.length === 0}
+                >
+                  {state === 'active' ? 'Move' : state === 'revoked' ? 'Restore' : 'Enrol'}
+                </button>
+                {state !== 'revoked' && (
+                  <button
+                    className="reset-entry-btn"
+                    onClick={() => handleRevoke(device)}
+                    disabled={isBusy}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            </section>
+          );
+        })}
+      </main>
+    </div>
+  );
+}
@@ -1,9 +1,13 @@
 /**
  * FallbackSearch Component
  * 
- * Search tickets by email or code for edge cases.
+ * Search tickets by name, email, phone, college or code for edge cases.
+ * Search is typo-tolerant and ranked; matching fields are highlighted.
  * Shows ticket status and allows manual verification.
  * 
+ * Group tickets show how many of the group are in for the active
+ * session.
+ * 
  * Used when:
  * - QR code is damaged
  * - Attendee lost their ticket
@@ -11,44 +15,86 @@
  */
 
 import { useState } from 'react';
-import { searchTickets, verifyTicketById } from '../lib/ticketVerification';
+import { searchTickets, verifyTicketById, SEARCH_MIN_LENGTH } from '../lib/ticketVerification';
+import SearchHighlight from './SearchHighlight';
 
-export default function FallbackSearch({ onResult }) {
+export default function FallbackSearch({ session, onResult }) {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
   const [searching, setSearching] = useState(false);
   const [verifying, setVerifying] = useState(null);
+  const [searchedFor, setSearchedFor] = useState('');
+  const [total, setTotal] = useState(0);
+  const [searchError, setSearchError] = useState('');
 
   const handleSearch = async (e) => {
     e.preventDefault();
-    if (query.length < 3) return;
+    if (query.trim().length < SEARCH_MIN_LENGTH) return;
+
+    setSearching(true);
+    const result = await searchTickets(query);
+    setResults(result.tickets);
+    setTotal(result.total);
+    setSearchError(result.success ? '' : result.message);
+    setSearchedFor(query);
+    setSearching(false);
+  };
 
+  // Next page of the same search, appended below
+  const handleLoadMore = async () => {
     setSearching(true);
-    console.log('🔍 FallbackSearch: Searching for:', query);
-    const tickets = await searchTickets(query);
-    console.log('🔍 FallbackSearch: Results:', tickets);
-    setResults(tickets);
+    const result = await searchTickets(searchedFor, { offset: results.length, total });
     setSearching(false);
+    if (!result.success) {
+      setSearchError(result.message);
+      return;
+    }
+    const seen = new Set(results.map((ticket) => ticket.id));
+    setResults([...results, ...result.tickets.filter((ticket) => !seen.has(ticket.id))]);
+    // An empty page means the rest went away since the first - nothing left to load
+    setTotal(result.tickets.length ? result.total : results.length);
   };
 
   const handleVerify = async (ticketId) => {
     setVerifying(ticketId);
-    // Single ticket type - no day parameter needed
-    const result = await verifyTicketById(ticketId);
+    // Checked against the active session's entitlements
+    const result = await verifyTicketById(ticketId, session);
     setVerifying(null);
     onResult(result);
   };
 
+  // Group tickets: how many are in for the active session
+  const getGroupAdmitted = (ticket) => {
+    const usage = (ticket.session_usage || []).find((row) => row.session_id === session?.id);
+    return usage?.admitted_count || 0;
+  };
+
+  const getGroupUsage = (ticket) => {
+    if (!(ticket.headcount > 1)) return null;
+    return session
+      ? `Group of ${ticket.headcount} · ${getGroupAdmitted(ticket)} in (${session.label})`
+      : `Group of ${ticket.headcount}`;
+  };
+
   const getStatusBadge = (ticket) => {
     // Use ticket_status from database
     const status = ticket.ticket_status?.toLowerCase();
+    const groupAdmitted = ticket.headcount > 1 ? getGroupAdmitted(ticket) : 0;
     
+    // Part of a group is in - the rest can still be admitted
+    if (groupAdmitted > 0 && groupAdmitted < ticket.headcount && status === 'used') {
+      return { text: 'Partial', class: 'badge-warning' };
+    }
+
+    // 'used' means admitted to at least one session - others may still be open
     if (status === 'used') {
-      return { text: 'Used', class: 'badge-error' };
+      return { text: 'Used', class: 'badge-warning' };
     } else if (status === 'valid') {
       return { text: 'Valid', class: 'badge-success' };
     } else if (status === 'cancelled') {
       return { text: 'Cancelled', class: 'badge-error' };
+    } else if (status === 'replaced') {
+      return { text: 'Replaced', class: 'badge-error' };
     } else {
       // Default to valid if status is unknown
       return { text: 'Valid', class: 'badge-success' };
@@ -68,7 +114,7 @@ export default function FallbackSearch({ onResult }) {
         />
         <button 
           type="submit" 
-          disabled={searching || query.length < 3}
+          disabled={searching || query.trim().length < SEARCH_MIN_LENGTH}
           className="search-btn"
         >
           {searching ? 'Searching...' : 'Search'}
@@ -77,28 +123,52 @@ export default function FallbackSearch({ onResult }) {
 
       {results.length > 0 && (
         <div className="search-results">
-          <p className="results-count">{results.length} ticket(s) found</p>
+          <p className="results-count">
+            {total > results.length ? `${results.length} of ${total}` : results.length} ticket(s) found
+          </p>
           
           {results.map((ticket) => {
             const status = getStatusBadge(ticket);
+            const groupUsage = getGroupUsage(ticket);
             const isVerifying = verifying === ticket.id;
+            const isMatch = (field) => ticket.matched?.includes(field);
 
             return (
               <div key={ticket.id} className="ticket-card">
                 <div className="ticket-header">
-                  <span className="ticket-code">{ticket.six_digit_code}</span>
+                  <span className="ticket-code">
+                    <SearchHighlight text={ticket.six_digit_code} query={searchedFor} fuzzy={isMatch('code')} />
+                  </span>
                   <span className={`ticket-badge ${status.class}`}>
                     {status.text}
                   </span>
                 </div>
 
                 <div className="ticket-details">
-                  {ticket.name && <p className="ticket-name">{ticket.name}</p>}
-                  {ticket.email && <p className="ticket-email">{ticket.email}</p>}
-                  {ticket.college && <p className="ticket-college">{ticket.college}</p>}
+                  {ticket.name && (
+                    <p className="ticket-name">
+                      <SearchHighlight text={ticket.name} query={searchedFor} fuzzy={isMatch('name')} />
+                    </p>
+                  )}
+                  {ticket.email && (
+                    <p className="ticket-email">
+                      <SearchHighlight text={ticket.email} query={searchedFor} fuzzy={isMatch('email')} />
+                    </p>
+                  )}
+                  {ticket.phone && (
+                    <p className="ticket-phone">
+                      <SearchHighlight text={ticket.phone} query={searchedFor} fuzzy={isMatch('phone')} />
+                    </p>
+                  )}
+                  {ticket.college && (
+                    <p className="ticket-college">
+                      <SearchHighlight text={ticket.college} query={searchedFor} fuzzy={isMatch('college')} />
+                    </p>
+                  )}
                   {ticket.ticket_status && (
                     <p className="ticket-status">Status: {ticket.ticket_status}</p>
                   )}
+                  {groupUsage && <p className="ticket-group">{groupUsage}</p>}
                 </div>
 
                 <div className="ticket-usage">
@@ -113,7 +183,7 @@ export default function FallbackSearch({ onResult }) {
 
                 <button
                   onClick={() => handleVerify(ticket.id)}
-                  disabled={isVerifying || status.class !== 'badge-success'}
+                  disabled={isVerifying || status.class === 'badge-error'}
                   className="verify-btn"
                 >
                   {isVerifying ? 'Verifying...' : 'Allow Entry'}
@@ -121,11 +191,23 @@ export default function FallbackSearch({ onResult }) {
               </div>
             );
           })}
+
+          {total > results.length && (
+            <button
+              onClick={handleLoadMore}
+              disabled={searching}
+              className="search-btn load-more-btn"
+            >
+              {searching ? 'Loading...' : `Load more (${total - results.length} left)`}
+            </button>
+          )}
         </div>
       )}
 
-      {results.length === 0 && query.length >= 3 && !searching && (
-        <p className="no-results">No tickets found for "{query}"</p>
+      {searchError && !searching && <p className="no-results">{searchError}</p>}
+
+      {results.length === 0 && searchedFor && !searching && !searchError && (
+        <p className="no-results">No tickets found for "{searchedFor}"</p>
       )}
     </div>
   );
@@ -0,0 +1,105 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FallbackSearch from './FallbackSearch';
+import { getTicketRepository, setTicketRepository } from '../lib/ticketRepository';
+import { installMemoryRepository, DAY1 } from '../test/helpers';
+
+const renderSearch = () => {
+  const onResult = vi.fn();
+  const view = render(<FallbackSearch session={DAY1} onResult={onResult} />);
+  return { ...view, onResult };
+};
+
+const search = async (query) => {
+  await userEvent.type(screen.getByPlaceholderText('Search by email, phone, code, or name...'), query);
+  await userEvent.click(screen.getByRole('button', { name: 'Search' }));
+};
+
+const cards = (container) => [...container.querySelectorAll('.ticket-card')];
+
+describe('FallbackSearch', () => {
+  it('needs two characters before searching', async () => {
+    renderSearch();
+
+    await userEvent.type(screen.getByPlaceholderText('Search by email, phone, code, or name...'), 's');
+    expect(screen.getByRole('button', { name: 'Search' })).toBeDisabled();
+  });
+
+  it('finds misspelt names and admits from the result', async () => {
+    const { container, onResult } = renderSearch();
+
+    await search('Shriram');
+    const [first] = cards(container);
+    expect(first).toHaveTextContent('Sriram K');
+    expect(first).toHaveTextContent('Valid - Never used');
+
+    await userEvent.click(within(first).getByRole('button', { name: 'Allow Entry' }));
+    expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ allowed: true, name: 'Sriram K' }));
+  });
+
+  it('disables entry for cancelled tickets', async () => {
+    const { container } = renderSearch();
+
+    await search('Rahul Menon');
+    const card = cards(container).find((element) => element.textContent.includes('Rahul Menon'));
+    expect(within(card).getByText('Cancelled')).toBeInTheDocument();
+    expect(within(card).getByRole('button', { name: 'Allow Entry' })).toBeDisabled();
+  });
+
+  it('shows how much of a group is in', async () => {
+    const repository = getTicketRepository();
+    const { container } = renderSearch();
+    const robocon = repository.getState().tickets.find((ticket) => ticket.name === 'Team Robocon');
+    await repository.verifyAndMarkTicket({ ticketId: robocon.id, sessionId: 'day1', count: 2, deviceId: 'device' });
+
+    await search('Robocon');
+    expect(cards(container)[0]).toHaveTextContent('Group of 5 · 2 in (Day 1)');
+    expect(within(cards(container)[0]).getByText('Partial')).toBeInTheDocument();
+  });
+
+  it('says when nothing matches', async () => {
+    renderSearch();
+
+    await search('zzqqxx');
+    expect(screen.getByText('No tickets found for "zzqqxx"')).toBeInTheDocument();
+  });
+
+  it('loads further pages below the first', async () => {
+    installMemoryRepository({
+      tickets: Array.from({ length: 25 }, (_, i) => ({
+        id: `0000a000-0000-4000-8000-${String(i + 1).padStart(12, '0')}`,
+        six_digit_code: String(100000 + i),
+        name: `Guest ${String(i + 1).padStart(2, '0')}`,
+        email: `guest${i + 1}@example.org`,
+        ticket_status: 'valid',
+        headcount: 1,
+        entitlements: [],
+      })),
+      usage: [],
+      movements: [],
+    });
+    const { container } = renderSearch();
+
+    await search('guest');
+    expect(cards(container)).toHaveLength(20);
+    expect(screen.getByText('20 of 25 ticket(s) found')).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Load more (5 left)' }));
+    expect(cards(container)).toHaveLength(25);
+    expect(screen.getByText('25 ticket(s) found')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Load more/ })).not.toBeInTheDocument();
+  });
+
+  it('shows search errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    setTicketRepository({
+      ...getTicketRepository(),
+      searchTickets: async () => ({ data: null, error: { message: 'timeout' } }),
+    });
+    renderSearch();
+
+    await search('Sriram');
+    expect(screen.getByText('Search failed. Check connection.')).toBeInTheDocument();
+  });
+});
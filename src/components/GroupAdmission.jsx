@@ -0,0 +1,96 @@
+/**
+ * GroupAdmission Component
+ *
+ * Shown instead of a result when a group ticket is scanned: the
+ * volunteer counts heads and enters how many are coming in now. The
+ * rest of the group can be admitted later with the same QR.
+ *
+ * Starts at 1 so nobody admits the whole group by accident.
+ */
+
+import { useState } from 'react';
+
+export default function GroupAdmission({ result, onAdmit, onCancel, disabled }) {
+  const { name, sessionLabel, headcount, remaining, message } = result;
+  const [count, setCount] = useState(1);
+
+  const setClamped = (value) => {
+    setCount(Math.min(Math.max(value, 1), remaining));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onAdmit(count);
+  };
+
+  return (
+    <div className="result-screen result-group-count">
+      <form className="result-content" onSubmit={handleSubmit}>
+        <div className="result-icon">👥</div>
+        <h1 className="result-status">HOW MANY?</h1>
+
+        {name && <p className="result-name">{name}</p>}
+        <p className="result-group">
+          Group of {headcount} · {remaining} remaining
+        </p>
+        {sessionLabel && <p className="result-day">{sessionLabel}</p>}
+        {message && <p className="result-message">{message}</p>}
+
+        <div className="group-count-stepper">
+          <button
+            type="button"
+            className="keypad-btn"
+            onClick={() => setClamped(count - 1)}
+            disabled={disabled || count <= 1}
+            aria-label="One fewer"
+          >
+            −
+          </button>
+          <input
+            type="number"
+            inputMode="numeric"
+            min="1"
+            max={remaining}
+            value={count}
+            onChange={(e) => setClamped(Number(e.target.value) || 1)}
+            className="group-count-input"
+            disabled={disabled}
+          />
+          <button
+            type="button"
+            className="keypad-btn"
+            onClick={() => setClamped(count + 1)}
+            disabled={disabled || count >= remaining}
+            aria-label="One more"
+          >
+            +
+          </button>
+        </div>
+
+        <div className="result-actions">
+          <button type="submit" className="result-btn-primary" disabled={disabled}>
+            {disabled ? 'Admitting...' : `Admit ${count}`}
+          </button>
+          {count !== remaining && (
+            <button
+              type="button"
+              className="result-btn-secondary"
+              onClick={() => setCount(remaining)}
+              disabled={disabled}
+            >
+              All {remaining}
+            </button>
+          )}
+          <button
+            type="button"
+            className="result-btn-secondary"
+            onClick={onCancel}
+            disabled={disabled}
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
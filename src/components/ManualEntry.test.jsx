@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ManualEntry from './ManualEntry';
+
+const renderEntry = (props = {}) => {
+  const onSubmit = vi.fn();
+  render(<ManualEntry onSubmit={onSubmit} {...props} />);
+  return { onSubmit, input: screen.getByPlaceholderText('______') };
+};
+
+describe('ManualEntry', () => {
+  it('focuses the code input', () => {
+    const { input } = renderEntry();
+    expect(input).toHaveFocus();
+  });
+
+  it('submits as soon as six digits are typed', async () => {
+    const { onSubmit, input } = renderEntry();
+
+    await userEvent.type(input, '48291');
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: 'Verify Code' })).toBeDisabled();
+
+    await userEvent.type(input, '3');
+    expect(onSubmit).toHaveBeenCalledWith('482913');
+    expect(input).toHaveValue('');
+  });
+
+  it('ignores anything but digits', async () => {
+    const { input } = renderEntry();
+
+    await userEvent.type(input, '4a8-2 9');
+    expect(input).toHaveValue('4829');
+  });
+
+  it('builds the code on the keypad', async () => {
+    const { onSubmit, input } = renderEntry();
+    const press = (key) => userEvent.click(screen.getByRole('button', { name: key }));
+
+    for (const key of ['4', '8', '2', '7']) await press(key);
+    await press('←');
+    expect(input).toHaveValue('482');
+
+    await press('CLR');
+    expect(input).toHaveValue('');
+
+    for (const key of ['6', '2', '3', '5', '0', '8']) await press(key);
+    expect(onSubmit).toHaveBeenCalledWith('623508');
+  });
+
+  it('accepts nothing while disabled', async () => {
+    const { onSubmit, input } = renderEntry({ disabled: true });
+
+    expect(input).toBeDisabled();
+    await userEvent.click(screen.getByRole('button', { name: '1' }));
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * OfflinePanel Component
+ *
+ * Footer panel for offline scanning:
+ * - Cached roster size and download time
+ * - Download / refresh roster button
+ * - Pending queue depth with manual sync
+ * - Conflicts reported when the queue replayed
+ *
+ * Download the roster BEFORE gates open so scanning
+ * continues if the venue network drops.
+ */
+
+import { useState, useEffect } from 'react';
+import { downloadRoster, getRosterInfo } from '../lib/offlineSync';
+
+export default function OfflinePanel({ online, pendingCount, conflicts, onSync, onClearConflicts }) {
+  const [roster, setRoster] = useState({ count: 0, downloadedAt: null });
+  const [downloading, setDownloading] = useState(false);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    getRosterInfo().then(setRoster);
+  }, []);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setStatus('');
+
+    // Flush queued admissions first so the fresh roster reflects them
+    if (pendingCount > 0) {
+      await onSync();
+    }
+
+    const result = await downloadRoster();
+    setStatus(result.message);
+    setRoster(await getRosterInfo());
+    setDownloading(false);
+  };
+
+  const rosterText = roster.downloadedAt
+    ? `Roster: ${roster.count} tickets · ${new Date(roster.downloadedAt).toLocaleTimeString()}`
+    : 'No offline roster';
+
+  return (
+    <div className="offline-panel">
+      <div className="offline-panel-row">
+        <span className="offline-roster">{rosterText}</span>
+        <button
+          className="offline-btn"
+          onClick={handleDownload}
+          disabled={!online || downloading}
+        >
+          {downloading ? 'Downloading...' : roster.downloadedAt ? 'Refresh' : 'Download'}
+        </button>
+      </div>
+
+      {pendingCount > 0 && (
+        <div className="offline-panel-row">
+          <span className="offline-pending">{pendingCount} scan(s) waiting to sync</span>
+          <button className="offline-btn" onClick={onSync} disabled={!online}>
+            Sync Now
+          </button>
+        </div>
+      )}
+
+      {status && <p className="offline-status">{status}</p>}
+
+      {conflicts.length > 0 && (
+        <div className="offline-conflicts">
+          <div className="offline-panel-row">
+            <span className="offline-conflicts-title">
+              {conflicts.length} sync conflict(s)
+            </span>
+            <button className="offline-btn" onClick={onClearConflicts}>
+              Dismiss
+            </button>
+          </div>
+          {conflicts.map((conflict) => (
+            <div key={conflict.conflict_id} className="offline-conflict">
+              <span className="offline-conflict-name">
+                {conflict.name || conflict.ticket_id}
+              </span>
+              <span className="offline-conflict-reason">
+                {conflict.reason} · {conflict.message}
+              </span>
+              <span className="offline-conflict-time">
+                {conflict.direction === 'out' ? 'Exited' : 'Admitted'} offline {new Date(conflict.scanned_at).toLocaleTimeString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
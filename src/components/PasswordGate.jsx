@@ -1,54 +1,38 @@
 /**
  * PasswordGate Component
- * 
- * Simple password authentication for volunteers.
- * No OAuth, no Supabase Auth - just a shared password.
- * Session persisted in localStorage.
+ *
+ * Per-volunteer sign-in (Supabase Auth email + password).
+ * Each volunteer has their own account and role, so every scan
+ * and override is attributed to a named person.
+ * Session is managed by supabase-js and expires after a shift.
+ * In demo mode any email and password signs in.
  */
 
 import { useState } from 'react';
-import { getGatePassword } from '../lib/supabase';
-
-const SESSION_KEY = 'yatra_scanner_auth';
-
-/**
- * Check if user is authenticated
- * @returns {boolean}
- */
-export function isAuthenticated() {
-  return localStorage.getItem(SESSION_KEY) === 'true';
-}
-
-/**
- * Clear authentication
- */
-export function logout() {
-  localStorage.removeItem(SESSION_KEY);
-}
+import { signIn } from '../lib/auth';
+import { isDemoMode } from '../lib/supabase';
+import { DEMO_ADMIN_PIN } from '../lib/demoData';
 
 export default function PasswordGate({ onAuthenticated }) {
+  const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
 
-    // Small delay to prevent brute force
-    setTimeout(() => {
-      const correctPassword = getGatePassword();
-      
-      if (password === correctPassword) {
-        localStorage.setItem(SESSION_KEY, 'true');
-        onAuthenticated();
-      } else {
-        setError('Incorrect password');
-        setPassword('');
-      }
-      setLoading(false);
-    }, 300);
+    const result = await signIn(email, password);
+
+    if (result.success) {
+      onAuthenticated(result.volunteer);
+    } else {
+      setError(result.message);
+      setPassword('');
+    }
+    setLoading(false);
   };
 
   return (
@@ -60,27 +44,42 @@ export default function PasswordGate({ onAuthenticated }) {
         </div>
 
         <form onSubmit={handleSubmit} className="gate-form">
-          <label htmlFor="password">Volunteer Password</label>
+          <label htmlFor="email">Volunteer Email</label>
+          <input
+            id="email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            autoComplete="username"
+            autoFocus
+            disabled={loading}
+          />
+
+          <label htmlFor="password">Password</label>
           <input
             id="password"
             type="password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
             placeholder="Enter password"
-            autoComplete="off"
-            autoFocus
+            autoComplete="current-password"
             disabled={loading}
           />
-          
+
           {error && <div className="gate-error">{error}</div>}
-          
-          <button type="submit" disabled={loading || !password}>
-            {loading ? 'Verifying...' : 'Enter'}
+
+          <button type="submit" disabled={loading || !email || !password}>
+            {loading ? 'Signing in...' : 'Sign In'}
           </button>
         </form>
 
         <div className="gate-footer">
-          <p>Authorized volunteers only</p>
+          {isDemoMode() ? (
+            <p>Demo mode - sample attendees, any email and password. Admin PIN {DEMO_ADMIN_PIN}</p>
+          ) : (
+            <p>Authorized volunteers only</p>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,326 @@
+/**
+ * PrintSheets Component
+ *
+ * Admin screen for printing tickets or name badges in bulk:
+ * 1. Load a batch with the search filters (name / email / phone / code, college)
+ * 2. Untick anyone who should not be printed
+ * 3. Pick a sheet template and adjust title, grid and margin
+ * 4. Download a PDF (all pages) or SVG (one file per page)
+ *
+ * Template settings are remembered on this device.
+ */
+
+import { useState, useMemo } from 'react';
+import {
+  SheetTemplates,
+  MAX_PRINT_TICKETS,
+  getSavedTemplate,
+  saveTemplate,
+  fetchTicketsForPrint,
+  getSheetFileName,
+  layoutSheets,
+  renderSvgPages,
+  renderPdf,
+} from '../lib/printSheets';
+import { downloadFile } from '../lib/csv';
+import { isSignedTicketRequired } from '../lib/supabase';
+
+export default function PrintSheets({ onClose }) {
+  const [query, setQuery] = useState('');
+  const [college, setCollege] = useState('');
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [tickets, setTickets] = useState(null);
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [template, setTemplate] = useState(getSavedTemplate);
+
+  const selected = useMemo(
+    () => (tickets || []).filter((ticket) => !excluded.has(ticket.id)),
+    [tickets, excluded]
+  );
+  const pageCount = useMemo(() => layoutSheets(selected, template).length, [selected, template]);
+
+  // First page only - enough to check the layout before downloading
+  const previewUrl = useMemo(() => {
+    if (selected.length === 0) return '';
+    const [firstPage] = renderSvgPages(selected.slice(0, template.columns * template.rows), template);
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(firstPage)}`;
+  }, [selected, template]);
+
+  const handleLoad = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await fetchTicketsForPrint({ query, college, includeInactive });
+    setLoading(false);
+
+    if (!result.success) {
+      setError(result.message);
+      setTickets(null);
+      return;
+    }
+    setTickets(result.tickets);
+    setExcluded(new Set());
+  };
+
+  const toggleTicket = (ticketId) => {
+    setExcluded((current) => {
+      const next = new Set(current);
+      if (next.has(ticketId)) {
+        next.delete(ticketId);
+      } else {
+        next.add(ticketId);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setExcluded(excluded.size === 0 ? new Set(tickets.map((ticket) => ticket.id)) : new Set());
+  };
+
+  const updateTemplate = (changes) => {
+    const next = { ...template, ...changes };
+    setTemplate(next);
+    saveTemplate(next);
+  };
+
+  // Switching sheet keeps the custom title / subtitle
+  const handleTemplateChange = (e) => {
+    const base = Object.values(SheetTemplates).find((candidate) => candidate.id === e.target.value);
+    updateTemplate({ ...base, title: template.title, subtitle: template.subtitle });
+  };
+
+  const handleNumberChange = (field, min) => (e) => {
+    const value = Number(e.target.value);
+    if (Number.isFinite(value) && value >= min) {
+      updateTemplate({ [field]: value });
+    }
+  };
+
+  const handleDownloadPdf = () => {
+    downloadFile(renderPdf(selected, template), `${getSheetFileName(template)}.pdf`, 'application/pdf');
+  };
+
+  const handleDownloadSvg = () => {
+    const pages = renderSvgPages(selected, template);
+    pages.forEach((page, index) => {
+      const suffix = pages.length > 1 ? `-page-${index + 1}` : '';
+      downloadFile(page, `${getSheetFileName(template)}${suffix}.svg`, 'image/svg+xml');
+    });
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="scanner-header">
+        <div className="header-left">
+          <h1>PRINT</h1>
+        </div>
+        <div className="header-right">
+          <button className="logout-btn" onClick={onClose}>
+            Scanner
+          </button>
+        </div>
+      </header>
+
+      <main className="dashboard-content">
+        <form className="dashboard-card" onSubmit={handleLoad}>
+          <h3>Tickets</h3>
+          <div className="dashboard-row">
+            <label htmlFor="print-query">Name, email, phone or code</label>
+            <input
+              id="print-query"
+              className="import-column-select"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="All"
+            />
+          </div>
+          <div className="dashboard-row">
+            <label htmlFor="print-college">College</label>
+            <input
+              id="print-college"
+              className="import-column-select"
+              value={college}
+              onChange={(e) => setCollege(e.target.value)}
+              placeholder="All"
+            />
+          </div>
+          <label className="walk-in-admit">
+            <input
+              type="checkbox"
+              checked={includeInactive}
+              onChange={(e) => setIncludeInactive(e.target.checked)}
+            />
+            Include cancelled / replaced tickets
+          </label>
+          {error && <p className="admin-pin-error">{error}</p>}
+          <div className="admin-action-buttons">
+            <button type="submit" className="force-allow-btn" disabled={loading}>
+              {loading ? 'Loading...' : 'Load Tickets'}
+            </button>
+          </div>
+          {tickets?.length === MAX_PRINT_TICKETS && (
+            <p className="dashboard-note">
+              Showing the first {MAX_PRINT_TICKETS} matches - narrow the filters to print the rest.
+            </p>
+          )}
+        </form>
+
+        {tickets && (
+          <section className="dashboard-card">
+            <h3>
+              {selected.length} of {tickets.length} selected
+            </h3>
+            {tickets.length > 0 && (
+              <div className="import-preview print-ticket-list">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>
+                        <input
+                          type="checkbox"
+                          checked={excluded.size === 0}
+                          onChange={toggleAll}
+                          aria-label="Select all"
+                        />
+                      </th>
+                      <th>Code</th>
+                      <th>Name</th>
+                      <th>College</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tickets.map((ticket) => (
+                      <tr key={ticket.id}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={!excluded.has(ticket.id)}
+                            onChange={() => toggleTicket(ticket.id)}
+                            aria-label={`Print ${ticket.name}`}
+                          />
+                        </td>
+                        <td>{ticket.six_digit_code}</td>
+                        <td>{ticket.name}</td>
+                        <td>{ticket.college}</td>
+                        <td>{ticket.ticket_status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
+
+        <section className="dashboard-card">
+          <h3>Template</h3>
+          <div className="dashboard-row">
+            <label htmlFor="print-template">Sheet</label>
+            <select
+              id="print-template"
+              className="import-column-select"
+              value={template.id}
+              onChange={handleTemplateChange}
+            >
+              {Object.values(SheetTemplates).map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>{candidate.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="dashboard-row">
+            <label htmlFor="print-title">Title</label>
+            <input
+              id="print-title"
+              className="import-column-select"
+              value={template.title}
+              onChange={(e) => updateTemplate({ title: e.target.value })}
+            />
+          </div>
+          <div className="dashboard-row">
+            <label htmlFor="print-subtitle">Subtitle</label>
+            <input
+              id="print-subtitle"
+              className="import-column-select"
+              value={template.subtitle}
+              onChange={(e) => updateTemplate({ subtitle: e.target.value })}
+            />
+          </div>
+          <div className="dashboard-row">
+            <label htmlFor="print-columns">Columns × rows</label>
+            <span>
+              <input
+                id="print-columns"
+                type="number"
+                min="1"
+                className="import-column-select print-number-input"
+                value={template.columns}
+                onChange={handleNumberChange('columns', 1)}
+              />
+              {' × '}
+              <input
+                type="number"
+                min="1"
+                className="import-column-select print-number-input"
+                value={template.rows}
+                onChange={handleNumberChange('rows', 1)}
+                aria-label="Rows"
+              />
+            </span>
+          </div>
+          <div className="dashboard-row">
+            <label htmlFor="print-margin">Margin / gap (mm)</label>
+            <span>
+              <input
+                id="print-margin"
+                type="number"
+                min="0"
+                className="import-column-select print-number-input"
+                value={template.margin}
+                onChange={handleNumberChange('margin', 0)}
+              />
+              {' / '}
+              <input
+                type="number"
+                min="0"
+                className="import-column-select print-number-input"
+                value={template.gap}
+                onChange={handleNumberChange('gap', 0)}
+                aria-label="Gap"
+              />
+            </span>
+          </div>
+        </section>
+
+        {selected.length > 0 && (
+          <section className="dashboard-card">
+            <h3>Preview</h3>
+            <img src={previewUrl} alt="First page preview" className="print-preview" />
+            <p className="dashboard-note">
+              {pageCount} page{pageCount === 1 ? '' : 's'} · print at 100% / actual size so QR codes
+              and badge stock line up.
+            </p>
+            {isSignedTicketRequired() && (
+              <p className="admin-warning">
+                Gates only accept signed QR codes - unsigned tickets printed here must be
+                admitted with the 6-digit code.
+              </p>
+            )}
+            <div className="admin-action-buttons">
+              <button className="force-allow-btn" onClick={handleDownloadPdf}>
+                Download PDF
+              </button>
+              <button className="reset-entry-btn" onClick={handleDownloadSvg}>
+                Download SVG
+              </button>
+            </div>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -4,11 +4,17 @@
  * Uses device camera to scan QR codes containing ticket UUIDs.
  * Uses html5-qrcode library for camera access and QR detection.
  * 
- * The QR code should contain ONLY the ticket UUID.
+ * Passes the raw decoded text to onScan; payload decoding
+ * (UUID, JSON, URL, versioned prefix) happens in lib/qrPayload.js.
+ * 
+ * The camera starts once per mount and is paused (not restarted) while
+ * disabled. Repeat decodes of a code left in frame are dropped by
+ * lib/scanSession.js.
  */
 
 import { useEffect, useRef, useState } from 'react';
-import { Html5Qrcode } from 'html5-qrcode';
+import { Html5Qrcode, Html5QrcodeScannerState } from 'html5-qrcode';
+import { isRepeatDecode } from '../lib/scanSession';
 
 export default function QRScanner({ onScan, disabled }) {
   const [error, setError] = useState('');
@@ -16,6 +22,12 @@ export default function QRScanner({ onScan, disabled }) {
   const scannerRef = useRef(null);
   const html5QrCodeRef = useRef(null);
 
+  // Latest props for the decode callback, so prop changes don't restart the camera
+  const onScanRef = useRef(onScan);
+  const disabledRef = useRef(disabled);
+  onScanRef.current = onScan;
+  disabledRef.current = disabled;
+
   useEffect(() => {
     // Initialize scanner when component mounts
     if (!scannerRef.current) return;
@@ -50,16 +62,19 @@ export default function QRScanner({ onScan, disabled }) {
             aspectRatio: 1.0,
           },
           (decodedText) => {
-            // QR code detected - extract UUID
-            if (!disabled) {
-              onScan(decodedText.trim());
-            }
+            // QR code detected - hand raw text to the payload parser
+            const text = decodedText.trim();
+            if (disabledRef.current || isRepeatDecode(text)) return;
+            onScanRef.current(text);
           },
           () => {
             // QR code not detected in frame - ignore
           }
         );
 
+        if (disabledRef.current) {
+          html5QrCode.pause(true);
+        }
         setIsScanning(true);
       } catch (err) {
         console.error('Camera error:', err);
@@ -81,13 +96,22 @@ export default function QRScanner({ onScan, disabled }) {
         html5QrCodeRef.current.stop().catch(console.error);
       }
     };
-  }, [onScan, disabled]);
+  }, []);
 
-  // Stop scanner when disabled
+  // Pause decoding while disabled (e.g. verification in flight)
   useEffect(() => {
-    if (disabled && html5QrCodeRef.current && html5QrCodeRef.current.isScanning) {
-      html5QrCodeRef.current.stop().catch(console.error);
-      setIsScanning(false);
+    const html5QrCode = html5QrCodeRef.current;
+    if (!html5QrCode) return;
+
+    const state = html5QrCode.getState();
+    try {
+      if (disabled && state === Html5QrcodeScannerState.SCANNING) {
+        html5QrCode.pause(true);
+      } else if (!disabled && state === Html5QrcodeScannerState.PAUSED) {
+        html5QrCode.resume();
+      }
+    } catch (err) {
+      console.error('Camera pause error:', err);
     }
   }, [disabled]);
 
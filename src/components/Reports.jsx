@@ -0,0 +1,171 @@
+/**
+ * Reports Component
+ *
+ * Admin export screen for post-event reporting. Pick a date range and
+ * optionally a gate, then download each section as CSV, the whole
+ * report as JSON, or print the HTML summary.
+ */
+
+import { useState } from 'react';
+import {
+  ReportSections,
+  fetchEventReport,
+  reportSectionToCsv,
+  getReportFileName,
+  printReport,
+} from '../lib/reports';
+import { downloadFile } from '../lib/csv';
+
+// Value for <input type="datetime-local"> in local time
+function toLocalInputValue(date) {
+  const offset = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+export default function Reports({ onClose }) {
+  const [from, setFrom] = useState(() => toLocalInputValue(startOfToday()));
+  const [to, setTo] = useState(() => toLocalInputValue(new Date()));
+  const [gate, setGate] = useState('');
+  const [gates, setGates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [report, setReport] = useState(null);
+
+  const handleLoad = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await fetchEventReport({
+      from: new Date(from),
+      to: new Date(to),
+      gate: gate || null,
+    });
+    setLoading(false);
+
+    if (!result.success) {
+      setError(result.message);
+      setReport(null);
+      return;
+    }
+    setReport(result.report);
+    setGates(result.report.gates);
+  };
+
+  const handleExportCsv = (key) => {
+    downloadFile(
+      reportSectionToCsv(report, key),
+      `${getReportFileName(report)}-${key.replace(/_/g, '-')}.csv`,
+      'text/csv'
+    );
+  };
+
+  const handleExportJson = () => {
+    downloadFile(
+      JSON.stringify(report, null, 2),
+      `${getReportFileName(report)}.json`,
+      'application/json'
+    );
+  };
+
+  const handlePrint = () => {
+    if (!printReport(report)) {
+      alert('Allow pop-ups for this site to print the report');
+    }
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="scanner-header">
+        <div className="header-left">
+          <h1>REPORTS</h1>
+        </div>
+        <div className="header-right">
+          <button className="logout-btn" onClick={onClose}>
+            Scanner
+          </button>
+        </div>
+      </header>
+
+      <main className="dashboard-content">
+        <form className="dashboard-card" onSubmit={handleLoad}>
+          <h3>Filters</h3>
+          <div className="dashboard-row">
+            <label htmlFor="report-from">From</label>
+            <input
+              id="report-from"
+              type="datetime-local"
+              className="import-column-select"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              required
+            />
+          </div>
+          <div className="dashboard-row">
+            <label htmlFor="report-to">To</label>
+            <input
+              id="report-to"
+              type="datetime-local"
+              className="import-column-select"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              required
+            />
+          </div>
+          <div className="dashboard-row">
+            <label htmlFor="report-gate">Gate</label>
+            <select
+              id="report-gate"
+              className="import-column-select"
+              value={gate}
+              onChange={(e) => setGate(e.target.value)}
+            >
+              <option value="">All gates</option>
+              {gates.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          {error && <p className="admin-pin-error">{error}</p>}
+          <div className="admin-action-buttons">
+            <button type="submit" className="force-allow-btn" disabled={loading}>
+              {loading ? 'Loading...' : 'Build Report'}
+            </button>
+          </div>
+        </form>
+
+        {report && (
+          <section className="dashboard-card">
+            <h3>Exports</h3>
+            {ReportSections.map((section) => (
+              <div key={section.key} className="dashboard-row">
+                <span>{section.label}</span>
+                <span className="dashboard-dim">{(report[section.key] || []).length} rows</span>
+                <button className="logout-btn" onClick={() => handleExportCsv(section.key)}>
+                  CSV
+                </button>
+              </div>
+            ))}
+            <div className="admin-action-buttons">
+              <button className="reset-entry-btn" onClick={handleExportJson}>
+                Full Report (JSON)
+              </button>
+              <button className="reset-entry-btn" onClick={handlePrint}>
+                Print Summary
+              </button>
+            </div>
+            <p className="dashboard-note">
+              Gate filter applies to admissions, rejections and gate counts only.
+            </p>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -4,18 +4,34 @@
  * Full-screen result display after ticket verification.
  * GREEN = Entry allowed
  * RED = Entry rejected
+ * AMBER = Admitted moments ago on this device (nobody enters on it)
  * 
  * Enhanced with:
- * - Current day display
+ * - Active session display
  * - Timestamp
  * - Clear action buttons
- * - Specific rejection reasons
+ * - Specific rejection reasons (e.g. "DAY 2 NOT INCLUDED")
+ * - Offline indicator when verified from the cached roster
+ * - Remaining balance for group tickets
+ * - Ticket tier on a colour band (Event, VIP, Backstage...)
  */
 
 import { useEffect } from 'react';
 
 export default function ResultScreen({ result, onDismiss, onManualSearch }) {
-  const { allowed, reason, message, ticketType, name } = result;
+  const {
+    allowed,
+    reason,
+    message,
+    ticketType,
+    tierColor,
+    name,
+    sessionLabel,
+    offline,
+    headcount,
+    admitted,
+    remaining,
+  } = result;
 
   // Auto-dismiss after 4 seconds
   useEffect(() => {
@@ -31,8 +47,30 @@ export default function ResultScreen({ result, onDismiss, onManualSearch }) {
     switch (reason) {
       case 'VALID':
         return 'ENTRY ALLOWED';
+      case 'JUST_ADMITTED':
+        return 'JUST ADMITTED';
       case 'ALREADY_USED':
         return 'ALREADY USED';
+      case 'EXITED':
+        return 'EXIT RECORDED';
+      case 'NOT_INSIDE':
+        return 'NO ENTRY RECORDED';
+      case 'WRONG_ZONE':
+        return 'WRONG ZONE';
+      case 'GATE_RESTRICTED':
+        return 'NOT AT THIS GATE';
+      case 'DEVICE_NOT_ENROLLED':
+        return 'DEVICE NOT REGISTERED';
+      case 'DEVICE_REVOKED':
+        return 'DEVICE REVOKED';
+      case 'NOT_ENTITLED':
+        return sessionLabel ? `${sessionLabel.toUpperCase()} NOT INCLUDED` : 'NOT INCLUDED';
+      case 'CANCELLED':
+        return 'CANCELLED';
+      case 'REPLACED':
+        return 'REPLACED';
+      case 'GROUP_COUNT':
+        return 'HOW MANY?';
       case 'INVALID_TICKET':
         return 'INVALID TICKET';
       case 'ERROR':
@@ -42,6 +80,10 @@ export default function ResultScreen({ result, onDismiss, onManualSearch }) {
     }
   };
 
+  // Neither an admission nor a problem with the ticket
+  const notice = reason === 'JUST_ADMITTED';
+  const screenClass = allowed ? 'result-allowed' : notice ? 'result-notice' : 'result-rejected';
+
   // Get current time
   const currentTime = new Date().toLocaleTimeString('en-US', {
     hour: '2-digit',
@@ -51,12 +93,19 @@ export default function ResultScreen({ result, onDismiss, onManualSearch }) {
 
   return (
     <div 
-      className={`result-screen ${allowed ? 'result-allowed' : 'result-rejected'}`}
+      className={`result-screen ${screenClass}`}
     >
+      {/* Tier colour band - readable from a distance */}
+      {ticketType && (
+        <div className="result-tier-band" style={{ backgroundColor: tierColor }}>
+          {ticketType}
+        </div>
+      )}
+
       <div className="result-content">
         {/* Large status icon */}
         <div className="result-icon">
-          {allowed ? '✓' : '✕'}
+          {allowed ? '✓' : notice ? '!' : '✕'}
         </div>
 
         {/* Main status text */}
@@ -69,26 +118,36 @@ export default function ResultScreen({ result, onDismiss, onManualSearch }) {
           <p className="result-name">{name}</p>
         )}
         
-        {ticketType && (
-          <p className="result-type">
-            {ticketType} Ticket
+        {headcount > 1 && (
+          <p className="result-group">
+            {admitted ? `${admitted} admitted · ` : ''}
+            {remaining !== undefined && remaining !== null
+              ? `${remaining} of ${headcount} remaining`
+              : `Group of ${headcount}`}
           </p>
         )}
 
         {/* Time info */}
         <div className="result-info">
+          {sessionLabel && (
+            <p className="result-day">{sessionLabel}</p>
+          )}
           <p className="result-time">{currentTime}</p>
         </div>
 
         {/* Additional message */}
         <p className="result-message">{message}</p>
 
+        {offline && (
+          <p className="result-offline">OFFLINE · Verified from cached roster</p>
+        )}
+
         {/* Action buttons */}
         <div className="result-actions">
           <button onClick={onDismiss} className="result-btn-primary">
             Scan Next
           </button>
-          {!allowed && (
+          {!allowed && !notice && onManualSearch && (
             <button onClick={onManualSearch} className="result-btn-secondary">
               Manual Search
             </button>
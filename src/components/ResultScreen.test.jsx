@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ResultScreen from './ResultScreen';
+
+const allowed = {
+  allowed: true,
+  reason: 'VALID',
+  message: 'Welcome to Day 1',
+  name: 'Sriram K',
+  sessionLabel: 'Day 1',
+  ticketType: 'VIP',
+  tierColor: '#8e24aa',
+};
+
+describe('ResultScreen', () => {
+  it('shows an admitted ticket with its tier band', () => {
+    const { container } = render(<ResultScreen result={allowed} onDismiss={() => {}} />);
+
+    expect(screen.getByRole('heading')).toHaveTextContent('ENTRY ALLOWED');
+    expect(screen.getByText('Sriram K')).toBeInTheDocument();
+    expect(screen.getByText('Welcome to Day 1')).toBeInTheDocument();
+    expect(screen.getByText('VIP')).toHaveStyle({ backgroundColor: '#8e24aa' });
+    expect(container.firstChild).toHaveClass('result-allowed');
+    expect(screen.queryByRole('button', { name: 'Manual Search' })).not.toBeInTheDocument();
+  });
+
+  it.each([
+    ['ALREADY_USED', 'ALREADY USED'],
+    ['WRONG_ZONE', 'WRONG ZONE'],
+    ['CANCELLED', 'CANCELLED'],
+    ['INVALID_TICKET', 'INVALID TICKET'],
+    ['DEVICE_REVOKED', 'DEVICE REVOKED'],
+    ['ERROR', 'SYSTEM ERROR'],
+    ['SOMETHING_NEW', 'REJECTED'],
+  ])('names the %s rejection', (reason, text) => {
+    const { container } = render(
+      <ResultScreen result={{ allowed: false, reason, message: 'No' }} onDismiss={() => {}} />
+    );
+
+    expect(screen.getByRole('heading')).toHaveTextContent(text);
+    expect(container.firstChild).toHaveClass('result-rejected');
+  });
+
+  it('shows a recent same-device admission in amber, not green', () => {
+    const { container } = render(
+      <ResultScreen
+        result={{ allowed: false, reason: 'JUST_ADMITTED', message: 'Already admitted 12s ago on this device' }}
+        onDismiss={() => {}}
+        onManualSearch={() => {}}
+      />
+    );
+
+    expect(screen.getByRole('heading')).toHaveTextContent('JUST ADMITTED');
+    expect(container.firstChild).toHaveClass('result-notice');
+    expect(screen.queryByText('✓')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Manual Search' })).not.toBeInTheDocument();
+  });
+
+  it('names the session a ticket does not include', () => {
+    render(
+      <ResultScreen
+        result={{ allowed: false, reason: 'NOT_ENTITLED', message: 'No', sessionLabel: 'Day 2' }}
+        onDismiss={() => {}}
+      />
+    );
+
+    expect(screen.getByRole('heading')).toHaveTextContent('DAY 2 NOT INCLUDED');
+  });
+
+  it('shows the group balance and the offline marker', () => {
+    render(
+      <ResultScreen
+        result={{ ...allowed, headcount: 5, admitted: 3, remaining: 2, offline: true }}
+        onDismiss={() => {}}
+      />
+    );
+
+    expect(screen.getByText('3 admitted · 2 of 5 remaining')).toBeInTheDocument();
+    expect(screen.getByText('OFFLINE · Verified from cached roster')).toBeInTheDocument();
+  });
+
+  it('offers manual search on rejections', async () => {
+    const onManualSearch = vi.fn();
+    const onDismiss = vi.fn();
+    render(
+      <ResultScreen
+        result={{ allowed: false, reason: 'INVALID_TICKET', message: 'No' }}
+        onDismiss={onDismiss}
+        onManualSearch={onManualSearch}
+      />
+    );
+
+    await userEvent.click(screen.getByRole('button', { name: 'Manual Search' }));
+    expect(onManualSearch).toHaveBeenCalledTimes(1);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Scan Next' }));
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+  });
+
+  it('dismisses itself after four seconds', () => {
+    vi.useFakeTimers();
+    const onDismiss = vi.fn();
+    render(<ResultScreen result={allowed} onDismiss={onDismiss} />);
+
+    act(() => vi.advanceTimersByTime(3999));
+    expect(onDismiss).not.toHaveBeenCalled();
+
+    act(() => vi.advanceTimersByTime(1));
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+  });
+});
@@ -5,58 +5,290 @@
  * 1. QR Scan - Camera-based QR code scanning
  * 2. Manual Entry - 6-digit code input
  * 3. Search - Fallback ticket lookup
- * 4. Admin Override - Protected admin actions
+ * 4. Exit - QR scan that records departures (anti-passback)
+ * 5. Admin Override - Protected admin actions
  * 
- * CRITICAL: Uses explicit day selection (not auto-detection)
+ * Shows an online/offline badge, the offline queue depth and the
+ * live inside-count for the active session.
+ * The device's gate enrolment decides which modes and sessions are
+ * offered; unregistered or revoked devices can't scan (DeviceStatus).
+ * Queued offline admissions replay automatically on reconnect.
+ * The screen is kept on while an enrolled device is scanning.
+ * 
+ * Group tickets, however they were found, ask "admit how many?"
+ * (GroupAdmission) before anyone is admitted.
+ * 
+ * CRITICAL: Uses explicit session selection (not auto-detection).
+ * Every scan is verified against the active session's entitlements.
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
 import QRScanner from './QRScanner';
 import ManualEntry from './ManualEntry';
 import FallbackSearch from './FallbackSearch';
 import ResultScreen from './ResultScreen';
+import GroupAdmission from './GroupAdmission';
 import AdminOverride from './AdminOverride';
-import { verifyTicketById, verifyTicketByCode } from '../lib/ticketVerification';
-import { logout } from './PasswordGate';
+import OfflinePanel from './OfflinePanel';
+import DaySelector from './DaySelector';
+import DeviceStatus from './DeviceStatus';
+import {
+  verifyScannedPayload,
+  verifyTicketByCode,
+  recordExitFromPayload,
+  admitGroup,
+  VerificationResult,
+} from '../lib/ticketVerification';
+import {
+  isOnline,
+  getPendingCount,
+  replayQueue,
+  getConflicts,
+  clearConflicts,
+} from '../lib/offlineSync';
+import { signOut, hasRole, getRoleLabel, Roles } from '../lib/auth';
+import { clearAdminToken } from '../lib/adminOverride';
+import {
+  getCachedSessions,
+  fetchSessions,
+  getActiveSessionId,
+  setActiveSessionId,
+} from '../lib/sessions';
+import { fetchOccupancy, getOccupancyLevel, OccupancyLevel } from '../lib/occupancy';
+import { flushScanEvents, logScanEvent, ScanAction, ScanMethod } from '../lib/scanLog';
+import {
+  getDeviceConfig,
+  checkInDevice,
+  isModeAllowed,
+  getAllowedSessions,
+} from '../lib/device';
+import { getCachedAccess, fetchAccess, getGateZones } from '../lib/tiers';
+import { Routes } from '../lib/routes';
+import { isDemoMode } from '../lib/supabase';
+import { getJustAdmittedResult, rememberAdmission, forgetAdmission } from '../lib/scanSession';
+import { keepScreenOn } from '../lib/wakeLock';
 
 const MODES = {
   QR: 'qr',
   MANUAL: 'manual',
   SEARCH: 'search',
+  EXIT: 'exit',
 };
 
-export default function Scanner({ onLogout }) {
+// How often to refresh the inside-count from the server
+const OCCUPANCY_POLL_MS = 15 * 1000;
+
+export default function Scanner({ volunteer, onLogout }) {
   const [mode, setMode] = useState(MODES.QR);
   const [result, setResult] = useState(null);
   const [verifying, setVerifying] = useState(false);
   const [showAdminOverride, setShowAdminOverride] = useState(false);
+  const [online, setOnline] = useState(isOnline());
+  const [pendingCount, setPendingCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
+  const [sessions, setSessions] = useState(getCachedSessions);
+  const [activeSessionId, setActiveSession] = useState(() => getActiveSessionId(getCachedSessions()));
+  const [occupancy, setOccupancy] = useState(null);
+  const [device, setDevice] = useState(getDeviceConfig);
+  const [access, setAccess] = useState(getCachedAccess);
+
+  const gate = device?.gate;
+  // Only the sessions and modes this device's gate is configured for
+  const gateSessions = useMemo(() => getAllowedSessions(device, sessions), [device, sessions]);
+  const gateModes = useMemo(
+    () => Object.values(MODES).filter((candidate) => isModeAllowed(device, candidate)),
+    [device]
+  );
+  const activeSession = gateSessions.find((session) => session.id === activeSessionId) || null;
+
+  // Load the event's sessions (cached copy is used until this returns)
+  useEffect(() => {
+    fetchSessions().then((loaded) => {
+      setSessions(loaded);
+      setActiveSession((current) =>
+        loaded.some((session) => session.id === current) ? current : getActiveSessionId(loaded)
+      );
+    });
+  }, []);
+
+  // Load tiers / gate zones (cached for offline zone checks)
+  useEffect(() => {
+    fetchAccess().then(setAccess);
+  }, []);
+
+  // Register / refresh this device's gate enrolment
+  useEffect(() => {
+    checkInDevice().then(setDevice);
+  }, []);
+
+  // Keep the session and mode within what the gate allows
+  useEffect(() => {
+    if (!gateSessions.some((session) => session.id === activeSessionId)) {
+      setActiveSession(getActiveSessionId(gateSessions));
+    }
+  }, [gateSessions, activeSessionId]);
+
+  useEffect(() => {
+    if (gateModes.length > 0 && !gateModes.includes(mode)) {
+      setMode(gateModes[0]);
+    }
+  }, [gateModes, mode]);
+
+  // No screen timeout between attendees (released on logout / revoke)
+  useEffect(() => {
+    if (!device?.enrolled) return;
+    return keepScreenOn();
+  }, [device?.enrolled]);
+
+  // Revoked / unregistered on the server - pick up the new state
+  useEffect(() => {
+    if (result?.reason === VerificationResult.DEVICE_REVOKED
+      || result?.reason === VerificationResult.DEVICE_NOT_ENROLLED) {
+      checkInDevice().then(setDevice);
+    }
+  }, [result]);
+
+  // Refresh the inside-count (keeps the last known value while offline)
+  const refreshOccupancy = useCallback(async () => {
+    if (!isOnline()) return;
+    const latest = await fetchOccupancy(activeSessionId);
+    if (latest) setOccupancy(latest);
+  }, [activeSessionId]);
+
+  useEffect(() => {
+    setOccupancy(null);
+    refreshOccupancy();
+    const timer = setInterval(refreshOccupancy, OCCUPANCY_POLL_MS);
+    return () => clearInterval(timer);
+  }, [refreshOccupancy]);
+
+  // Switching sessions changes which entitlement every scan is checked against
+  const handleSessionChange = useCallback((sessionId) => {
+    if (sessionId === activeSessionId) return;
+
+    // The list may have refreshed (e.g. a new gate restriction) since it rendered
+    const next = gateSessions.find((session) => session.id === sessionId);
+    if (!next) return;
+
+    if (!confirm(`Switch to ${next.label}?\n\nAll scans will be checked against ${next.label}.`)) {
+      return;
+    }
+
+    setActiveSessionId(sessionId);
+    setActiveSession(sessionId);
+  }, [activeSessionId, gateSessions]);
+
+  // Refresh offline queue depth
+  const refreshPending = useCallback(async () => {
+    setPendingCount(await getPendingCount());
+  }, []);
+
+  // Replay offline admissions, upload offline scan events, pick up conflicts
+  const syncQueue = useCallback(async () => {
+    const { remaining } = await replayQueue();
+    await flushScanEvents();
+    setPendingCount(remaining);
+    setConflicts(await getConflicts());
+  }, []);
+
+  const handleClearConflicts = useCallback(async () => {
+    await clearConflicts();
+    setConflicts([]);
+  }, []);
+
+  // Track connectivity and sync as soon as the network returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    syncQueue();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncQueue]);
 
   // Handle QR code scan
   const handleQRScan = useCallback(async (scannedText) => {
     if (verifying) return; // Prevent double-scan
+
+    // Same ticket admitted on this device moments ago - a notice, not an
+    // admission; logged like any other read
+    const justAdmitted = getJustAdmittedResult(scannedText, activeSession);
+    if (justAdmitted) {
+      logScanEvent({
+        ticketId: justAdmitted.ticketId,
+        rawPayload: scannedText,
+        action: ScanAction.ENTRY,
+        method: ScanMethod.QR,
+        session: activeSession,
+        result: justAdmitted,
+      });
+      setResult(justAdmitted);
+      return;
+    }
     
     setVerifying(true);
-    // Single ticket type - no day parameter needed
-    const verificationResult = await verifyTicketById(scannedText);
+    // Payload is decoded and cross-checked before the ticket is marked
+    const verificationResult = await verifyScannedPayload(scannedText, activeSession);
+    rememberAdmission(scannedText, activeSession, verificationResult);
     setResult(verificationResult);
     setVerifying(false);
-  }, [verifying]);
+    refreshPending();
+    refreshOccupancy();
+  }, [verifying, activeSession, refreshPending, refreshOccupancy]);
+
+  // Handle exit scan
+  const handleExitScan = useCallback(async (scannedText) => {
+    if (verifying) return;
+
+    setVerifying(true);
+    const exitResult = await recordExitFromPayload(scannedText, activeSession);
+    if (exitResult.reason === VerificationResult.EXITED) {
+      forgetAdmission(scannedText, activeSession);
+    }
+    setResult(exitResult);
+    setVerifying(false);
+    refreshPending();
+    refreshOccupancy();
+  }, [verifying, activeSession, refreshPending, refreshOccupancy]);
 
   // Handle manual code entry
   const handleManualEntry = useCallback(async (code) => {
     if (verifying) return;
     
     setVerifying(true);
-    // Single ticket type - no day parameter needed
-    const verificationResult = await verifyTicketByCode(code);
+    const verificationResult = await verifyTicketByCode(code, activeSession);
     setResult(verificationResult);
     setVerifying(false);
-  }, [verifying]);
+    refreshPending();
+    refreshOccupancy();
+  }, [verifying, activeSession, refreshPending, refreshOccupancy]);
 
   // Handle search result verification
   const handleSearchResult = useCallback((verificationResult) => {
     setResult(verificationResult);
-  }, []);
+    refreshPending();
+    refreshOccupancy();
+  }, [refreshPending, refreshOccupancy]);
+
+  // Admit part of a group once the volunteer has entered the count
+  const handleGroupAdmit = useCallback(async (count) => {
+    if (verifying) return;
+
+    setVerifying(true);
+    const verificationResult = await admitGroup(result, count, activeSession);
+    setResult(verificationResult);
+    setVerifying(false);
+    refreshPending();
+    refreshOccupancy();
+  }, [verifying, result, activeSession, refreshPending, refreshOccupancy]);
 
   // Dismiss result screen
   const handleDismiss = useCallback(() => {
@@ -69,29 +301,65 @@ export default function Scanner({ onLogout }) {
     setMode(MODES.SEARCH);
   }, []);
 
+  const handleDeviceRecheck = useCallback(async () => {
+    setDevice(await checkInDevice());
+  }, []);
+
   // Handle logout
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    clearAdminToken();
+    await signOut();
     onLogout();
   };
 
+  const occupancyLevel = occupancy
+    ? getOccupancyLevel(occupancy.inside, occupancy.capacity)
+    : OccupancyLevel.OK;
+
+  // Not enrolled to a gate yet, or revoked
+  if (!device?.enrolled) {
+    return (
+      <DeviceStatus
+        device={device}
+        volunteer={volunteer}
+        onRecheck={handleDeviceRecheck}
+        onLogout={handleLogout}
+      />
+    );
+  }
+
   // Show admin override if active
   if (showAdminOverride) {
     return (
       <AdminOverride
+        volunteer={volunteer}
+        session={activeSession}
         onClose={() => setShowAdminOverride(false)}
         onResult={setResult}
       />
     );
   }
 
+  // Group ticket - ask how many are entering
+  if (result?.reason === VerificationResult.GROUP_COUNT) {
+    return (
+      <GroupAdmission
+        key={`${result.ticketId}:${result.remaining}`}
+        result={result}
+        onAdmit={handleGroupAdmit}
+        onCancel={handleDismiss}
+        disabled={verifying}
+      />
+    );
+  }
+
   // Show result screen if we have a result
   if (result) {
     return (
       <ResultScreen
         result={result}
         onDismiss={handleDismiss}
-        onManualSearch={handleSwitchToSearch}
+        onManualSearch={gateModes.includes(MODES.SEARCH) ? handleSwitchToSearch : null}
       />
     );
   }
@@ -102,34 +370,90 @@ export default function Scanner({ onLogout }) {
       <header className="scanner-header">
         <div className="header-left">
           <h1>YATRA</h1>
+          {activeSession && (
+            <span className="day-badge">{activeSession.label}</span>
+          )}
+          <span className={`connection-badge ${online ? 'online' : 'offline'}`}>
+            {online ? 'Online' : 'Offline'}
+          </span>
+          {pendingCount > 0 && (
+            <span className="pending-badge">{pendingCount} pending</span>
+          )}
+          {isDemoMode() && <span className="demo-badge">Demo</span>}
+          {occupancy && (
+            <span className={`occupancy-badge ${occupancyLevel}`}>
+              Inside {occupancy.inside}
+              {occupancy.capacity ? ` / ${occupancy.capacity}` : ''}
+              {occupancyLevel === OccupancyLevel.FULL && ' · FULL'}
+            </span>
+          )}
+        </div>
+        <div className="header-right">
+          {hasRole(volunteer, Roles.ADMIN) && !isDemoMode() && (
+            <a className="logout-btn" href={Routes.DASHBOARD}>
+              Dashboard
+            </a>
+          )}
+          <span className="volunteer-badge">
+            {volunteer.name} · {getRoleLabel(volunteer.role)}
+          </span>
+          <button className="logout-btn" onClick={handleLogout}>
+            Logout
+          </button>
         </div>
-        <button className="logout-btn" onClick={handleLogout}>
-          Logout
-        </button>
       </header>
 
+      {/* Active session */}
+      <DaySelector
+        sessions={gateSessions}
+        currentSessionId={activeSessionId}
+        onSessionChange={handleSessionChange}
+      />
+
       {/* Mode tabs */}
       <nav className="mode-tabs">
-        <button
-          className={`mode-tab ${mode === MODES.QR ? 'active' : ''}`}
-          onClick={() => setMode(MODES.QR)}
-        >
-          📷 QR Scan
-        </button>
-        <button
-          className={`mode-tab ${mode === MODES.MANUAL ? 'active' : ''}`}
-          onClick={() => setMode(MODES.MANUAL)}
-        >
-          ⌨️ Manual
-        </button>
-        <button
-          className={`mode-tab ${mode === MODES.SEARCH ? 'active' : ''}`}
-          onClick={() => setMode(MODES.SEARCH)}
-        >
-          🔍 Search
-        </button>
+        {gateModes.includes(MODES.QR) && (
+          <button
+            className={`mode-tab ${mode === MODES.QR ? 'active' : ''}`}
+            onClick={() => setMode(MODES.QR)}
+          >
+            📷 QR Scan
+          </button>
+        )}
+        {gateModes.includes(MODES.MANUAL) && (
+          <button
+            className={`mode-tab ${mode === MODES.MANUAL ? 'active' : ''}`}
+            onClick={() => setMode(MODES.MANUAL)}
+          >
+            ⌨️ Manual
+          </button>
+        )}
+        {gateModes.includes(MODES.SEARCH) && (
+          <button
+            className={`mode-tab ${mode === MODES.SEARCH ? 'active' : ''}`}
+            onClick={() => setMode(MODES.SEARCH)}
+          >
+            🔍 Search
+          </button>
+        )}
+        {gateModes.includes(MODES.EXIT) && (
+          <button
+            className={`mode-tab exit ${mode === MODES.EXIT ? 'active' : ''}`}
+            onClick={() => setMode(MODES.EXIT)}
+          >
+            🚪 Exit
+          </button>
+        )}
       </nav>
 
+      {occupancyLevel !== OccupancyLevel.OK && (
+        <div className={`capacity-banner ${occupancyLevel}`}>
+          {occupancyLevel === OccupancyLevel.FULL
+            ? 'Venue at capacity - hold entries and call the gate lead'
+            : 'Venue nearly full - inform the gate lead'}
+        </div>
+      )}
+
       {/* Main content area */}
       <main className="scanner-content">
         {verifying && (
@@ -147,19 +471,38 @@ export default function Scanner({ onLogout }) {
         )}
 
         {mode === MODES.SEARCH && (
-          <FallbackSearch onResult={handleSearchResult} />
+          <FallbackSearch session={activeSession} onResult={handleSearchResult} />
+        )}
+
+        {mode === MODES.EXIT && (
+          <>
+            <div className="exit-mode-banner">Exit mode - scanning records departures</div>
+            <QRScanner onScan={handleExitScan} disabled={verifying} />
+          </>
         )}
       </main>
 
       {/* Footer with admin override and status */}
       <footer className="scanner-footer">
-        <p>Ready to scan</p>
-        <button 
-          className="admin-override-trigger"
-          onClick={() => setShowAdminOverride(true)}
-        >
-          Admin Override
-        </button>
+        <p>{online ? 'Ready to scan' : 'Offline - scanning from cached roster'}</p>
+        <p className="gate-name">
+          Gate: {gate} ({getGateZones(access, gate).join(', ')}) · {device.label}
+        </p>
+        <OfflinePanel
+          online={online}
+          pendingCount={pendingCount}
+          conflicts={conflicts}
+          onSync={syncQueue}
+          onClearConflicts={handleClearConflicts}
+        />
+        {hasRole(volunteer, Roles.GATE_LEAD) && (
+          <button 
+            className="admin-override-trigger"
+            onClick={() => setShowAdminOverride(true)}
+          >
+            Admin Override
+          </button>
+        )}
       </footer>
     </div>
   );
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Scanner from './Scanner';
+import { DEMO_VOLUNTEER } from '../lib/demoData';
+import { installMemoryRepository, demoTicket } from '../test/helpers';
+
+// No camera in jsdom: the "camera" is a text field that reports what it read
+vi.mock('./QRScanner', () => ({
+  default: ({ onScan, disabled }) => (
+    <input
+      aria-label="Camera"
+      disabled={disabled}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') onScan(e.target.value);
+      }}
+    />
+  ),
+}));
+
+const volunteer = { ...DEMO_VOLUNTEER, email: 'lead@example.com' };
+
+const renderScanner = async (props = {}) => {
+  render(<Scanner volunteer={volunteer} onLogout={() => {}} {...props} />);
+  // Enrolment comes from the device check-in
+  await screen.findByText('YATRA');
+};
+
+const scan = async (text) => {
+  const camera = screen.getByLabelText('Camera');
+  await userEvent.clear(camera);
+  await userEvent.type(camera, `${text}{Enter}`);
+  return screen.findByRole('heading', { level: 1 });
+};
+
+describe('Scanner', () => {
+  it('holds scanning until the device is enrolled to a gate', async () => {
+    installMemoryRepository({ gate: null });
+    render(<Scanner volunteer={volunteer} onLogout={() => {}} />);
+
+    expect(await screen.findByText('REGISTER DEVICE')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Camera')).not.toBeInTheDocument();
+  });
+
+  it('shows the gate, the active session and who is inside', async () => {
+    await renderScanner();
+
+    expect(screen.getByText('Gate: Main Gate (general) · Demo Volunteer\'s device')).toBeInTheDocument();
+    expect(screen.getByText('Day 1', { selector: '.day-badge' })).toBeInTheDocument();
+    expect(await screen.findByText('Inside 1')).toBeInTheDocument();
+  });
+
+  it('admits a scanned ticket and then reports the rescan as just admitted', async () => {
+    const sriram = demoTicket('Sriram K');
+    const insertScanEvent = vi.spyOn(installMemoryRepository(), 'insertScanEvent');
+    await renderScanner();
+
+    expect(await scan(sriram.id)).toHaveTextContent('ENTRY ALLOWED');
+    expect(screen.getByText('Sriram K')).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Scan Next' }));
+    expect(await scan(sriram.id)).toHaveTextContent('JUST ADMITTED');
+    expect(screen.getByText(/^Already admitted \d+s ago on this device$/)).toBeInTheDocument();
+    expect(document.querySelector('.result-screen')).toHaveClass('result-notice');
+    // The repeat read is not an admission, but it is on the record
+    expect(insertScanEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+      ticket_id: sriram.id,
+      result: 'JUST_ADMITTED',
+    }));
+  });
+
+  it('offers manual search after a rejection', async () => {
+    await renderScanner();
+
+    expect(await scan('not a ticket')).toHaveTextContent('INVALID TICKET');
+    await userEvent.click(screen.getByRole('button', { name: 'Manual Search' }));
+
+    expect(screen.getByPlaceholderText('Search by email, phone, code, or name...')).toBeInTheDocument();
+  });
+
+  it('asks how many of a group are entering', async () => {
+    await renderScanner();
+
+    expect(await scan(demoTicket('Team Robocon').id)).toHaveTextContent('HOW MANY?');
+    await userEvent.click(screen.getByRole('button', { name: 'One more' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Admit 2' }));
+
+    expect(await screen.findByText('ENTRY ALLOWED')).toBeInTheDocument();
+    expect(screen.getByText('2 admitted · 3 of 5 remaining')).toBeInTheDocument();
+  });
+
+  it('verifies typed codes in manual mode', async () => {
+    const preeti = demoTicket('Preeti Sharma');
+    await renderScanner();
+
+    await userEvent.click(screen.getByRole('button', { name: '⌨️ Manual' }));
+    await userEvent.type(screen.getByPlaceholderText('______'), preeti.six_digit_code);
+
+    expect(await screen.findByText('ENTRY ALLOWED')).toBeInTheDocument();
+    expect(screen.getByText('Preeti Sharma')).toBeInTheDocument();
+  });
+
+  it('admits from search results', async () => {
+    await renderScanner();
+
+    await userEvent.click(screen.getByRole('button', { name: '🔍 Search' }));
+    await userEvent.type(screen.getByPlaceholderText('Search by email, phone, code, or name...'), 'Laxmi');
+    await userEvent.click(screen.getByRole('button', { name: 'Search' }));
+    await userEvent.click(await screen.findByRole('button', { name: 'Allow Entry' }));
+
+    expect(await screen.findByText('ENTRY ALLOWED')).toBeInTheDocument();
+    expect(screen.getByText('Lakshmi Narayan')).toBeInTheDocument();
+  });
+
+  it('records exits in exit mode', async () => {
+    await renderScanner();
+
+    await userEvent.click(screen.getByRole('button', { name: '🚪 Exit' }));
+    expect(screen.getByText('Exit mode - scanning records departures')).toBeInTheDocument();
+
+    expect(await scan(demoTicket('Arjun Rao').id)).toHaveTextContent('EXIT RECORDED');
+  });
+
+  it('opens the admin override for gate leads only', async () => {
+    await renderScanner();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Admin Override' }));
+    expect(screen.getByLabelText('Enter Admin PIN:')).toBeInTheDocument();
+  });
+
+  it('hides the admin override from volunteers', async () => {
+    await renderScanner({ volunteer: { ...volunteer, role: 'volunteer' } });
+
+    expect(screen.queryByRole('button', { name: 'Admin Override' })).not.toBeInTheDocument();
+  });
+});
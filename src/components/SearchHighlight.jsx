@@ -0,0 +1,26 @@
+/**
+ * SearchHighlight Component
+ *
+ * Marks where a search query appears in a field. Fields that matched
+ * fuzzily (a typo or spelling variant, so no exact substring) are
+ * marked as a whole.
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default function SearchHighlight({ text, query, fuzzy = false }) {
+  const needle = query?.trim();
+  if (!text || !needle) return text || null;
+
+  const parts = String(text).split(new RegExp(`(${escapeRegExp(needle)})`, 'i'));
+
+  if (parts.length === 1) {
+    return fuzzy ? <mark className="search-fuzzy">{text}</mark> : text;
+  }
+
+  return parts.map((part, index) =>
+    index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+  );
+}
@@ -0,0 +1,65 @@
+/**
+ * UpdatePrompt Component
+ *
+ * Service worker status bar, shown over every screen:
+ * - "Ready to work offline" once the app shell is cached
+ * - "New version available" when a new build is deployed
+ *
+ * A new build never reloads by itself - the volunteer taps Reload
+ * between scans. Queued offline scans live in IndexedDB and survive it.
+ */
+
+import { useEffect } from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+// Installed scanners stay open all day; check for a new build this often
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+export default function UpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (!registration) return;
+      setInterval(() => {
+        if (navigator.onLine) registration.update();
+      }, UPDATE_CHECK_MS);
+    },
+    onRegisterError(error) {
+      console.error('Service worker registration error:', error);
+    },
+  });
+
+  // The offline notice is informational only
+  useEffect(() => {
+    if (!offlineReady) return;
+    const timer = setTimeout(() => setOfflineReady(false), 5000);
+    return () => clearTimeout(timer);
+  }, [offlineReady, setOfflineReady]);
+
+  if (needRefresh) {
+    return (
+      <div className="update-prompt" role="alert">
+        <span>New version available</span>
+        <button className="offline-btn" onClick={() => updateServiceWorker(true)}>
+          Reload
+        </button>
+        <button className="offline-btn" onClick={() => setNeedRefresh(false)}>
+          Later
+        </button>
+      </div>
+    );
+  }
+
+  if (offlineReady) {
+    return (
+      <div className="update-prompt" role="status">
+        <span>Ready to work offline</span>
+      </div>
+    );
+  }
+
+  return null;
+}
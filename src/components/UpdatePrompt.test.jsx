@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import UpdatePrompt from './UpdatePrompt';
+
+vi.mock('virtual:pwa-register/react', () => ({ useRegisterSW: vi.fn() }));
+
+function swState({ needRefresh = false, offlineReady = false } = {}) {
+  const state = {
+    needRefresh: [needRefresh, vi.fn()],
+    offlineReady: [offlineReady, vi.fn()],
+    updateServiceWorker: vi.fn(),
+  };
+  useRegisterSW.mockReturnValue(state);
+  return state;
+}
+
+describe('UpdatePrompt', () => {
+  beforeEach(() => {
+    useRegisterSW.mockReset();
+  });
+
+  it('renders nothing while the app is current', () => {
+    swState();
+    const { container } = render(<UpdatePrompt />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('reloads into a new build only when asked', async () => {
+    const state = swState({ needRefresh: true });
+    render(<UpdatePrompt />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('New version available');
+    expect(state.updateServiceWorker).not.toHaveBeenCalled();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Later' }));
+    expect(state.needRefresh[1]).toHaveBeenCalledWith(false);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Reload' }));
+    expect(state.updateServiceWorker).toHaveBeenCalledWith(true);
+  });
+
+  it('briefly confirms the app works offline', () => {
+    vi.useFakeTimers();
+    const state = swState({ offlineReady: true });
+    render(<UpdatePrompt />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Ready to work offline');
+    vi.advanceTimersByTime(5000);
+    expect(state.offlineReady[1]).toHaveBeenCalledWith(false);
+  });
+});
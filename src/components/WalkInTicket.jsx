@@ -0,0 +1,173 @@
+/**
+ * WalkInTicket Component
+ *
+ * Issues a ticket to a walk-in attendee from the admin override screen:
+ * captures name / email / phone / college, creates the registration and
+ * ticket, then shows the QR and six-digit code to show or print.
+ *
+ * "Admit now" admits them to the active session straight after issuing,
+ * through the same verify_and_mark_ticket path as a scan.
+ */
+
+import { useState } from 'react';
+import { adminIssueTicket, isAdminSessionExpired } from '../lib/adminOverride';
+import { verifyTicketById } from '../lib/ticketVerification';
+import { getTicketQrDataUrl, printTicket } from '../lib/ticketQr';
+import { isSignedTicketRequired } from '../lib/supabase';
+
+const EMPTY_ATTENDEE = { name: '', email: '', phone: '', college: '' };
+
+export default function WalkInTicket({ session, onBack, onSessionExpired }) {
+  const [attendee, setAttendee] = useState(EMPTY_ATTENDEE);
+  const [admitNow, setAdmitNow] = useState(Boolean(session));
+  const [issuing, setIssuing] = useState(false);
+  const [error, setError] = useState('');
+  const [ticket, setTicket] = useState(null);
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [admission, setAdmission] = useState(null);
+
+  const handleChange = (field) => (e) => {
+    setAttendee((current) => ({ ...current, [field]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIssuing(true);
+    setError('');
+
+    const result = await adminIssueTicket(attendee);
+
+    if (!result.success) {
+      setIssuing(false);
+      setError(result.message);
+      // Only a rejected admin token sends the lead back to the PIN
+      if (isAdminSessionExpired(result)) {
+        onSessionExpired();
+      }
+      return;
+    }
+
+    setTicket(result.ticket);
+    setQrDataUrl(await getTicketQrDataUrl(result.ticket.qr_payload));
+
+    if (admitNow && session) {
+      setAdmission(await verifyTicketById(result.ticket.id, session));
+    }
+    setIssuing(false);
+  };
+
+  const handleNext = () => {
+    setAttendee(EMPTY_ATTENDEE);
+    setTicket(null);
+    setQrDataUrl('');
+    setAdmission(null);
+  };
+
+  const handlePrint = () => {
+    if (!printTicket(ticket, qrDataUrl)) {
+      alert('Allow pop-ups for this site to print the ticket');
+    }
+  };
+
+  // Issued ticket
+  if (ticket) {
+    return (
+      <div className="admin-ticket-details">
+        <button onClick={onBack} className="back-btn">
+          ← Back to Search
+        </button>
+
+        <div className="admin-ticket-card walk-in-ticket">
+          <h3>Ticket Issued</h3>
+          {qrDataUrl && <img src={qrDataUrl} alt="Ticket QR code" className="walk-in-qr" />}
+          <p className="walk-in-code">{ticket.six_digit_code}</p>
+          <p>{ticket.name}</p>
+          <p className="admin-ticket-email">{ticket.email}</p>
+          {isSignedTicketRequired() && (
+            <p className="admin-warning">
+              Gates only accept signed QR codes - admit this ticket with the 6-digit code.
+            </p>
+          )}
+
+          {admission && (
+            <p className={`walk-in-admission ${admission.allowed ? 'allowed' : 'rejected'}`}>
+              {admission.allowed ? '✓' : '✕'} {admission.message}
+            </p>
+          )}
+        </div>
+
+        <div className="admin-action-buttons">
+          <button onClick={handlePrint} className="reset-entry-btn">
+            Print Ticket
+          </button>
+          <button onClick={handleNext} className="force-allow-btn">
+            Issue Another
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Attendee form
+  return (
+    <div className="admin-ticket-details">
+      <button onClick={onBack} className="back-btn">
+        ← Back to Search
+      </button>
+
+      <form className="admin-actions-card" onSubmit={handleSubmit}>
+        <h3>Issue Walk-in Ticket</h3>
+        <input
+          className="admin-name-input"
+          placeholder="Full name"
+          value={attendee.name}
+          onChange={handleChange('name')}
+          required
+          autoFocus
+        />
+        <input
+          className="admin-name-input"
+          type="email"
+          placeholder="Email"
+          value={attendee.email}
+          onChange={handleChange('email')}
+          required
+        />
+        <input
+          className="admin-name-input"
+          type="tel"
+          inputMode="numeric"
+          placeholder="Phone (10 digits)"
+          value={attendee.phone}
+          onChange={handleChange('phone')}
+          required
+        />
+        <input
+          className="admin-name-input"
+          placeholder="College"
+          value={attendee.college}
+          onChange={handleChange('college')}
+          required
+        />
+
+        <label className="walk-in-admit">
+          <input
+            type="checkbox"
+            checked={admitNow}
+            onChange={(e) => setAdmitNow(e.target.checked)}
+            disabled={!session}
+          />
+          Admit now{session ? ` into ${session.label}` : ' (select a session first)'}
+        </label>
+
+        {error && <div className="admin-pin-error">{error}</div>}
+
+        <div className="admin-action-buttons">
+          <button type="submit" className="force-allow-btn" disabled={issuing}>
+            {issuing ? 'Issuing...' : 'Issue Ticket'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import WalkInTicket from './WalkInTicket';
+import { adminIssueTicket, ADMIN_SESSION_EXPIRED } from '../lib/adminOverride';
+import { DAY1 } from '../test/helpers';
+
+// admin_issue_ticket has no in-memory counterpart
+vi.mock('../lib/adminOverride', async (importOriginal) => ({
+  ...(await importOriginal()),
+  adminIssueTicket: vi.fn(),
+}));
+
+const issueTicket = async () => {
+  const onSessionExpired = vi.fn();
+  render(<WalkInTicket session={DAY1} onBack={() => {}} onSessionExpired={onSessionExpired} />);
+
+  await userEvent.type(screen.getByPlaceholderText('Full name'), 'Kavya N');
+  await userEvent.type(screen.getByPlaceholderText('Email'), 'kavya@example.com');
+  await userEvent.type(screen.getByPlaceholderText('Phone (10 digits)'), '9845011111');
+  await userEvent.type(screen.getByPlaceholderText('College'), 'BMS College');
+  await userEvent.click(screen.getByRole('button', { name: 'Issue Ticket' }));
+
+  return { onSessionExpired };
+};
+
+describe('WalkInTicket', () => {
+  it('shows validation errors without leaving the form', async () => {
+    adminIssueTicket.mockResolvedValue({ success: false, message: 'kavya@example.com already has ticket 482913 - search for it instead' });
+
+    const { onSessionExpired } = await issueTicket();
+
+    expect(screen.getByText('kavya@example.com already has ticket 482913 - search for it instead')).toBeInTheDocument();
+    expect(onSessionExpired).not.toHaveBeenCalled();
+  });
+
+  it('sends the lead back to the PIN when the admin token is rejected', async () => {
+    adminIssueTicket.mockResolvedValue({ success: false, message: ADMIN_SESSION_EXPIRED });
+
+    const { onSessionExpired } = await issueTicket();
+
+    expect(onSessionExpired).toHaveBeenCalledTimes(1);
+  });
+});
@@ -4,24 +4,139 @@
  * Handles all admin-only operations:
  * - Force allow entry
  * - Reset entry
+ * - Cancel, reissue and transfer tickets
+ * - Issue tickets to walk-ins
  * - Override logging
  * 
  * CRITICAL: These functions bypass normal validation
- * Only accessible with valid admin PIN
+ * The admin PIN is checked by the `admin_verify_pin` RPC, which returns
+ * a short-lived admin token. Override RPCs refuse to run without it.
+ * Failed PIN attempts are rate-limited and locked out per device.
+ * Each volunteer holds one admin session: entering the PIN on another
+ * device revokes the token here, and the next action asks for the PIN.
+ * 
+ * The acting volunteer is taken from the signed-in session on the
+ * server, never from user-entered text.
+ * 
+ * PIN, force allow, reset and the override log go through the ticket
+ * repository, so they also work in demo mode; the ticket lifecycle
+ * actions need a real project.
+ */
+
+import { supabase, isDemoMode } from './supabase';
+import { getTicketRepository } from './ticketRepository';
+import { getDeviceId } from './device';
+
+// Admin token is held in memory only - a reload requires the PIN again
+let adminSession = null;
+
+/**
+ * Message every admin RPC (and this module) returns when the admin token
+ * is missing, expired or no longer accepted by the server
+ */
+export const ADMIN_SESSION_EXPIRED = 'Admin session expired. Re-enter PIN.';
+
+/**
+ * Check whether an admin action failed because the admin session is over
+ *
+ * @param {{success: boolean, message: string}} result - Result of an admin action
+ * @returns {boolean}
+ */
+export function isAdminSessionExpired(result) {
+  return result?.success === false && result.message === ADMIN_SESSION_EXPIRED;
+}
+
+// Entering the PIN on another device revokes this device's token on the
+// server before it expires here - drop it so the PIN is asked for again
+function checkAdminSession(result) {
+  if (isAdminSessionExpired(result)) {
+    adminSession = null;
+  }
+  return result;
+}
+
+/**
+ * Verify admin PIN on the server and start an admin session
+ * 
+ * @param {string} pin - PIN entered by the gate lead / admin
+ * @returns {Promise<{
+ *   success: boolean,
+ *   message: string,
+ *   attemptsRemaining?: number,
+ *   lockedUntil?: string
+ * }>}
+ */
+export async function verifyAdminPin(pin) {
+  try {
+    const { data, error } = await getTicketRepository().verifyAdminPin({
+      pin,
+      deviceId: getDeviceId()
+    });
+
+    if (error) {
+      console.error('Admin PIN check error:', error);
+      return {
+        success: false,
+        message: 'PIN check failed. Check connection.'
+      };
+    }
+
+    if (!data.success) {
+      return {
+        success: false,
+        message: data.message,
+        attemptsRemaining: data.attempts_remaining,
+        lockedUntil: data.locked_until
+      };
+    }
+
+    adminSession = { token: data.token, expiresAt: data.expires_at };
+    return { success: true, message: data.message };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error during PIN check'
+    };
+  }
+}
+
+/**
+ * Get the current admin token if it has not expired
+ * @returns {string|null}
  */
+export function getAdminToken() {
+  if (!adminSession || new Date(adminSession.expiresAt) <= new Date()) {
+    adminSession = null;
+    return null;
+  }
+  return adminSession.token;
+}
 
-import { supabase } from './supabase';
+/**
+ * Get when the current admin session expires
+ * @returns {string|null} ISO timestamp
+ */
+export function getAdminSessionExpiry() {
+  return getAdminToken() ? adminSession.expiresAt : null;
+}
+
+/**
+ * End the admin session (on close or logout)
+ */
+export function clearAdminToken() {
+  adminSession = null;
+}
 
 /**
  * Admin action to force allow entry for a ticket
  * 
  * @param {string} ticketId - UUID of ticket
- * @param {number} day - Optional day parameter (kept for compatibility, not used)
+ * @param {string|null} sessionId - Session to admit the ticket to (null = status only)
  * @param {string} reason - Admin's reason for override
- * @param {string} adminIdentifier - Admin name/ID for audit
  * @returns {Promise<{success: boolean, message: string}>}
  */
-export async function adminForceAllow(ticketId, day, reason, adminIdentifier) {
+export async function adminForceAllow(ticketId, sessionId, reason) {
   try {
     if (!reason || reason.trim().length < 10) {
       return {
@@ -30,10 +145,19 @@ export async function adminForceAllow(ticketId, day, reason, adminIdentifier) {
       };
     }
 
-    const { data, error } = await supabase.rpc('admin_force_allow', {
-      p_ticket_id: ticketId,
-      p_reason: reason.trim(),
-      p_admin_identifier: adminIdentifier.trim()
+    const adminToken = getAdminToken();
+    if (!adminToken) {
+      return {
+        success: false,
+        message: ADMIN_SESSION_EXPIRED
+      };
+    }
+
+    const { data, error } = await getTicketRepository().forceAllow({
+      ticketId,
+      sessionId,
+      reason: reason.trim(),
+      adminToken
     });
 
     if (error) {
@@ -44,7 +168,7 @@ export async function adminForceAllow(ticketId, day, reason, adminIdentifier) {
       };
     }
 
-    return data;
+    return checkAdminSession(data);
   } catch (err) {
     console.error('Unexpected error:', err);
     return {
@@ -58,12 +182,11 @@ export async function adminForceAllow(ticketId, day, reason, adminIdentifier) {
  * Admin action to reset entry for a ticket
  * 
  * @param {string} ticketId - UUID of ticket
- * @param {number} day - Optional day parameter (kept for compatibility, not used)
+ * @param {string|null} sessionId - Session to reset (null = every session)
  * @param {string} reason - Admin's reason for reset
- * @param {string} adminIdentifier - Admin name/ID for audit
  * @returns {Promise<{success: boolean, message: string}>}
  */
-export async function adminResetEntry(ticketId, day, reason, adminIdentifier) {
+export async function adminResetEntry(ticketId, sessionId, reason) {
   try {
     if (!reason || reason.trim().length < 10) {
       return {
@@ -72,10 +195,19 @@ export async function adminResetEntry(ticketId, day, reason, adminIdentifier) {
       };
     }
 
-    const { data, error } = await supabase.rpc('admin_reset_entry', {
-      p_ticket_id: ticketId,
-      p_reason: reason.trim(),
-      p_admin_identifier: adminIdentifier.trim()
+    const adminToken = getAdminToken();
+    if (!adminToken) {
+      return {
+        success: false,
+        message: ADMIN_SESSION_EXPIRED
+      };
+    }
+
+    const { data, error } = await getTicketRepository().resetEntry({
+      ticketId,
+      sessionId,
+      reason: reason.trim(),
+      adminToken
     });
 
     if (error) {
@@ -86,7 +218,7 @@ export async function adminResetEntry(ticketId, day, reason, adminIdentifier) {
       };
     }
 
-    return data;
+    return checkAdminSession(data);
   } catch (err) {
     console.error('Unexpected error:', err);
     return {
@@ -96,6 +228,264 @@ export async function adminResetEntry(ticketId, day, reason, adminIdentifier) {
   }
 }
 
+/**
+ * Check the reason and admin session before a lifecycle action
+ *
+ * @param {string} reason
+ * @returns {{token: string}|{failure: {success: false, message: string}}}
+ */
+function prepareAdminAction(reason) {
+  if (isDemoMode()) {
+    return { failure: { success: false, message: 'Not available in demo mode' } };
+  }
+
+  if (!reason || reason.trim().length < 10) {
+    return { failure: { success: false, message: 'Reason must be at least 10 characters' } };
+  }
+
+  const token = getAdminToken();
+  if (!token) {
+    return { failure: { success: false, message: ADMIN_SESSION_EXPIRED } };
+  }
+
+  return { token };
+}
+
+/**
+ * Admin action to cancel a ticket
+ *
+ * The ticket scans as CANCELLED from then on. Cannot be undone from the app.
+ *
+ * @param {string} ticketId - UUID of ticket
+ * @param {string} reason - Admin's reason for cancelling
+ * @param {boolean} refunded - Whether the attendee was refunded
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function adminCancelTicket(ticketId, reason, refunded) {
+  try {
+    const { token, failure } = prepareAdminAction(reason);
+    if (failure) return failure;
+
+    const { data, error } = await supabase.rpc('admin_cancel_ticket', {
+      p_ticket_id: ticketId,
+      p_reason: reason.trim(),
+      p_admin_token: token,
+      p_refunded: Boolean(refunded)
+    });
+
+    if (error) {
+      console.error('Admin cancel ticket error:', error);
+      return {
+        success: false,
+        message: 'Cancel failed. Check connection.'
+      };
+    }
+
+    return checkAdminSession(data);
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error during cancel'
+    };
+  }
+}
+
+/**
+ * Admin action to reissue a lost ticket
+ *
+ * Creates a new ticket (new UUID and 6-digit code) carrying over the
+ * entitlements and admissions; the old ticket scans as REPLACED.
+ *
+ * @param {string} ticketId - UUID of the ticket being replaced
+ * @param {string} reason - Admin's reason for reissuing
+ * @returns {Promise<{
+ *   success: boolean,
+ *   message: string,
+ *   ticket?: {id: string, six_digit_code: string, qr_payload: string}
+ * }>}
+ */
+export async function adminReissueTicket(ticketId, reason) {
+  try {
+    const { token, failure } = prepareAdminAction(reason);
+    if (failure) return failure;
+
+    const { data, error } = await supabase.rpc('admin_reissue_ticket', {
+      p_ticket_id: ticketId,
+      p_reason: reason.trim(),
+      p_admin_token: token
+    });
+
+    if (error) {
+      console.error('Admin reissue ticket error:', error);
+      return {
+        success: false,
+        message: 'Reissue failed. Check connection.'
+      };
+    }
+
+    return checkAdminSession(data);
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error during reissue'
+    };
+  }
+}
+
+/**
+ * Admin action to transfer a ticket to another attendee
+ *
+ * The QR and code stay the same; only the holder's name and email change.
+ *
+ * @param {string} ticketId - UUID of ticket
+ * @param {{name: string, email: string}} holder - New ticket holder
+ * @param {string} reason - Admin's reason for the transfer
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function adminTransferTicket(ticketId, holder, reason) {
+  try {
+    const { token, failure } = prepareAdminAction(reason);
+    if (failure) return failure;
+
+    if (!holder?.name?.trim() || !holder?.email?.trim()) {
+      return {
+        success: false,
+        message: 'New holder needs a name and email'
+      };
+    }
+
+    const { data, error } = await supabase.rpc('admin_transfer_ticket', {
+      p_ticket_id: ticketId,
+      p_name: holder.name.trim(),
+      p_email: holder.email.trim(),
+      p_reason: reason.trim(),
+      p_admin_token: token
+    });
+
+    if (error) {
+      console.error('Admin transfer ticket error:', error);
+      return {
+        success: false,
+        message: 'Transfer failed. Check connection.'
+      };
+    }
+
+    return checkAdminSession(data);
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error during transfer'
+    };
+  }
+}
+
+/**
+ * Admin action to set how many people a ticket admits
+ *
+ * 1 = ordinary ticket; more makes it a group ticket that asks "admit how
+ * many?" at the gate. Cannot drop below the number already admitted.
+ *
+ * @param {string} ticketId - UUID of ticket
+ * @param {number} headcount - New group size
+ * @param {string} reason - Admin's reason for the change
+ * @returns {Promise<{success: boolean, message: string, headcount?: number}>}
+ */
+export async function adminSetGroupSize(ticketId, headcount, reason) {
+  try {
+    const { token, failure } = prepareAdminAction(reason);
+    if (failure) return failure;
+
+    if (!Number.isInteger(headcount) || headcount < 1) {
+      return {
+        success: false,
+        message: 'Group size must be a whole number, at least 1'
+      };
+    }
+
+    const { data, error } = await supabase.rpc('admin_set_group_size', {
+      p_ticket_id: ticketId,
+      p_headcount: headcount,
+      p_reason: reason.trim(),
+      p_admin_token: token
+    });
+
+    if (error) {
+      console.error('Admin set group size error:', error);
+      return {
+        success: false,
+        message: 'Group size not changed. Check connection.'
+      };
+    }
+
+    return checkAdminSession(data);
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error while changing group size'
+    };
+  }
+}
+
+/**
+ * Admin action to issue a ticket to a walk-in attendee
+ *
+ * Creates the registration and ticket; admitting them is a separate
+ * verifyTicketById call so it goes through verify_and_mark_ticket.
+ *
+ * @param {{name: string, email: string, phone: string, college: string}} attendee
+ * @returns {Promise<{
+ *   success: boolean,
+ *   message: string,
+ *   ticket?: {id: string, six_digit_code: string, qr_payload: string, name: string, email: string, college: string}
+ * }>}
+ */
+export async function adminIssueTicket(attendee) {
+  try {
+    if (isDemoMode()) {
+      return {
+        success: false,
+        message: 'Not available in demo mode'
+      };
+    }
+
+    const adminToken = getAdminToken();
+    if (!adminToken) {
+      return {
+        success: false,
+        message: ADMIN_SESSION_EXPIRED
+      };
+    }
+
+    const { data, error } = await supabase.rpc('admin_issue_ticket', {
+      p_name: attendee.name,
+      p_email: attendee.email,
+      p_phone: attendee.phone,
+      p_college: attendee.college,
+      p_admin_token: adminToken
+    });
+
+    if (error) {
+      console.error('Admin issue ticket error:', error);
+      return {
+        success: false,
+        message: 'Issue failed. Check connection.'
+      };
+    }
+
+    return checkAdminSession(data);
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error while issuing ticket'
+    };
+  }
+}
+
 /**
  * Get override logs for a specific ticket
  * 
@@ -104,9 +494,7 @@ export async function adminResetEntry(ticketId, day, reason, adminIdentifier) {
  */
 export async function getOverrideLogs(ticketId) {
   try {
-    const { data, error } = await supabase.rpc('get_ticket_override_logs', {
-      p_ticket_id: ticketId
-    });
+    const { data, error } = await getTicketRepository().getOverrideLogs(ticketId);
 
     if (error) {
       console.error('Get override logs error:', error);
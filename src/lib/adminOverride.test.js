@@ -0,0 +1,241 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  verifyAdminPin,
+  getAdminToken,
+  getAdminSessionExpiry,
+  clearAdminToken,
+  adminForceAllow,
+  adminResetEntry,
+  adminCancelTicket,
+  getOverrideLogs,
+  isAdminSessionExpired,
+} from './adminOverride';
+import { verifyTicketById, VerificationResult } from './ticketVerification';
+import { getTicketRepository, setTicketRepository } from './ticketRepository';
+import { DEMO_ADMIN_PIN, DEMO_VOLUNTEER, createDemoSeed } from './demoData';
+import { installMemoryRepository, demoTicket, DAY1 } from '../test/helpers';
+
+const REASON = 'Wristband scanned twice by mistake';
+
+const sriram = demoTicket('Sriram K');
+const arjun = demoTicket('Arjun Rao');
+
+describe('verifyAdminPin', () => {
+  it('starts an admin session on the right PIN', async () => {
+    expect(getAdminToken()).toBeNull();
+
+    expect(await verifyAdminPin(DEMO_ADMIN_PIN)).toEqual({ success: true, message: 'Admin access granted' });
+    expect(getAdminToken()).toEqual(expect.any(String));
+    expect(getAdminSessionExpiry()).toEqual(expect.any(String));
+
+    clearAdminToken();
+    expect(getAdminToken()).toBeNull();
+  });
+
+  it('counts down attempts and locks the PIN after five failures', async () => {
+    expect(await verifyAdminPin('0000')).toMatchObject({
+      success: false,
+      message: 'Invalid admin PIN',
+      attemptsRemaining: 4,
+    });
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await verifyAdminPin('0000');
+    }
+
+    const locked = await verifyAdminPin(DEMO_ADMIN_PIN);
+    expect(locked).toMatchObject({ success: false, message: 'Too many failed attempts. PIN locked.' });
+    expect(locked.lockedUntil).toEqual(expect.any(String));
+    expect(getAdminToken()).toBeNull();
+  });
+
+  it('refuses volunteers below gate lead', async () => {
+    installMemoryRepository({ volunteer: { ...DEMO_VOLUNTEER, role: 'volunteer' } });
+
+    expect(await verifyAdminPin(DEMO_ADMIN_PIN)).toMatchObject({
+      success: false,
+      message: 'Only gate leads and admins can override',
+    });
+  });
+
+  it('reports backend errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    setTicketRepository({
+      ...getTicketRepository(),
+      verifyAdminPin: async () => ({ data: null, error: { message: 'Failed to fetch' } }),
+    });
+
+    expect(await verifyAdminPin(DEMO_ADMIN_PIN)).toEqual({
+      success: false,
+      message: 'PIN check failed. Check connection.',
+    });
+  });
+
+  it('expires the admin session after ten minutes', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    vi.setSystemTime(Date.now() + 11 * 60 * 1000);
+    expect(getAdminToken()).toBeNull();
+    expect(await adminForceAllow(sriram.id, 'day1', REASON)).toEqual({
+      success: false,
+      message: 'Admin session expired. Re-enter PIN.',
+    });
+  });
+});
+
+describe('adminForceAllow', () => {
+  it('needs the PIN first', async () => {
+    expect(await adminForceAllow(sriram.id, 'day1', REASON)).toEqual({
+      success: false,
+      message: 'Admin session expired. Re-enter PIN.',
+    });
+  });
+
+  it('needs a reason of at least ten characters', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    expect(await adminForceAllow(sriram.id, 'day1', '  too short  ')).toEqual({
+      success: false,
+      message: 'Reason must be at least 10 characters',
+    });
+  });
+
+  it('admits the ticket and logs the override', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    expect(await adminForceAllow(sriram.id, 'day1', `  ${REASON}  `)).toEqual({
+      success: true,
+      message: 'Entry forced for Sriram K',
+    });
+    expect((await verifyTicketById(sriram.id, DAY1)).reason).toBe(VerificationResult.ALREADY_USED);
+
+    const [log] = await getOverrideLogs(sriram.id);
+    expect(log).toMatchObject({
+      admin_action: 'ALLOW',
+      day: 'day1',
+      reason: REASON,
+      admin_identifier: DEMO_VOLUNTEER.name,
+    });
+  });
+
+  it('is refused by the server once its token has expired', async () => {
+    let clock = Date.now();
+    installMemoryRepository({ now: () => new Date(clock) });
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    clock += 11 * 60 * 1000;
+    expect(await adminForceAllow(sriram.id, 'day1', REASON)).toEqual({
+      success: false,
+      message: 'Admin session expired. Re-enter PIN.',
+    });
+  });
+
+  it('drops a token the server has revoked', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    // The same lead enters the PIN on another phone
+    await getTicketRepository().verifyAdminPin({ pin: DEMO_ADMIN_PIN, deviceId: 'other-phone' });
+
+    const result = await adminForceAllow(sriram.id, 'day1', REASON);
+    expect(isAdminSessionExpired(result)).toBe(true);
+    expect(getAdminToken()).toBeNull();
+  });
+
+  it('keeps the token on other failures', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    const result = await adminForceAllow('00000000-0000-4000-8000-000000000000', 'day1', REASON);
+    expect(result).toEqual({ success: false, message: 'Ticket not found' });
+    expect(isAdminSessionExpired(result)).toBe(false);
+    expect(getAdminToken()).toEqual(expect.any(String));
+  });
+});
+
+describe('adminResetEntry', () => {
+  it('clears the session so the ticket can be scanned again', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    expect(await adminResetEntry(arjun.id, 'day1', REASON)).toEqual({
+      success: true,
+      message: 'Entry reset for Arjun Rao',
+    });
+    expect((await verifyTicketById(arjun.id, DAY1)).allowed).toBe(true);
+  });
+
+  it('needs a reason and an admin session', async () => {
+    expect((await adminResetEntry(arjun.id, 'day1', REASON)).message).toBe('Admin session expired. Re-enter PIN.');
+
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    expect((await adminResetEntry(arjun.id, 'day1', 'oops')).message).toBe('Reason must be at least 10 characters');
+  });
+
+  it('reports backend errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    setTicketRepository({
+      ...getTicketRepository(),
+      resetEntry: async () => ({ data: null, error: { message: 'Failed to fetch' } }),
+    });
+
+    expect(await adminResetEntry(arjun.id, 'day1', REASON)).toEqual({
+      success: false,
+      message: 'Reset failed. Check connection.',
+    });
+  });
+});
+
+describe('getOverrideLogs', () => {
+  it('lists overrides newest first', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+    await adminForceAllow(sriram.id, 'day1', REASON);
+    await adminResetEntry(sriram.id, 'day1', REASON);
+
+    expect((await getOverrideLogs(sriram.id)).map((log) => log.admin_action)).toEqual(['RESET', 'ALLOW']);
+    expect(await getOverrideLogs(arjun.id)).toEqual([]);
+  });
+
+  it('hides the history from volunteers below gate lead', async () => {
+    const log = { id: 1, ticket_id: sriram.id, admin_action: 'ALLOW', day: 'day1', reason: REASON };
+    const storage = {
+      load: async () => ({ ...createDemoSeed(), overrideLogs: [log], scanEvents: [] }),
+      save: async () => {},
+    };
+
+    installMemoryRepository({ storage });
+    expect(await getOverrideLogs(sriram.id)).toHaveLength(1);
+
+    installMemoryRepository({ storage, volunteer: { ...DEMO_VOLUNTEER, role: 'volunteer' } });
+    expect(await getOverrideLogs(sriram.id)).toEqual([]);
+  });
+
+  it('returns an empty list on backend errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    setTicketRepository({
+      ...getTicketRepository(),
+      getOverrideLogs: async () => ({ data: null, error: { message: 'Failed to fetch' } }),
+    });
+
+    expect(await getOverrideLogs(sriram.id)).toEqual([]);
+  });
+});
+
+describe('ticket lifecycle actions', () => {
+  it('check the reason before calling the server', async () => {
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    expect(await adminCancelTicket(sriram.id, 'refund', true)).toEqual({
+      success: false,
+      message: 'Reason must be at least 10 characters',
+    });
+  });
+
+  it('are not available in demo mode', async () => {
+    vi.stubEnv('VITE_DEMO_MODE', 'true');
+    await verifyAdminPin(DEMO_ADMIN_PIN);
+
+    expect(await adminCancelTicket(sriram.id, REASON, true)).toEqual({
+      success: false,
+      message: 'Not available in demo mode',
+    });
+  });
+});
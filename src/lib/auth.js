@@ -0,0 +1,280 @@
+/**
+ * Volunteer Authentication
+ *
+ * Per-volunteer sign-in backed by Supabase Auth.
+ * Each auth user has a row in the `volunteers` table with a display name
+ * and a role. Deactivating that row locks the volunteer out.
+ *
+ * Sessions:
+ * - Access tokens are short-lived and rotated by supabase-js (refresh tokens)
+ * - A shift ends SESSION_MAX_AGE_HOURS after sign-in, even if tokens are fresh
+ * - The profile is cached so a reload with no signal keeps the volunteer
+ *   signed in; only the server saying the row is gone or inactive (or
+ *   the shift ending) signs them out
+ *
+ * The signed-in volunteer's JWT goes with every RPC, so the database
+ * records who scanned or overrode a ticket (see 003_volunteer_accounts.sql).
+ *
+ * Demo mode (VITE_DEMO_MODE=true) has no Supabase Auth: any email and
+ * password signs in as DEMO_VOLUNTEER, kept in localStorage.
+ */
+
+import { isAuthRetryableFetchError } from '@supabase/supabase-js';
+import { supabase, isDemoMode } from './supabase';
+import { DEMO_VOLUNTEER } from './demoData';
+
+const DEMO_SESSION_KEY = 'yatra_scanner_demo_volunteer';
+const PROFILE_CACHE_KEY = 'yatra_scanner_volunteer';
+
+/**
+ * Volunteer roles, lowest to highest privilege
+ */
+export const Roles = {
+  VOLUNTEER: 'volunteer',
+  GATE_LEAD: 'gate_lead',
+  ADMIN: 'admin',
+};
+
+const ROLE_RANK = {
+  [Roles.VOLUNTEER]: 1,
+  [Roles.GATE_LEAD]: 2,
+  [Roles.ADMIN]: 3,
+};
+
+const ROLE_LABELS = {
+  [Roles.VOLUNTEER]: 'Volunteer',
+  [Roles.GATE_LEAD]: 'Gate Lead',
+  [Roles.ADMIN]: 'Admin',
+};
+
+/**
+ * Maximum length of a volunteer shift before re-authentication
+ */
+export const SESSION_MAX_AGE_HOURS = 12;
+
+/**
+ * Check if a volunteer has at least the given role
+ * @param {{role: string}|null} volunteer
+ * @param {string} role - One of Roles
+ * @returns {boolean}
+ */
+export function hasRole(volunteer, role) {
+  if (!volunteer) return false;
+  return (ROLE_RANK[volunteer.role] || 0) >= ROLE_RANK[role];
+}
+
+/**
+ * Human-readable role name
+ * @param {string} role
+ * @returns {string}
+ */
+export function getRoleLabel(role) {
+  return ROLE_LABELS[role] || role;
+}
+
+/**
+ * Check whether a volunteer's shift has run past SESSION_MAX_AGE_HOURS
+ * @param {{signedInAt: string}|null} volunteer
+ * @returns {boolean}
+ */
+export function isSessionExpired(volunteer) {
+  if (!volunteer?.signedInAt) return true;
+  const ageMs = Date.now() - new Date(volunteer.signedInAt).getTime();
+  return ageMs > SESSION_MAX_AGE_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Load the volunteer profile for an auth user
+ *
+ * `volunteer` is null both when the lookup failed (`error` is set) and
+ * when the server has no active row for the user - only the latter
+ * should end the session.
+ *
+ * @param {object} user - Supabase auth user
+ * @returns {Promise<{
+ *   volunteer: {
+ *     id: string,
+ *     email: string,
+ *     name: string,
+ *     role: string,
+ *     signedInAt: string
+ *   }|null,
+ *   error?: object
+ * }>}
+ */
+async function loadVolunteer(user) {
+  const { data, error } = await supabase
+    .from('volunteers')
+    .select('id, display_name, role, active')
+    .eq('id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Volunteer profile error:', error);
+    return { volunteer: null, error };
+  }
+
+  if (!data || !data.active) {
+    return { volunteer: null };
+  }
+
+  const volunteer = {
+    id: data.id,
+    email: user.email,
+    name: data.display_name,
+    role: data.role,
+    signedInAt: user.last_sign_in_at,
+  };
+  localStorage.setItem(PROFILE_CACHE_KEY, JSON.stringify(volunteer));
+  return { volunteer };
+}
+
+/**
+ * The profile from the last successful lookup, for when the server
+ * can't be reached
+ * @param {string} [userId] - Only return the profile of this auth user
+ * @returns {object|null}
+ */
+function getCachedVolunteer(userId) {
+  try {
+    const volunteer = JSON.parse(localStorage.getItem(PROFILE_CACHE_KEY));
+    if (!volunteer || (userId && volunteer.id !== userId)) return null;
+    return volunteer;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * End the Supabase session and forget the cached profile
+ * @returns {Promise<void>}
+ */
+async function endSession() {
+  localStorage.removeItem(PROFILE_CACHE_KEY);
+  await supabase.auth.signOut();
+}
+
+/**
+ * Sign in a volunteer with email and password
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{success: boolean, message: string, volunteer?: object}>}
+ */
+export async function signIn(email, password) {
+  if (isDemoMode()) {
+    const volunteer = {
+      ...DEMO_VOLUNTEER,
+      email: email.trim().toLowerCase(),
+      signedInAt: new Date().toISOString(),
+    };
+    localStorage.setItem(DEMO_SESSION_KEY, JSON.stringify(volunteer));
+    return { success: true, message: 'Signed in (demo)', volunteer };
+  }
+
+  try {
+    const { data, error } = await supabase.auth.signInWithPassword({
+      email: email.trim().toLowerCase(),
+      password,
+    });
+
+    if (error) {
+      console.error('Sign-in error:', error);
+      return { success: false, message: 'Incorrect email or password' };
+    }
+
+    const { volunteer, error: profileError } = await loadVolunteer(data.user);
+    if (!volunteer) {
+      await endSession();
+      return {
+        success: false,
+        message: profileError
+          ? 'Connection error. Check your network.'
+          : 'This account is not an active volunteer',
+      };
+    }
+
+    return { success: true, message: 'Signed in', volunteer };
+  } catch (err) {
+    console.error('Unexpected sign-in error:', err);
+    return { success: false, message: 'Connection error. Check your network.' };
+  }
+}
+
+/**
+ * Get the signed-in volunteer, or null if signed out or the shift expired
+ * @returns {Promise<object|null>}
+ */
+export async function getCurrentVolunteer() {
+  if (isDemoMode()) {
+    try {
+      const volunteer = JSON.parse(localStorage.getItem(DEMO_SESSION_KEY));
+      return volunteer && !isSessionExpired(volunteer) ? volunteer : null;
+    } catch {
+      return null;
+    }
+  }
+
+  try {
+    const { data, error } = await supabase.auth.getSession();
+    const user = data.session?.user;
+    if (!user) {
+      // An expired access token that couldn't be refreshed for lack of
+      // signal - supabase-js keeps the session to refresh later
+      if (!isAuthRetryableFetchError(error)) return null;
+      const cached = getCachedVolunteer();
+      return cached && !isSessionExpired(cached) ? cached : null;
+    }
+
+    const result = await loadVolunteer(user);
+    const volunteer = result.error ? getCachedVolunteer(user.id) : result.volunteer;
+
+    // Unreachable and never loaded on this device - show sign-in, but
+    // leave the session for when the signal returns
+    if (result.error && !volunteer) return null;
+
+    if (!volunteer || isSessionExpired(volunteer)) {
+      await endSession();
+      return null;
+    }
+
+    return volunteer;
+  } catch (err) {
+    console.error('Session lookup error:', err);
+    return null;
+  }
+}
+
+/**
+ * Sign out the current volunteer
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  if (isDemoMode()) {
+    localStorage.removeItem(DEMO_SESSION_KEY);
+    return;
+  }
+
+  try {
+    await endSession();
+  } catch (err) {
+    console.error('Sign-out error:', err);
+  }
+}
+
+/**
+ * Subscribe to sign-out events (expired refresh token, sign-out in another tab)
+ * @param {() => void} callback
+ * @returns {() => void} Unsubscribe function
+ */
+export function onSignedOut(callback) {
+  if (isDemoMode()) return () => {};
+
+  const { data } = supabase.auth.onAuthStateChange((event) => {
+    if (event === 'SIGNED_OUT') {
+      localStorage.removeItem(PROFILE_CACHE_KEY);
+      callback();
+    }
+  });
+  return () => data.subscription.unsubscribe();
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { AuthRetryableFetchError } from '@supabase/supabase-js';
+import { getCurrentVolunteer, signIn } from './auth';
+
+const { supabase } = vi.hoisted(() => ({
+  supabase: {
+    auth: { getSession: vi.fn(), signInWithPassword: vi.fn(), signOut: vi.fn() },
+    from: vi.fn(),
+  },
+}));
+
+vi.mock('./supabase', () => ({ supabase, isDemoMode: () => false }));
+
+const user = {
+  id: '00000000-0000-4000-9000-00000000000a',
+  email: 'asha@example.com',
+  last_sign_in_at: new Date().toISOString(),
+};
+
+const signedIn = () => supabase.auth.getSession.mockResolvedValue({ data: { session: { user } }, error: null });
+
+// The volunteers row lookup answers with the given result
+const profile = (result) => {
+  const query = {
+    select: () => query,
+    eq: () => query,
+    maybeSingle: () => Promise.resolve(result),
+  };
+  supabase.from.mockReturnValue(query);
+};
+
+const activeRow = { data: { id: user.id, display_name: 'Asha K', role: 'volunteer', active: true }, error: null };
+const networkDown = { data: null, error: { message: 'TypeError: Failed to fetch' } };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('getCurrentVolunteer', () => {
+  it('keeps the volunteer signed in on the cached profile when the lookup fails', async () => {
+    signedIn();
+    profile(activeRow);
+    expect(await getCurrentVolunteer()).toMatchObject({ id: user.id, name: 'Asha K' });
+
+    profile(networkDown);
+    expect(await getCurrentVolunteer()).toMatchObject({ id: user.id, name: 'Asha K' });
+    expect(supabase.auth.signOut).not.toHaveBeenCalled();
+  });
+
+  it('keeps the session when the token cannot be refreshed offline', async () => {
+    signedIn();
+    profile(activeRow);
+    await getCurrentVolunteer();
+
+    supabase.auth.getSession.mockResolvedValue({
+      data: { session: null },
+      error: new AuthRetryableFetchError('Failed to fetch', 0),
+    });
+    expect(await getCurrentVolunteer()).toMatchObject({ id: user.id });
+    expect(supabase.auth.signOut).not.toHaveBeenCalled();
+  });
+
+  it('does not sign out when the profile was never loaded on this device', async () => {
+    signedIn();
+    profile(networkDown);
+
+    expect(await getCurrentVolunteer()).toBeNull();
+    expect(supabase.auth.signOut).not.toHaveBeenCalled();
+  });
+
+  it('signs out once the server says the volunteer is inactive', async () => {
+    signedIn();
+    profile(activeRow);
+    await getCurrentVolunteer();
+
+    profile({ data: { ...activeRow.data, active: false }, error: null });
+    expect(await getCurrentVolunteer()).toBeNull();
+    expect(supabase.auth.signOut).toHaveBeenCalledTimes(1);
+
+    // The cached profile went with the session
+    profile(networkDown);
+    expect(await getCurrentVolunteer()).toBeNull();
+  });
+
+  it('signs out a cached profile whose shift has ended', async () => {
+    signedIn();
+    profile(activeRow);
+    await getCurrentVolunteer();
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.now() + 13 * 60 * 60 * 1000);
+    profile(networkDown);
+
+    expect(await getCurrentVolunteer()).toBeNull();
+    expect(supabase.auth.signOut).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('signIn', () => {
+  it('reports a failed profile lookup as a connection error', async () => {
+    supabase.auth.signInWithPassword.mockResolvedValue({ data: { user }, error: null });
+    profile(networkDown);
+
+    expect(await signIn('asha@example.com', 'secret')).toEqual({
+      success: false,
+      message: 'Connection error. Check your network.',
+    });
+  });
+});
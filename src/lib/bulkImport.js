@@ -0,0 +1,218 @@
+/**
+ * Bulk Import
+ *
+ * Reads walk-in / partner lists from CSV or XLSX, maps their columns to
+ * registration fields and sends them to the `admin_import_tickets` RPC.
+ *
+ * Validation (email, phone, required fields), duplicate detection
+ * against existing tickets and six-digit code generation all happen on
+ * the server. A dry run returns the same per-row report without writing
+ * anything.
+ */
+
+import { supabase } from './supabase';
+import { parseCsv, toCsv } from './csv';
+
+// Rows sent per RPC call (the server accepts up to 500)
+const IMPORT_CHUNK_SIZE = 200;
+
+export const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Fields an import row can fill, with header names recognised automatically
+ */
+export const ImportFields = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'full name', 'attendee', 'attendee name'] },
+  { key: 'email', label: 'Email', required: true, aliases: ['email', 'email address', 'e-mail', 'mail'] },
+  { key: 'phone', label: 'Phone', required: true, aliases: ['phone', 'phone number', 'mobile', 'mobile number', 'contact'] },
+  { key: 'college', label: 'College', required: true, aliases: ['college', 'college name', 'institution', 'organisation', 'organization'] },
+  { key: 'ticket_type', label: 'Ticket Type', required: false, aliases: ['ticket type', 'ticket_type', 'type', 'category'] },
+];
+
+/**
+ * Row outcomes reported by the server (plus DUPLICATE for repeats in the file)
+ */
+export const ImportStatus = {
+  READY: 'ready',         // Dry run: would be imported
+  IMPORTED: 'imported',   // Registration + ticket created
+  DUPLICATE: 'duplicate', // Email already has a ticket / repeated in file
+  INVALID: 'invalid',     // Failed validation
+  FAILED: 'failed',       // Database error for this row
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (first sheet)
+ *
+ * @param {File} file
+ * @returns {Promise<{headers: string[], rows: string[][]}>}
+ */
+export async function readImportFile(file) {
+  let table;
+
+  if (/\.xlsx$/i.test(file.name)) {
+    // Loaded on demand - only admins importing need the XLSX reader
+    const { readSheet } = await import('read-excel-file/browser');
+    const sheet = await readSheet(file);
+    table = sheet.map((cells) =>
+      cells.map((value) => {
+        if (value == null) return '';
+        if (value instanceof Date) return value.toISOString();
+        return String(value);
+      })
+    );
+  } else if (/\.csv$/i.test(file.name)) {
+    table = parseCsv(await file.text());
+  } else {
+    throw new Error('Choose a .csv or .xlsx file');
+  }
+
+  const [headerRow = [], ...body] = table;
+  const rows = body.filter((cells) => cells.some((value) => value.trim() !== ''));
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`File has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`);
+  }
+
+  return { headers: headerRow.map((header) => header.trim()), rows };
+}
+
+/**
+ * Match file headers to import fields by name
+ *
+ * @param {string[]} headers
+ * @returns {Object<string, number|null>} Field key → column index
+ */
+export function guessColumnMapping(headers) {
+  const normalised = headers.map((header) => header.toLowerCase().replace(/[_\s]+/g, ' ').trim());
+
+  return Object.fromEntries(
+    ImportFields.map((field) => {
+      const index = normalised.findIndex((header) => field.aliases.includes(header));
+      return [field.key, index === -1 ? null : index];
+    })
+  );
+}
+
+/**
+ * Get the required fields that have no column mapped
+ *
+ * @param {Object<string, number|null>} mapping
+ * @returns {string[]} Field labels
+ */
+export function getUnmappedFields(mapping) {
+  return ImportFields
+    .filter((field) => field.required && mapping[field.key] == null)
+    .map((field) => field.label);
+}
+
+/**
+ * Turn file rows into import rows using the column mapping
+ *
+ * Row numbers match the spreadsheet (header is row 1).
+ *
+ * @param {string[][]} rows
+ * @param {Object<string, number|null>} mapping
+ * @returns {Array<{row: number, name: string, email: string, phone: string, college: string, ticket_type: string}>}
+ */
+export function buildImportRows(rows, mapping) {
+  return rows.map((cells, index) => {
+    const record = { row: index + 2 };
+    ImportFields.forEach((field) => {
+      const column = mapping[field.key];
+      record[field.key] = column == null ? '' : (cells[column] || '').trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Import rows (or dry-run them)
+ *
+ * Repeats of an email already seen in the file are reported as
+ * DUPLICATE without being sent.
+ *
+ * @param {Array<object>} importRows - From buildImportRows
+ * @param {{dryRun: boolean}} options
+ * @returns {Promise<{
+ *   success: boolean,
+ *   message: string,
+ *   dryRun?: boolean,
+ *   counts?: Object<string, number>,
+ *   rows?: Array<{row: number, status: string, message: string, email: string, code?: string, ticket_id?: string}>
+ * }>}
+ */
+export async function importTickets(importRows, { dryRun }) {
+  const counts = Object.fromEntries(Object.values(ImportStatus).map((status) => [status, 0]));
+  const report = [];
+  const seen = new Set();
+  const toSend = [];
+
+  importRows.forEach((record) => {
+    const email = record.email.toLowerCase();
+    if (email && seen.has(email)) {
+      counts[ImportStatus.DUPLICATE]++;
+      report.push({
+        row: record.row,
+        status: ImportStatus.DUPLICATE,
+        message: 'Email appears earlier in this file',
+        email,
+      });
+      return;
+    }
+    seen.add(email);
+    toSend.push(record);
+  });
+
+  try {
+    for (let from = 0; from < toSend.length; from += IMPORT_CHUNK_SIZE) {
+      const { data, error } = await supabase.rpc('admin_import_tickets', {
+        p_rows: toSend.slice(from, from + IMPORT_CHUNK_SIZE),
+        p_dry_run: dryRun,
+      });
+
+      if (error || data?.error) {
+        console.error('Bulk import error:', error || data.error);
+        return {
+          success: false,
+          message: data?.error
+            || (from > 0 && !dryRun
+              ? `Import stopped after ${from} rows. Check connection and re-run - imported emails will show as duplicates.`
+              : 'Import failed. Check connection.'),
+        };
+      }
+
+      Object.values(ImportStatus).forEach((status) => {
+        counts[status] += data[status] || 0;
+      });
+      report.push(...data.rows);
+    }
+
+    report.sort((a, b) => a.row - b.row);
+
+    return {
+      success: true,
+      message: dryRun
+        ? `Dry run: ${counts[ImportStatus.READY]} of ${importRows.length} rows ready to import`
+        : `Imported ${counts[ImportStatus.IMPORTED]} of ${importRows.length} rows`,
+      dryRun,
+      counts,
+      rows: report,
+    };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error during import'
+    };
+  }
+}
+
+/**
+ * Serialise an import report as CSV for download
+ *
+ * @param {Array<object>} rows - Report rows from importTickets
+ * @returns {string}
+ */
+export function importReportToCsv(rows) {
+  return toCsv(['row', 'email', 'status', 'message', 'code', 'ticket_id'], rows);
+}
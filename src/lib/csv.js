@@ -0,0 +1,89 @@
+/**
+ * CSV Helpers
+ *
+ * Minimal RFC 4180 reading and writing for imports and report exports,
+ * plus saving generated files as browser downloads. Written files use
+ * CRLF line endings so Excel opens them cleanly.
+ */
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF)
+ *
+ * @param {string} text
+ * @returns {string[][]} Rows of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serialise objects as CSV
+ *
+ * @param {string[]} columns - Keys to write, also used as the header row
+ * @param {Array<object>} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const escape = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((line) => line.map(escape).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Save generated content as a download
+ *
+ * @param {string|Uint8Array} content
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, fileName, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
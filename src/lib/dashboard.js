@@ -0,0 +1,99 @@
+/**
+ * Gate Dashboard Data
+ *
+ * Aggregates come from the get_dashboard_stats RPC; recent scans are
+ * read from scan_events. New scans arrive through a Supabase realtime
+ * subscription - if that channel fails, the dashboard falls back to
+ * polling.
+ */
+
+import { supabase } from './supabase';
+
+export const RECENT_SCAN_LIMIT = 25;
+
+// Window for scans-per-minute per gate
+export const THROUGHPUT_WINDOW_MINUTES = 5;
+
+/**
+ * Fetch aggregate stats for a session
+ *
+ * @param {string} sessionId
+ * @returns {Promise<{
+ *   total_tickets: number,
+ *   admitted: number,
+ *   inside: number,
+ *   capacity: number|null,
+ *   window_minutes: number,
+ *   gates: Array<{gate: string, scans: number, per_minute: number}>,
+ *   results: Object<string, number>
+ * }|null>}
+ */
+export async function fetchDashboardStats(sessionId) {
+  try {
+    const { data, error } = await supabase.rpc('get_dashboard_stats', {
+      p_session_id: sessionId,
+      p_window_minutes: THROUGHPUT_WINDOW_MINUTES,
+    });
+
+    if (error || !data || data.error) {
+      console.error('Dashboard stats error:', error || data?.error);
+      return null;
+    }
+
+    return data;
+  } catch (err) {
+    console.error('Unexpected dashboard error:', err);
+    return null;
+  }
+}
+
+/**
+ * Fetch the most recent scan events for a session
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchRecentScans(sessionId) {
+  try {
+    const { data, error } = await supabase
+      .from('scan_events')
+      .select('id, ticket_id, action, method, result, message, gate, offline, scanned_at')
+      .eq('session_id', sessionId)
+      .order('scanned_at', { ascending: false })
+      .limit(RECENT_SCAN_LIMIT);
+
+    if (error) {
+      console.error('Recent scans error:', error);
+      return [];
+    }
+
+    return data || [];
+  } catch (err) {
+    console.error('Unexpected recent scans error:', err);
+    return [];
+  }
+}
+
+/**
+ * Subscribe to new scan events
+ *
+ * @param {(event: object) => void} onInsert - Called with each new scan_events row
+ * @param {(connected: boolean) => void} onStatus - Realtime connected / lost
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeToScanEvents(onInsert, onStatus) {
+  const channel = supabase
+    .channel('gate-dashboard')
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'scan_events' },
+      (change) => onInsert(change.new)
+    )
+    .subscribe((status) => {
+      onStatus(status === 'SUBSCRIBED');
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Demo Data
+ *
+ * Attendees for demo mode (VITE_DEMO_MODE=true). They cover every
+ * result the scanner can show: a valid ticket, one already inside, a
+ * group, each tier, a workshop-only pass, cancelled and reissued
+ * tickets. Names include spelling variants so the fuzzy search has
+ * something to find ("Shriram" → Sriram, "Laxmi" → Lakshmi).
+ *
+ * IDs and codes are fixed so printed demo QR codes keep working.
+ */
+
+export const DEMO_GATE = 'Main Gate';
+export const DEMO_ADMIN_PIN = '1234';
+
+/**
+ * Volunteer every demo sign-in becomes. Gate lead, so overrides work;
+ * admin screens need a real project.
+ */
+export const DEMO_VOLUNTEER = {
+  id: '00000000-0000-4000-8000-00000000d3e0',
+  name: 'Demo Volunteer',
+  role: 'gate_lead',
+};
+
+function demoId(n) {
+  return `d3e0a000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+}
+
+/**
+ * Fresh copy of the demo tickets, usage and gate movements
+ * @returns {{tickets: Array<object>, usage: Array<object>, movements: Array<object>}}
+ */
+export function createDemoSeed() {
+  const arrived = new Date(Date.now() - 45 * 60 * 1000).toISOString();
+
+  const tickets = [
+    { n: 1, code: '482913', name: 'Sriram K', email: 'sriram.k@example.com', college: 'PES University', phone: '9845012345', tier_id: 'general' },
+    { n: 2, code: '305177', name: 'Lakshmi Narayan', email: 'lakshmi.n@example.com', college: 'RV College of Engineering', phone: '9900123456', tier_id: 'early_bird' },
+    { n: 3, code: '771240', name: 'Preeti Sharma', email: 'preeti.sharma@example.com', college: 'RIT Bangalore', phone: '9740098765', tier_id: 'rit_student' },
+    { n: 4, code: '190384', name: 'Vishwa Hegde', email: 'vishwa.h@example.com', college: 'BMS College of Engineering', phone: '9886011122', tier_id: 'vip' },
+    { n: 5, code: '623508', name: 'Arjun Rao', email: 'arjun.rao@example.com', college: 'PES University', phone: '9845054321', tier_id: 'general', ticket_status: 'used' },
+    { n: 6, code: '554016', name: 'Team Robocon', email: 'robocon@example.com', college: 'RIT Bangalore', phone: '9611223344', tier_id: 'rit_student', headcount: 5 },
+    { n: 7, code: '908127', name: 'Rahul Menon', email: 'rahul.menon@example.com', college: 'Christ University', phone: '9945566778', tier_id: 'general', ticket_status: 'cancelled' },
+    { n: 8, code: '246801', name: 'Divya Shetty', email: 'divya.s@example.com', college: 'NMIT', phone: '9535577889', tier_id: 'general', ticket_status: 'replaced' },
+    { n: 9, code: '135792', name: 'Karthik Iyer', email: 'karthik.iyer@example.com', college: 'IISc', phone: '9448899001', tier_id: 'general', entitlements: ['workshop'] },
+    { n: 10, code: '864209', name: 'Ananya Gupta', email: 'ananya.g@example.com', college: 'Jain University', phone: '9731122334', tier_id: 'backstage' },
+    { n: 11, code: '417350', name: 'Mohammed Faiz', email: 'faiz.m@example.com', college: 'MSRIT', phone: '9008877665', tier_id: 'general' },
+    { n: 12, code: '692458', name: 'Pallavi Joshi', email: 'pallavi.joshi@example.com', college: 'Dayananda Sagar College', phone: '9591234567', tier_id: 'early_bird', entitlements: ['day2'] },
+  ].map(({ n, code, ...ticket }) => ({
+    id: demoId(n),
+    six_digit_code: code,
+    ticket_status: 'valid',
+    headcount: 1,
+    entitlements: [],
+    ...ticket,
+  }));
+
+  return {
+    tickets,
+    // Arjun is already inside Day 1
+    usage: [{ ticket_id: demoId(5), session_id: 'day1', used_at: arrived, admitted_count: 1 }],
+    movements: [{ ticket_id: demoId(5), session_id: 'day1', direction: 'in', created_at: arrived }],
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Device Identity
+ *
+ * Stable per-browser identifier, generated once and kept in localStorage.
+ * Used to rate-limit admin PIN attempts and to tag scan events.
+ *
+ * Each device is enrolled to a gate by an admin (see
+ * 015_device_enrolment.sql). The gate decides the zones, scan modes and
+ * sessions the device may scan; the server enforces this on every
+ * verification, and the scanner hides what the gate doesn't allow.
+ */
+
+import { getTicketRepository } from './ticketRepository';
+
+const DEVICE_KEY = 'yatra_scanner_device_id';
+
+/**
+ * Get (or create) this device's identifier
+ * @returns {string}
+ */
+export function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+const DEVICE_CONFIG_KEY = 'yatra_scanner_device_config';
+
+/**
+ * Scan modes a gate can allow (match the scanner tabs)
+ */
+export const ScanModes = ['qr', 'manual', 'search', 'exit'];
+
+/**
+ * Enrolment as of the last check-in (kept for offline starts)
+ * @returns {{
+ *   label?: string,
+ *   enrolled: boolean,
+ *   revoked: boolean,
+ *   gate: string|null,
+ *   zones: string[]|null,
+ *   scan_modes: string[]|null,
+ *   session_ids: string[]|null
+ * }|null} null if this device has never checked in
+ */
+export function getDeviceConfig() {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICE_CONFIG_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check in with the server: registers a new device as pending and
+ * returns this device's gate configuration
+ *
+ * Falls back to the cached configuration when offline.
+ *
+ * @returns {Promise<object|null>} Same shape as getDeviceConfig
+ */
+export async function checkInDevice() {
+  try {
+    const { data, error } = await getTicketRepository().checkInDevice(getDeviceId());
+
+    if (error || !data?.success) {
+      console.error('Device check-in error:', error || data?.message);
+      return getDeviceConfig();
+    }
+
+    localStorage.setItem(DEVICE_CONFIG_KEY, JSON.stringify(data));
+    return data;
+  } catch (err) {
+    console.error('Unexpected device check-in error:', err);
+    return getDeviceConfig();
+  }
+}
+
+/**
+ * Get the gate this device is enrolled at
+ * @returns {string|null}
+ */
+export function getGateName() {
+  return getDeviceConfig()?.gate || null;
+}
+
+/**
+ * Whether the device's gate allows a scan mode
+ * @param {object|null} config - From getDeviceConfig / checkInDevice
+ * @param {string} mode - One of ScanModes
+ * @returns {boolean}
+ */
+export function isModeAllowed(config, mode) {
+  return (config?.scan_modes || ScanModes).includes(mode);
+}
+
+/**
+ * Sessions the device's gate scans (all when the gate has no list)
+ * @param {object|null} config
+ * @param {Array<{id: string}>} sessions
+ * @returns {Array<object>}
+ */
+export function getAllowedSessions(config, sessions) {
+  if (!config?.session_ids) return sessions;
+  return sessions.filter((session) => config.session_ids.includes(session.id));
+}
@@ -0,0 +1,124 @@
+/**
+ * Device Registry (admin)
+ *
+ * Lists scanner devices with their gate and last-seen time, enrols
+ * pending devices to a gate and revokes lost ones. Backed by the
+ * admin-only RPCs in 015_device_enrolment.sql.
+ *
+ * This device's own identity and enrolment live in device.js.
+ */
+
+import { supabase } from './supabase';
+
+/**
+ * Short code shown on an unregistered device and in the device list
+ * @param {string} deviceId
+ * @returns {string} e.g. "3F2A-91C0"
+ */
+export function getDeviceCode(deviceId) {
+  const hex = (deviceId || '').replace(/-/g, '').slice(0, 8).toUpperCase();
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+}
+
+/**
+ * Enrolment state of a device row
+ * @param {{gate: string|null, revoked_at: string|null}} device
+ * @returns {'revoked'|'pending'|'active'}
+ */
+export function getDeviceState(device) {
+  if (device.revoked_at) return 'revoked';
+  return device.gate ? 'active' : 'pending';
+}
+
+/**
+ * Fetch every registered device
+ * @returns {Promise<{success: boolean, message?: string, devices?: Array<{
+ *   id: string,
+ *   label: string,
+ *   gate: string|null,
+ *   enrolled_at: string|null,
+ *   enrolled_by: string|null,
+ *   last_seen_at: string,
+ *   last_volunteer: string|null,
+ *   revoked_at: string|null,
+ *   revoked_by: string|null,
+ *   revoke_reason: string|null
+ * }>}>}
+ */
+export async function fetchDevices() {
+  try {
+    const { data, error } = await supabase.rpc('admin_list_devices');
+
+    if (error || data?.error) {
+      console.error('Device list error:', error || data.error);
+      return {
+        success: false,
+        message: data?.error || 'Device list failed. Check connection.'
+      };
+    }
+
+    return { success: true, devices: data.devices };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error while loading devices'
+    };
+  }
+}
+
+/**
+ * Enrol a device to a gate (or move it / restore a revoked one)
+ *
+ * @param {string} deviceId
+ * @param {string} gate - Gate name
+ * @param {string} [label] - New label; keeps the current one if blank
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function enrolDevice(deviceId, gate, label) {
+  try {
+    const { data, error } = await supabase.rpc('admin_enrol_device', {
+      p_device_id: deviceId,
+      p_gate: gate,
+      p_label: label || null,
+    });
+
+    if (error) {
+      console.error('Device enrol error:', error);
+      return { success: false, message: 'Enrolment failed. Check connection.' };
+    }
+
+    return { success: data.success, message: data.message };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, message: 'System error during enrolment' };
+  }
+}
+
+/**
+ * Revoke a lost or retired device
+ *
+ * Its queued offline scans are rejected when they replay.
+ *
+ * @param {string} deviceId
+ * @param {string} reason - At least 10 characters
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function revokeDevice(deviceId, reason) {
+  try {
+    const { data, error } = await supabase.rpc('admin_revoke_device', {
+      p_device_id: deviceId,
+      p_reason: reason,
+    });
+
+    if (error) {
+      console.error('Device revoke error:', error);
+      return { success: false, message: 'Revoke failed. Check connection.' };
+    }
+
+    return { success: data.success, message: data.message };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, message: 'System error during revoke' };
+  }
+}
@@ -0,0 +1,827 @@
+/**
+ * In-Memory Ticket Repository
+ *
+ * A ticket repository (see ticketRepository.js) that keeps everything
+ * in memory and applies the same rules as the SQL functions:
+ *
+ * - verify_and_mark_ticket: device / gate checks, status, zone,
+ *   entitlement, group balance (015), the re-entry policy (019) and
+ *   the scan time of replayed offline scans (021)
+ * - record_exit (015 / 021)
+ * - admin_verify_pin, admin_force_allow, admin_reset_entry (004 / 005)
+ * - get_ticket_override_logs: gate leads and admins only (018)
+ * - search_tickets: phonetic names, partial codes and phone digits,
+ *   ranking and pagination (016 / 017). pg_trgm's word_similarity is
+ *   approximated word by word.
+ *
+ * Used for demo mode - where the state is kept in IndexedDB so it
+ * survives a reload - and for exercising the scanner without a
+ * Supabase project.
+ *
+ * When the SQL changes, change this file with it.
+ */
+
+import { DEFAULT_SESSIONS, isEntitled } from './sessions';
+import { DEFAULT_ACCESS, getTier, gateAdmitsTier } from './tiers';
+import { getReentryDenial, getReentryRule } from './reentry';
+import { isOfflineStoreSupported, getRecord, putRecord, STORES } from './offlineStore';
+import {
+  createDemoSeed,
+  DEMO_GATE,
+  DEMO_ADMIN_PIN,
+  DEMO_VOLUNTEER,
+} from './demoData';
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+const ADMIN_TOKEN_TTL_MS = 10 * 60 * 1000;
+const MAX_SCAN_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_SCAN_EVENTS = 500;
+const DEMO_STATE_KEY = 'demo_state';
+
+const ENTRY_MODES = ['qr', 'manual', 'search'];
+
+// Same rules, same order as phonetic_key() in 016_fuzzy_search.sql
+const PHONETIC_RULES = [
+  ['shr', 'sr'],
+  ['ksh', 'ks'],
+  ['x', 'ks'],
+  ['ph', 'f'],
+  ['sh', 's'],
+  ['th', 't'],
+  ['dh', 'd'],
+  ['bh', 'b'],
+  ['kh', 'k'],
+  ['gh', 'g'],
+  ['jh', 'j'],
+  ['w', 'v'],
+  ['z', 'j'],
+  ['q', 'k'],
+  ['ck', 'k'],
+  ['ee', 'i'],
+  ['oo', 'u'],
+  ['y', 'i'],
+];
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Phonetic key for Indian names written in Latin script
+ * Mirrors phonetic_key() in 016_fuzzy_search.sql.
+ *
+ * @param {string|null} text
+ * @returns {string}
+ */
+export function phoneticKey(text) {
+  let key = String(text || '').toLowerCase().replace(/[^a-z ]/g, '');
+  PHONETIC_RULES.forEach(([from, to]) => {
+    key = key.replaceAll(from, to);
+  });
+  return key.replace(/([a-z])\1+/g, '$1').replace(/h\b/g, '');
+}
+
+/**
+ * Digits only, without a +91 / leading 0 on ten-digit numbers
+ * Mirrors normalize_phone() in 012_walk_in_tickets.sql.
+ *
+ * @param {string|null} phone
+ * @returns {string}
+ */
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+}
+
+function trigrams(text) {
+  const set = new Set();
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const padded = `  ${word} `;
+      for (let i = 0; i < padded.length - 2; i++) {
+        set.add(padded.slice(i, i + 3));
+      }
+    });
+  return set;
+}
+
+function similarity(a, b) {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  if (!left.size || !right.size) return 0;
+  const shared = [...left].filter((trigram) => right.has(trigram)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+// Best match of the needle against the whole text or any one word of it
+function wordSimilarity(needle, text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  return Math.max(similarity(needle, text), ...words.map((word) => similarity(needle, word)));
+}
+
+function maskPhone(phone) {
+  if (!phone) return null;
+  return '•'.repeat(Math.max(phone.length - 4, 0)) + phone.slice(-4);
+}
+
+/**
+ * Create an in-memory ticket repository
+ *
+ * @param {object} [options]
+ * @param {Array<object>} [options.tickets] - {id, six_digit_code, name, email, college, phone,
+ *   ticket_status, headcount, tier_id, entitlements}
+ * @param {Array<object>} [options.usage] - session_usage rows {ticket_id, session_id, used_at, admitted_count}
+ * @param {Array<object>} [options.movements] - gate_movements rows {ticket_id, session_id, direction, created_at}
+ * @param {Array<object>} [options.sessions] - Defaults to DEFAULT_SESSIONS
+ * @param {{tiers: Array<object>, gates: Array<object>, event?: object}} [options.access] - Defaults to DEFAULT_ACCESS (event: see reentry.js)
+ * @param {string|null} [options.gate] - Gate every device is enrolled at (null = not enrolled)
+ * @param {string[]} [options.revokedDevices] - Device ids that answer DEVICE_REVOKED
+ * @param {string} [options.adminPin]
+ * @param {{id: string, name: string, role: string}|null} [options.volunteer] - Signed-in volunteer (null = signed out)
+ * @param {{load: () => Promise<object|null>, save: (state: object) => Promise<void>}} [options.storage]
+ *   Where tickets, usage, movements and logs are kept between page loads
+ * @param {() => Date} [options.now] - Clock
+ * @returns {import('./ticketRepository').TicketRepository & {getState: () => object}}
+ */
+export function createMemoryTicketRepository({
+  tickets = [],
+  usage = [],
+  movements = [],
+  sessions = DEFAULT_SESSIONS,
+  access = DEFAULT_ACCESS,
+  gate = DEMO_GATE,
+  revokedDevices = [],
+  adminPin = DEMO_ADMIN_PIN,
+  volunteer = DEMO_VOLUNTEER,
+  storage = null,
+  now = () => new Date(),
+} = {}) {
+  let state = {
+    tickets: tickets.map((ticket) => ({ ...ticket })),
+    usage: usage.map((row) => ({ ...row })),
+    movements: movements.map((row, index) => ({ ...row, seq: index + 1 })),
+    overrideLogs: [],
+    scanEvents: [],
+  };
+  let sequence = state.movements.length;
+  const adminTokens = new Map();
+  const pinAttempts = new Map();
+
+  // Stored state replaces the seed once, before the first call
+  const ready = storage
+    ? storage.load().then((stored) => {
+      if (stored) {
+        state = stored;
+        sequence = Math.max(0, ...stored.movements.map((row) => row.seq));
+      }
+    }).catch((err) => console.error('Demo state load error:', err))
+    : Promise.resolve();
+
+  const persist = async () => {
+    if (!storage) return;
+    try {
+      await storage.save(state);
+    } catch (err) {
+      console.error('Demo state save error:', err);
+    }
+  };
+
+  // Every method answers like supabase-js, once the stored state is loaded
+  const respond = (run) => async (...args) => {
+    await ready;
+    try {
+      return { data: await run(...args), error: null };
+    } catch (err) {
+      return { data: null, error: { message: err.message } };
+    }
+  };
+
+  // The stand-in for the ticket row lock (SELECT ... FOR UPDATE) in the
+  // SQL functions: calls for one ticket run one at a time, calls for
+  // other tickets carry on in between
+  const ticketLocks = new Map();
+  const lockTicket = (run) => (params) => {
+    const held = ticketLocks.get(params.ticketId) || Promise.resolve();
+    const call = held.then(() => run(params));
+    const released = call.catch(() => {});
+    ticketLocks.set(params.ticketId, released);
+    released.then(() => {
+      if (ticketLocks.get(params.ticketId) === released) ticketLocks.delete(params.ticketId);
+    });
+    return call;
+  };
+
+  // A database answers each statement separately; other calls run
+  // between a function's reads and its writes, as they would in
+  // concurrent transactions
+  const roundTrip = () => Promise.resolve();
+
+  const timestamp = () => now().toISOString();
+  const findTicket = (ticketId) => state.tickets.find((ticket) => ticket.id === ticketId) || null;
+  const findSession = (sessionId) => sessions.find((session) => session.id === sessionId) || null;
+  const findUsage = (ticketId, sessionId) =>
+    state.usage.find((row) => row.ticket_id === ticketId && row.session_id === sessionId) || null;
+
+  const addMovement = (ticketId, sessionId, direction, createdAt = timestamp()) => {
+    sequence += 1;
+    state.movements.push({
+      ticket_id: ticketId,
+      session_id: sessionId,
+      direction,
+      created_at: createdAt,
+      seq: sequence,
+    });
+  };
+
+  // scan_time(): the device's time for a replayed scan, but never ahead
+  // of the clock, more than a day back or before the last movement
+  const scanTime = (scannedAt, ticketId, sessionId) => {
+    const current = now().getTime();
+    const latest = state.movements
+      .filter((row) => row.ticket_id === ticketId && row.session_id === sessionId)
+      .map((row) => new Date(row.created_at).getTime());
+    const at = Math.max(
+      Math.min(scannedAt ? new Date(scannedAt).getTime() : current, current),
+      current - MAX_SCAN_AGE_MS,
+      ...latest,
+    );
+    return new Date(at).toISOString();
+  };
+
+  // ticket_is_inside(): latest movement for the session is 'in'
+  const isInside = (ticketId, sessionId) => {
+    const latest = state.movements
+      .filter((row) => row.ticket_id === ticketId && row.session_id === sessionId)
+      .reduce((last, row) => (!last || row.seq > last.seq ? row : last), null);
+    return latest?.direction === 'in';
+  };
+
+  // Latest 'in' movement for the session
+  const lastAdmission = (ticketId, sessionId) => state.movements
+    .filter((row) => row.ticket_id === ticketId && row.session_id === sessionId && row.direction === 'in')
+    .reduce((last, row) => (!last || row.seq > last.seq ? row : last), null)?.created_at || null;
+
+  const getGate = () => access.gates.find((candidate) => candidate.name === gate) || null;
+
+  // device_scan_denial(): null when the device may scan
+  const deviceDenial = (deviceId, sessionId, mode) => {
+    if (!deviceId) {
+      return volunteer?.role === 'admin'
+        ? null
+        : { allowed: false, reason: 'DEVICE_NOT_ENROLLED', message: 'This device is not registered to a gate' };
+    }
+    if (!gate) {
+      return { allowed: false, reason: 'DEVICE_NOT_ENROLLED', message: 'This device is not registered to a gate' };
+    }
+    if (revokedDevices.includes(deviceId)) {
+      return { allowed: false, reason: 'DEVICE_REVOKED', message: 'This device has been revoked - hand it to the gate lead' };
+    }
+
+    const gateRow = getGate();
+    const scanModes = gateRow?.scan_modes || ['qr', 'manual', 'search', 'exit'];
+    if (mode === 'exit' && !scanModes.includes('exit')) {
+      return { allowed: false, reason: 'GATE_RESTRICTED', message: `Exits are not scanned at ${gate}` };
+    }
+    if (mode === 'entry' && !scanModes.some((scanMode) => ENTRY_MODES.includes(scanMode))) {
+      return { allowed: false, reason: 'GATE_RESTRICTED', message: `Entries are not scanned at ${gate}` };
+    }
+    if (gateRow?.session_ids && !gateRow.session_ids.includes(sessionId)) {
+      return { allowed: false, reason: 'GATE_RESTRICTED', message: `This session is not scanned at ${gate}` };
+    }
+    return null;
+  };
+
+  // check_admin_token()
+  const checkAdminToken = (token) => {
+    const expiresAt = adminTokens.get(token);
+    if (!expiresAt || expiresAt <= now().getTime()) return false;
+    return ['gate_lead', 'admin'].includes(volunteer?.role);
+  };
+
+  const logOverride = (ticketId, action, sessionId, reason) => {
+    state.overrideLogs.push({
+      id: state.overrideLogs.length + 1,
+      ticket_id: ticketId,
+      admin_action: action,
+      day: sessionId,
+      reason: reason.trim(),
+      details: null,
+      admin_identifier: volunteer?.name || null,
+      created_at: timestamp(),
+    });
+  };
+
+  const verifyAndMarkTicket = async ({ ticketId, sessionId, count = null, deviceId = null, scannedAt = null }) => {
+    if (!volunteer) {
+      return { allowed: false, reason: 'ERROR', message: 'Not signed in' };
+    }
+
+    const session = findSession(sessionId);
+    if (!session) {
+      return { allowed: false, reason: 'ERROR', message: 'No active session selected' };
+    }
+    const sessionInfo = { session_id: session.id, session_label: session.label };
+
+    const denial = deviceDenial(deviceId, session.id, 'entry');
+    if (denial) return { ...denial, ...sessionInfo };
+
+    const ticket = findTicket(ticketId);
+    if (!ticket) {
+      return { allowed: false, reason: 'INVALID_TICKET', message: 'Invalid ticket - not found' };
+    }
+
+    const tier = getTier(access, ticket.tier_id);
+    const tierInfo = { tier: tier?.id, tier_label: tier?.label, tier_color: tier?.color };
+
+    if (ticket.ticket_status === 'cancelled') {
+      return { allowed: false, reason: 'CANCELLED', message: 'Ticket was cancelled', name: ticket.name, ...tierInfo };
+    }
+    if (ticket.ticket_status === 'replaced') {
+      return {
+        allowed: false,
+        reason: 'REPLACED',
+        message: 'Ticket was reissued - old QR no longer valid',
+        name: ticket.name,
+        ...tierInfo,
+      };
+    }
+    if (!['valid', 'used'].includes(ticket.ticket_status)) {
+      return {
+        allowed: false,
+        reason: 'INVALID_TICKET',
+        message: `Ticket is ${ticket.ticket_status}`,
+        name: ticket.name,
+        ...tierInfo,
+      };
+    }
+
+    if (!gateAdmitsTier(access, gate, ticket.tier_id)) {
+      return {
+        allowed: false,
+        reason: 'WRONG_ZONE',
+        message: `${tier?.label} ticket not valid at ${gate}`,
+        name: ticket.name,
+        ...sessionInfo,
+        ...tierInfo,
+      };
+    }
+
+    if (!isEntitled(ticket.entitlements, session)) {
+      return {
+        allowed: false,
+        reason: 'NOT_ENTITLED',
+        message: `${session.label} not included in this ticket`,
+        name: ticket.name,
+        ...sessionInfo,
+        ...tierInfo,
+      };
+    }
+
+    const scannedTime = scanTime(scannedAt, ticket.id, session.id);
+    const headcount = ticket.headcount || 1;
+    const existing = findUsage(ticket.id, session.id);
+    const remaining = headcount - (existing ? existing.admitted_count || 1 : 0);
+    await roundTrip();
+
+    // Group still arriving: admit the requested count
+    if (headcount > 1 && remaining > 0) {
+      if (!count || count < 1 || count > remaining) {
+        return {
+          allowed: false,
+          reason: 'GROUP_COUNT',
+          message: count
+            ? `Only ${remaining} of the group remaining`
+            : `Group of ${headcount} - ${remaining} remaining`,
+          name: ticket.name,
+          ticket_id: ticket.id,
+          ...sessionInfo,
+          headcount,
+          remaining,
+          ...tierInfo,
+        };
+      }
+
+      if (existing) {
+        existing.admitted_count += count;
+      } else {
+        state.usage.push({ ticket_id: ticket.id, session_id: session.id, used_at: scannedTime, admitted_count: count });
+      }
+      addMovement(ticket.id, session.id, 'in', scannedTime);
+      ticket.ticket_status = 'used';
+      await persist();
+
+      return {
+        allowed: true,
+        reason: 'VALID',
+        message: `Admitted ${count} of group to ${session.label}`,
+        name: ticket.name,
+        ...sessionInfo,
+        headcount,
+        admitted: count,
+        remaining: remaining - count,
+        ...tierInfo,
+      };
+    }
+
+    if (existing) {
+      // Re-entry follows the tier's / event's policy (reentry_denial)
+      const denial = getReentryDenial(getReentryRule(access, ticket.tier_id), {
+        session,
+        lastAdmittedAt: lastAdmission(ticket.id, session.id) || existing.used_at,
+        inside: isInside(ticket.id, session.id),
+        headcount,
+        now: new Date(scannedTime),
+      });
+      if (denial) {
+        return {
+          ...denial,
+          name: ticket.name,
+          ...sessionInfo,
+          used_at: existing.used_at,
+          headcount,
+          remaining: 0,
+          ...tierInfo,
+        };
+      }
+
+      addMovement(ticket.id, session.id, 'in', scannedTime);
+      await persist();
+
+      return {
+        allowed: true,
+        reason: 'VALID',
+        message: `Re-entry to ${session.label}`,
+        name: ticket.name,
+        ...sessionInfo,
+        headcount,
+        ...tierInfo,
+      };
+    }
+
+    // First admission
+    state.usage.push({ ticket_id: ticket.id, session_id: session.id, used_at: scannedTime, admitted_count: 1 });
+    addMovement(ticket.id, session.id, 'in', scannedTime);
+    ticket.ticket_status = 'used';
+    await persist();
+
+    return {
+      allowed: true,
+      reason: 'VALID',
+      message: `Welcome to ${session.label}`,
+      name: ticket.name,
+      ...sessionInfo,
+      ...tierInfo,
+    };
+  };
+
+  const recordExit = async ({ ticketId, sessionId, deviceId = null, scannedAt = null }) => {
+    if (!volunteer) {
+      return { allowed: false, reason: 'ERROR', message: 'Not signed in' };
+    }
+
+    const session = findSession(sessionId);
+    if (!session) {
+      return { allowed: false, reason: 'ERROR', message: 'No active session selected' };
+    }
+    const sessionInfo = { session_id: session.id, session_label: session.label };
+
+    const denial = deviceDenial(deviceId, session.id, 'exit');
+    if (denial) return { ...denial, ...sessionInfo };
+
+    const ticket = findTicket(ticketId);
+    if (!ticket) {
+      return { allowed: false, reason: 'INVALID_TICKET', message: 'Invalid ticket - not found' };
+    }
+
+    if (!isInside(ticket.id, session.id)) {
+      return {
+        allowed: false,
+        reason: 'NOT_INSIDE',
+        message: `No entry recorded for ${session.label}`,
+        name: ticket.name,
+        ...sessionInfo,
+      };
+    }
+    await roundTrip();
+
+    addMovement(ticket.id, session.id, 'out', scanTime(scannedAt, ticket.id, session.id));
+    await persist();
+
+    return {
+      allowed: true,
+      reason: 'EXITED',
+      message: `Exit recorded - may re-enter ${session.label}`,
+      name: ticket.name,
+      ...sessionInfo,
+    };
+  };
+
+  const searchTickets = ({ query, limit = 20, offset = 0 }) => {
+    const text = String(query || '').trim().toLowerCase();
+    if (!volunteer || text.length < 2) return [];
+
+    const id = UUID_REGEX.test(text) ? text : null;
+    const like = (value) => String(value || '').toLowerCase().includes(text);
+
+    // Digits only count as a code / phone search when the query is mostly digits
+    let digits = text.replace(/\D/g, '');
+    digits = digits.length < 3 || digits.length < text.replace(/[\s+()-]/g, '').length
+      ? null
+      : normalizePhone(digits);
+
+    const phonetic = phoneticKey(text);
+
+    const ranked = state.tickets
+      .map((ticket) => {
+        const name = String(ticket.name || '').toLowerCase();
+        const email = String(ticket.email || '').toLowerCase();
+        const college = String(ticket.college || '').toLowerCase();
+        const phone = normalizePhone(ticket.phone);
+        const code = ticket.six_digit_code || '';
+
+        let codeScore = 0;
+        if (ticket.id === id || (digits && code === digits)) codeScore = 1;
+        else if (digits && code.startsWith(digits)) codeScore = 0.9;
+        else if (digits && code.includes(digits)) codeScore = 0.7;
+
+        let phoneScore = 0;
+        if (digits?.length >= 4 && phone === digits) phoneScore = 1;
+        else if (digits?.length >= 4 && phone.includes(digits)) phoneScore = 0.8;
+
+        const nameSimilarity = wordSimilarity(text, name);
+        const phoneticSimilarity = wordSimilarity(phonetic, phoneticKey(ticket.name));
+        const nameScore = Math.max(nameSimilarity, phoneticSimilarity * 0.95, like(name) ? 0.9 : 0);
+
+        const emailSimilarity = wordSimilarity(text, email);
+        let emailScore = emailSimilarity * 0.8;
+        if (email === text) emailScore = 1;
+        else if (like(email)) emailScore = 0.85;
+
+        const collegeScore = like(college) ? 0.6 : wordSimilarity(text, college) * 0.5;
+
+        const candidate = ticket.id === id
+          || codeScore > 0
+          || phoneScore > 0
+          || nameSimilarity >= 0.5
+          || phoneticSimilarity >= 0.5
+          || like(name)
+          || like(email)
+          || emailSimilarity >= 0.5
+          || like(college);
+
+        if (!candidate) return null;
+
+        return {
+          id: ticket.id,
+          six_digit_code: ticket.six_digit_code,
+          name: ticket.name,
+          email: ticket.email,
+          college: ticket.college || null,
+          phone: maskPhone(phone),
+          ticket_status: ticket.ticket_status,
+          headcount: ticket.headcount || 1,
+          tier_id: ticket.tier_id || null,
+          session_usage: state.usage
+            .filter((row) => row.ticket_id === ticket.id)
+            .map((row) => ({ session_id: row.session_id, used_at: row.used_at, admitted_count: row.admitted_count })),
+          matched: [
+            codeScore > 0 && 'code',
+            phoneScore > 0 && 'phone',
+            nameScore >= 0.5 && 'name',
+            emailScore >= 0.5 && 'email',
+            collegeScore >= 0.3 && 'college',
+          ].filter(Boolean),
+          score: Math.max(codeScore, phoneScore, nameScore, emailScore, collegeScore),
+        };
+      })
+      .filter(Boolean)
+      // id breaks ties so pages don't overlap
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+
+    const pageSize = Math.min(Math.max(limit || 20, 1), 50);
+    const start = Math.max(offset || 0, 0);
+    return ranked
+      .slice(start, start + pageSize)
+      .map((row) => ({ ...row, total_count: ranked.length }));
+  };
+
+  const verifyAdminPin = async ({ pin, deviceId }) => {
+    if (!['gate_lead', 'admin'].includes(volunteer?.role)) {
+      return { success: false, message: 'Only gate leads and admins can override' };
+    }
+    if (!deviceId) {
+      return { success: false, message: 'Device not identified' };
+    }
+
+    const attempts = pinAttempts.get(deviceId) || { failed: 0, lockedUntil: null };
+    if (attempts.lockedUntil && attempts.lockedUntil > now().getTime()) {
+      return {
+        success: false,
+        message: 'Too many failed attempts. PIN locked.',
+        locked_until: new Date(attempts.lockedUntil).toISOString(),
+      };
+    }
+    if (attempts.lockedUntil) {
+      attempts.failed = 0;
+      attempts.lockedUntil = null;
+    }
+
+    if (pin !== adminPin) {
+      attempts.failed += 1;
+      if (attempts.failed >= MAX_PIN_ATTEMPTS) {
+        attempts.lockedUntil = now().getTime() + PIN_LOCKOUT_MS;
+      }
+      pinAttempts.set(deviceId, attempts);
+      return {
+        success: false,
+        message: attempts.lockedUntil ? 'Too many failed attempts. PIN locked.' : 'Invalid admin PIN',
+        attempts_remaining: Math.max(MAX_PIN_ATTEMPTS - attempts.failed, 0),
+        locked_until: attempts.lockedUntil ? new Date(attempts.lockedUntil).toISOString() : null,
+      };
+    }
+
+    pinAttempts.delete(deviceId);
+    adminTokens.clear();
+
+    const token = crypto.randomUUID();
+    const expiresAt = now().getTime() + ADMIN_TOKEN_TTL_MS;
+    adminTokens.set(token, expiresAt);
+
+    return {
+      success: true,
+      message: 'Admin access granted',
+      token,
+      expires_at: new Date(expiresAt).toISOString(),
+    };
+  };
+
+  const forceAllow = async ({ ticketId, sessionId = null, reason, adminToken }) => {
+    if (!checkAdminToken(adminToken)) {
+      return { success: false, message: 'Admin session expired. Re-enter PIN.' };
+    }
+    if (String(reason || '').trim().length < 10) {
+      return { success: false, message: 'Reason must be at least 10 characters' };
+    }
+
+    const ticket = findTicket(ticketId);
+    if (!ticket) {
+      return { success: false, message: 'Ticket not found' };
+    }
+
+    if (sessionId && !findUsage(ticket.id, sessionId)) {
+      state.usage.push({ ticket_id: ticket.id, session_id: sessionId, used_at: timestamp(), admitted_count: 1 });
+      addMovement(ticket.id, sessionId, 'in');
+    }
+
+    ticket.ticket_status = 'used';
+    logOverride(ticket.id, 'ALLOW', sessionId, reason);
+    await persist();
+
+    return { success: true, message: `Entry forced for ${ticket.name}` };
+  };
+
+  const resetEntry = async ({ ticketId, sessionId = null, reason, adminToken }) => {
+    if (!checkAdminToken(adminToken)) {
+      return { success: false, message: 'Admin session expired. Re-enter PIN.' };
+    }
+    if (String(reason || '').trim().length < 10) {
+      return { success: false, message: 'Reason must be at least 10 characters' };
+    }
+
+    const ticket = findTicket(ticketId);
+    if (!ticket) {
+      return { success: false, message: 'Ticket not found' };
+    }
+
+    // Reset one session, or every session when none is given.
+    // Whoever was let in by mistake is no longer inside.
+    const resetRows = state.usage.filter(
+      (row) => row.ticket_id === ticket.id && (!sessionId || row.session_id === sessionId)
+    );
+    resetRows.forEach((row) => {
+      if (isInside(ticket.id, row.session_id)) {
+        addMovement(ticket.id, row.session_id, 'out');
+      }
+    });
+    state.usage = state.usage.filter((row) => !resetRows.includes(row));
+
+    if (!state.usage.some((row) => row.ticket_id === ticket.id)) {
+      ticket.ticket_status = 'valid';
+    }
+
+    logOverride(ticket.id, 'RESET', sessionId, reason);
+    await persist();
+
+    return { success: true, message: `Entry reset for ${ticket.name}` };
+  };
+
+  const toRosterRow = (ticket) => ({
+    id: ticket.id,
+    six_digit_code: ticket.six_digit_code,
+    name: ticket.name,
+    ticket_status: ticket.ticket_status,
+    headcount: ticket.headcount || 1,
+    tier_id: ticket.tier_id || null,
+    ticket_entitlements: (ticket.entitlements || []).map((sessionId) => ({ session_id: sessionId })),
+    session_usage: state.usage
+      .filter((row) => row.ticket_id === ticket.id)
+      .map((row) => ({ session_id: row.session_id, used_at: row.used_at, admitted_count: row.admitted_count })),
+    gate_movements: state.movements
+      .filter((row) => row.ticket_id === ticket.id)
+      .map((row) => ({ session_id: row.session_id, direction: row.direction, created_at: row.created_at })),
+  });
+
+  const toTicketRow = ({ phone: _phone, entitlements: _entitlements, ...ticket }) => ({ ...ticket });
+
+  return {
+    verifyAndMarkTicket: respond(lockTicket(verifyAndMarkTicket)),
+
+    recordExit: respond(lockTicket(recordExit)),
+
+    getTicket: respond((ticketId) => {
+      const ticket = findTicket(ticketId);
+      return ticket ? toTicketRow(ticket) : null;
+    }),
+
+    findTicketByCode: respond((code) => {
+      const ticket = state.tickets.find((candidate) => candidate.six_digit_code === code);
+      return ticket ? { id: ticket.id, six_digit_code: ticket.six_digit_code } : null;
+    }),
+
+    searchTickets: respond(searchTickets),
+
+    fetchRosterPage: respond(({ from, to }) =>
+      [...state.tickets]
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .slice(from, to + 1)
+        .map(toRosterRow)
+    ),
+
+    verifyAdminPin: respond(verifyAdminPin),
+
+    forceAllow: respond(lockTicket(forceAllow)),
+
+    resetEntry: respond(lockTicket(resetEntry)),
+
+    getOverrideLogs: respond((ticketId) => {
+      if (!['gate_lead', 'admin'].includes(volunteer?.role)) return [];
+      return state.overrideLogs
+        .filter((log) => log.ticket_id === ticketId)
+        .reverse();
+    }),
+
+    checkInDevice: respond((deviceId) => {
+      if (!volunteer) return { success: false, message: 'Not signed in' };
+      const gateRow = getGate();
+      const revoked = revokedDevices.includes(deviceId);
+      return {
+        success: true,
+        device_id: deviceId,
+        label: `${volunteer.name}'s device`,
+        enrolled: Boolean(gate) && !revoked,
+        revoked,
+        gate,
+        zones: gateRow?.zones || null,
+        scan_modes: gateRow?.scan_modes || null,
+        session_ids: gateRow?.session_ids || null,
+      };
+    }),
+
+    getOccupancy: respond((sessionId) => {
+      const session = findSession(sessionId);
+      if (!session || !volunteer) return null;
+      const inside = state.tickets
+        .filter((ticket) => isInside(ticket.id, session.id))
+        .reduce((sum, ticket) => sum + (findUsage(ticket.id, session.id)?.admitted_count || 1), 0);
+      return { session_id: session.id, inside, capacity: session.capacity ?? null };
+    }),
+
+    insertScanEvent: respond(async (row) => {
+      state.scanEvents = [...state.scanEvents, row].slice(-MAX_SCAN_EVENTS);
+      await persist();
+      return null;
+    }),
+
+    /**
+     * Snapshot of the stored state (tests)
+     * @returns {object}
+     */
+    getState: () => structuredClone(state),
+  };
+}
+
+/**
+ * The demo repository: demo attendees, kept in IndexedDB when available
+ * @returns {import('./ticketRepository').TicketRepository}
+ */
+export function createDemoTicketRepository() {
+  const storage = isOfflineStoreSupported()
+    ? {
+      load: async () => (await getRecord(STORES.META, DEMO_STATE_KEY))?.state || null,
+      save: (state) => putRecord(STORES.META, { key: DEMO_STATE_KEY, state }),
+    }
+    : null;
+
+  return createMemoryTicketRepository({ ...createDemoSeed(), storage });
+}
@@ -0,0 +1,54 @@
+/**
+ * Live Occupancy
+ *
+ * The inside-count is computed server-side from gate_movements (see
+ * get_occupancy): tickets whose latest movement for the session is 'in'.
+ * The scanner polls it and warns as the session nears its capacity.
+ */
+
+import { getCapacityWarningPercent } from './supabase';
+import { getTicketRepository } from './ticketRepository';
+
+export const OccupancyLevel = {
+  OK: 'ok',
+  WARNING: 'warning',
+  FULL: 'full',
+};
+
+/**
+ * Fetch the current inside-count for a session
+ *
+ * @param {string} sessionId
+ * @returns {Promise<{inside: number, capacity: number|null}|null>} null when unavailable
+ */
+export async function fetchOccupancy(sessionId) {
+  if (!sessionId) return null;
+
+  try {
+    const { data, error } = await getTicketRepository().getOccupancy(sessionId);
+
+    if (error || !data) {
+      if (error) console.error('Occupancy error:', error);
+      return null;
+    }
+
+    return { inside: data.inside || 0, capacity: data.capacity ?? null };
+  } catch (err) {
+    console.error('Unexpected occupancy error:', err);
+    return null;
+  }
+}
+
+/**
+ * Classify an inside-count against the session capacity
+ *
+ * @param {number} inside
+ * @param {number|null} capacity
+ * @returns {string} OccupancyLevel value
+ */
+export function getOccupancyLevel(inside, capacity) {
+  if (!capacity) return OccupancyLevel.OK;
+  if (inside >= capacity) return OccupancyLevel.FULL;
+  if (inside >= (capacity * getCapacityWarningPercent()) / 100) return OccupancyLevel.WARNING;
+  return OccupancyLevel.OK;
+}
@@ -0,0 +1,193 @@
+/**
+ * Offline Store
+ *
+ * Thin promise wrapper around IndexedDB for offline scanning.
+ *
+ * Object stores:
+ * - tickets:   Roster snapshot (id, six_digit_code, name, ticket_status)
+ * - queue:     Pending verify_and_mark_ticket calls made while offline
+ * - conflicts: Queued scans the server rejected during replay
+ * - scan_events: Scan log entries waiting to be uploaded
+ * - meta:      Key/value settings (e.g. last roster download time)
+ */
+
+const DB_NAME = 'yatra_scanner_offline';
+const DB_VERSION = 2;
+
+export const STORES = {
+  TICKETS: 'tickets',
+  QUEUE: 'queue',
+  CONFLICTS: 'conflicts',
+  META: 'meta',
+  SCAN_EVENTS: 'scan_events',
+};
+
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available in this browser
+ * @returns {boolean}
+ */
+export function isOfflineStoreSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(STORES.TICKETS)) {
+        const tickets = db.createObjectStore(STORES.TICKETS, { keyPath: 'id' });
+        tickets.createIndex('six_digit_code', 'six_digit_code', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.QUEUE)) {
+        db.createObjectStore(STORES.QUEUE, { keyPath: 'queue_id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(STORES.CONFLICTS)) {
+        db.createObjectStore(STORES.CONFLICTS, { keyPath: 'conflict_id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(STORES.META)) {
+        db.createObjectStore(STORES.META, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.SCAN_EVENTS)) {
+        db.createObjectStore(STORES.SCAN_EVENTS, { keyPath: 'event_id', autoIncrement: true });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve when it commits
+ *
+ * @param {string|string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(tx: IDBTransaction) => any} callback
+ * @returns {Promise<any>} Value returned by the callback (awaited requests resolved)
+ */
+async function withTransaction(storeNames, mode, callback) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(callback(tx)).then((value) => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get a single record by key
+ * @param {string} storeName
+ * @param {any} key
+ * @returns {Promise<object|undefined>}
+ */
+export function getRecord(storeName, key) {
+  return withTransaction(storeName, 'readonly', (tx) =>
+    requestToPromise(tx.objectStore(storeName).get(key))
+  );
+}
+
+/**
+ * Get the first record matching an index value
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {any} value
+ * @returns {Promise<object|undefined>}
+ */
+export function getRecordByIndex(storeName, indexName, value) {
+  return withTransaction(storeName, 'readonly', (tx) =>
+    requestToPromise(tx.objectStore(storeName).index(indexName).get(value))
+  );
+}
+
+/**
+ * Get every record in a store
+ * @param {string} storeName
+ * @returns {Promise<Array<object>>}
+ */
+export function getAllRecords(storeName) {
+  return withTransaction(storeName, 'readonly', (tx) =>
+    requestToPromise(tx.objectStore(storeName).getAll())
+  );
+}
+
+/**
+ * Count records in a store
+ * @param {string} storeName
+ * @returns {Promise<number>}
+ */
+export function countRecords(storeName) {
+  return withTransaction(storeName, 'readonly', (tx) =>
+    requestToPromise(tx.objectStore(storeName).count())
+  );
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName
+ * @param {object} record
+ * @returns {Promise<any>} Record key
+ */
+export function putRecord(storeName, record) {
+  return withTransaction(storeName, 'readwrite', (tx) =>
+    requestToPromise(tx.objectStore(storeName).put(record))
+  );
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName
+ * @param {any} key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return withTransaction(storeName, 'readwrite', (tx) => {
+    tx.objectStore(storeName).delete(key);
+  });
+}
+
+/**
+ * Remove every record from a store
+ * @param {string} storeName
+ * @returns {Promise<void>}
+ */
+export function clearStore(storeName) {
+  return withTransaction(storeName, 'readwrite', (tx) => {
+    tx.objectStore(storeName).clear();
+  });
+}
+
+/**
+ * Replace the contents of a store in a single transaction
+ * @param {string} storeName
+ * @param {Array<object>} records
+ * @returns {Promise<void>}
+ */
+export function replaceAllRecords(storeName, records) {
+  return withTransaction(storeName, 'readwrite', (tx) => {
+    const store = tx.objectStore(storeName);
+    store.clear();
+    records.forEach((record) => store.put(record));
+  });
+}
@@ -0,0 +1,637 @@
+/**
+ * Offline Sync Service
+ *
+ * Keeps the gate running when the venue network drops:
+ * - Downloads the ticket roster into IndexedDB while online
+ * - Verifies scans against that roster while offline
+ * - Queues each offline admission / exit as a pending verify_and_mark_ticket
+ *   or record_exit call
+ * - Replays the queue once connectivity returns and records conflicts
+ *
+ * IMPORTANT: Offline verification is best-effort. Two devices offline at the
+ * same time can both admit the same ticket; replay reports this as a conflict
+ * so a gate lead can follow up.
+ */
+
+import { getTicketRepository } from './ticketRepository';
+import { isEntitled } from './sessions';
+import { fetchAccess, getCachedAccess, getTier, gateAdmitsTier } from './tiers';
+import { getReentryDenial, getReentryRule } from './reentry';
+import { getGateName, getDeviceId } from './device';
+import {
+  STORES,
+  isOfflineStoreSupported,
+  getRecord,
+  getRecordByIndex,
+  getAllRecords,
+  countRecords,
+  putRecord,
+  deleteRecord,
+  clearStore,
+  replaceAllRecords,
+} from './offlineStore';
+
+const ROSTER_PAGE_SIZE = 1000;
+const ROSTER_META_KEY = 'roster';
+
+// Statuses with their own result code; anything else is INVALID_TICKET
+const STATUS_REJECTIONS = {
+  cancelled: { reason: 'CANCELLED', message: 'Ticket was cancelled' },
+  replaced: { reason: 'REPLACED', message: 'Ticket was reissued - old QR no longer valid' },
+};
+
+let replayInProgress = null;
+
+/**
+ * Check whether the browser reports a network connection
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Detect errors caused by the network rather than the database.
+ * supabase-js reports fetch failures as an error object, not a throw.
+ *
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!isOnline()) return true;
+  const message = String(error?.message || error || '');
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(message);
+}
+
+/**
+ * Download the full ticket roster into IndexedDB
+ *
+ * Each ticket carries its entitled sessions, the sessions it has
+ * already been admitted to (with the count admitted, for groups, and
+ * the time of the latest admission) and the sessions it is currently
+ * inside.
+ * Pending offline scans are re-applied so a refresh can't re-open
+ * them before the queue has replayed.
+ *
+ * @returns {Promise<{success: boolean, count: number, message: string}>}
+ */
+export async function downloadRoster() {
+  if (!isOfflineStoreSupported()) {
+    return { success: false, count: 0, message: 'Offline mode not supported on this browser' };
+  }
+
+  try {
+    const tickets = [];
+    let from = 0;
+
+    // PostgREST caps each response, so page through the table
+    for (;;) {
+      const { data, error } = await getTicketRepository().fetchRosterPage({
+        from,
+        to: from + ROSTER_PAGE_SIZE - 1,
+      });
+
+      if (error) {
+        console.error('Roster download error:', error);
+        return { success: false, count: 0, message: 'Roster download failed. Check connection.' };
+      }
+
+      tickets.push(...data);
+      if (data.length < ROSTER_PAGE_SIZE) break;
+      from += ROSTER_PAGE_SIZE;
+    }
+
+    // Refreshes the cached tiers / gates used for offline zone checks
+    await fetchAccess();
+
+    const pending = await getAllRecords(STORES.QUEUE);
+
+    const records = tickets.map((ticket) => {
+      const usedSessions = new Set((ticket.session_usage || []).map((usage) => usage.session_id));
+      const insideSessions = getInsideSessions(ticket.gate_movements || []);
+      const admittedCounts = Object.fromEntries(
+        (ticket.session_usage || []).map((usage) => [usage.session_id, usage.admitted_count || 1])
+      );
+      const lastAdmitted = getLastAdmissions(ticket.session_usage || [], ticket.gate_movements || []);
+
+      pending
+        .filter((item) => item.ticket_id === ticket.id)
+        .forEach((item) => {
+          if (item.direction === 'out') {
+            insideSessions.delete(item.session_id);
+          } else {
+            usedSessions.add(item.session_id);
+            insideSessions.add(item.session_id);
+            lastAdmitted[item.session_id] = item.scanned_at;
+            if (item.count) {
+              admittedCounts[item.session_id] = (admittedCounts[item.session_id] || 0) + item.count;
+            }
+          }
+        });
+
+      return {
+        id: ticket.id,
+        six_digit_code: ticket.six_digit_code,
+        name: ticket.name,
+        ticket_status: ticket.ticket_status,
+        headcount: ticket.headcount || 1,
+        tier_id: ticket.tier_id,
+        entitlements: (ticket.ticket_entitlements || []).map((grant) => grant.session_id),
+        used_sessions: [...usedSessions],
+        inside_sessions: [...insideSessions],
+        admitted_counts: admittedCounts,
+        last_admitted: lastAdmitted,
+      };
+    });
+
+    await replaceAllRecords(STORES.TICKETS, records);
+    await putRecord(STORES.META, {
+      key: ROSTER_META_KEY,
+      count: records.length,
+      downloaded_at: new Date().toISOString(),
+    });
+
+    return { success: true, count: records.length, message: `${records.length} tickets cached` };
+  } catch (err) {
+    console.error('Unexpected roster error:', err);
+    return { success: false, count: 0, message: 'Roster download failed' };
+  }
+}
+
+/**
+ * Sessions whose latest movement is 'in'
+ * @param {Array<{session_id: string, direction: string, created_at: string}>} movements
+ * @returns {Set<string>}
+ */
+function getInsideSessions(movements) {
+  const latest = new Map();
+  [...movements]
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .forEach((movement) => latest.set(movement.session_id, movement.direction));
+
+  return new Set([...latest].filter(([, direction]) => direction === 'in').map(([id]) => id));
+}
+
+/**
+ * Latest admission per session: the last 'in' movement, else the usage row
+ * @param {Array<{session_id: string, used_at?: string}>} usage
+ * @param {Array<{session_id: string, direction: string, created_at: string}>} movements
+ * @returns {Object<string, string>}
+ */
+function getLastAdmissions(usage, movements) {
+  const latest = Object.fromEntries(
+    usage.filter((row) => row.used_at).map((row) => [row.session_id, row.used_at])
+  );
+  [...movements]
+    .filter((movement) => movement.direction === 'in')
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .forEach((movement) => { latest[movement.session_id] = movement.created_at; });
+
+  return latest;
+}
+
+/**
+ * Get info about the cached roster
+ * @returns {Promise<{count: number, downloadedAt: string|null}>}
+ */
+export async function getRosterInfo() {
+  if (!isOfflineStoreSupported()) {
+    return { count: 0, downloadedAt: null };
+  }
+
+  try {
+    const meta = await getRecord(STORES.META, ROSTER_META_KEY);
+    return {
+      count: meta?.count || 0,
+      downloadedAt: meta?.downloaded_at || null,
+    };
+  } catch (err) {
+    console.error('Roster info error:', err);
+    return { count: 0, downloadedAt: null };
+  }
+}
+
+/**
+ * Look up a cached ticket by UUID
+ * @param {string} ticketId
+ * @returns {Promise<object|null>}
+ */
+export async function getCachedTicket(ticketId) {
+  if (!isOfflineStoreSupported()) return null;
+  return (await getRecord(STORES.TICKETS, ticketId)) || null;
+}
+
+/**
+ * Look up a cached ticket by 6-digit code
+ * @param {string} code
+ * @returns {Promise<object|null>}
+ */
+export async function getCachedTicketByCode(code) {
+  if (!isOfflineStoreSupported()) return null;
+  return (await getRecordByIndex(STORES.TICKETS, 'six_digit_code', code)) || null;
+}
+
+/**
+ * Verify a ticket against the cached roster and queue the admission
+ *
+ * Returns the same shape as verifyTicketById, plus `offline: true`.
+ * Group tickets answer GROUP_COUNT until called with a count.
+ *
+ * @param {string} ticketId - UUID of ticket
+ * @param {{id: string, label: string, default_included: boolean}} session - Active session
+ * @param {number|null} [count] - People entering on a group ticket
+ * @returns {Promise<{
+ *   allowed: boolean,
+ *   reason: string,
+ *   message: string,
+ *   ticketType?: string,
+ *   tierColor?: string,
+ *   name?: string,
+ *   sessionLabel?: string,
+ *   offline: true
+ * }>}
+ */
+export async function verifyTicketOffline(ticketId, session, count = null) {
+  try {
+    return await markTicketOffline(ticketId, session, count);
+  } catch (err) {
+    console.error('Offline verification error:', err);
+    return {
+      allowed: false,
+      reason: 'ERROR',
+      message: 'Offline verification failed. Use manual search.',
+      offline: true,
+    };
+  }
+}
+
+async function markTicketOffline(ticketId, session, count) {
+  const roster = await getRosterInfo();
+  if (!roster.downloadedAt) {
+    return {
+      allowed: false,
+      reason: 'ERROR',
+      message: 'Offline and no roster downloaded. Reconnect to verify.',
+      offline: true,
+    };
+  }
+
+  const ticket = ticketId ? await getCachedTicket(ticketId) : null;
+
+  if (!ticket) {
+    return {
+      allowed: false,
+      reason: 'INVALID_TICKET',
+      message: 'Ticket not in offline roster',
+      offline: true,
+    };
+  }
+
+  const access = getCachedAccess();
+  const tier = getTier(access, ticket.tier_id);
+  const tierInfo = { ticketType: tier?.label, tierColor: tier?.color };
+  const gate = getGateName();
+
+  const status = ticket.ticket_status?.toLowerCase();
+
+  if (status && status !== 'valid' && status !== 'used') {
+    const rejection = STATUS_REJECTIONS[status];
+    return {
+      allowed: false,
+      reason: rejection?.reason || 'INVALID_TICKET',
+      message: rejection?.message || `Ticket is ${status}`,
+      name: ticket.name,
+      ...tierInfo,
+      offline: true,
+    };
+  }
+
+  if (!gateAdmitsTier(access, gate, ticket.tier_id)) {
+    return {
+      allowed: false,
+      reason: 'WRONG_ZONE',
+      message: `${tier?.label || 'This'} ticket not valid at ${gate}`,
+      name: ticket.name,
+      sessionLabel: session.label,
+      ...tierInfo,
+      offline: true,
+    };
+  }
+
+  if (!isEntitled(ticket.entitlements, session)) {
+    return {
+      allowed: false,
+      reason: 'NOT_ENTITLED',
+      message: `${session.label} not included in this ticket`,
+      name: ticket.name,
+      sessionLabel: session.label,
+      ...tierInfo,
+      offline: true,
+    };
+  }
+
+  const usedSessions = ticket.used_sessions || [];
+  // Rosters cached before exit scanning: every admission counts as inside
+  const insideSessions = ticket.inside_sessions || usedSessions;
+  const reentry = usedSessions.includes(session.id);
+
+  const headcount = ticket.headcount || 1;
+  const admittedCounts = ticket.admitted_counts || {};
+  const admitted = admittedCounts[session.id] || (reentry ? 1 : 0);
+  const remaining = headcount - admitted;
+
+  // Group still arriving: same rules as verify_and_mark_ticket
+  if (headcount > 1 && remaining > 0) {
+    if (!count || count < 1 || count > remaining) {
+      return {
+        allowed: false,
+        reason: 'GROUP_COUNT',
+        message: count
+          ? `Only ${remaining} of the group remaining`
+          : `Group of ${headcount} - ${remaining} remaining`,
+        name: ticket.name,
+        sessionLabel: session.label,
+        ...tierInfo,
+        headcount,
+        remaining,
+        offline: true,
+      };
+    }
+
+    const scannedAt = new Date().toISOString();
+    await putRecord(STORES.TICKETS, {
+      ...ticket,
+      ticket_status: 'used',
+      used_sessions: reentry ? usedSessions : [...usedSessions, session.id],
+      inside_sessions: [...insideSessions, session.id],
+      admitted_counts: { ...admittedCounts, [session.id]: admitted + count },
+      last_admitted: { ...ticket.last_admitted, [session.id]: scannedAt },
+    });
+    await putRecord(STORES.QUEUE, {
+      ticket_id: ticket.id,
+      session_id: session.id,
+      direction: 'in',
+      count,
+      name: ticket.name,
+      scanned_at: scannedAt,
+    });
+
+    return {
+      allowed: true,
+      reason: 'VALID',
+      message: `Admitted ${count} of group offline - will sync when back online`,
+      name: ticket.name,
+      sessionLabel: session.label,
+      ...tierInfo,
+      headcount,
+      admitted: count,
+      remaining: remaining - count,
+      offline: true,
+    };
+  }
+
+  if (reentry) {
+    // Rosters cached before re-entry policies: the download time is a safe upper bound
+    const denial = getReentryDenial(getReentryRule(access, ticket.tier_id), {
+      session,
+      lastAdmittedAt: ticket.last_admitted?.[session.id] || roster.downloadedAt,
+      inside: insideSessions.includes(session.id),
+      headcount,
+    });
+    if (denial) {
+      return {
+        allowed: false,
+        reason: denial.reason,
+        message: `${denial.message} (offline roster)`,
+        name: ticket.name,
+        sessionLabel: session.label,
+        ...tierInfo,
+        offline: true,
+      };
+    }
+  }
+
+  const scannedAt = new Date().toISOString();
+  await putRecord(STORES.TICKETS, {
+    ...ticket,
+    ticket_status: 'used',
+    used_sessions: reentry ? usedSessions : [...usedSessions, session.id],
+    inside_sessions: [...insideSessions, session.id],
+    last_admitted: { ...ticket.last_admitted, [session.id]: scannedAt },
+  });
+  await putRecord(STORES.QUEUE, {
+    ticket_id: ticket.id,
+    session_id: session.id,
+    direction: 'in',
+    name: ticket.name,
+    scanned_at: scannedAt,
+  });
+
+  return {
+    allowed: true,
+    reason: 'VALID',
+    message: reentry
+      ? 'Re-entry allowed offline - will sync when back online'
+      : 'Entry allowed offline - will sync when back online',
+    name: ticket.name,
+    sessionLabel: session.label,
+    ...tierInfo,
+    offline: true,
+  };
+}
+
+/**
+ * Record an exit against the cached roster and queue it
+ *
+ * Returns the same shape as recordExitById, plus `offline: true`.
+ *
+ * @param {string} ticketId - UUID of ticket
+ * @param {{id: string, label: string}} session - Active session
+ * @returns {Promise<object>}
+ */
+export async function recordExitOffline(ticketId, session) {
+  try {
+    const ticket = ticketId ? await getCachedTicket(ticketId) : null;
+
+    if (!ticket) {
+      return {
+        allowed: false,
+        reason: 'INVALID_TICKET',
+        message: 'Ticket not in offline roster',
+        offline: true,
+      };
+    }
+
+    const insideSessions = ticket.inside_sessions || ticket.used_sessions || [];
+
+    if (!insideSessions.includes(session.id)) {
+      return {
+        allowed: false,
+        reason: 'NOT_INSIDE',
+        message: `No entry recorded for ${session.label} (offline roster)`,
+        name: ticket.name,
+        sessionLabel: session.label,
+        offline: true,
+      };
+    }
+
+    await putRecord(STORES.TICKETS, {
+      ...ticket,
+      inside_sessions: insideSessions.filter((id) => id !== session.id),
+    });
+    await putRecord(STORES.QUEUE, {
+      ticket_id: ticket.id,
+      session_id: session.id,
+      direction: 'out',
+      name: ticket.name,
+      scanned_at: new Date().toISOString(),
+    });
+
+    return {
+      allowed: true,
+      reason: 'EXITED',
+      message: 'Exit recorded offline - will sync when back online',
+      name: ticket.name,
+      sessionLabel: session.label,
+      offline: true,
+    };
+  } catch (err) {
+    console.error('Offline exit error:', err);
+    return {
+      allowed: false,
+      reason: 'ERROR',
+      message: 'Offline exit failed. Let them out and note the ticket.',
+      offline: true,
+    };
+  }
+}
+
+/**
+ * Number of offline scans waiting to be replayed
+ * @returns {Promise<number>}
+ */
+export async function getPendingCount() {
+  if (!isOfflineStoreSupported()) return 0;
+  try {
+    return await countRecords(STORES.QUEUE);
+  } catch (err) {
+    console.error('Queue count error:', err);
+    return 0;
+  }
+}
+
+/**
+ * Replay queued scans through verify_and_mark_ticket / record_exit
+ *
+ * Each queued scan is sent with the time it was scanned, so the server
+ * records the admission or exit (and judges re-entry) at that time.
+ * It is removed once the server answers. If the server
+ * rejects it (e.g. another gate admitted the ticket first) it is stored
+ * as a conflict. A network failure stops the replay and keeps the rest.
+ *
+ * @returns {Promise<{synced: number, conflicts: number, remaining: number}>}
+ */
+export function replayQueue() {
+  if (!replayInProgress) {
+    replayInProgress = runReplay().finally(() => {
+      replayInProgress = null;
+    });
+  }
+  return replayInProgress;
+}
+
+async function runReplay() {
+  if (!isOfflineStoreSupported() || !isOnline()) {
+    return { synced: 0, conflicts: 0, remaining: await getPendingCount() };
+  }
+
+  const queue = await getAllRecords(STORES.QUEUE);
+  let synced = 0;
+  let conflicts = 0;
+
+  for (const item of queue) {
+    const { data, error } = item.direction === 'out'
+      ? await getTicketRepository().recordExit({
+        ticketId: item.ticket_id,
+        sessionId: item.session_id,
+        deviceId: getDeviceId(),
+        scannedAt: item.scanned_at,
+      })
+      : await getTicketRepository().verifyAndMarkTicket({
+        ticketId: item.ticket_id,
+        sessionId: item.session_id,
+        count: item.count || null,
+        deviceId: getDeviceId(),
+        scannedAt: item.scanned_at,
+      });
+
+    if (error) {
+      if (isNetworkError(error)) break;
+
+      console.error('Replay error:', error);
+      await putRecord(STORES.CONFLICTS, {
+        ticket_id: item.ticket_id,
+        session_id: item.session_id,
+        direction: item.direction,
+        name: item.name,
+        scanned_at: item.scanned_at,
+        reason: 'ERROR',
+        message: error.message || 'Server rejected queued scan',
+      });
+      await deleteRecord(STORES.QUEUE, item.queue_id);
+      conflicts++;
+      continue;
+    }
+
+    if (!data?.allowed) {
+      await putRecord(STORES.CONFLICTS, {
+        ticket_id: item.ticket_id,
+        session_id: item.session_id,
+        direction: item.direction,
+        name: data?.name || item.name,
+        scanned_at: item.scanned_at,
+        reason: data?.reason || 'ERROR',
+        message: data?.message || 'Server rejected queued scan',
+      });
+      conflicts++;
+    } else {
+      synced++;
+    }
+
+    await deleteRecord(STORES.QUEUE, item.queue_id);
+  }
+
+  return { synced, conflicts, remaining: await getPendingCount() };
+}
+
+/**
+ * Get conflicts reported during replay
+ * @returns {Promise<Array<{
+ *   conflict_id: number,
+ *   ticket_id: string,
+ *   session_id?: string,
+ *   direction?: 'in'|'out',
+ *   name?: string,
+ *   scanned_at: string,
+ *   reason: string,
+ *   message: string
+ * }>>}
+ */
+export async function getConflicts() {
+  if (!isOfflineStoreSupported()) return [];
+  try {
+    return await getAllRecords(STORES.CONFLICTS);
+  } catch (err) {
+    console.error('Conflict lookup error:', err);
+    return [];
+  }
+}
+
+/**
+ * Clear acknowledged conflicts
+ * @returns {Promise<void>}
+ */
+export async function clearConflicts() {
+  if (!isOfflineStoreSupported()) return;
+  await clearStore(STORES.CONFLICTS);
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { replayQueue } from './offlineSync';
+import { STORES, putRecord } from './offlineStore';
+import { installMemoryRepository, demoTicket } from '../test/helpers';
+
+// jsdom has no IndexedDB - keep the stores in maps
+const { stores } = vi.hoisted(() => ({ stores: new Map() }));
+
+vi.mock('./offlineStore', async (importOriginal) => {
+  const original = await importOriginal();
+  const keyPaths = { queue: 'queue_id', conflicts: 'conflict_id' };
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+
+  return {
+    ...original,
+    isOfflineStoreSupported: () => true,
+    getAllRecords: async (name) => [...store(name).values()],
+    countRecords: async (name) => store(name).size,
+    putRecord: async (name, record) => {
+      const keyPath = keyPaths[name] || 'id';
+      const key = record[keyPath] ?? store(name).size + 1;
+      store(name).set(key, { ...record, [keyPath]: key });
+      return key;
+    },
+    deleteRecord: async (name, key) => {
+      store(name).delete(key);
+    },
+  };
+});
+
+const sriram = demoTicket('Sriram K');
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+beforeEach(() => {
+  stores.clear();
+});
+
+describe('replayQueue', () => {
+  it('records queued scans at the time they were scanned', async () => {
+    const repository = installMemoryRepository();
+    const enteredAt = hoursAgo(3);
+    const exitedAt = hoursAgo(1);
+
+    await putRecord(STORES.QUEUE, { ticket_id: sriram.id, session_id: 'day1', direction: 'in', scanned_at: enteredAt });
+    await putRecord(STORES.QUEUE, { ticket_id: sriram.id, session_id: 'day1', direction: 'out', scanned_at: exitedAt });
+
+    expect(await replayQueue()).toEqual({ synced: 2, conflicts: 0, remaining: 0 });
+
+    const state = repository.getState();
+    expect(state.usage.find((row) => row.ticket_id === sriram.id).used_at).toBe(enteredAt);
+    expect(state.movements.filter((row) => row.ticket_id === sriram.id).map((row) => [row.direction, row.created_at]))
+      .toEqual([['in', enteredAt], ['out', exitedAt]]);
+  });
+
+  it('does not trust a scan time ahead of the clock', async () => {
+    const repository = installMemoryRepository();
+    const before = Date.now();
+
+    await putRecord(STORES.QUEUE, {
+      ticket_id: sriram.id,
+      session_id: 'day1',
+      direction: 'in',
+      scanned_at: new Date(before + 60 * 60 * 1000).toISOString(),
+    });
+    await replayQueue();
+
+    const usedAt = new Date(repository.getState().usage.find((row) => row.ticket_id === sriram.id).used_at).getTime();
+    expect(usedAt).toBeGreaterThanOrEqual(before);
+    expect(usedAt).toBeLessThanOrEqual(Date.now());
+  });
+});
@@ -0,0 +1,447 @@
+/**
+ * Printable Tickets and Badges
+ *
+ * Lays out ticket records on print sheets (A4 grid or badge stock) and
+ * renders them as SVG pages or a single PDF. Each card carries the QR,
+ * six-digit code, name and college.
+ *
+ * Layout produces plain drawing operations (rect / text / qr) in
+ * millimetres; the SVG and PDF writers both consume them, so the two
+ * outputs always match. QR codes are drawn as vector modules, not
+ * images, and stay sharp at any print size.
+ *
+ * The batch comes from fetchTicketsForPrint, matched by the same
+ * search_tickets RPC as the admin search, then narrowed by college.
+ *
+ * PDF text uses the built-in Helvetica fonts, which only cover Latin
+ * characters - names in other scripts print as "?" in the PDF. Use the
+ * SVG output for those.
+ */
+
+import QRCode from 'qrcode';
+import { supabase } from './supabase';
+import { searchTickets } from './ticketVerification';
+
+const TEMPLATE_STORAGE_KEY = 'yatra_print_template';
+
+// Largest batch loaded into the print screen at once
+export const MAX_PRINT_TICKETS = 500;
+
+const PRINT_COLUMNS = 'id, name, email, college, six_digit_code, qr_payload, ticket_status';
+const PRINTABLE_STATUSES = ['valid', 'used'];
+
+// search_tickets returns at most 50 rows per call
+const SEARCH_PAGE_LIMIT = 50;
+// Ids per qr_payload lookup - keeps the request URL short
+const ID_BATCH_SIZE = 100;
+
+export const CardKind = {
+  TICKET: 'ticket',
+  BADGE: 'badge',
+};
+
+/**
+ * Built-in sheet templates (sizes in mm)
+ */
+export const SheetTemplates = {
+  A4_TICKETS: {
+    id: 'a4-tickets',
+    label: 'A4 tickets (2 × 4)',
+    kind: CardKind.TICKET,
+    pageWidth: 210,
+    pageHeight: 297,
+    columns: 2,
+    rows: 4,
+    margin: 10,
+    gap: 6,
+  },
+  A4_BADGES: {
+    id: 'a4-badges',
+    label: 'A4 badges (2 × 5)',
+    kind: CardKind.BADGE,
+    pageWidth: 210,
+    pageHeight: 297,
+    columns: 2,
+    rows: 5,
+    margin: 10,
+    gap: 6,
+  },
+  BADGE_STOCK: {
+    id: 'badge-stock',
+    label: 'Badge stock (4 × 3 in, one per page)',
+    kind: CardKind.BADGE,
+    pageWidth: 101.6,
+    pageHeight: 76.2,
+    columns: 1,
+    rows: 1,
+    margin: 3,
+    gap: 0,
+  },
+};
+
+const DEFAULT_TEXT = {
+  title: 'YATRA',
+  subtitle: 'College Cultural Event',
+};
+
+/**
+ * Get the last-used template settings for this device
+ *
+ * @returns {object} Template with title / subtitle
+ */
+export function getSavedTemplate() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY));
+    const base = Object.values(SheetTemplates).find((template) => template.id === saved?.id);
+    if (base) return { ...base, ...DEFAULT_TEXT, ...saved };
+  } catch {
+    // Corrupt settings fall back to the default
+  }
+  return { ...SheetTemplates.A4_TICKETS, ...DEFAULT_TEXT };
+}
+
+/**
+ * Remember template settings for next time
+ *
+ * @param {object} template
+ */
+export function saveTemplate(template) {
+  localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(template));
+}
+
+/**
+ * Load the tickets to print
+ *
+ * Typed text goes through the search_tickets RPC (searchTickets) as a
+ * parameter, never into a PostgREST filter string. The matches are then
+ * narrowed here: college is a case-insensitive substring, and only
+ * valid / used tickets are kept unless includeInactive is set. With no
+ * text at all, every ticket is loaded (up to MAX_PRINT_TICKETS).
+ *
+ * @param {{query?: string, college?: string, includeInactive?: boolean}} filters
+ *   query matches name, email, phone or code as in the admin search
+ * @returns {Promise<{success: boolean, message?: string, tickets?: Array<object>}>}
+ */
+export async function fetchTicketsForPrint({ query = '', college = '', includeInactive = false }) {
+  try {
+    const search = query.trim();
+    const collegeSearch = college.trim().toLowerCase();
+
+    let tickets;
+    if (search || collegeSearch) {
+      const found = await searchPrintTickets(search || collegeSearch);
+      if (!found.success) {
+        return {
+          success: false,
+          message: 'Could not load tickets. Check connection.'
+        };
+      }
+      tickets = found.tickets;
+    } else {
+      let request = supabase
+        .from('tickets')
+        .select(PRINT_COLUMNS)
+        .order('name')
+        .limit(MAX_PRINT_TICKETS);
+      if (!includeInactive) {
+        request = request.in('ticket_status', PRINTABLE_STATUSES);
+      }
+
+      const { data, error } = await request;
+
+      if (error) {
+        console.error('Print tickets error:', error);
+        return {
+          success: false,
+          message: 'Could not load tickets. Check connection.'
+        };
+      }
+      tickets = data || [];
+    }
+
+    return {
+      success: true,
+      tickets: tickets.filter((ticket) =>
+        (!collegeSearch || (ticket.college || '').toLowerCase().includes(collegeSearch))
+        && (includeInactive || PRINTABLE_STATUSES.includes(ticket.ticket_status))
+      ),
+    };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error while loading tickets'
+    };
+  }
+}
+
+// Every search_tickets page up to MAX_PRINT_TICKETS, with the stored QR
+// payloads (search rows don't carry them), in name order
+async function searchPrintTickets(text) {
+  const matches = [];
+  for (;;) {
+    const page = await searchTickets(text, { offset: matches.length, limit: SEARCH_PAGE_LIMIT });
+    if (!page.success) return { success: false };
+
+    matches.push(...page.tickets);
+    if (page.tickets.length < SEARCH_PAGE_LIMIT || matches.length >= Math.min(page.total, MAX_PRINT_TICKETS)) break;
+  }
+
+  const payloads = new Map();
+  const ids = matches.slice(0, MAX_PRINT_TICKETS).map((ticket) => ticket.id);
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('tickets')
+      .select('id, qr_payload')
+      .in('id', ids.slice(i, i + ID_BATCH_SIZE));
+
+    if (error) {
+      console.error('Print tickets error:', error);
+      return { success: false };
+    }
+    (data || []).forEach((row) => payloads.set(row.id, row.qr_payload));
+  }
+
+  return {
+    success: true,
+    tickets: matches
+      .slice(0, MAX_PRINT_TICKETS)
+      .map((ticket) => ({ ...ticket, qr_payload: payloads.get(ticket.id) ?? null }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Base file name for a batch, e.g. "yatra-badges-2026-03-06"
+ *
+ * @param {object} template
+ * @returns {string}
+ */
+export function getSheetFileName(template) {
+  const day = new Date().toISOString().slice(0, 10);
+  return `yatra-${template.kind === CardKind.BADGE ? 'badges' : 'tickets'}-${day}`;
+}
+
+/**
+ * What a ticket QR should contain
+ *
+ * @param {{id: string, qr_payload?: string}} ticket
+ * @returns {string}
+ */
+function getQrContent(ticket) {
+  return ticket.qr_payload || ticket.id;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rough Helvetica average glyph width as a fraction of the font size
+const AVERAGE_GLYPH_WIDTH = 0.55;
+
+function fitText(text, size, width) {
+  const value = String(text || '');
+  const maxChars = Math.floor(width / (size * AVERAGE_GLYPH_WIDTH));
+  return value.length > maxChars ? `${value.slice(0, Math.max(maxChars - 3, 1))}...` : value;
+}
+
+// Font sizes below are cap-ish heights in mm (1pt ≈ 0.353mm)
+function layoutTicket(ticket, template, x, y, width, height) {
+  const pad = 4;
+  const qrSize = Math.min(height - pad * 2 - 11, width * 0.45);
+  const textX = x + pad + qrSize + 4;
+  const textWidth = width - (textX - x) - pad;
+  const qrY = y + height - pad - qrSize;
+
+  return [
+    { type: 'rect', x, y, width, height, dashed: true },
+    { type: 'text', x: x + pad, y: y + pad + 4, size: 5, bold: true, text: fitText(template.title, 5, width - pad * 2) },
+    { type: 'text', x: x + pad, y: y + pad + 8, size: 3, text: fitText(template.subtitle, 3, width - pad * 2) },
+    { type: 'qr', x: x + pad, y: qrY, size: qrSize, content: getQrContent(ticket) },
+    { type: 'text', x: textX, y: qrY + 5, size: 4.5, bold: true, text: fitText(ticket.name, 4.5, textWidth) },
+    { type: 'text', x: textX, y: qrY + 10, size: 3.2, text: fitText(ticket.college, 3.2, textWidth) },
+    { type: 'text', x: textX, y: qrY + qrSize - 9, size: 2.8, text: 'Manual code (if QR fails)' },
+    { type: 'text', x: textX, y: qrY + qrSize - 2, size: 7, bold: true, text: ticket.six_digit_code },
+  ];
+}
+
+function layoutBadge(ticket, template, x, y, width, height) {
+  const pad = 4;
+  const qrSize = Math.min(height * 0.42, width * 0.3);
+  const textWidth = width - pad * 2;
+  // College sits beside the QR, the name above it
+  const besideQrWidth = textWidth - qrSize - pad;
+  const nameSize = round(Math.min(8, height * 0.14));
+
+  return [
+    { type: 'rect', x, y, width, height, dashed: true },
+    { type: 'text', x: x + pad, y: y + pad + 4, size: 4, bold: true, text: fitText(template.title, 4, textWidth) },
+    { type: 'text', x: x + pad, y: y + height * 0.45, size: nameSize, bold: true, text: fitText(ticket.name, nameSize, textWidth) },
+    { type: 'text', x: x + pad, y: y + height * 0.45 + nameSize, size: 4, text: fitText(ticket.college, 4, besideQrWidth) },
+    { type: 'qr', x: x + width - pad - qrSize, y: y + height - pad - qrSize, size: qrSize, content: getQrContent(ticket) },
+    { type: 'text', x: x + pad, y: y + height - pad, size: 4.5, bold: true, text: ticket.six_digit_code },
+  ];
+}
+
+/**
+ * Lay tickets out onto pages
+ *
+ * @param {Array<{id: string, name: string, college?: string, six_digit_code: string, qr_payload?: string}>} tickets
+ * @param {object} template - From SheetTemplates / getSavedTemplate
+ * @returns {Array<Array<object>>} Drawing operations per page
+ */
+export function layoutSheets(tickets, template) {
+  const { pageWidth, pageHeight, columns, rows, margin, gap } = template;
+  const perPage = columns * rows;
+  const cardWidth = (pageWidth - margin * 2 - gap * (columns - 1)) / columns;
+  const cardHeight = (pageHeight - margin * 2 - gap * (rows - 1)) / rows;
+  const layoutCard = template.kind === CardKind.BADGE ? layoutBadge : layoutTicket;
+  const pages = [];
+
+  tickets.forEach((ticket, index) => {
+    const slot = index % perPage;
+    if (slot === 0) pages.push([]);
+
+    const x = margin + (slot % columns) * (cardWidth + gap);
+    const y = margin + Math.floor(slot / columns) * (cardHeight + gap);
+    pages[pages.length - 1].push(...layoutCard(ticket, template, x, y, cardWidth, cardHeight));
+  });
+
+  return pages;
+}
+
+/**
+ * Dark QR modules merged into horizontal runs
+ *
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} In mm
+ */
+function getQrRuns(content, x, y, size) {
+  const { modules } = QRCode.create(content, { errorCorrectionLevel: 'M' });
+  const quiet = 2;
+  const cell = size / (modules.size + quiet * 2);
+  const runs = [];
+
+  for (let row = 0; row < modules.size; row++) {
+    let start = null;
+    for (let col = 0; col <= modules.size; col++) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && start === null) start = col;
+      if (!dark && start !== null) {
+        runs.push({
+          x: x + (start + quiet) * cell,
+          y: y + (row + quiet) * cell,
+          width: (col - start) * cell,
+          height: cell,
+        });
+        start = null;
+      }
+    }
+  }
+
+  return runs;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render pages as standalone SVG documents (one per page)
+ *
+ * @param {Array<object>} tickets
+ * @param {object} template
+ * @returns {string[]}
+ */
+export function renderSvgPages(tickets, template) {
+  const { pageWidth, pageHeight } = template;
+
+  return layoutSheets(tickets, template).map((operations) => {
+    const body = operations.map((op) => {
+      if (op.type === 'rect') {
+        return `<rect x="${round(op.x)}" y="${round(op.y)}" width="${round(op.width)}" height="${round(op.height)}" fill="none" stroke="#999" stroke-width="0.2"${op.dashed ? ' stroke-dasharray="2 1.5"' : ''}/>`;
+      }
+      if (op.type === 'text') {
+        return `<text x="${round(op.x)}" y="${round(op.y)}" font-size="${op.size}"${op.bold ? ' font-weight="bold"' : ''}>${escapeXml(op.text)}</text>`;
+      }
+      const path = getQrRuns(op.content, op.x, op.y, op.size)
+        .map((run) => `M${round(run.x)} ${round(run.y)}h${round(run.width)}v${round(run.height)}h${round(-run.width)}z`)
+        .join('');
+      return `<rect x="${round(op.x)}" y="${round(op.y)}" width="${round(op.size)}" height="${round(op.size)}" fill="#fff"/><path d="${path}" fill="#000"/>`;
+    }).join('\n');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${pageWidth}mm" height="${pageHeight}mm" viewBox="0 0 ${pageWidth} ${pageHeight}" font-family="Helvetica, Arial, sans-serif">
+<rect width="100%" height="100%" fill="#fff"/>
+${body}
+</svg>`;
+  });
+}
+
+const PT_PER_MM = 72 / 25.4;
+
+// Helvetica (WinAnsi) has no glyphs outside Latin-1
+function toPdfString(text) {
+  return String(text ?? '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Render all pages as a single PDF
+ *
+ * @param {Array<object>} tickets
+ * @param {object} template
+ * @returns {Uint8Array} PDF bytes
+ */
+export function renderPdf(tickets, template) {
+  const pageWidth = template.pageWidth * PT_PER_MM;
+  const pageHeight = template.pageHeight * PT_PER_MM;
+  const pt = (mm) => (mm * PT_PER_MM).toFixed(2);
+  const flipY = (mm) => (pageHeight - mm * PT_PER_MM).toFixed(2);
+
+  const contents = layoutSheets(tickets, template).map((operations) => operations.map((op) => {
+    if (op.type === 'rect') {
+      return `0.6 G 0.57 w ${op.dashed ? '[5.67 4.25] 0 d ' : ''}${pt(op.x)} ${flipY(op.y + op.height)} ${pt(op.width)} ${pt(op.height)} re S [] 0 d 0 G`;
+    }
+    if (op.type === 'text') {
+      return `BT /${op.bold ? 'F2' : 'F1'} ${pt(op.size)} Tf ${pt(op.x)} ${flipY(op.y)} Td (${toPdfString(op.text)}) Tj ET`;
+    }
+    const runs = getQrRuns(op.content, op.x, op.y, op.size)
+      .map((run) => `${pt(run.x)} ${flipY(run.y + run.height)} ${pt(run.width)} ${pt(run.height)} re`)
+      .join('\n');
+    return `0 g\n${runs}\nf`;
+  }).join('\n'));
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then page + content per page
+  const objects = [];
+  const pageIds = contents.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  contents.forEach((stream, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth.toFixed(2)} ${pageHeight.toFixed(2)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // Every character is a single byte, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, (char) => char.charCodeAt(0) & 0xff);
+}
@@ -0,0 +1,224 @@
+/**
+ * QR Payload Parser
+ *
+ * Decodes the raw text read by the camera into a ticket reference.
+ * Runs BEFORE any database call so malformed codes are rejected locally.
+ *
+ * Supported shapes:
+ * - Bare UUID:        550e8400-e29b-41d4-a716-446655440000
+ * - Ticket JSON:      {"id": "<uuid>", "code": "123456"}
+ * - Batch JSON:       {"uid": "<uuid>", "rid": "<registration uuid>", "code": "123456"}
+ * - URL-wrapped:      https://yatra.example/t/<uuid>  (or ?id=<uuid>)
+ * - Versioned prefix: YATRA:v1:<any of the above>
+ * - Signed token:     YATRA:v2:<claims>.<signature>  (see signedTicket.js)
+ *
+ * The six_digit_code embedded in JSON payloads is returned so the
+ * verifier can cross-check it against the ticket record.
+ * Signed tokens are only decoded here; the signature is checked by
+ * the verifier because WebCrypto is async.
+ */
+
+import { decodeTicketToken } from './signedTicket.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CODE_REGEX = /^\d{6}$/;
+const VERSION_PREFIX_REGEX = /^YATRA:v(\d+):(.*)$/is;
+
+/**
+ * Payload versions this scanner understands
+ */
+export const SUPPORTED_VERSIONS = [1, 2];
+
+const SIGNED_VERSION = 2;
+
+/**
+ * Payload formats returned by parseQrPayload
+ */
+export const PayloadFormat = {
+  UUID: 'UUID',             // Bare ticket UUID
+  JSON: 'JSON',             // {"id", "code"} from send-registration-email
+  BATCH_JSON: 'BATCH_JSON', // {"uid", "rid", "code"} from issue_tickets_batch
+  URL: 'URL',               // Link ending in /t/<uuid> or carrying ?id=<uuid>
+  SIGNED: 'SIGNED',         // Ed25519-signed YATRA:v2: token
+};
+
+/**
+ * Check whether a value is a UUID string
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_REGEX.test(value);
+}
+
+function invalid(error) {
+  return { valid: false, error };
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return invalid('Unreadable QR code data');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return invalid('Unreadable QR code data');
+  }
+
+  const isBatch = data.uid !== undefined;
+  const ticketId = String((isBatch ? data.uid : data.id) ?? '').trim();
+
+  if (!isUuid(ticketId)) {
+    return invalid('QR code does not contain a ticket ID');
+  }
+
+  let code = null;
+  if (data.code !== undefined && data.code !== null) {
+    code = String(data.code).trim();
+    if (!CODE_REGEX.test(code)) {
+      return invalid('QR code contains a malformed entry code');
+    }
+  }
+
+  let registrationId = null;
+  if (isBatch && data.rid) {
+    registrationId = String(data.rid).trim();
+    if (!isUuid(registrationId)) {
+      return invalid('QR code contains a malformed registration ID');
+    }
+  }
+
+  return {
+    valid: true,
+    format: isBatch ? PayloadFormat.BATCH_JSON : PayloadFormat.JSON,
+    ticketId: ticketId.toLowerCase(),
+    code,
+    registrationId: registrationId?.toLowerCase() ?? null,
+  };
+}
+
+function parseUrl(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return invalid('Unreadable QR code link');
+  }
+
+  // Path form: https://…/t/<uuid>
+  const segments = url.pathname.split('/').filter(Boolean);
+  const tIndex = segments.lastIndexOf('t');
+  const fromPath = tIndex !== -1 ? decodeURIComponent(segments[tIndex + 1] || '') : '';
+
+  // Query form: https://…?id=<uuid>
+  const fromQuery = url.searchParams.get('id') || '';
+
+  const ticketId = isUuid(fromPath) ? fromPath : fromQuery;
+  if (!isUuid(ticketId)) {
+    return invalid('QR code link does not contain a ticket ID');
+  }
+
+  const code = url.searchParams.get('code');
+  if (code !== null && !CODE_REGEX.test(code)) {
+    return invalid('QR code contains a malformed entry code');
+  }
+
+  return {
+    valid: true,
+    format: PayloadFormat.URL,
+    ticketId: ticketId.toLowerCase(),
+    code,
+    registrationId: null,
+  };
+}
+
+function parseSigned(text) {
+  const decoded = decodeTicketToken(text);
+  if (!decoded.valid) {
+    return invalid(decoded.error);
+  }
+
+  const { tid, code, evt } = decoded.claims;
+
+  if (!isUuid(tid)) {
+    return invalid('Signed ticket does not contain a ticket ID');
+  }
+  if (!CODE_REGEX.test(String(code ?? ''))) {
+    return invalid('Signed ticket contains a malformed entry code');
+  }
+
+  return {
+    valid: true,
+    format: PayloadFormat.SIGNED,
+    ticketId: tid.toLowerCase(),
+    code: String(code),
+    registrationId: null,
+    eventId: String(evt),
+    token: decoded,
+  };
+}
+
+function parseUnversioned(text) {
+  if (isUuid(text)) {
+    return {
+      valid: true,
+      format: PayloadFormat.UUID,
+      ticketId: text.toLowerCase(),
+      code: null,
+      registrationId: null,
+    };
+  }
+
+  if (text.startsWith('{')) {
+    return parseJson(text);
+  }
+
+  if (/^https?:\/\//i.test(text)) {
+    return parseUrl(text);
+  }
+
+  return invalid('Invalid QR code format');
+}
+
+/**
+ * Parse raw QR text into a ticket reference
+ *
+ * @param {string} rawText - Text decoded by the camera
+ * @returns {{
+ *   valid: true,
+ *   format: string,
+ *   version: number|null,
+ *   ticketId: string,
+ *   code: string|null,
+ *   registrationId: string|null,
+ *   eventId?: string,
+ *   token?: object
+ * } | {
+ *   valid: false,
+ *   error: string
+ * }}
+ */
+export function parseQrPayload(rawText) {
+  const text = typeof rawText === 'string' ? rawText.trim() : '';
+  if (!text) {
+    return invalid('Empty QR code');
+  }
+
+  let version = null;
+  let body = text;
+
+  const prefixed = text.match(VERSION_PREFIX_REGEX);
+  if (prefixed) {
+    version = parseInt(prefixed[1], 10);
+    body = prefixed[2].trim();
+
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      return invalid(`Unsupported QR code version (v${version})`);
+    }
+  }
+
+  const result = version === SIGNED_VERSION ? parseSigned(body) : parseUnversioned(body);
+  return result.valid ? { ...result, version } : result;
+}
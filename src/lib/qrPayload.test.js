@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { parseQrPayload, isUuid, PayloadFormat } from './qrPayload';
+import { base64UrlEncode, generateSigningKeys, signTicketToken } from './signedTicket';
+
+const TICKET_ID = '550e8400-e29b-41d4-a716-446655440000';
+const REGISTRATION_ID = '6fa459ea-ee8a-3ca4-894e-db77e160355e';
+
+describe('isUuid', () => {
+  it('accepts UUIDs in either case', () => {
+    expect(isUuid(TICKET_ID)).toBe(true);
+    expect(isUuid(TICKET_ID.toUpperCase())).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    expect(isUuid('550e8400e29b41d4a716446655440000')).toBe(false);
+    expect(isUuid(`${TICKET_ID}0`)).toBe(false);
+    expect(isUuid(null)).toBe(false);
+  });
+});
+
+describe('parseQrPayload', () => {
+  describe('bare UUID', () => {
+    it('decodes and lower-cases the ticket id', () => {
+      expect(parseQrPayload(`  ${TICKET_ID.toUpperCase()}\n`)).toEqual({
+        valid: true,
+        format: PayloadFormat.UUID,
+        version: null,
+        ticketId: TICKET_ID,
+        code: null,
+        registrationId: null,
+      });
+    });
+  });
+
+  describe('ticket JSON', () => {
+    it('decodes id and code', () => {
+      const result = parseQrPayload(JSON.stringify({ id: TICKET_ID, code: '123456' }));
+      expect(result).toMatchObject({
+        valid: true,
+        format: PayloadFormat.JSON,
+        ticketId: TICKET_ID,
+        code: '123456',
+        registrationId: null,
+      });
+    });
+
+    it('accepts a numeric code and no code at all', () => {
+      expect(parseQrPayload(`{"id":"${TICKET_ID}","code":123456}`).code).toBe('123456');
+      expect(parseQrPayload(`{"id":"${TICKET_ID}"}`).code).toBeNull();
+    });
+
+    it('rejects a malformed code', () => {
+      expect(parseQrPayload(JSON.stringify({ id: TICKET_ID, code: '12345' }))).toEqual({
+        valid: false,
+        error: 'QR code contains a malformed entry code',
+      });
+    });
+
+    it('rejects JSON without a ticket id', () => {
+      expect(parseQrPayload('{"code":"123456"}').error).toBe('QR code does not contain a ticket ID');
+      expect(parseQrPayload('{"id":"not-a-uuid"}').error).toBe('QR code does not contain a ticket ID');
+    });
+
+    it('rejects unreadable JSON', () => {
+      expect(parseQrPayload('{"id":').error).toBe('Unreadable QR code data');
+      expect(parseQrPayload('{}').valid).toBe(false);
+    });
+  });
+
+  describe('batch JSON', () => {
+    it('decodes uid, rid and code', () => {
+      const result = parseQrPayload(JSON.stringify({
+        uid: TICKET_ID.toUpperCase(),
+        rid: REGISTRATION_ID,
+        code: '654321',
+      }));
+      expect(result).toMatchObject({
+        valid: true,
+        format: PayloadFormat.BATCH_JSON,
+        ticketId: TICKET_ID,
+        code: '654321',
+        registrationId: REGISTRATION_ID,
+      });
+    });
+
+    it('rejects a malformed registration id', () => {
+      const result = parseQrPayload(JSON.stringify({ uid: TICKET_ID, rid: 'abc', code: '654321' }));
+      expect(result.error).toBe('QR code contains a malformed registration ID');
+    });
+  });
+
+  describe('URL-wrapped', () => {
+    it('decodes /t/<uuid> links', () => {
+      expect(parseQrPayload(`https://yatra.example/t/${TICKET_ID}`)).toMatchObject({
+        valid: true,
+        format: PayloadFormat.URL,
+        ticketId: TICKET_ID,
+        code: null,
+      });
+    });
+
+    it('decodes ?id= links with a code', () => {
+      expect(parseQrPayload(`https://yatra.example/ticket?id=${TICKET_ID}&code=123456`)).toMatchObject({
+        format: PayloadFormat.URL,
+        ticketId: TICKET_ID,
+        code: '123456',
+      });
+    });
+
+    it('rejects links without a ticket id or with a bad code', () => {
+      expect(parseQrPayload('https://yatra.example/t/').error).toBe('QR code link does not contain a ticket ID');
+      expect(parseQrPayload(`https://yatra.example/t/${TICKET_ID}?code=12`).error)
+        .toBe('QR code contains a malformed entry code');
+    });
+  });
+
+  describe('versioned prefix', () => {
+    it('unwraps v1 around any unversioned shape', () => {
+      expect(parseQrPayload(`YATRA:v1:${TICKET_ID}`)).toMatchObject({
+        format: PayloadFormat.UUID,
+        version: 1,
+        ticketId: TICKET_ID,
+      });
+      expect(parseQrPayload(`yatra:V1:{"id":"${TICKET_ID}","code":"123456"}`)).toMatchObject({
+        format: PayloadFormat.JSON,
+        version: 1,
+        code: '123456',
+      });
+    });
+
+    it('rejects unsupported versions', () => {
+      expect(parseQrPayload(`YATRA:v9:${TICKET_ID}`).error).toBe('Unsupported QR code version (v9)');
+    });
+  });
+
+  describe('signed token', () => {
+    it('decodes the claims of a v2 token', async () => {
+      const { privateKey } = await generateSigningKeys();
+      const token = await signTicketToken({ ticketId: TICKET_ID, code: '123456', eventId: 'yatra-2026' }, privateKey);
+
+      expect(parseQrPayload(token)).toMatchObject({
+        valid: true,
+        format: PayloadFormat.SIGNED,
+        version: 2,
+        ticketId: TICKET_ID,
+        code: '123456',
+        eventId: 'yatra-2026',
+      });
+    });
+
+    it('rejects malformed tokens and bad claims', () => {
+      const claims = (value) => base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+
+      expect(parseQrPayload('YATRA:v2:no-signature').error).toBe('Malformed signed ticket');
+      expect(parseQrPayload(`YATRA:v2:${claims({ tid: TICKET_ID })}.c2ln`).error)
+        .toBe('Signed ticket is missing required fields');
+      expect(parseQrPayload(`YATRA:v2:${claims({ tid: 'abc', code: '123456', evt: 'e' })}.c2ln`).error)
+        .toBe('Signed ticket does not contain a ticket ID');
+      expect(parseQrPayload(`YATRA:v2:${claims({ tid: TICKET_ID, code: '1', evt: 'e' })}.c2ln`).error)
+        .toBe('Signed ticket contains a malformed entry code');
+    });
+  });
+
+  describe('truncated or damaged codes', () => {
+    // A partly covered or creased QR can still decode - to a prefix of the payload
+    it.each([
+      ['bare UUID', TICKET_ID.slice(0, 30), 'Invalid QR code format'],
+      ['ticket JSON', `{"id":"${TICKET_ID.slice(0, 20)}`, 'Unreadable QR code data'],
+      ['batch JSON', `{"uid":"${TICKET_ID}","rid":"${REGISTRATION_ID}","code":"12`, 'Unreadable QR code data'],
+      ['link', `https://yatra.example/t/${TICKET_ID.slice(0, 10)}`, 'QR code link does not contain a ticket ID'],
+      ['link host', 'https://', 'Unreadable QR code link'],
+      ['v1 prefix', 'YATRA:v1:', 'Invalid QR code format'],
+      ['v2 token', 'YATRA:v2:', 'Malformed signed ticket'],
+      ['v2 signature', 'YATRA:v2:abc.', 'Malformed signed ticket'],
+    ])('rejects a cut-off %s', (shape, text, error) => {
+      expect(parseQrPayload(text)).toEqual({ valid: false, error });
+    });
+
+    it('rejects JSON that is not a ticket object', () => {
+      expect(parseQrPayload(`["${TICKET_ID}"]`).valid).toBe(false);
+      expect(parseQrPayload('{"id":null}').error).toBe('QR code does not contain a ticket ID');
+    });
+  });
+
+  it('rejects empty and unknown input', () => {
+    expect(parseQrPayload('')).toEqual({ valid: false, error: 'Empty QR code' });
+    expect(parseQrPayload(null)).toEqual({ valid: false, error: 'Empty QR code' });
+    expect(parseQrPayload('hello world').error).toBe('Invalid QR code format');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Re-entry Policy
+ *
+ * What happens when a ticket already admitted to a session is scanned
+ * again. The event sets a policy and a timezone (`event_settings`); a
+ * tier may override the policy (`ticket_tiers.reentry_policy`):
+ *
+ * - unlimited  - re-entry after every exit scan, until the session ends
+ * - single_use - one admission per session
+ * - daily      - one admission per calendar day in the event timezone
+ * - cooldown   - one admission per `reentry_cooldown_hours`
+ *
+ * The server applies this in verify_and_mark_ticket (reentry_denial in
+ * the 019 migration); this module mirrors it for the offline roster and
+ * the in-memory repository.
+ */
+
+import { getTier } from './tiers';
+
+export const ReentryPolicy = {
+  UNLIMITED: 'unlimited',
+  SINGLE_USE: 'single_use',
+  DAILY: 'daily',
+  COOLDOWN: 'cooldown',
+};
+
+/**
+ * Used until the first successful fetch (matches the 019 migration seed)
+ */
+export const DEFAULT_EVENT_SETTINGS = {
+  timezone: 'Asia/Kolkata',
+  reentry_policy: ReentryPolicy.UNLIMITED,
+  reentry_cooldown_hours: null,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Wall-clock date and time of an instant in a timezone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+}
+
+// Milliseconds the timezone is ahead of UTC at this instant
+function zoneOffset(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Midnight after an instant, in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA name
+ * @returns {Date}
+ */
+export function startOfNextDay(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const midnight = Date.UTC(year, month - 1, day + 1);
+  // The offset in force at midnight, not now (DST changes)
+  const guess = midnight - zoneOffset(new Date(midnight), timeZone);
+  return new Date(midnight - zoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Time in the event timezone: "HH:MM" today, "DD Mon HH:MM" otherwise
+ * Mirrors event_time() in the 019 migration.
+ *
+ * @param {string|Date} timestamp
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function formatEventTime(timestamp, timeZone, now = new Date()) {
+  const at = zonedParts(new Date(timestamp), timeZone);
+  const today = zonedParts(now, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const time = `${pad(at.hour)}:${pad(at.minute)}`;
+
+  const sameDay = at.year === today.year && at.month === today.month && at.day === today.day;
+  return sameDay ? time : `${pad(at.day)} ${MONTHS[at.month - 1]} ${time}`;
+}
+
+/**
+ * The re-entry rule for a ticket tier: the tier's policy, else the event's
+ * @param {{tiers: Array<object>, event?: object}} access - See tiers.js
+ * @param {string|null} tierId
+ * @returns {{policy: string, cooldownHours: number|null, timeZone: string}}
+ */
+export function getReentryRule(access, tierId) {
+  const event = { ...DEFAULT_EVENT_SETTINGS, ...access.event };
+  const tier = getTier(access, tierId);
+  const source = tier?.reentry_policy ? tier : event;
+
+  return {
+    policy: source.reentry_policy || ReentryPolicy.UNLIMITED,
+    cooldownHours: source.reentry_cooldown_hours == null ? null : Number(source.reentry_cooldown_hours),
+    timeZone: event.timezone || DEFAULT_EVENT_SETTINGS.timezone,
+  };
+}
+
+/**
+ * Re-entry check for a ticket already admitted to the session
+ * Mirrors reentry_denial() in the 019 and 021 migrations.
+ *
+ * @param {{policy: string, cooldownHours: number|null, timeZone: string}} rule - From getReentryRule
+ * @param {{
+ *   session: {label: string, ends_at?: string|null},
+ *   lastAdmittedAt: string,
+ *   inside: boolean,
+ *   headcount?: number,
+ *   now?: Date
+ * }} admission
+ * @returns {{allowed: false, reason: 'ALREADY_USED', message: string, reentry_policy: string, valid_again_at: string|null}|null}
+ *   The rejection, or null when the ticket may enter again
+ */
+export function getReentryDenial(rule, { session, lastAdmittedAt, inside, headcount = 1, now = new Date() }) {
+  const { policy, cooldownHours, timeZone } = rule;
+  const time = (timestamp) => formatEventTime(timestamp, timeZone, now);
+  let validAgain = null;
+  let message;
+
+  if (policy === ReentryPolicy.SINGLE_USE) {
+    message = `Single-use ticket - admitted to ${session.label} at ${time(lastAdmittedAt)}, no re-entry`;
+  } else if (policy === ReentryPolicy.DAILY) {
+    validAgain = startOfNextDay(new Date(lastAdmittedAt), timeZone);
+    if (now >= validAgain) return null;
+    message = `Already admitted today at ${time(lastAdmittedAt)} - valid again at ${time(validAgain)}`;
+  } else if (policy === ReentryPolicy.COOLDOWN) {
+    validAgain = new Date(new Date(lastAdmittedAt).getTime() + cooldownHours * HOUR_MS);
+    if (now >= validAgain) return null;
+    message = `Admitted at ${time(lastAdmittedAt)} - valid again at ${time(validAgain)}`;
+  } else if (inside) {
+    // unlimited: anti-passback, then the session window
+    message = headcount > 1
+      ? `All ${headcount} of group already inside ${session.label} - valid again after an exit scan`
+      : `Already inside ${session.label} since ${time(lastAdmittedAt)} - valid again after an exit scan`;
+  } else if (session.ends_at && now > new Date(session.ends_at)) {
+    message = `${session.label} has ended - no re-entry`;
+  } else {
+    return null;
+  }
+
+  return {
+    allowed: false,
+    reason: 'ALREADY_USED',
+    message,
+    reentry_policy: policy,
+    valid_again_at: validAgain ? validAgain.toISOString() : null,
+  };
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  startOfNextDay,
+  formatEventTime,
+  getReentryRule,
+  getReentryDenial,
+  DEFAULT_EVENT_SETTINGS,
+} from './reentry';
+import { DEFAULT_ACCESS } from './tiers';
+
+const DAY1 = { id: 'day1', label: 'Day 1' };
+
+describe('startOfNextDay', () => {
+  it('finds midnight in the event timezone', () => {
+    // 23:30 on 19 Oct in Kolkata (UTC+5:30)
+    expect(startOfNextDay(new Date('2026-10-19T18:00:00Z'), 'Asia/Kolkata').toISOString())
+      .toBe('2026-10-19T18:30:00.000Z');
+    // 00:30 on 20 Oct in Kolkata - the next midnight is a day later
+    expect(startOfNextDay(new Date('2026-10-19T19:00:00Z'), 'Asia/Kolkata').toISOString())
+      .toBe('2026-10-20T18:30:00.000Z');
+  });
+
+  it('uses the offset in force at midnight across a DST change', () => {
+    // 01:30 EDT on 1 Nov; clocks go back at 02:00, so midnight is EST (UTC-5)
+    expect(startOfNextDay(new Date('2026-11-01T05:30:00Z'), 'America/New_York').toISOString())
+      .toBe('2026-11-02T05:00:00.000Z');
+    // 00:30 EST on 8 Mar; clocks go forward at 02:00, so midnight is EDT (UTC-4)
+    expect(startOfNextDay(new Date('2026-03-08T05:30:00Z'), 'America/New_York').toISOString())
+      .toBe('2026-03-09T04:00:00.000Z');
+  });
+});
+
+describe('formatEventTime', () => {
+  const now = new Date('2026-10-19T06:00:00Z');
+
+  it('shows only the time for today', () => {
+    expect(formatEventTime('2026-10-19T04:30:00Z', 'Asia/Kolkata', now)).toBe('10:00');
+  });
+
+  it('adds the date for other days', () => {
+    expect(formatEventTime('2026-10-19T18:30:00Z', 'Asia/Kolkata', now)).toBe('20 Oct 00:00');
+    expect(formatEventTime('2026-09-03T03:35:00Z', 'Asia/Kolkata', now)).toBe('03 Sep 09:05');
+  });
+});
+
+describe('getReentryRule', () => {
+  it('defaults to unlimited re-entry in Kolkata time', () => {
+    expect(getReentryRule(DEFAULT_ACCESS, 'general')).toEqual({
+      policy: 'unlimited',
+      cooldownHours: null,
+      timeZone: DEFAULT_EVENT_SETTINGS.timezone,
+    });
+  });
+
+  it("prefers the tier's policy over the event's", () => {
+    const access = {
+      ...DEFAULT_ACCESS,
+      tiers: DEFAULT_ACCESS.tiers.map((tier) =>
+        tier.id === 'vip' ? { ...tier, reentry_policy: 'cooldown', reentry_cooldown_hours: '1.5' } : tier
+      ),
+      event: { timezone: 'Europe/London', reentry_policy: 'daily', reentry_cooldown_hours: null },
+    };
+
+    expect(getReentryRule(access, 'vip')).toEqual({ policy: 'cooldown', cooldownHours: 1.5, timeZone: 'Europe/London' });
+    expect(getReentryRule(access, 'general').policy).toBe('daily');
+    // Unknown tiers fall back to the general tier
+    expect(getReentryRule(access, null).policy).toBe('daily');
+  });
+});
+
+describe('getReentryDenial', () => {
+  const unlimited = { policy: 'unlimited', cooldownHours: null, timeZone: 'Asia/Kolkata' };
+  const now = new Date('2026-10-19T06:00:00Z');
+  const lastAdmittedAt = '2026-10-19T04:30:00Z';
+
+  it('lets an unlimited ticket back in after an exit', () => {
+    expect(getReentryDenial(unlimited, { session: DAY1, lastAdmittedAt, inside: false, now })).toBeNull();
+  });
+
+  it('reports groups still inside', () => {
+    expect(getReentryDenial(unlimited, { session: DAY1, lastAdmittedAt, inside: true, headcount: 4, now }))
+      .toMatchObject({
+        reason: 'ALREADY_USED',
+        message: 'All 4 of group already inside Day 1 - valid again after an exit scan',
+        valid_again_at: null,
+      });
+  });
+
+  it('returns when a cooldown ends', () => {
+    const cooldown = { ...unlimited, policy: 'cooldown', cooldownHours: 2 };
+
+    expect(getReentryDenial(cooldown, { session: DAY1, lastAdmittedAt, inside: false, now })).toEqual({
+      allowed: false,
+      reason: 'ALREADY_USED',
+      message: 'Admitted at 10:00 - valid again at 12:00',
+      reentry_policy: 'cooldown',
+      valid_again_at: '2026-10-19T06:30:00.000Z',
+    });
+    expect(getReentryDenial(cooldown, {
+      session: DAY1,
+      lastAdmittedAt,
+      inside: true,
+      now: new Date('2026-10-19T06:30:00Z'),
+    })).toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Event Reports
+ *
+ * Post-event attendance and audit exports, built from the
+ * `get_event_report` RPC for a date range and optional gate:
+ * - Admitted attendees (first admission per session, with gate)
+ * - No-shows (live tickets with no admission in the range)
+ * - Override history (force-allow, reset, cancel, reissue, transfer, group size)
+ * - Rejection counts and per-gate totals
+ *
+ * Each section exports as CSV; the whole report as JSON or a
+ * printable HTML summary.
+ */
+
+import { supabase } from './supabase';
+import { toCsv } from './csv';
+
+/**
+ * Report sections with the columns written to CSV
+ */
+export const ReportSections = [
+  {
+    key: 'admitted',
+    label: 'Admitted',
+    columns: ['used_at', 'session_label', 'gate', 'code', 'name', 'email', 'college', 'ticket_id'],
+  },
+  {
+    key: 'no_shows',
+    label: 'No-shows',
+    columns: ['code', 'name', 'email', 'college', 'ticket_status', 'ticket_id'],
+  },
+  {
+    key: 'overrides',
+    label: 'Overrides',
+    columns: ['created_at', 'admin_action', 'session_id', 'code', 'name', 'reason', 'admin_identifier', 'ticket_id'],
+  },
+  {
+    key: 'rejections',
+    label: 'Rejections',
+    columns: ['gate', 'result', 'total'],
+  },
+  {
+    key: 'gate_counts',
+    label: 'Gate Counts',
+    columns: ['gate', 'scans', 'allowed', 'rejected'],
+  },
+];
+
+/**
+ * Fetch the report for a date range
+ *
+ * @param {{from: Date, to: Date, gate: string|null}} filters
+ * @returns {Promise<{success: boolean, message?: string, report?: object}>}
+ */
+export async function fetchEventReport({ from, to, gate }) {
+  try {
+    const { data, error } = await supabase.rpc('get_event_report', {
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+      p_gate: gate || null,
+    });
+
+    if (error || data?.error) {
+      console.error('Event report error:', error || data.error);
+      return {
+        success: false,
+        message: data?.error || 'Report failed. Check connection.'
+      };
+    }
+
+    return { success: true, report: data };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      success: false,
+      message: 'System error while building report'
+    };
+  }
+}
+
+/**
+ * Serialise one report section as CSV
+ *
+ * @param {object} report - From fetchEventReport
+ * @param {string} key - ReportSections key
+ * @returns {string}
+ */
+export function reportSectionToCsv(report, key) {
+  const section = ReportSections.find((candidate) => candidate.key === key);
+  return toCsv(section.columns, report[key] || []);
+}
+
+/**
+ * Base file name for exports, e.g. "yatra-report-2026-03-06-north-gate"
+ *
+ * @param {object} report
+ * @returns {string}
+ */
+export function getReportFileName(report) {
+  const day = new Date(report.from).toISOString().slice(0, 10);
+  const gate = report.gate ? `-${report.gate.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : '';
+  return `yatra-report-${day}${gate}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatCell(column, value) {
+  if (value && /_at$/.test(column)) {
+    return new Date(value).toLocaleString();
+  }
+  return value;
+}
+
+/**
+ * Build a printable HTML summary of the report
+ *
+ * Counts for every section, full tables for everything except
+ * no-shows (listed in the CSV export instead - it can be most tickets).
+ *
+ * @param {object} report
+ * @returns {string} Complete HTML document
+ */
+export function reportToHtml(report) {
+  const table = (section) => {
+    const rows = report[section.key] || [];
+    if (rows.length === 0) return '<p class="empty">None</p>';
+
+    const head = section.columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+    const body = rows
+      .map((row) => `<tr>${section.columns
+        .map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`)
+        .join('')}</tr>`)
+      .join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  };
+
+  const sections = ReportSections.map((section) => `
+    <h2>${escapeHtml(section.label)} (${(report[section.key] || []).length})</h2>
+    ${section.key === 'no_shows' ? '<p class="empty">See the No-shows CSV export for the full list.</p>' : table(section)}
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(getReportFileName(report))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px; color: #000; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 24px; border-bottom: 1px solid #000; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ccc; }
+  .meta, .empty { color: #555; font-size: 13px; }
+  @media print { h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+  <h1>YATRA Attendance Report</h1>
+  <p class="meta">
+    ${escapeHtml(new Date(report.from).toLocaleString())} – ${escapeHtml(new Date(report.to).toLocaleString())}
+    · Gate: ${escapeHtml(report.gate || 'All gates')}
+    · Generated ${escapeHtml(new Date(report.generated_at).toLocaleString())}
+  </p>
+  ${sections}
+</body>
+</html>`;
+}
+
+/**
+ * Open the HTML summary in a new window and show the print dialog
+ *
+ * @param {object} report
+ * @returns {boolean} false if the popup was blocked
+ */
+export function printReport(report) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  printWindow.document.write(reportToHtml(report));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+}
@@ -0,0 +1,15 @@
+/**
+ * Hash Routes
+ *
+ * The scanner is a single static page; extra views hang off the hash so
+ * no server rewrites are needed.
+ */
+
+export const Routes = {
+  SCANNER: '',
+  DASHBOARD: '#/dashboard',
+  IMPORT: '#/import',
+  REPORTS: '#/reports',
+  PRINT: '#/print',
+  DEVICES: '#/devices',
+};
@@ -0,0 +1,128 @@
+/**
+ * Scan Event Log
+ *
+ * Records every verification attempt in `scan_events` - allowed,
+ * rejected, invalid and errored - with the gate, device and volunteer.
+ *
+ * Logging never blocks or fails a scan. While offline (or if the insert
+ * fails on the network) events are kept in IndexedDB and uploaded by
+ * flushScanEvents once the device reconnects.
+ */
+
+import { getTicketRepository } from './ticketRepository';
+import { isOnline, isNetworkError } from './offlineSync';
+import {
+  STORES,
+  isOfflineStoreSupported,
+  getAllRecords,
+  putRecord,
+  deleteRecord,
+} from './offlineStore';
+import { getDeviceId, getGateName } from './device';
+
+// Long payloads are truncated - enough to identify a bad QR, not a dump
+const MAX_PAYLOAD_LENGTH = 512;
+
+export const ScanAction = {
+  ENTRY: 'entry',
+  EXIT: 'exit',
+};
+
+export const ScanMethod = {
+  QR: 'qr',
+  MANUAL: 'manual',
+  SEARCH: 'search',
+};
+
+let flushInProgress = null;
+
+/**
+ * Record one verification attempt
+ *
+ * @param {object} event
+ * @param {string|null} event.ticketId - Resolved ticket UUID, if any
+ * @param {string|null} event.rawPayload - QR text or typed code
+ * @param {string} event.action - ScanAction value
+ * @param {string} event.method - ScanMethod value
+ * @param {{id: string}|null} event.session - Active session
+ * @param {{reason: string, message: string, offline?: boolean}} event.result
+ * @returns {Promise<void>}
+ */
+export async function logScanEvent({ ticketId, rawPayload, action, method, session, result }) {
+  const row = {
+    ticket_id: ticketId || null,
+    raw_payload: rawPayload == null ? null : String(rawPayload).slice(0, MAX_PAYLOAD_LENGTH),
+    action,
+    method,
+    result: result.reason,
+    message: result.message,
+    session_id: session?.id || null,
+    gate: getGateName(),
+    device_id: getDeviceId(),
+    offline: Boolean(result.offline),
+    scanned_at: new Date().toISOString(),
+  };
+
+  try {
+    if (isOnline()) {
+      const { error } = await getTicketRepository().insertScanEvent(row);
+      if (!error) return;
+      if (!isNetworkError(error)) {
+        console.error('Scan log error:', error);
+        return;
+      }
+    }
+
+    if (isOfflineStoreSupported()) {
+      await putRecord(STORES.SCAN_EVENTS, row);
+    }
+  } catch (err) {
+    console.error('Unexpected scan log error:', err);
+  }
+}
+
+/**
+ * Upload scan events recorded while offline
+ *
+ * Stops at the first network failure and keeps the rest for next time.
+ *
+ * @returns {Promise<{uploaded: number}>}
+ */
+export function flushScanEvents() {
+  if (!flushInProgress) {
+    flushInProgress = runFlush().finally(() => {
+      flushInProgress = null;
+    });
+  }
+  return flushInProgress;
+}
+
+async function runFlush() {
+  if (!isOfflineStoreSupported() || !isOnline()) {
+    return { uploaded: 0 };
+  }
+
+  let uploaded = 0;
+
+  try {
+    const pending = await getAllRecords(STORES.SCAN_EVENTS);
+
+    for (const { event_id: eventId, ...row } of pending) {
+      const { error } = await getTicketRepository().insertScanEvent(row);
+
+      if (error && isNetworkError(error)) break;
+      if (error) {
+        // Rejected rows (e.g. signed out) would block the queue forever
+        console.error('Scan log upload error:', error);
+      } else {
+        uploaded++;
+      }
+
+      await deleteRecord(STORES.SCAN_EVENTS, eventId);
+    }
+  } catch (err) {
+    console.error('Unexpected scan log upload error:', err);
+  }
+
+  return { uploaded };
+}
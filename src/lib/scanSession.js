@@ -0,0 +1,111 @@
+/**
+ * Scan Session
+ *
+ * html5-qrcode fires the decode callback ~10 times a second while a code
+ * stays in frame, and the camera restarts after every result screen. This
+ * layer sits between the camera and verification:
+ *
+ * - Repeat decodes of the same payload are suppressed until the code has
+ *   been out of frame for DUPLICATE_WINDOW_MS
+ * - A ticket this device admitted moments ago shows an amber "just
+ *   admitted" notice instead of a red ALREADY USED. It is not an
+ *   admission: nobody is let in on it, and the caller still logs the read
+ *   (a screenshot of the QR passed back out is caught by the log).
+ *
+ * State is per device and in memory only - it survives QRScanner
+ * unmounting between results, not a page reload.
+ */
+
+import { parseQrPayload } from './qrPayload';
+
+export const DUPLICATE_WINDOW_MS = 5 * 1000;
+export const JUST_ADMITTED_WINDOW_MS = 60 * 1000;
+
+// Client-side result code - never returned by the server
+export const JUST_ADMITTED = 'JUST_ADMITTED';
+
+const lastDecodes = new Map();
+const recentAdmissions = new Map();
+
+function admissionKey(rawText, session) {
+  return `${session?.id || ''}|${rawText}`;
+}
+
+/**
+ * Record a decode and report whether it repeats one seen moments ago
+ *
+ * @param {string} rawText - Decoded QR text
+ * @returns {boolean} true if the decode should be ignored
+ */
+export function isRepeatDecode(rawText) {
+  const now = Date.now();
+  const last = lastDecodes.get(rawText);
+  lastDecodes.set(rawText, now);
+
+  for (const [text, seenAt] of lastDecodes) {
+    if (now - seenAt > DUPLICATE_WINDOW_MS) lastDecodes.delete(text);
+  }
+
+  return last !== undefined && now - last <= DUPLICATE_WINDOW_MS;
+}
+
+/**
+ * Remember a successful admission made on this device
+ *
+ * @param {string} rawText - Decoded QR text
+ * @param {{id: string}|null} session - Active session
+ * @param {{allowed: boolean, reason: string, name?: string, sessionLabel?: string}} result
+ */
+export function rememberAdmission(rawText, session, result) {
+  if (!result.allowed || result.reason !== 'VALID') return;
+  const payload = parseQrPayload(rawText);
+  recentAdmissions.set(admissionKey(rawText, session), {
+    admittedAt: Date.now(),
+    ticketId: payload.valid ? payload.ticketId : null,
+    name: result.name,
+    sessionLabel: result.sessionLabel,
+  });
+}
+
+/**
+ * Forget an admission (e.g. after an exit scan)
+ *
+ * @param {string} rawText
+ * @param {{id: string}|null} session
+ */
+export function forgetAdmission(rawText, session) {
+  recentAdmissions.delete(admissionKey(rawText, session));
+}
+
+/**
+ * Build a "just admitted" notice if this device admitted the ticket
+ * within JUST_ADMITTED_WINDOW_MS
+ *
+ * The notice is a rejection (allowed: false) with a neutral reason, so
+ * the volunteer sees amber, not green, and checks who is holding the QR.
+ *
+ * @param {string} rawText - Decoded QR text
+ * @param {{id: string}|null} session - Active session
+ * @returns {object|null} Result for ResultScreen (with ticketId for the
+ *   scan log), or null to verify normally
+ */
+export function getJustAdmittedResult(rawText, session) {
+  const key = admissionKey(rawText, session);
+  const admission = recentAdmissions.get(key);
+  if (!admission) return null;
+
+  const seconds = Math.round((Date.now() - admission.admittedAt) / 1000);
+  if (seconds * 1000 > JUST_ADMITTED_WINDOW_MS) {
+    recentAdmissions.delete(key);
+    return null;
+  }
+
+  return {
+    allowed: false,
+    reason: JUST_ADMITTED,
+    message: `Already admitted ${seconds}s ago on this device`,
+    ticketId: admission.ticketId,
+    name: admission.name,
+    sessionLabel: admission.sessionLabel,
+  };
+}
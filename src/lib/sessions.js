@@ -0,0 +1,108 @@
+/**
+ * Event Sessions & Entitlements
+ *
+ * A ticket grants entry to specific sessions (Day 1, Day 2, workshop,
+ * pro-show). The volunteer picks the active session explicitly - there is
+ * NO automatic date detection - and every scan is checked against it.
+ *
+ * Sessions come from the `sessions` table and are cached in localStorage
+ * so the selector still works while offline.
+ */
+
+import { supabase, getDefaultDay } from './supabase';
+
+const SESSIONS_CACHE_KEY = 'yatra_scanner_sessions';
+const ACTIVE_SESSION_KEY = 'yatra_scanner_active_session';
+
+/**
+ * Used until the first successful fetch (matches the 005 migration seed)
+ */
+export const DEFAULT_SESSIONS = [
+  { id: 'day1', label: 'Day 1', day: 1, default_included: true, capacity: null },
+  { id: 'day2', label: 'Day 2', day: 2, default_included: true, capacity: null },
+  { id: 'workshop', label: 'Workshop', day: null, default_included: false, capacity: null },
+  { id: 'proshow', label: 'Pro-Show', day: null, default_included: false, capacity: null },
+];
+
+/**
+ * Sessions cached from the last successful fetch
+ * @returns {Array<{id: string, label: string, day: number|null, default_included: boolean, capacity: number|null, ends_at?: string|null}>}
+ */
+export function getCachedSessions() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(SESSIONS_CACHE_KEY));
+    return Array.isArray(cached) && cached.length > 0 ? cached : DEFAULT_SESSIONS;
+  } catch {
+    return DEFAULT_SESSIONS;
+  }
+}
+
+/**
+ * Fetch sessions from the database, falling back to the cache
+ * @returns {Promise<Array<{id: string, label: string, day: number|null, default_included: boolean, capacity: number|null, ends_at?: string|null}>>}
+ */
+export async function fetchSessions() {
+  // Demo mode runs on the defaults
+  if (!supabase) return getCachedSessions();
+
+  try {
+    const { data, error } = await supabase
+      .from('sessions')
+      .select('id, label, day, default_included, capacity, ends_at')
+      .order('sort_order');
+
+    if (error || !data?.length) {
+      if (error) console.error('Session lookup error:', error);
+      return getCachedSessions();
+    }
+
+    localStorage.setItem(SESSIONS_CACHE_KEY, JSON.stringify(data));
+    return data;
+  } catch (err) {
+    console.error('Unexpected session error:', err);
+    return getCachedSessions();
+  }
+}
+
+/**
+ * Pick the session to scan for: the last one chosen on this device,
+ * else the one matching VITE_DEFAULT_DAY, else the first.
+ *
+ * @param {Array<{id: string, day: number|null}>} sessions
+ * @returns {string|null} Session id
+ */
+export function getActiveSessionId(sessions) {
+  const stored = localStorage.getItem(ACTIVE_SESSION_KEY);
+  if (stored && sessions.some((session) => session.id === stored)) {
+    return stored;
+  }
+
+  const defaultDay = getDefaultDay();
+  const byDay = sessions.find((session) => session.day === defaultDay);
+  return byDay?.id || sessions[0]?.id || null;
+}
+
+/**
+ * Remember the chosen session on this device
+ * @param {string} sessionId
+ */
+export function setActiveSessionId(sessionId) {
+  localStorage.setItem(ACTIVE_SESSION_KEY, sessionId);
+}
+
+/**
+ * Whether a ticket grants a session
+ *
+ * Tickets without explicit entitlements get every default_included
+ * session (Day 1 + Day 2), matching the original single ticket type.
+ *
+ * @param {string[]} entitlements - Session ids granted to the ticket
+ * @param {{id: string, default_included: boolean}} session
+ * @returns {boolean}
+ */
+export function isEntitled(entitlements, session) {
+  if (entitlements?.length) {
+    return entitlements.includes(session.id);
+  }
+  return Boolean(session.default_included);
+}
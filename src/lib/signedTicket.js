@@ -0,0 +1,156 @@
+/**
+ * Signed Ticket Tokens
+ *
+ * Compact Ed25519-signed ticket format that can be checked without the database:
+ *
+ *   YATRA:v2:<base64url(claims JSON)>.<base64url(signature)>
+ *
+ * Claims:
+ *   { "tid": "<ticket uuid>", "code": "123456", "evt": "<event id>", "iat": <unix seconds> }
+ *
+ * The scanner only holds the PUBLIC key, so a leaked bundle cannot mint tickets.
+ * The private key stays with whoever issues tickets (see scripts/ticket-token.js).
+ *
+ * Uses WebCrypto only, so this module runs in the browser and in Node 20+.
+ */
+
+export const TOKEN_PREFIX = 'YATRA:v2:';
+
+const ALGORITHM = { name: 'Ed25519' };
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base64UrlEncode(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Split a token body into claims and signature (no signature check)
+ *
+ * @param {string} body - Token without the YATRA:v2: prefix
+ * @returns {{
+ *   valid: true,
+ *   claims: {tid: string, code: string, evt: string, iat?: number},
+ *   signingInput: Uint8Array,
+ *   signature: Uint8Array
+ * } | {
+ *   valid: false,
+ *   error: string
+ * }}
+ */
+export function decodeTicketToken(body) {
+  const parts = typeof body === 'string' ? body.trim().split('.') : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { valid: false, error: 'Malformed signed ticket' };
+  }
+
+  try {
+    const claimsJson = new TextDecoder().decode(base64UrlDecode(parts[0]));
+    const claims = JSON.parse(claimsJson);
+
+    if (!claims || typeof claims !== 'object' || !claims.tid || !claims.evt) {
+      return { valid: false, error: 'Signed ticket is missing required fields' };
+    }
+
+    return {
+      valid: true,
+      claims,
+      signingInput: new TextEncoder().encode(parts[0]),
+      signature: base64UrlDecode(parts[1]),
+    };
+  } catch {
+    return { valid: false, error: 'Malformed signed ticket' };
+  }
+}
+
+/**
+ * Check a decoded token's signature against a public key
+ *
+ * `ok: false` means the signature could not be checked at all - a bad
+ * public key, or a browser without Ed25519 in WebCrypto - and says
+ * nothing about the ticket. Only `ok: true, valid: false` is a forgery.
+ *
+ * @param {{signingInput: Uint8Array, signature: Uint8Array}} decoded
+ * @param {string} publicKey - base64url raw 32-byte Ed25519 public key
+ * @returns {Promise<{ok: true, valid: boolean} | {ok: false, error: Error}>}
+ */
+export async function verifyTicketSignature(decoded, publicKey) {
+  try {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      base64UrlDecode(publicKey),
+      ALGORITHM,
+      false,
+      ['verify']
+    );
+    const valid = await crypto.subtle.verify(ALGORITHM, key, decoded.signature, decoded.signingInput);
+    return { ok: true, valid };
+  } catch (err) {
+    console.error('Signature check error:', err);
+    return { ok: false, error: err };
+  }
+}
+
+/**
+ * Mint a signed ticket token
+ *
+ * @param {{ticketId: string, code: string, eventId: string}} ticket
+ * @param {string} privateKey - base64url PKCS#8 Ed25519 private key
+ * @returns {Promise<string>} Full token including the YATRA:v2: prefix
+ */
+export async function signTicketToken({ ticketId, code, eventId }, privateKey) {
+  const claims = {
+    tid: ticketId.toLowerCase(),
+    code,
+    evt: eventId,
+    iat: Math.floor(Date.now() / 1000),
+  };
+
+  const encodedClaims = base64UrlEncode(new TextEncoder().encode(JSON.stringify(claims)));
+  const key = await crypto.subtle.importKey(
+    'pkcs8',
+    base64UrlDecode(privateKey),
+    ALGORITHM,
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign(
+    ALGORITHM,
+    key,
+    new TextEncoder().encode(encodedClaims)
+  );
+
+  return `${TOKEN_PREFIX}${encodedClaims}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Generate a new Ed25519 signing key pair
+ * @returns {Promise<{publicKey: string, privateKey: string}>} base64url raw public / PKCS#8 private
+ */
+export async function generateSigningKeys() {
+  const pair = await crypto.subtle.generateKey(ALGORITHM, true, ['sign', 'verify']);
+  const publicKey = await crypto.subtle.exportKey('raw', pair.publicKey);
+  const privateKey = await crypto.subtle.exportKey('pkcs8', pair.privateKey);
+
+  return {
+    publicKey: base64UrlEncode(new Uint8Array(publicKey)),
+    privateKey: base64UrlEncode(new Uint8Array(privateKey)),
+  };
+}
@@ -2,75 +2,49 @@
  * Supabase Client Configuration
  * 
  * This module initializes the Supabase client for database operations.
- * All ticket verification calls go through this client.
+ * Ticket operations reach it through the ticket repository
+ * (ticketRepository.js); admin screens still call it directly.
  * 
  * CRITICAL: Uses ONLY environment variables from .env file
  * NO hardcoded database URLs or keys
+ * 
+ * Missing variables no longer throw at import: `supabase` is null and
+ * the app shows a configuration error, unless VITE_DEMO_MODE is on -
+ * then it runs against the in-memory demo repository instead.
  */
 
 import { createClient } from '@supabase/supabase-js';
 
-// Read ONLY from environment variables - NO hardcoded values, NO old database references
+// Read ONLY from environment variables - NO hardcoded values
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL?.trim();
 const supabaseAnonKey = (import.meta.env.VITE_SUPABASE_ANON_KEY || import.meta.env.VITE_SUPABASE_PUBLISHABLE_DEFAULT_KEY)?.trim();
 
-// DEBUG: Show what we're using (from .env file)
-console.log('🔍 Supabase Configuration (from .env file):');
-console.log('   VITE_SUPABASE_URL:', supabaseUrl);
-console.log('   VITE_SUPABASE_PUBLISHABLE_DEFAULT_KEY:', import.meta.env.VITE_SUPABASE_PUBLISHABLE_DEFAULT_KEY ? 'SET' : 'NOT SET');
-console.log('   VITE_SUPABASE_ANON_KEY:', import.meta.env.VITE_SUPABASE_ANON_KEY ? 'SET' : 'NOT SET');
-console.log('   Using key:', supabaseAnonKey ? supabaseAnonKey.substring(0, 30) + '...' : 'MISSING');
-
-// Validate environment variables
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('❌ Missing Supabase environment variables!');
-  console.error('   Please check your .env file in the project root');
-  console.error('   Required: VITE_SUPABASE_URL and either VITE_SUPABASE_ANON_KEY or VITE_SUPABASE_PUBLISHABLE_DEFAULT_KEY');
-  throw new Error('Missing required Supabase environment variables. Check your .env file.');
+/**
+ * Whether VITE_SUPABASE_URL and an anon / publishable key are set
+ * @returns {boolean}
+ */
+export function isSupabaseConfigured() {
+  return Boolean(supabaseUrl && supabaseAnonKey);
 }
 
-const finalUrl = supabaseUrl;
-const finalKey = supabaseAnonKey;
-
-console.log('✅ Supabase Client Created:');
-console.log('   Connecting to:', finalUrl);
-
-// Create client
-const client = createClient(
-  finalUrl, 
-  finalKey, 
-  {
-    auth: {
-      // We're not using Supabase Auth - just the database
-      persistSession: false,
-      autoRefreshToken: false,
-    },
-  }
-);
-
-// Test connection on initialization
-(async () => {
-  try {
-    console.log('🔍 Testing Supabase connection to:', finalUrl);
-    const { data, error } = await client
-      .from('tickets')
-      .select('id, name, email')
-      .limit(1);
-    
-    if (error) {
-      console.error('❌ Connection test failed:', error);
-      console.error('   Error message:', error.message);
-      console.error('   Error details:', error);
-    } else {
-      console.log('✅ Connection test successful!');
-      console.log('   Sample data:', data);
-    }
-  } catch (err) {
-    console.error('❌ Connection test error:', err);
-  }
-})();
+/**
+ * Whether the app runs on the in-memory demo data (VITE_DEMO_MODE=true)
+ * @returns {boolean}
+ */
+export function isDemoMode() {
+  return import.meta.env.VITE_DEMO_MODE === 'true';
+}
 
-export const supabase = client;
+export const supabase = isSupabaseConfigured() && !isDemoMode()
+  ? createClient(supabaseUrl, supabaseAnonKey, {
+      auth: {
+        // Volunteer accounts - short-lived access tokens, rotated via refresh token
+        persistSession: true,
+        autoRefreshToken: true,
+        storageKey: 'yatra_scanner_session',
+      },
+    })
+  : null;
 
 /**
  * Get default event day from environment (can be overridden in UI)
@@ -82,27 +56,34 @@ export function getDefaultDay() {
 }
 
 /**
- * Get gate password from environment
- * @returns {string}
+ * Get Ed25519 public key for signed tickets from environment
+ * @returns {string|null} base64url raw public key, or null if signed tickets are off
+ */
+export function getTicketPublicKey() {
+  return import.meta.env.VITE_TICKET_PUBLIC_KEY?.trim() || null;
+}
+
+/**
+ * Get event identifier that signed tickets must carry
+ * @returns {string|null}
+ */
+export function getEventId() {
+  return import.meta.env.VITE_EVENT_ID?.trim() || null;
+}
+
+/**
+ * Whether unsigned QR payloads should be rejected
+ * @returns {boolean}
  */
-export function getGatePassword() {
-  const password = import.meta.env.VITE_GATE_PASSWORD;
-  if (!password) {
-    console.warn('⚠️ VITE_GATE_PASSWORD not set in .env file. Using default "demo123"');
-    return 'demo123'; // Default password for testing
-  }
-  return password;
+export function isSignedTicketRequired() {
+  return import.meta.env.VITE_REQUIRE_SIGNED_TICKETS === 'true';
 }
 
 /**
- * Get admin PIN from environment
- * @returns {string}
+ * Occupancy (as % of session capacity) at which the scanner warns
+ * @returns {number} 1-100, defaults to 90
  */
-export function getAdminPin() {
-  const pin = import.meta.env.VITE_ADMIN_PIN;
-  if (!pin) {
-    console.warn('⚠️ VITE_ADMIN_PIN not set in .env file. Using default "9999"');
-    return '9999'; // Default PIN for testing
-  }
-  return pin;
+export function getCapacityWarningPercent() {
+  const percent = parseInt(import.meta.env.VITE_CAPACITY_WARNING_PERCENT, 10);
+  return percent > 0 && percent <= 100 ? percent : 90;
 }
@@ -0,0 +1,102 @@
+/**
+ * Supabase Ticket Repository
+ *
+ * The production ticket repository (see ticketRepository.js): each
+ * method is one RPC or table query against the Supabase project. The
+ * verification rules themselves live in the SQL functions.
+ */
+
+import { supabase } from './supabase';
+
+/**
+ * @param {object} [client] - supabase-js client (defaults to the app's)
+ * @returns {import('./ticketRepository').TicketRepository}
+ */
+export function createSupabaseTicketRepository(client = supabase) {
+  return {
+    verifyAndMarkTicket: ({ ticketId, sessionId, count, deviceId, scannedAt = null }) =>
+      client.rpc('verify_and_mark_ticket', {
+        p_ticket_id: ticketId,
+        p_session_id: sessionId,
+        p_count: count,
+        p_device_id: deviceId,
+        p_scanned_at: scannedAt,
+      }),
+
+    recordExit: ({ ticketId, sessionId, deviceId, scannedAt = null }) =>
+      client.rpc('record_exit', {
+        p_ticket_id: ticketId,
+        p_session_id: sessionId,
+        p_device_id: deviceId,
+        p_scanned_at: scannedAt,
+      }),
+
+    getTicket: (ticketId) =>
+      client
+        .from('tickets')
+        .select('*')
+        .eq('id', ticketId)
+        .maybeSingle(),
+
+    findTicketByCode: (code) =>
+      client
+        .from('tickets')
+        .select('id, six_digit_code')
+        .eq('six_digit_code', code)
+        .maybeSingle(),
+
+    searchTickets: ({ query, limit, offset }) =>
+      client.rpc('search_tickets', {
+        p_query: query,
+        p_limit: limit,
+        p_offset: offset,
+      }),
+
+    // PostgREST caps each response, so callers page through the table
+    fetchRosterPage: ({ from, to }) =>
+      client
+        .from('tickets')
+        .select('id, six_digit_code, name, ticket_status, headcount, tier_id, ticket_entitlements(session_id), session_usage(session_id, used_at, admitted_count), gate_movements(session_id, direction, created_at)')
+        .order('id')
+        .range(from, to),
+
+    verifyAdminPin: ({ pin, deviceId }) =>
+      client.rpc('admin_verify_pin', {
+        p_pin: pin,
+        p_device_id: deviceId,
+      }),
+
+    forceAllow: ({ ticketId, sessionId, reason, adminToken }) =>
+      client.rpc('admin_force_allow', {
+        p_ticket_id: ticketId,
+        p_reason: reason,
+        p_admin_token: adminToken,
+        p_session_id: sessionId,
+      }),
+
+    resetEntry: ({ ticketId, sessionId, reason, adminToken }) =>
+      client.rpc('admin_reset_entry', {
+        p_ticket_id: ticketId,
+        p_reason: reason,
+        p_admin_token: adminToken,
+        p_session_id: sessionId,
+      }),
+
+    getOverrideLogs: (ticketId) =>
+      client.rpc('get_ticket_override_logs', {
+        p_ticket_id: ticketId,
+      }),
+
+    checkInDevice: (deviceId) =>
+      client.rpc('device_checkin', {
+        p_device_id: deviceId,
+      }),
+
+    getOccupancy: (sessionId) =>
+      client.rpc('get_occupancy', {
+        p_session_id: sessionId,
+      }),
+
+    insertScanEvent: (row) => client.from('scan_events').insert(row),
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Ticket QR Rendering
+ *
+ * Draws a ticket's stored qr_payload as a QR image for showing on
+ * screen or printing (walk-in issuance). The payload is the same
+ * {"id", "code"} JSON the email tickets carry, so any scanner reads it.
+ */
+
+// High error correction survives phone-screen glare and creased printouts
+const QR_OPTIONS = { errorCorrectionLevel: 'H', margin: 2, width: 320 };
+
+/**
+ * Render a ticket QR as a PNG data URL
+ *
+ * @param {string} qrPayload - tickets.qr_payload
+ * @returns {Promise<string>}
+ */
+export async function getTicketQrDataUrl(qrPayload) {
+  // Loaded on demand - gate scanning never needs the encoder
+  const { default: QRCode } = await import('qrcode');
+  return QRCode.toDataURL(qrPayload, QR_OPTIONS);
+}
+
+/**
+ * Open a printable single-ticket page and show the print dialog
+ *
+ * @param {{name: string, six_digit_code: string, college?: string}} ticket
+ * @param {string} qrDataUrl - From getTicketQrDataUrl
+ * @returns {boolean} false if the popup was blocked
+ */
+export function printTicket(ticket, qrDataUrl) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  const doc = printWindow.document;
+  doc.title = `Ticket ${ticket.six_digit_code}`;
+  doc.body.style.cssText = 'font-family: system-ui, sans-serif; text-align: center; padding: 24px;';
+
+  const heading = doc.createElement('h1');
+  heading.textContent = 'YATRA';
+  const image = doc.createElement('img');
+  image.src = qrDataUrl;
+  image.alt = 'Ticket QR code';
+  const code = doc.createElement('h2');
+  code.textContent = ticket.six_digit_code;
+  code.style.letterSpacing = '6px';
+  const name = doc.createElement('p');
+  name.textContent = [ticket.name, ticket.college].filter(Boolean).join(' · ');
+
+  doc.body.append(heading, image, code, name);
+  image.onload = () => {
+    printWindow.focus();
+    printWindow.print();
+  };
+  return true;
+}
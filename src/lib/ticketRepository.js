@@ -0,0 +1,81 @@
+/**
+ * Ticket Repository
+ *
+ * Every ticket read and write the gate scanner makes goes through one
+ * repository object, so the scanner can run against something other
+ * than a live Supabase project:
+ *
+ * - supabaseTicketRepository.js - the RPCs and tables (production)
+ * - memoryTicketRepository.js   - in-memory implementation of the same
+ *                                 semantics, optionally kept in IndexedDB
+ *                                 (demo mode, tests)
+ *
+ * Methods answer like supabase-js - `{data, error}` - with `data`
+ * shaped exactly like the RPC result, so callers keep their network /
+ * offline fallbacks unchanged.
+ *
+ * Admin-only screens (dashboard, reports, import, print, devices,
+ * ticket lifecycle) still call Supabase directly and are unavailable in
+ * demo mode.
+ */
+
+import { isDemoMode } from './supabase';
+import { createSupabaseTicketRepository } from './supabaseTicketRepository';
+import { createDemoTicketRepository } from './memoryTicketRepository';
+
+/**
+ * @typedef {{data: any, error: any}} RepositoryResult
+ */
+
+/**
+ * @typedef {object} TicketRepository
+ * @property {(params: {ticketId: string, sessionId: string, count: number|null, deviceId: string|null, scannedAt?: string|null}) => Promise<RepositoryResult>} verifyAndMarkTicket
+ *   verify_and_mark_ticket - `data` is {allowed, reason, message, name, session_label, tier_label, ...}.
+ *   `scannedAt` is the device's scan time for a replayed offline scan (null = now)
+ * @property {(params: {ticketId: string, sessionId: string, deviceId: string|null, scannedAt?: string|null}) => Promise<RepositoryResult>} recordExit
+ *   record_exit - same shape as verifyAndMarkTicket
+ * @property {(ticketId: string) => Promise<RepositoryResult>} getTicket
+ *   Ticket row, or null when not found
+ * @property {(code: string) => Promise<RepositoryResult>} findTicketByCode
+ *   {id, six_digit_code}, or null when not found
+ * @property {(params: {query: string, limit: number, offset: number}) => Promise<RepositoryResult>} searchTickets
+ *   search_tickets rows (see 017_search_pagination.sql)
+ * @property {(params: {from: number, to: number}) => Promise<RepositoryResult>} fetchRosterPage
+ *   Tickets ordered by id, with ticket_entitlements / session_usage / gate_movements
+ * @property {(params: {pin: string, deviceId: string}) => Promise<RepositoryResult>} verifyAdminPin
+ *   admin_verify_pin - {success, message, token?, expires_at?, attempts_remaining?, locked_until?}
+ * @property {(params: {ticketId: string, sessionId: string|null, reason: string, adminToken: string}) => Promise<RepositoryResult>} forceAllow
+ *   admin_force_allow - {success, message}
+ * @property {(params: {ticketId: string, sessionId: string|null, reason: string, adminToken: string}) => Promise<RepositoryResult>} resetEntry
+ *   admin_reset_entry - {success, message}
+ * @property {(ticketId: string) => Promise<RepositoryResult>} getOverrideLogs
+ *   get_ticket_override_logs rows, newest first
+ * @property {(deviceId: string) => Promise<RepositoryResult>} checkInDevice
+ *   device_checkin - {success, enrolled, revoked, gate, zones, scan_modes, session_ids}
+ * @property {(sessionId: string) => Promise<RepositoryResult>} getOccupancy
+ *   get_occupancy - {session_id, inside, capacity}
+ * @property {(row: object) => Promise<RepositoryResult>} insertScanEvent
+ *   scan_events insert
+ */
+
+let repository = null;
+
+/**
+ * The repository in use: the demo repository when VITE_DEMO_MODE is on,
+ * otherwise Supabase
+ * @returns {TicketRepository}
+ */
+export function getTicketRepository() {
+  if (!repository) {
+    repository = isDemoMode() ? createDemoTicketRepository() : createSupabaseTicketRepository();
+  }
+  return repository;
+}
+
+/**
+ * Swap the repository (tests, or null to go back to the default)
+ * @param {TicketRepository|null} next
+ */
+export function setTicketRepository(next) {
+  repository = next;
+}
@@ -8,41 +8,157 @@
  * the same ticket at the exact same moment, only ONE will succeed.
  * 
  * The row-level lock (FOR UPDATE) in the SQL function prevents race conditions.
+ * 
+ * Every scan is checked against the volunteer's active session (Day 1,
+ * Day 2, workshop, pro-show). Usage is recorded per session, so a Day 1
+ * admission does not block Day 2. A second scan for the same session
+ * follows the event's / tier's re-entry policy (lib/reentry.js).
+ * 
+ * Reads and writes go through the ticket repository (lib/ticketRepository.js):
+ * Supabase in production, the in-memory repository in demo mode.
+ * 
+ * When the network is down, verification falls back to the cached roster
+ * in lib/offlineSync.js and the admission is queued for replay.
+ * 
+ * Every attempt made through the exported verify / exit functions is
+ * written to the scan event log (lib/scanLog.js), including rejections.
+ * 
+ * Group tickets (headcount > 1) answer GROUP_COUNT with the remaining
+ * balance instead of admitting; admitGroup then admits the number the
+ * volunteer entered.
  */
 
-import { supabase } from './supabase';
+import {
+  getTicketPublicKey,
+  getEventId,
+  isSignedTicketRequired,
+} from './supabase';
+import { getTicketRepository } from './ticketRepository';
+import { parseQrPayload, isUuid, PayloadFormat } from './qrPayload';
+import { verifyTicketSignature } from './signedTicket';
+import {
+  isOnline,
+  isNetworkError,
+  verifyTicketOffline,
+  recordExitOffline,
+  getCachedTicket,
+  getCachedTicketByCode,
+} from './offlineSync';
+import { logScanEvent, ScanAction, ScanMethod } from './scanLog';
+import { getDeviceId } from './device';
 
 /**
  * Result codes for ticket verification
  */
 export const VerificationResult = {
   VALID: 'VALID',           // Entry allowed
-  ALREADY_USED: 'ALREADY_USED', // Ticket already scanned (within 14-hour cooldown)
+  ALREADY_USED: 'ALREADY_USED', // Re-entry to this session not allowed (yet)
+  NOT_ENTITLED: 'NOT_ENTITLED', // Ticket does not include this session
+  EXITED: 'EXITED',         // Exit recorded (exit mode)
+  NOT_INSIDE: 'NOT_INSIDE', // Exit scanned with no open entry
+  CANCELLED: 'CANCELLED',   // Ticket cancelled by an admin
+  REPLACED: 'REPLACED',     // Ticket reissued - this QR is no longer valid
+  GROUP_COUNT: 'GROUP_COUNT', // Group ticket - ask how many are entering
+  WRONG_ZONE: 'WRONG_ZONE', // Ticket's tier is not admitted at this gate
+  GATE_RESTRICTED: 'GATE_RESTRICTED', // Session / exits not scanned at this device's gate
+  DEVICE_NOT_ENROLLED: 'DEVICE_NOT_ENROLLED', // Device not registered to a gate
+  DEVICE_REVOKED: 'DEVICE_REVOKED', // Device revoked by an admin
   INVALID_TICKET: 'INVALID_TICKET', // Ticket not found
   ERROR: 'ERROR',           // System error
 };
 
 /**
- * Verify a ticket by UUID (from QR code)
+ * Verify a ticket by UUID (search / direct lookup)
  * 
- * Single ticket type valid for both days.
- * Auto-refreshes after 14 hours (12-16 hour range midpoint).
+ * Records usage for the active session only. Rejects with NOT_ENTITLED
+ * when the ticket does not include that session, and with WRONG_ZONE
+ * when its tier is not admitted at this device's gate. The server
+ * checks the device's enrolment first (DEVICE_* / GATE_RESTRICTED).
  * 
- * @param {string} ticketId - UUID from QR code
- * @param {number} currentDay - Optional day parameter (kept for compatibility, not used in verification)
+ * @param {string} ticketId - UUID of ticket
+ * @param {{id: string, label: string, default_included: boolean}} session - Active session
  * @returns {Promise<{
  *   allowed: boolean,
  *   reason: string,
  *   message: string,
  *   ticketType?: string,
- *   name?: string
+ *   tierColor?: string,
+ *   name?: string,
+ *   sessionLabel?: string,
+ *   headcount?: number,
+ *   admitted?: number,
+ *   remaining?: number
  * }>}
  */
-export async function verifyTicketById(ticketId, currentDay) {
+export async function verifyTicketById(ticketId, session) {
+  const result = await admitTicket(ticketId, session);
+  return logEntryScan({
+    ticketId,
+    rawPayload: null,
+    method: ScanMethod.SEARCH,
+    session,
+    result,
+  });
+}
+
+/**
+ * Admit part of a group after a GROUP_COUNT result
+ * 
+ * The count is checked against the remaining balance again on the
+ * server, under the ticket lock, so a stale balance can't over-admit.
+ * 
+ * @param {object} groupResult - GROUP_COUNT result from a verify function
+ * @param {number} count - How many people are entering now
+ * @param {{id: string, label: string}} session - Active session
+ * @returns {Promise<object>} Same shape as verifyTicketById, with headcount / admitted / remaining
+ */
+export async function admitGroup(groupResult, count, session) {
+  const result = await admitTicket(groupResult.ticketId, session, count);
+  return logEntryScan({
+    ticketId: groupResult.ticketId,
+    rawPayload: groupResult.rawPayload,
+    method: groupResult.method,
+    session,
+    result,
+  });
+}
+
+/**
+ * Log an entry attempt and return its result
+ * 
+ * A GROUP_COUNT answer is not an outcome yet: it is returned with the
+ * scan details attached and logged once admitGroup has the count.
+ * 
+ * @returns {object} The result (GROUP_COUNT results carry ticketId / rawPayload / method)
+ */
+function logEntryScan({ ticketId, rawPayload, method, session, result }) {
+  if (result.reason === VerificationResult.GROUP_COUNT) {
+    return { ...result, ticketId, rawPayload, method };
+  }
+
+  logScanEvent({
+    ticketId,
+    rawPayload,
+    action: ScanAction.ENTRY,
+    method,
+    session,
+    result,
+  });
+  return result;
+}
+
+/**
+ * Admit a ticket to the active session (no scan logging)
+ * 
+ * @param {string} ticketId - UUID of ticket
+ * @param {object} session - Active session
+ * @param {number|null} [count] - People entering on a group ticket
+ * @returns {Promise<object>} Same shape as verifyTicketById
+ */
+async function admitTicket(ticketId, session, count = null) {
   try {
     // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(ticketId)) {
+    if (!isUuid(ticketId)) {
       return {
         allowed: false,
         reason: VerificationResult.INVALID_TICKET,
@@ -50,14 +166,32 @@ export async function verifyTicketById(ticketId, currentDay) {
       };
     }
 
-    // Call the atomic verification function from Supabase
-    // This function checks ticket_status and updates it if valid
-    // Note: The database function should check ticket_status and set it to 'used' when verified
-    const { data, error } = await supabase.rpc('verify_and_mark_ticket', {
-      p_ticket_id: ticketId,
+    if (!session) {
+      return {
+        allowed: false,
+        reason: VerificationResult.ERROR,
+        message: 'Select a session before scanning',
+      };
+    }
+
+    // No network - verify against the cached roster and queue for sync
+    if (!isOnline()) {
+      return verifyTicketOffline(ticketId, session, count);
+    }
+
+    // Call the atomic verification function (verify_and_mark_ticket)
+    // This checks the ticket's entitlements and records usage for the session
+    const { data, error } = await getTicketRepository().verifyAndMarkTicket({
+      ticketId,
+      sessionId: session.id,
+      count,
+      deviceId: getDeviceId(),
     });
 
     if (error) {
+      if (isNetworkError(error)) {
+        return verifyTicketOffline(ticketId, session, count);
+      }
       console.error('Verification error:', error);
       return {
         allowed: false,
@@ -67,13 +201,19 @@ export async function verifyTicketById(ticketId, currentDay) {
     }
 
     // Return the result from the database function
-    // data.allowed = true if ticket is valid (ticket_status = 'valid')
-    // data.allowed = false if ticket is already used (ticket_status = 'used')
+    // data.allowed = true if the session is included and not yet used
+    // data.reason = WRONG_ZONE / NOT_ENTITLED / ALREADY_USED / GROUP_COUNT otherwise
     return {
       allowed: data.allowed || false,
       reason: data.reason || VerificationResult.ERROR,
       message: data.message || 'Verification failed',
       name: data.name,
+      sessionLabel: data.session_label || session.label,
+      ticketType: data.tier_label,
+      tierColor: data.tier_color,
+      headcount: data.headcount,
+      admitted: data.admitted,
+      remaining: data.remaining,
     };
   } catch (err) {
     console.error('Unexpected error:', err);
@@ -85,162 +225,467 @@ export async function verifyTicketById(ticketId, currentDay) {
   }
 }
 
+/**
+ * Check a parsed payload against the signed-ticket configuration
+ * 
+ * @param {object} payload - Result of parseQrPayload
+ * @returns {Promise<object|null>} Rejection result, or null if the payload may proceed
+ */
+async function checkSignature(payload) {
+  if (payload.format !== PayloadFormat.SIGNED) {
+    if (isSignedTicketRequired()) {
+      return {
+        allowed: false,
+        reason: VerificationResult.INVALID_TICKET,
+        message: 'Unsigned ticket - this gate only accepts signed QR codes',
+      };
+    }
+    return null;
+  }
+
+  const publicKey = getTicketPublicKey();
+  if (!publicKey) {
+    return {
+      allowed: false,
+      reason: VerificationResult.ERROR,
+      message: 'Signed tickets are not configured on this device',
+    };
+  }
+
+  const signature = await verifyTicketSignature(payload.token, publicKey);
+  if (!signature.ok) {
+    // e.g. no Ed25519 in this browser's WebCrypto - the ticket may be fine
+    return {
+      allowed: false,
+      reason: VerificationResult.ERROR,
+      message: "This device can't check signed tickets - enter the 6-digit code",
+    };
+  }
+
+  if (!signature.valid) {
+    return {
+      allowed: false,
+      reason: VerificationResult.INVALID_TICKET,
+      message: 'Forged or tampered ticket',
+    };
+  }
+
+  const eventId = getEventId();
+  if (eventId && payload.eventId !== eventId) {
+    return {
+      allowed: false,
+      reason: VerificationResult.INVALID_TICKET,
+      message: 'Ticket is for a different event',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Decode raw QR text and resolve it to a ticket id
+ * 
+ * Decodes the payload first (bare UUID, JSON, URL or versioned prefix).
+ * Signed tokens are checked against VITE_TICKET_PUBLIC_KEY locally, so
+ * forged codes are rejected even while offline.
+ * When the payload embeds a 6-digit code, it must match the ticket's
+ * six_digit_code.
+ * 
+ * @param {string} rawText - Text decoded from the QR code
+ * @returns {Promise<{ticketId?: string, failure?: object}>} ticketId is set whenever the payload decoded
+ */
+async function resolveScannedTicket(rawText) {
+  const payload = parseQrPayload(rawText);
+
+  if (!payload.valid) {
+    return {
+      failure: {
+        allowed: false,
+        reason: VerificationResult.INVALID_TICKET,
+        message: payload.error,
+      },
+    };
+  }
+
+  const signatureFailure = await checkSignature(payload);
+  if (signatureFailure) {
+    return { ticketId: payload.ticketId, failure: signatureFailure };
+  }
+
+  if (payload.code) {
+    try {
+      let ticket = null;
+      let offline = !isOnline();
+
+      if (!offline) {
+        const { data, error } = await getTicketRepository().getTicket(payload.ticketId);
+
+        if (error && !isNetworkError(error)) {
+          console.error('Lookup error:', error);
+          return {
+            ticketId: payload.ticketId,
+            failure: {
+              allowed: false,
+              reason: VerificationResult.ERROR,
+              message: 'Lookup failed. Please try again.',
+            },
+          };
+        }
+
+        offline = Boolean(error);
+        ticket = data;
+
+        if (!offline && !ticket) {
+          return {
+            ticketId: payload.ticketId,
+            failure: {
+              allowed: false,
+              reason: VerificationResult.INVALID_TICKET,
+              message: 'Invalid ticket - not found',
+            },
+          };
+        }
+      }
+
+      // Offline - cross-check against the cached roster instead.
+      // Unknown tickets are reported by the offline verifier.
+      if (offline) {
+        ticket = await getCachedTicket(payload.ticketId);
+      }
+
+      if (ticket && ticket.six_digit_code !== payload.code) {
+        return {
+          ticketId: payload.ticketId,
+          failure: {
+            allowed: false,
+            reason: VerificationResult.INVALID_TICKET,
+            message: 'QR code does not match ticket record',
+          },
+        };
+      }
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return {
+        ticketId: payload.ticketId,
+        failure: {
+          allowed: false,
+          reason: VerificationResult.ERROR,
+          message: 'Connection error. Check your network.',
+        },
+      };
+    }
+  }
+
+  return { ticketId: payload.ticketId };
+}
+
+/**
+ * Verify a ticket from raw QR code text
+ * 
+ * The payload is decoded and cross-checked before the ticket is marked
+ * as used (see resolveScannedTicket).
+ * 
+ * @param {string} rawText - Text decoded from the QR code
+ * @param {{id: string, label: string, default_included: boolean}} session - Active session
+ * @returns {Promise<{
+ *   allowed: boolean,
+ *   reason: string,
+ *   message: string,
+ *   ticketType?: string,
+ *   name?: string,
+ *   sessionLabel?: string
+ * }>}
+ */
+export async function verifyScannedPayload(rawText, session) {
+  const { ticketId, failure } = await resolveScannedTicket(rawText);
+  const result = failure || (await admitTicket(ticketId, session));
+  return logEntryScan({
+    ticketId,
+    rawPayload: rawText,
+    method: ScanMethod.QR,
+    session,
+    result,
+  });
+}
+
+/**
+ * Record an exit for a ticket (no scan logging)
+ * 
+ * Anti-passback: a ticket may only re-enter a session after an exit
+ * has been recorded. Rejects with NOT_INSIDE when no entry is open.
+ * 
+ * @param {string} ticketId - UUID of ticket
+ * @param {{id: string, label: string}} session - Active session
+ * @returns {Promise<{
+ *   allowed: boolean,
+ *   reason: string,
+ *   message: string,
+ *   name?: string,
+ *   sessionLabel?: string
+ * }>}
+ */
+async function exitTicket(ticketId, session) {
+  try {
+    if (!isUuid(ticketId)) {
+      return {
+        allowed: false,
+        reason: VerificationResult.INVALID_TICKET,
+        message: 'Invalid QR code format',
+      };
+    }
+
+    if (!session) {
+      return {
+        allowed: false,
+        reason: VerificationResult.ERROR,
+        message: 'Select a session before scanning',
+      };
+    }
+
+    if (!isOnline()) {
+      return recordExitOffline(ticketId, session);
+    }
+
+    const { data, error } = await getTicketRepository().recordExit({
+      ticketId,
+      sessionId: session.id,
+      deviceId: getDeviceId(),
+    });
+
+    if (error) {
+      if (isNetworkError(error)) {
+        return recordExitOffline(ticketId, session);
+      }
+      console.error('Exit error:', error);
+      return {
+        allowed: false,
+        reason: VerificationResult.ERROR,
+        message: 'Exit not recorded. Please try again.',
+      };
+    }
+
+    return {
+      allowed: data.allowed || false,
+      reason: data.reason || VerificationResult.ERROR,
+      message: data.message || 'Exit not recorded',
+      name: data.name,
+      sessionLabel: data.session_label || session.label,
+    };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return {
+      allowed: false,
+      reason: VerificationResult.ERROR,
+      message: 'Connection error. Check your network.',
+    };
+  }
+}
+
+/**
+ * Record an exit from raw QR code text
+ * 
+ * @param {string} rawText - Text decoded from the QR code
+ * @param {{id: string, label: string}} session - Active session
+ * @returns {Promise<object>} Same shape as exitTicket
+ */
+export async function recordExitFromPayload(rawText, session) {
+  const { ticketId, failure } = await resolveScannedTicket(rawText);
+  const result = failure || (await exitTicket(ticketId, session));
+  logScanEvent({
+    ticketId,
+    rawPayload: rawText,
+    action: ScanAction.EXIT,
+    method: ScanMethod.QR,
+    session,
+    result,
+  });
+  return result;
+}
+
 /**
  * Verify a ticket by 6-digit code (manual entry)
  * 
- * Single ticket type valid for both days.
- * Auto-refreshes after 14 hours (12-16 hour range midpoint).
+ * Resolves the code to a ticket, then verifies it for the active session.
  * 
  * @param {string} code - 6-digit code
- * @param {number} currentDay - Optional day parameter (kept for compatibility, not used in verification)
+ * @param {{id: string, label: string, default_included: boolean}} session - Active session
  * @returns {Promise<{
  *   allowed: boolean,
  *   reason: string,
  *   message: string,
  *   ticketType?: string,
- *   name?: string
+ *   name?: string,
+ *   sessionLabel?: string
  * }>}
  */
-export async function verifyTicketByCode(code, currentDay) {
+export async function verifyTicketByCode(code, session) {
+  const { ticketId, result } = await admitByCode(code, session);
+  return logEntryScan({
+    ticketId,
+    rawPayload: code,
+    method: ScanMethod.MANUAL,
+    session,
+    result,
+  });
+}
+
+/**
+ * Resolve a 6-digit code and admit the ticket (no scan logging)
+ * 
+ * @param {string} code - 6-digit code
+ * @param {object} session - Active session
+ * @returns {Promise<{ticketId?: string, result: object}>}
+ */
+async function admitByCode(code, session) {
   try {
     // Validate code format - must be exactly 6 digits
     if (!/^\d{6}$/.test(code)) {
       return {
-        allowed: false,
-        reason: VerificationResult.INVALID_TICKET,
-        message: 'Code must be 6 digits',
+        result: {
+          allowed: false,
+          reason: VerificationResult.INVALID_TICKET,
+          message: 'Code must be 6 digits',
+        },
       };
     }
 
-    // Look up ticket by 6-digit code in the tickets table
-    // Query the six_digit_code column directly
-    const { data: ticketData, error: lookupError } = await supabase
-      .from('tickets')
-      .select('id')
-      .eq('six_digit_code', code)
-      .single();
-    
+    // No network - resolve the code from the cached roster
+    if (!isOnline()) {
+      return verifyCodeOffline(code, session);
+    }
+
+    // Look up ticket by 6-digit code
+    const { data: ticketData, error: lookupError } = await getTicketRepository().findTicketByCode(code);
+
     const ticketId = ticketData?.id;
 
+    if (lookupError && isNetworkError(lookupError)) {
+      return verifyCodeOffline(code, session);
+    }
+
     if (lookupError) {
       console.error('Lookup error:', lookupError);
       return {
-        allowed: false,
-        reason: VerificationResult.ERROR,
-        message: 'Lookup failed. Please try again.',
+        result: {
+          allowed: false,
+          reason: VerificationResult.ERROR,
+          message: 'Lookup failed. Please try again.',
+        },
       };
     }
 
     // If no ticket found, return invalid
     if (!ticketId) {
       return {
-        allowed: false,
-        reason: VerificationResult.INVALID_TICKET,
-        message: 'Invalid code - ticket not found',
+        result: {
+          allowed: false,
+          reason: VerificationResult.INVALID_TICKET,
+          message: 'Invalid code - ticket not found',
+        },
       };
     }
 
     // Now verify the ticket using its UUID
-    // This will check ticket_status and update it if valid
-    return verifyTicketById(ticketId, currentDay);
+    // This checks entitlements and records usage for the active session
+    return { ticketId, result: await admitTicket(ticketId, session) };
   } catch (err) {
     console.error('Unexpected error:', err);
     return {
-      allowed: false,
-      reason: VerificationResult.ERROR,
-      message: 'Connection error. Check your network.',
+      result: {
+        allowed: false,
+        reason: VerificationResult.ERROR,
+        message: 'Connection error. Check your network.',
+      },
     };
   }
 }
 
 /**
- * Search tickets by email or code (for fallback verification)
+ * Resolve a 6-digit code from the cached roster and verify offline
  * 
- * @param {string} query - Search query (email or code)
- * @returns {Promise<Array<{
- *   id: string,
- *   six_digit_code: string,
- *   email: string,
- *   name: string,
- *   college: string,
- *   ticket_status: string
- * }>>}
+ * @param {string} code - 6-digit code
+ * @param {object} session - Active session
+ * @returns {Promise<{ticketId?: string, result: object}>}
  */
-export async function searchTickets(query) {
-  try {
-    if (!query || query.length < 3) {
-      return [];
-    }
+async function verifyCodeOffline(code, session) {
+  const ticket = await getCachedTicketByCode(code);
+  return {
+    ticketId: ticket?.id,
+    result: await verifyTicketOffline(ticket?.id || null, session),
+  };
+}
 
-    const searchQuery = query.trim();
-    console.log('🔍 [searchTickets] Searching for:', searchQuery);
-
-    // Use direct query to match actual database schema
-    // Try different column combinations based on what exists in the database
-    let data, error;
-    
-    // First try with six_digit_code (new schema) - without registration_id
-    const query1 = supabase
-      .from('tickets')
-      .select('id, email, name, college, six_digit_code, ticket_status')
-      .or(`name.ilike.%${searchQuery}%,email.ilike.%${searchQuery}%,six_digit_code.eq.${searchQuery},college.ilike.%${searchQuery}%`)
-      .limit(20);
-    
-    const result1 = await query1;
-    data = result1.data;
-    error = result1.error;
-
-    // If error suggests column doesn't exist, try with code_6_digit (old schema)
-    if (error && (error.message?.includes('column') || error.message?.includes('does not exist'))) {
-      console.log('⚠️ [searchTickets] Trying with code_6_digit (old schema)...');
-      const query2 = supabase
-        .from('tickets')
-        .select('id, email, name, college, code_6_digit, ticket_status')
-        .or(`name.ilike.%${searchQuery}%,email.ilike.%${searchQuery}%,code_6_digit.eq.${searchQuery},college.ilike.%${searchQuery}%`)
-        .limit(20);
-      
-      const result2 = await query2;
-      data = result2.data;
-      error = result2.error;
-      
-      // Map code_6_digit to six_digit_code for consistency
-      if (data) {
-        data = data.map(ticket => ({
-          ...ticket,
-          six_digit_code: ticket.code_6_digit || ticket.six_digit_code
-        }));
-      }
+/**
+ * Minimum query length for searchTickets
+ */
+export const SEARCH_MIN_LENGTH = 2;
+
+/**
+ * Results per searchTickets page (the server caps this at 50)
+ */
+export const SEARCH_PAGE_SIZE = 20;
+
+/**
+ * Search tickets for fallback verification
+ * 
+ * Typo-tolerant and ranked (search_tickets RPC, 016_fuzzy_search.sql /
+ * 017_search_pagination.sql): names match phonetically ("Shriram"
+ * finds "Sriram"), and digits match partial codes and registration
+ * phone numbers. `matched` lists the fields that matched, for
+ * highlighting. The query is passed as a typed parameter, never built
+ * into a filter string.
+ * 
+ * An empty page carries no count, so later pages pass the `total` from
+ * the first; it is returned unchanged if the page comes back empty.
+ * 
+ * @param {string} query - Name, email, college, phone, code or UUID
+ * @param {{offset?: number, limit?: number, total?: number}} [page]
+ * @returns {Promise<{
+ *   success: boolean,
+ *   message?: string,
+ *   total: number,
+ *   tickets: Array<{
+ *     id: string,
+ *     six_digit_code: string,
+ *     name: string,
+ *     email: string,
+ *     college: string|null,
+ *     phone: string|null,
+ *     ticket_status: string,
+ *     headcount: number,
+ *     tier_id: string|null,
+ *     session_usage: Array<{session_id: string, admitted_count: number}>,
+ *     matched: string[],
+ *     score: number
+ *   }>
+ * }>}
+ */
+export async function searchTickets(query, { offset = 0, limit = SEARCH_PAGE_SIZE, total = 0 } = {}) {
+  try {
+    if (!query || query.trim().length < SEARCH_MIN_LENGTH) {
+      return { success: true, total: 0, tickets: [] };
     }
 
-    console.log('🔍 [searchTickets] Query result:', { 
-      data, 
-      error, 
-      dataLength: data?.length,
-      query: searchQuery,
-      errorMessage: error?.message 
+    const { data, error } = await getTicketRepository().searchTickets({
+      query: query.trim(),
+      limit,
+      offset,
     });
 
     if (error) {
-      console.error('❌ [searchTickets] Query Error:', error);
-      console.error('❌ [searchTickets] Error details:', JSON.stringify(error, null, 2));
-      
-      // If it's an RLS error, provide helpful message
-      if (error.message?.includes('row-level security') || error.message?.includes('policy')) {
-        console.error('🚨 [searchTickets] RLS Policy Error - Need to allow anon SELECT on tickets table');
-      }
-      
-      return [];
+      console.error('Search error:', error);
+      return { success: false, message: 'Search failed. Check connection.', total: 0, tickets: [] };
     }
 
-    console.log('✅ [searchTickets] Found tickets:', data?.length || 0);
-    if (data && data.length > 0) {
-      console.log('✅ [searchTickets] First result:', data[0]);
-    }
-    return data || [];
+    const tickets = (data || []).map(({ total_count: _total, ...ticket }) => ticket);
+    return {
+      success: true,
+      total: data?.[0]?.total_count ?? (offset > 0 ? total : 0),
+      tickets,
+    };
   } catch (err) {
-    console.error('❌ [searchTickets] Unexpected error:', err);
-    console.error('❌ [searchTickets] Error stack:', err.stack);
-    return [];
+    console.error('Unexpected search error:', err);
+    return { success: false, message: 'Search failed. Check connection.', total: 0, tickets: [] };
   }
 }
 
@@ -255,11 +700,7 @@ export async function searchTickets(query) {
  */
 export async function getTicketStatus(ticketId) {
   try {
-    const { data, error } = await supabase
-      .from('tickets')
-      .select('*')
-      .eq('id', ticketId)
-      .single();
+    const { data, error } = await getTicketRepository().getTicket(ticketId);
 
     if (error || !data) {
       return { found: false };
@@ -0,0 +1,507 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  verifyTicketById,
+  verifyTicketByCode,
+  verifyScannedPayload,
+  recordExitFromPayload,
+  admitGroup,
+  searchTickets,
+  getTicketStatus,
+  VerificationResult,
+} from './ticketVerification';
+import { getTicketRepository, setTicketRepository } from './ticketRepository';
+import { generateSigningKeys, signTicketToken } from './signedTicket';
+import { getDeviceId } from './device';
+import { DEFAULT_ACCESS } from './tiers';
+import { DEFAULT_SESSIONS } from './sessions';
+import { installMemoryRepository, demoTicket, DAY1, DAY2 } from '../test/helpers';
+
+const UNKNOWN_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+const sriram = demoTicket('Sriram K');
+const arjun = demoTicket('Arjun Rao');
+const robocon = demoTicket('Team Robocon');
+
+// Let the fire-and-forget scan log writes land
+const flushScanLog = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('verifyTicketById', () => {
+  it('admits a valid ticket once per session', async () => {
+    const first = await verifyTicketById(sriram.id, DAY1);
+    expect(first).toMatchObject({
+      allowed: true,
+      reason: VerificationResult.VALID,
+      name: 'Sriram K',
+      sessionLabel: 'Day 1',
+      ticketType: 'Event',
+    });
+
+    const second = await verifyTicketById(sriram.id, DAY1);
+    expect(second).toMatchObject({ allowed: false, reason: VerificationResult.ALREADY_USED });
+
+    // Day 1 usage doesn't block Day 2
+    expect(await verifyTicketById(sriram.id, DAY2)).toMatchObject({ allowed: true });
+  });
+
+  it('rejects malformed and unknown ids', async () => {
+    expect(await verifyTicketById('not-a-uuid', DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.INVALID_TICKET,
+      message: 'Invalid QR code format',
+    });
+    expect(await verifyTicketById(UNKNOWN_ID, DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.INVALID_TICKET,
+    });
+  });
+
+  it('requires a session', async () => {
+    expect(await verifyTicketById(sriram.id, null)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.ERROR,
+      message: 'Select a session before scanning',
+    });
+  });
+
+  it('rejects cancelled and reissued tickets', async () => {
+    expect((await verifyTicketById(demoTicket('Rahul Menon').id, DAY1)).reason).toBe(VerificationResult.CANCELLED);
+    expect((await verifyTicketById(demoTicket('Divya Shetty').id, DAY1)).reason).toBe(VerificationResult.REPLACED);
+  });
+
+  it('rejects sessions the ticket does not include', async () => {
+    expect(await verifyTicketById(demoTicket('Karthik Iyer').id, DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.NOT_ENTITLED,
+    });
+  });
+
+  it('rejects tiers the gate does not admit', async () => {
+    installMemoryRepository({
+      gate: 'VIP Lounge',
+      access: { tiers: DEFAULT_ACCESS.tiers, gates: [{ name: 'VIP Lounge', zones: ['vip'] }] },
+    });
+
+    expect((await verifyTicketById(sriram.id, DAY1)).reason).toBe(VerificationResult.WRONG_ZONE);
+    expect((await verifyTicketById(demoTicket('Vishwa Hegde').id, DAY1)).allowed).toBe(true);
+  });
+
+  it('rejects devices that are not enrolled or revoked', async () => {
+    installMemoryRepository({ gate: null });
+    expect((await verifyTicketById(sriram.id, DAY1)).reason).toBe(VerificationResult.DEVICE_NOT_ENROLLED);
+
+    installMemoryRepository({ revokedDevices: [getDeviceId()] });
+    expect((await verifyTicketById(sriram.id, DAY1)).reason).toBe(VerificationResult.DEVICE_REVOKED);
+  });
+
+  it('reports backend errors without admitting', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    setTicketRepository({
+      ...getTicketRepository(),
+      verifyAndMarkTicket: async () => ({ data: null, error: { message: 'permission denied' } }),
+    });
+
+    expect(await verifyTicketById(sriram.id, DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.ERROR,
+      message: 'Verification failed. Please try again.',
+    });
+  });
+
+  it('falls back to the offline roster when the network is down', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    expect(await verifyTicketById(sriram.id, DAY1)).toMatchObject({
+      allowed: false,
+      offline: true,
+      message: 'Offline and no roster downloaded. Reconnect to verify.',
+    });
+  });
+});
+
+describe('verifyTicketByCode', () => {
+  it('admits by six-digit code', async () => {
+    expect(await verifyTicketByCode(sriram.six_digit_code, DAY1)).toMatchObject({
+      allowed: true,
+      name: 'Sriram K',
+    });
+  });
+
+  it('rejects malformed and unknown codes', async () => {
+    expect((await verifyTicketByCode('12345', DAY1)).message).toBe('Code must be 6 digits');
+    expect(await verifyTicketByCode('000000', DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.INVALID_TICKET,
+      message: 'Invalid code - ticket not found',
+    });
+  });
+});
+
+describe('verifyScannedPayload', () => {
+  it('admits JSON payloads whose code matches the ticket', async () => {
+    const payload = JSON.stringify({ id: sriram.id, code: sriram.six_digit_code });
+    expect((await verifyScannedPayload(payload, DAY1)).allowed).toBe(true);
+  });
+
+  it('rejects payloads whose code does not match, without admitting', async () => {
+    const payload = JSON.stringify({ id: sriram.id, code: '000000' });
+    expect(await verifyScannedPayload(payload, DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.INVALID_TICKET,
+      message: 'QR code does not match ticket record',
+    });
+    expect((await verifyTicketById(sriram.id, DAY1)).allowed).toBe(true);
+  });
+
+  it('rejects unreadable payloads', async () => {
+    expect(await verifyScannedPayload('hello', DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.INVALID_TICKET,
+      message: 'Invalid QR code format',
+    });
+  });
+
+  describe('signed tickets', () => {
+    const sign = (privateKey) =>
+      signTicketToken({ ticketId: sriram.id, code: sriram.six_digit_code, eventId: 'yatra-2026' }, privateKey);
+
+    it('admits tokens signed with the configured key', async () => {
+      const { publicKey, privateKey } = await generateSigningKeys();
+      vi.stubEnv('VITE_TICKET_PUBLIC_KEY', publicKey);
+      vi.stubEnv('VITE_EVENT_ID', 'yatra-2026');
+
+      expect((await verifyScannedPayload(await sign(privateKey), DAY1)).allowed).toBe(true);
+    });
+
+    it('rejects forged tokens and other events', async () => {
+      const { publicKey, privateKey } = await generateSigningKeys();
+      const forger = await generateSigningKeys();
+      vi.stubEnv('VITE_TICKET_PUBLIC_KEY', publicKey);
+
+      expect((await verifyScannedPayload(await sign(forger.privateKey), DAY1)).message)
+        .toBe('Forged or tampered ticket');
+
+      vi.stubEnv('VITE_EVENT_ID', 'another-event');
+      expect((await verifyScannedPayload(await sign(privateKey), DAY1)).message)
+        .toBe('Ticket is for a different event');
+    });
+
+    it("reports an error, not a forgery, when this device can't check signatures", async () => {
+      const { publicKey, privateKey } = await generateSigningKeys();
+      const token = await sign(privateKey);
+      vi.stubEnv('VITE_TICKET_PUBLIC_KEY', publicKey);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(crypto.subtle, 'importKey').mockRejectedValue(new DOMException('Unrecognized name.', 'NotSupportedError'));
+
+      expect(await verifyScannedPayload(token, DAY1)).toMatchObject({
+        allowed: false,
+        reason: VerificationResult.ERROR,
+        message: "This device can't check signed tickets - enter the 6-digit code",
+      });
+    });
+
+    it('rejects unsigned codes when signing is required', async () => {
+      vi.stubEnv('VITE_REQUIRE_SIGNED_TICKETS', 'true');
+
+      expect((await verifyScannedPayload(sriram.id, DAY1)).message)
+        .toBe('Unsigned ticket - this gate only accepts signed QR codes');
+    });
+  });
+});
+
+describe('group tickets', () => {
+  it('admits a group in parts up to its headcount', async () => {
+    const ask = await verifyTicketById(robocon.id, DAY1);
+    expect(ask).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.GROUP_COUNT,
+      headcount: 5,
+      remaining: 5,
+      ticketId: robocon.id,
+    });
+
+    expect(await admitGroup(ask, 3, DAY1)).toMatchObject({ allowed: true, admitted: 3, remaining: 2 });
+
+    const tooMany = await admitGroup(ask, 3, DAY1);
+    expect(tooMany).toMatchObject({
+      reason: VerificationResult.GROUP_COUNT,
+      message: 'Only 2 of the group remaining',
+    });
+
+    expect(await admitGroup(ask, 2, DAY1)).toMatchObject({ allowed: true, remaining: 0 });
+    expect((await verifyTicketById(robocon.id, DAY1)).reason).toBe(VerificationResult.ALREADY_USED);
+  });
+});
+
+describe('exit and re-entry', () => {
+  it('lets a ticket back in only after an exit', async () => {
+    expect((await verifyTicketById(arjun.id, DAY1)).reason).toBe(VerificationResult.ALREADY_USED);
+
+    expect(await recordExitFromPayload(arjun.id, DAY1)).toMatchObject({
+      allowed: true,
+      reason: VerificationResult.EXITED,
+    });
+
+    expect(await verifyTicketById(arjun.id, DAY1)).toMatchObject({
+      allowed: true,
+      message: 'Re-entry to Day 1',
+    });
+  });
+
+  it('rejects exits with no open entry', async () => {
+    expect((await recordExitFromPayload(sriram.id, DAY1)).reason).toBe(VerificationResult.NOT_INSIDE);
+  });
+});
+
+describe('re-entry policy', () => {
+  const lakshmi = demoTicket('Lakshmi Narayan'); // early_bird
+
+  // Repository on a movable clock with the given event settings / sessions
+  const installAt = (start, { event, tiers = DEFAULT_ACCESS.tiers, sessions } = {}) => {
+    let clock = new Date(start).getTime();
+    installMemoryRepository({
+      access: { ...DEFAULT_ACCESS, tiers, event },
+      ...(sessions && { sessions }),
+      now: () => new Date(clock),
+    });
+    return (iso) => { clock = new Date(iso).getTime(); };
+  };
+
+  it('says when an unlimited ticket inside may come back', async () => {
+    const result = await verifyTicketById(arjun.id, DAY1);
+    expect(result.message).toMatch(/^Already inside Day 1 since \d\d:\d\d - valid again after an exit scan$/);
+  });
+
+  it('closes unlimited re-entry when the session ends', async () => {
+    const ended = DEFAULT_SESSIONS.map((session) =>
+      session.id === 'day1' ? { ...session, ends_at: '2026-10-19T12:30:00Z' } : session
+    );
+    const setClock = installAt('2026-10-19T10:00:00Z', { sessions: ended });
+
+    await verifyTicketById(sriram.id, DAY1);
+    await recordExitFromPayload(sriram.id, DAY1);
+    setClock('2026-10-19T13:00:00Z');
+
+    expect(await verifyTicketById(sriram.id, DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.ALREADY_USED,
+      message: 'Day 1 has ended - no re-entry',
+    });
+  });
+
+  it('never re-admits a single-use ticket', async () => {
+    installAt('2026-10-19T04:30:00Z', { event: { reentry_policy: 'single_use' } });
+
+    await verifyTicketById(sriram.id, DAY1);
+    await recordExitFromPayload(sriram.id, DAY1);
+
+    expect(await verifyTicketById(sriram.id, DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.ALREADY_USED,
+      message: 'Single-use ticket - admitted to Day 1 at 10:00, no re-entry',
+    });
+  });
+
+  it('re-opens a daily ticket at midnight in the event timezone', async () => {
+    // 22:30 in Kolkata
+    const setClock = installAt('2026-10-19T17:00:00Z', {
+      event: { reentry_policy: 'daily', timezone: 'Asia/Kolkata' },
+    });
+
+    await verifyTicketById(sriram.id, DAY1);
+    setClock('2026-10-19T18:00:00Z');
+    expect((await verifyTicketById(sriram.id, DAY1)).message)
+      .toBe('Already admitted today at 22:30 - valid again at 20 Oct 00:00');
+
+    // No exit scanned - people leave without one
+    setClock('2026-10-19T18:30:00Z');
+    expect(await verifyTicketById(sriram.id, DAY1)).toMatchObject({
+      allowed: true,
+      message: 'Re-entry to Day 1',
+    });
+  });
+
+  it('applies a tier cooldown over the event policy', async () => {
+    const tiers = DEFAULT_ACCESS.tiers.map((tier) =>
+      tier.id === 'early_bird' ? { ...tier, reentry_policy: 'cooldown', reentry_cooldown_hours: 4 } : tier
+    );
+    const setClock = installAt('2026-10-19T04:30:00Z', { tiers });
+
+    await verifyTicketById(lakshmi.id, DAY1);
+    await verifyTicketById(sriram.id, DAY1);
+    await recordExitFromPayload(lakshmi.id, DAY1);
+    await recordExitFromPayload(sriram.id, DAY1);
+    setClock('2026-10-19T06:30:00Z');
+
+    expect(await verifyTicketById(lakshmi.id, DAY1)).toMatchObject({
+      allowed: false,
+      reason: VerificationResult.ALREADY_USED,
+      message: 'Admitted at 10:00 - valid again at 14:00',
+    });
+    // General tier keeps the event's unlimited re-entry
+    expect((await verifyTicketById(sriram.id, DAY1)).allowed).toBe(true);
+
+    setClock('2026-10-19T08:30:00Z');
+    expect((await verifyTicketById(lakshmi.id, DAY1)).allowed).toBe(true);
+  });
+});
+
+describe('scan log', () => {
+  it('logs every attempt, including rejections', async () => {
+    await verifyTicketByCode(sriram.six_digit_code, DAY1);
+    await verifyTicketByCode(sriram.six_digit_code, DAY1);
+    await verifyScannedPayload('hello', DAY1);
+    await flushScanLog();
+
+    const events = getTicketRepository().getState().scanEvents;
+    expect(events.map((event) => event.result)).toEqual([
+      VerificationResult.VALID,
+      VerificationResult.ALREADY_USED,
+      VerificationResult.INVALID_TICKET,
+    ]);
+    expect(events[0]).toMatchObject({ ticket_id: sriram.id, method: 'manual', action: 'entry', session_id: 'day1' });
+  });
+
+  it('logs group admissions once the count is known', async () => {
+    const ask = await verifyTicketById(robocon.id, DAY1);
+    await flushScanLog();
+    expect(getTicketRepository().getState().scanEvents).toHaveLength(0);
+
+    await admitGroup(ask, 2, DAY1);
+    await flushScanLog();
+    expect(getTicketRepository().getState().scanEvents).toHaveLength(1);
+  });
+});
+
+// The memory repository lets calls interleave between their reads and
+// writes; only its per-ticket lock keeps two scans of a ticket apart.
+// The same race against Postgres is in supabase/tests/verify_race.test.sql
+describe('concurrent verification', () => {
+  it('admits only one of two simultaneous scans of a ticket', async () => {
+    const results = await Promise.all([
+      verifyTicketById(sriram.id, DAY1),
+      verifyTicketById(sriram.id, DAY1),
+    ]);
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(1);
+    expect(results.filter((result) => result.reason === VerificationResult.ALREADY_USED)).toHaveLength(1);
+
+    const { usage, movements } = getTicketRepository().getState();
+    expect(usage.filter((row) => row.ticket_id === sriram.id)).toHaveLength(1);
+    expect(movements.filter((row) => row.ticket_id === sriram.id)).toHaveLength(1);
+  });
+
+  it('admits only one of a QR scan and a typed code at the same time', async () => {
+    const payload = JSON.stringify({ id: sriram.id, code: sriram.six_digit_code });
+    const results = await Promise.all([
+      verifyScannedPayload(payload, DAY1),
+      verifyTicketByCode(sriram.six_digit_code, DAY1),
+    ]);
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(1);
+  });
+
+  it('never admits more of a group than its headcount', async () => {
+    const ask = await verifyTicketById(robocon.id, DAY1);
+    const results = await Promise.all([admitGroup(ask, 3, DAY1), admitGroup(ask, 3, DAY1)]);
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(1);
+    const usage = getTicketRepository().getState().usage.find((row) => row.ticket_id === robocon.id);
+    expect(usage.admitted_count).toBe(3);
+  });
+
+  it('admits simultaneous scans for different sessions', async () => {
+    const results = await Promise.all([
+      verifyTicketById(sriram.id, DAY1),
+      verifyTicketById(sriram.id, DAY2),
+    ]);
+
+    expect(results.every((result) => result.allowed)).toBe(true);
+  });
+
+  it('scans other tickets while one is locked', async () => {
+    // The first save - Sriram's admission - waits until released
+    let release;
+    const saved = new Promise((resolve) => { release = resolve; });
+    let saves = 0;
+    installMemoryRepository({
+      storage: { load: async () => null, save: () => (saves++ === 0 ? saved : Promise.resolve()) },
+    });
+
+    const first = verifyTicketById(sriram.id, DAY1);
+    const second = verifyTicketById(sriram.id, DAY1);
+
+    // Arjun is inside Day 1
+    expect(await recordExitFromPayload(arjun.id, DAY1)).toMatchObject({ reason: VerificationResult.EXITED });
+
+    release();
+    expect((await Promise.all([first, second])).map((result) => result.reason)).toEqual([
+      VerificationResult.VALID,
+      VerificationResult.ALREADY_USED,
+    ]);
+  });
+});
+
+describe('searchTickets', () => {
+  it('ignores queries shorter than two characters', async () => {
+    expect(await searchTickets('s')).toEqual({ success: true, total: 0, tickets: [] });
+  });
+
+  it('finds names phonetically and codes by prefix', async () => {
+    const byName = await searchTickets('Shriram');
+    expect(byName.tickets[0]).toMatchObject({ id: sriram.id, matched: expect.arrayContaining(['name']) });
+    expect(byName.tickets[0]).not.toHaveProperty('total_count');
+
+    const byCode = await searchTickets('4829');
+    expect(byCode.tickets[0]).toMatchObject({ id: sriram.id, matched: expect.arrayContaining(['code']) });
+  });
+
+  it('masks phone numbers', async () => {
+    const { tickets } = await searchTickets(sriram.phone);
+    expect(tickets[0].id).toBe(sriram.id);
+    expect(tickets[0].phone).toBe('••••••2345');
+  });
+
+  it('pages through results without repeats', async () => {
+    const first = await searchTickets('example.com', { limit: 5 });
+    const second = await searchTickets('example.com', { offset: 5, limit: 5 });
+
+    expect(first.total).toBe(12);
+    expect(first.tickets).toHaveLength(5);
+    expect(second.tickets).toHaveLength(5);
+
+    const ids = [...first.tickets, ...second.tickets].map((ticket) => ticket.id);
+    expect(new Set(ids).size).toBe(10);
+  });
+
+  it('keeps the known total on a page past the end', async () => {
+    expect(await searchTickets('example.com', { offset: 20, total: 12 })).toEqual({
+      success: true,
+      total: 12,
+      tickets: [],
+    });
+    expect((await searchTickets('no such attendee')).total).toBe(0);
+  });
+
+  it('reports backend errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    setTicketRepository({
+      ...getTicketRepository(),
+      searchTickets: async () => ({ data: null, error: { message: 'timeout' } }),
+    });
+
+    expect(await searchTickets('Sriram')).toEqual({
+      success: false,
+      message: 'Search failed. Check connection.',
+      total: 0,
+      tickets: [],
+    });
+  });
+});
+
+describe('getTicketStatus', () => {
+  it('reads a ticket without admitting it', async () => {
+    expect(await getTicketStatus(sriram.id)).toMatchObject({ found: true, ticket: { name: 'Sriram K' } });
+    expect(await getTicketStatus(UNKNOWN_ID)).toEqual({ found: false });
+    expect((await verifyTicketById(sriram.id, DAY1)).allowed).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Ticket Tiers & Gate Zones
+ *
+ * Every ticket has a tier (Event, Early Bird, RIT Student, VIP,
+ * Backstage) that grants one or more zones; every gate serves one or
+ * more zones. A ticket is admitted at a gate only when the two overlap.
+ *
+ * The server enforces this in verify_and_mark_ticket. Tiers and gates
+ * are also cached in localStorage so the offline roster can apply the
+ * same rule and show the tier colour band. The cache also keeps the
+ * event settings and each tier's re-entry policy (see reentry.js).
+ */
+
+import { supabase } from './supabase';
+
+const ACCESS_CACHE_KEY = 'yatra_scanner_access';
+
+// Unconfigured gates and tickets without a tier
+export const DEFAULT_ZONES = ['general'];
+export const DEFAULT_TIER_ID = 'general';
+
+/**
+ * Used until the first successful fetch (matches the 014 migration seed)
+ */
+export const DEFAULT_ACCESS = {
+  tiers: [
+    { id: 'general', label: 'Event', color: '#1e88e5', zones: ['general'] },
+    { id: 'early_bird', label: 'Early Bird', color: '#00897b', zones: ['general'] },
+    { id: 'rit_student', label: 'RIT Student', color: '#f57c00', zones: ['general'] },
+    { id: 'vip', label: 'VIP', color: '#8e24aa', zones: ['general', 'vip'] },
+    { id: 'backstage', label: 'Backstage', color: '#c62828', zones: ['general', 'vip', 'backstage'] },
+  ],
+  gates: [{ name: 'Main Gate', zones: ['general'] }],
+};
+
+/**
+ * Tiers, gates and event settings cached from the last successful fetch
+ * @returns {{tiers: Array<{id: string, label: string, color: string, zones: string[], reentry_policy?: string|null}>, gates: Array<{name: string, zones: string[]}>, event?: object}}
+ */
+export function getCachedAccess() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(ACCESS_CACHE_KEY));
+    return Array.isArray(cached?.tiers) && Array.isArray(cached?.gates) ? cached : DEFAULT_ACCESS;
+  } catch {
+    return DEFAULT_ACCESS;
+  }
+}
+
+/**
+ * Fetch tiers, gates and event settings from the database, falling back to the cache
+ * @returns {Promise<{tiers: Array<object>, gates: Array<object>, event?: object}>}
+ */
+export async function fetchAccess() {
+  // Demo mode runs on the defaults
+  if (!supabase) return getCachedAccess();
+
+  try {
+    const [tiers, gates, event] = await Promise.all([
+      supabase
+        .from('ticket_tiers')
+        .select('id, label, color, zones, reentry_policy, reentry_cooldown_hours')
+        .order('sort_order'),
+      supabase.from('gates').select('name, zones').order('name'),
+      supabase
+        .from('event_settings')
+        .select('timezone, reentry_policy, reentry_cooldown_hours')
+        .maybeSingle(),
+    ]);
+
+    const error = tiers.error || gates.error || event.error;
+    if (error) {
+      console.error('Access config lookup error:', error);
+      return getCachedAccess();
+    }
+
+    const access = { tiers: tiers.data, gates: gates.data, event: event.data };
+    localStorage.setItem(ACCESS_CACHE_KEY, JSON.stringify(access));
+    return access;
+  } catch (err) {
+    console.error('Unexpected access config error:', err);
+    return getCachedAccess();
+  }
+}
+
+/**
+ * Look up a tier, falling back to the general tier
+ * @param {{tiers: Array<object>}} access
+ * @param {string|null} tierId
+ * @returns {{id: string, label: string, color: string, zones: string[]}|null}
+ */
+export function getTier(access, tierId) {
+  return access.tiers.find((tier) => tier.id === (tierId || DEFAULT_TIER_ID))
+    || access.tiers.find((tier) => tier.id === DEFAULT_TIER_ID)
+    || null;
+}
+
+/**
+ * Zones a gate serves (unconfigured gates serve the general zone)
+ * @param {{gates: Array<object>}} access
+ * @param {string} gate - Gate name
+ * @returns {string[]}
+ */
+export function getGateZones(access, gate) {
+  return access.gates.find((candidate) => candidate.name === gate)?.zones || DEFAULT_ZONES;
+}
+
+/**
+ * Whether a ticket of this tier may enter at this gate
+ * Mirrors gate_admits_tier in the 014 migration.
+ *
+ * @param {{tiers: Array<object>, gates: Array<object>}} access
+ * @param {string} gate - Gate name
+ * @param {string|null} tierId
+ * @returns {boolean}
+ */
+export function gateAdmitsTier(access, gate, tierId) {
+  const tierZones = getTier(access, tierId)?.zones || DEFAULT_ZONES;
+  const gateZones = getGateZones(access, gate);
+  return tierZones.some((zone) => gateZones.includes(zone));
+}
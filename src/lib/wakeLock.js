@@ -0,0 +1,51 @@
+/**
+ * Screen Wake Lock
+ *
+ * Keeps a gate phone's screen on while it is scanning, so the camera
+ * isn't lost to the display timeout between attendees. The browser
+ * drops the lock whenever the page is hidden; it is taken again when
+ * the page is visible. Without Wake Lock support (older iOS, insecure
+ * origins) the screen sleeps as before.
+ */
+
+/**
+ * Whether this browser can hold the screen on
+ * @returns {boolean}
+ */
+export function isWakeLockSupported() {
+  return typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+}
+
+/**
+ * Hold a screen wake lock until the returned function is called
+ * @returns {() => void} Release the lock
+ */
+export function keepScreenOn() {
+  if (!isWakeLockSupported()) return () => {};
+
+  let sentinel = null;
+  let stopped = false;
+
+  const acquire = async () => {
+    if (stopped || document.visibilityState !== 'visible') return;
+    if (sentinel && !sentinel.released) return;
+
+    try {
+      sentinel = await navigator.wakeLock.request('screen');
+      if (stopped) sentinel.release();
+    } catch (err) {
+      // Refused (battery saver, no user gesture yet) - retried on the next visibility change
+      console.error('Wake lock error:', err);
+    }
+  };
+
+  document.addEventListener('visibilitychange', acquire);
+  acquire();
+
+  return () => {
+    stopped = true;
+    document.removeEventListener('visibilitychange', acquire);
+    if (sentinel && !sentinel.released) sentinel.release();
+    sentinel = null;
+  };
+}
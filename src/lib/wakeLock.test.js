@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { keepScreenOn, isWakeLockSupported } from './wakeLock';
+
+function stubWakeLock() {
+  const sentinels = [];
+  const request = vi.fn(async () => {
+    const sentinel = {
+      released: false,
+      release: vi.fn(async () => { sentinel.released = true; }),
+    };
+    sentinels.push(sentinel);
+    return sentinel;
+  });
+  Object.defineProperty(navigator, 'wakeLock', { value: { request }, configurable: true });
+  return { request, sentinels };
+}
+
+function setVisibility(state) {
+  Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('keepScreenOn', () => {
+  afterEach(() => {
+    delete navigator.wakeLock;
+    delete document.visibilityState;
+  });
+
+  it('does nothing without Wake Lock support', () => {
+    expect(isWakeLockSupported()).toBe(false);
+    expect(() => keepScreenOn()()).not.toThrow();
+  });
+
+  it('takes the lock again when the page comes back', async () => {
+    const { request, sentinels } = stubWakeLock();
+    const release = keepScreenOn();
+    await vi.waitFor(() => expect(request).toHaveBeenCalledTimes(1));
+
+    // The browser releases the lock while the page is hidden
+    sentinels[0].released = true;
+    setVisibility('hidden');
+    expect(request).toHaveBeenCalledTimes(1);
+    setVisibility('visible');
+    await vi.waitFor(() => expect(request).toHaveBeenCalledTimes(2));
+
+    release();
+    expect(sentinels[1].release).toHaveBeenCalled();
+    setVisibility('visible');
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Test Helpers
+ *
+ * The backend for tests is the in-memory ticket repository
+ * (lib/memoryTicketRepository.js), seeded with the demo attendees.
+ */
+
+import { setTicketRepository } from '../lib/ticketRepository';
+import { createMemoryTicketRepository } from '../lib/memoryTicketRepository';
+import { createDemoSeed } from '../lib/demoData';
+import { DEFAULT_SESSIONS } from '../lib/sessions';
+
+export const DAY1 = DEFAULT_SESSIONS.find((session) => session.id === 'day1');
+export const DAY2 = DEFAULT_SESSIONS.find((session) => session.id === 'day2');
+export const WORKSHOP = DEFAULT_SESSIONS.find((session) => session.id === 'workshop');
+
+/**
+ * Replace the ticket repository with a fresh in-memory one
+ *
+ * @param {object} [options] - createMemoryTicketRepository options, on top of the demo seed
+ * @returns {ReturnType<typeof createMemoryTicketRepository>}
+ */
+export function installMemoryRepository(options = {}) {
+  const repository = createMemoryTicketRepository({ ...createDemoSeed(), ...options });
+  setTicketRepository(repository);
+  return repository;
+}
+
+/**
+ * Demo ticket by attendee name
+ * @param {string} name
+ * @returns {object}
+ */
+export function demoTicket(name) {
+  const ticket = createDemoSeed().tickets.find((row) => row.name === name);
+  if (!ticket) throw new Error(`No demo ticket for ${name}`);
+  return ticket;
+}
@@ -0,0 +1,28 @@
+/**
+ * Test Setup
+ *
+ * Runs before every test file. Each test starts signed out of admin
+ * mode, with empty localStorage and a fresh in-memory ticket repository
+ * seeded with the demo attendees - nothing reaches the network.
+ */
+
+import '@testing-library/jest-dom/vitest';
+import { afterEach, beforeEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { setTicketRepository } from '../lib/ticketRepository';
+import { clearAdminToken } from '../lib/adminOverride';
+import { installMemoryRepository } from './helpers';
+
+beforeEach(() => {
+  localStorage.clear();
+  installMemoryRepository();
+});
+
+afterEach(() => {
+  cleanup();
+  clearAdminToken();
+  setTicketRepository(null);
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  vi.useRealTimers();
+});
@@ -0,0 +1,70 @@
+-- ============================================
+-- Local Postgres: the parts of Supabase the migrations expect
+-- ============================================
+-- A plain Postgres has no API roles, no auth schema and no auth.uid().
+-- This creates minimal stand-ins so supabase/migrations can be applied
+-- and tested locally. Anything Supabase already provides is left alone,
+-- so it is safe to run against `supabase start` as well.
+--
+-- auth.uid() reads the JWT subject the same way Supabase does, so a
+-- test can act as a volunteer with:
+--   SET LOCAL ROLE authenticated;
+--   SELECT set_config('request.jwt.claims', '{"sub": "<auth user id>"}', true);
+--
+-- Never run this against a hosted project.
+-- ============================================
+
+-- Step 1: API roles
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN NOINHERIT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN NOINHERIT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    CREATE ROLE service_role NOLOGIN NOINHERIT BYPASSRLS;
+  END IF;
+END;
+$$;
+
+-- Supabase grants table access broadly and leaves access control to RLS
+GRANT USAGE ON SCHEMA public TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public
+  GRANT ALL ON TABLES TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public
+  GRANT ALL ON SEQUENCES TO anon, authenticated, service_role;
+
+-- Extensions live here on Supabase (016 / 017 put it on search_path)
+CREATE SCHEMA IF NOT EXISTS extensions;
+GRANT USAGE ON SCHEMA extensions TO anon, authenticated, service_role;
+
+-- Step 2: Auth users and auth.uid()
+CREATE SCHEMA IF NOT EXISTS auth;
+GRANT USAGE ON SCHEMA auth TO anon, authenticated, service_role;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF to_regprocedure('auth.uid()') IS NULL THEN
+    CREATE FUNCTION auth.uid()
+    RETURNS UUID
+    LANGUAGE sql
+    STABLE
+    AS $fn$
+      SELECT coalesce(
+        nullif(current_setting('request.jwt.claim.sub', true), ''),
+        nullif(current_setting('request.jwt.claims', true), '')::JSONB ->> 'sub'
+      )::UUID;
+    $fn$;
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION auth.uid() TO anon, authenticated, service_role;
@@ -0,0 +1,144 @@
+-- ============================================
+-- 001: Registrations, tickets and atomic verification
+-- ============================================
+-- Baseline schema the registration site and the scanner share:
+--
+--   registrations  - one row per sign-up (written by the public form)
+--   tickets        - one row per issued ticket (written by the ticket
+--                    edge function with the service role)
+--
+-- verify_and_mark_ticket is the single-day scan of the first event:
+-- valid → used, exactly once. It takes the ticket row with
+-- SELECT ... FOR UPDATE, so two devices scanning the same ticket at the
+-- same moment are serialised - the second waits for the first to commit,
+-- then sees 'used' and is rejected. Every later migration that redefines
+-- it keeps that lock.
+--
+-- Later migrations tighten the grants and policies set here (003).
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Step 1: Registrations
+CREATE TABLE IF NOT EXISTS registrations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  phone TEXT NOT NULL,
+  college TEXT NOT NULL,
+  ticket_type TEXT,
+  price TEXT,
+  is_rit_student BOOLEAN DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ticket_generated BOOLEAN DEFAULT false,
+  ticket_email_sent BOOLEAN DEFAULT false,
+  ticket_sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_registrations_email ON registrations(email);
+
+-- Step 2: Tickets
+-- ticket_status: 'valid' | 'used' (009 adds 'cancelled' and 'replaced')
+CREATE TABLE IF NOT EXISTS tickets (
+  id UUID PRIMARY KEY,
+  registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  name TEXT NOT NULL,
+  college TEXT NOT NULL,
+  six_digit_code TEXT NOT NULL UNIQUE,
+  qr_payload TEXT NOT NULL,
+  ticket_status TEXT NOT NULL DEFAULT 'valid',
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_registration_id ON tickets(registration_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_six_digit_code ON tickets(six_digit_code);
+CREATE INDEX IF NOT EXISTS idx_tickets_email ON tickets(email);
+
+-- Step 3: Row level security
+-- Tickets are inserted by the service role, which bypasses RLS
+ALTER TABLE registrations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tickets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public insert" ON registrations;
+CREATE POLICY "Allow public insert" ON registrations
+  FOR INSERT
+  TO anon, authenticated
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow authenticated read" ON registrations;
+CREATE POLICY "Allow authenticated read" ON registrations
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Allow authenticated update" ON registrations;
+CREATE POLICY "Allow authenticated update" ON registrations
+  FOR UPDATE
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Allow authenticated read" ON tickets;
+CREATE POLICY "Allow authenticated read" ON tickets
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Step 4: Atomic verification
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(p_ticket_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  -- Concurrent scans of this ticket queue here until we commit
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF v_ticket.ticket_status = 'used' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'ALREADY_USED',
+      'message', 'Ticket has already been used',
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF v_ticket.ticket_status <> 'valid' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Ticket is not valid',
+      'name', v_ticket.name
+    );
+  END IF;
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', 'Entry allowed',
+    'name', v_ticket.name
+  );
+END;
+$$;
+
+-- The scanner signed in with a shared password at this point (003 revokes)
+GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(UUID) TO anon, authenticated;
+
+-- ============================================
+-- Example usage
+-- ============================================
+-- SELECT verify_and_mark_ticket('00000000-0000-0000-0000-000000000000');
+-- ============================================
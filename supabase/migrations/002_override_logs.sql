@@ -0,0 +1,138 @@
+-- ============================================
+-- 002: Admin overrides and the override log
+-- ============================================
+-- Gate leads can force a ticket in or undo an entry, with a reason.
+-- Every override is written to override_logs, which clients cannot
+-- read or change directly:
+--
+--   admin_force_allow        - ticket → 'used', logs ALLOW
+--   admin_reset_entry        - ticket → 'valid', logs RESET
+--   get_ticket_override_logs - a ticket's history, newest first
+--
+-- Both overrides lock the ticket row like verify_and_mark_ticket (001),
+-- so an override and a scan of the same ticket cannot interleave.
+--
+-- Later: 003 stamps the volunteer, 004 replaces p_admin_identifier with
+-- an admin token, 005 records the session in `day`, 009 adds `details`.
+-- ============================================
+
+-- Step 1: Override log
+-- admin_action is free text on purpose: 009, 012 and 013 log CANCEL,
+-- REISSUE, TRANSFER, ISSUE and GROUP_SIZE here too
+CREATE TABLE IF NOT EXISTS override_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  admin_action TEXT NOT NULL,
+  day TEXT,
+  reason TEXT NOT NULL,
+  admin_identifier TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_override_logs_ticket ON override_logs(ticket_id, created_at DESC);
+
+-- No direct client access - only through the functions below
+ALTER TABLE override_logs ENABLE ROW LEVEL SECURITY;
+
+-- Step 2: Force allow
+CREATE OR REPLACE FUNCTION admin_force_allow(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_identifier TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, admin_identifier)
+  VALUES (p_ticket_id, 'ALLOW', trim(p_reason), nullif(trim(p_admin_identifier), ''));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Entry forced for %s', v_ticket.name)
+  );
+END;
+$$;
+
+-- Step 3: Reset entry
+CREATE OR REPLACE FUNCTION admin_reset_entry(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_identifier TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  UPDATE tickets SET ticket_status = 'valid' WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, admin_identifier)
+  VALUES (p_ticket_id, 'RESET', trim(p_reason), nullif(trim(p_admin_identifier), ''));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Entry reset for %s', v_ticket.name)
+  );
+END;
+$$;
+
+-- Step 4: Override history
+CREATE OR REPLACE FUNCTION get_ticket_override_logs(p_ticket_id UUID)
+RETURNS TABLE (
+  id UUID,
+  admin_action TEXT,
+  day TEXT,
+  reason TEXT,
+  admin_identifier TEXT,
+  created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT l.id, l.admin_action, l.day, l.reason, l.admin_identifier, l.created_at
+  FROM override_logs l
+  WHERE l.ticket_id = p_ticket_id
+  ORDER BY l.created_at DESC, l.id;
+$$;
+
+-- Shared-password era (003 and 018 revoke anon)
+GRANT EXECUTE ON FUNCTION admin_force_allow(UUID, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_reset_entry(UUID, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_ticket_override_logs(UUID) TO anon, authenticated;
+
+-- ============================================
+-- Example usage
+-- ============================================
+-- SELECT admin_force_allow('<ticket uuid>', 'QR damaged, ID checked', 'Priya');
+-- SELECT * FROM get_ticket_override_logs('<ticket uuid>');
+-- ============================================
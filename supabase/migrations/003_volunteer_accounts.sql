@@ -0,0 +1,135 @@
+-- ============================================
+-- 003: Per-volunteer accounts
+-- ============================================
+-- Replaces the shared VITE_GATE_PASSWORD with Supabase Auth users.
+-- Every auth user that may scan gets a row in `volunteers` with a role:
+--   volunteer  - scan / manual entry / search
+--   gate_lead  - + admin overrides
+--   admin      - everything
+--
+-- Scans and overrides are stamped with auth.uid() server-side, so the
+-- audit trail no longer depends on a free-text admin name.
+-- ============================================
+
+-- Step 1: Volunteer profiles
+CREATE TABLE IF NOT EXISTS volunteers (
+  id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  display_name TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'volunteer'
+    CHECK (role IN ('volunteer', 'gate_lead', 'admin')),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE volunteers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Volunteers read own profile" ON volunteers;
+CREATE POLICY "Volunteers read own profile" ON volunteers
+  FOR SELECT
+  TO authenticated
+  USING (id = auth.uid());
+
+-- Step 2: Role helper used by policies and RPCs
+-- Returns NULL for signed-out callers and deactivated volunteers
+CREATE OR REPLACE FUNCTION current_volunteer_role()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT role FROM volunteers WHERE id = auth.uid() AND active;
+$$;
+
+-- Step 3: Only active volunteers may read tickets
+-- (replaces the anon policy from FIX_SEARCH_RLS.sql)
+DROP POLICY IF EXISTS "Allow anon select for search" ON tickets;
+DROP POLICY IF EXISTS "Volunteers select tickets" ON tickets;
+CREATE POLICY "Volunteers select tickets" ON tickets
+  FOR SELECT
+  TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+-- Step 4: Record who admitted each ticket
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS last_scanned_by UUID REFERENCES volunteers(id),
+  ADD COLUMN IF NOT EXISTS last_scanned_at TIMESTAMPTZ;
+
+CREATE OR REPLACE FUNCTION stamp_ticket_scanner()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.ticket_status IS DISTINCT FROM OLD.ticket_status AND NEW.ticket_status = 'used' THEN
+    NEW.last_scanned_by := auth.uid();
+    NEW.last_scanned_at := now();
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tickets_stamp_scanner ON tickets;
+CREATE TRIGGER tickets_stamp_scanner
+  BEFORE UPDATE ON tickets
+  FOR EACH ROW
+  EXECUTE FUNCTION stamp_ticket_scanner();
+
+-- Step 5: Record who performed each override
+ALTER TABLE IF EXISTS override_logs
+  ADD COLUMN IF NOT EXISTS volunteer_id UUID REFERENCES volunteers(id);
+
+CREATE OR REPLACE FUNCTION stamp_override_volunteer()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.volunteer_id := auth.uid();
+  -- admin_identifier becomes the account's name, not whatever the client sent
+  SELECT display_name INTO NEW.admin_identifier FROM volunteers WHERE id = auth.uid();
+  RETURN NEW;
+END;
+$$;
+
+DO $$
+BEGIN
+  IF to_regclass('public.override_logs') IS NOT NULL THEN
+    DROP TRIGGER IF EXISTS override_logs_stamp_volunteer ON override_logs;
+    CREATE TRIGGER override_logs_stamp_volunteer
+      BEFORE INSERT ON override_logs
+      FOR EACH ROW
+      EXECUTE FUNCTION stamp_override_volunteer();
+  END IF;
+END;
+$$;
+
+-- Step 6: Signed-out clients can no longer call the scanner RPCs
+DO $$
+BEGIN
+  IF to_regprocedure('verify_and_mark_ticket(uuid)') IS NOT NULL THEN
+    REVOKE EXECUTE ON FUNCTION verify_and_mark_ticket(uuid) FROM anon, public;
+    GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(uuid) TO authenticated;
+  END IF;
+  IF to_regprocedure('admin_force_allow(uuid, text, text)') IS NOT NULL THEN
+    REVOKE EXECUTE ON FUNCTION admin_force_allow(uuid, text, text) FROM anon, public;
+    GRANT EXECUTE ON FUNCTION admin_force_allow(uuid, text, text) TO authenticated;
+  END IF;
+  IF to_regprocedure('admin_reset_entry(uuid, text, text)') IS NOT NULL THEN
+    REVOKE EXECUTE ON FUNCTION admin_reset_entry(uuid, text, text) FROM anon, public;
+    GRANT EXECUTE ON FUNCTION admin_reset_entry(uuid, text, text) TO authenticated;
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- Adding a volunteer
+-- ============================================
+-- 1. Supabase Dashboard → Authentication → Users → Add user (email + password)
+-- 2. Then link the profile:
+--
+-- INSERT INTO volunteers (id, display_name, role)
+-- SELECT id, 'Priya S', 'gate_lead' FROM auth.users WHERE email = 'priya@example.com';
+--
+-- Lost phone / volunteer leaves: UPDATE volunteers SET active = false WHERE ...
+-- ============================================
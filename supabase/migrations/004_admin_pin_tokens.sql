@@ -0,0 +1,259 @@
+-- ============================================
+-- 004: Server-side admin PIN with lockout
+-- ============================================
+-- The admin PIN used to be compared in the browser against VITE_ADMIN_PIN,
+-- which shipped in the bundle. Now:
+--   1. admin_verify_pin checks a per-volunteer bcrypt hash
+--   2. A correct PIN returns a short-lived admin token (10 minutes)
+--   3. admin_force_allow / admin_reset_entry require that token
+--   4. Failed attempts are counted per device AND per volunteer;
+--      5 failures lock the PIN for 15 minutes
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Step 1: Per-volunteer PIN hash (gate leads and admins only)
+ALTER TABLE volunteers
+  ADD COLUMN IF NOT EXISTS admin_pin_hash TEXT;
+
+-- Step 2: Failed attempt tracking
+-- subject is 'device:<device id>' or 'volunteer:<uuid>'
+CREATE TABLE IF NOT EXISTS admin_pin_attempts (
+  subject TEXT PRIMARY KEY,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMPTZ,
+  last_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Step 3: Issued admin tokens
+CREATE TABLE IF NOT EXISTS admin_tokens (
+  token UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+  device_id TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_tokens_volunteer ON admin_tokens(volunteer_id);
+
+-- No direct client access - only through the functions below
+ALTER TABLE admin_pin_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Step 4: Verify PIN and issue a token
+CREATE OR REPLACE FUNCTION admin_verify_pin(p_pin TEXT, p_device_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_max_attempts CONSTANT INTEGER := 5;
+  v_lockout CONSTANT INTERVAL := INTERVAL '15 minutes';
+  v_token_ttl CONSTANT INTERVAL := INTERVAL '10 minutes';
+  v_volunteer volunteers%ROWTYPE;
+  v_subjects TEXT[];
+  v_locked_until TIMESTAMPTZ;
+  v_failed INTEGER;
+  v_token UUID;
+  v_expires TIMESTAMPTZ;
+BEGIN
+  SELECT * INTO v_volunteer FROM volunteers WHERE id = auth.uid() AND active;
+
+  IF NOT FOUND OR v_volunteer.role NOT IN ('gate_lead', 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Only gate leads and admins can override');
+  END IF;
+
+  IF coalesce(p_device_id, '') = '' THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Device not identified');
+  END IF;
+
+  v_subjects := ARRAY['device:' || p_device_id, 'volunteer:' || v_volunteer.id];
+
+  -- Serialise attempts for this device/volunteer
+  INSERT INTO admin_pin_attempts (subject)
+  SELECT unnest(v_subjects)
+  ON CONFLICT (subject) DO NOTHING;
+
+  PERFORM 1 FROM admin_pin_attempts WHERE subject = ANY(v_subjects) FOR UPDATE;
+
+  SELECT max(locked_until) INTO v_locked_until
+  FROM admin_pin_attempts
+  WHERE subject = ANY(v_subjects);
+
+  IF v_locked_until IS NOT NULL AND v_locked_until > now() THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'message', 'Too many failed attempts. PIN locked.',
+      'locked_until', v_locked_until
+    );
+  END IF;
+
+  -- Expired lockouts start counting from zero again
+  UPDATE admin_pin_attempts
+  SET failed_count = 0, locked_until = NULL
+  WHERE subject = ANY(v_subjects) AND locked_until <= now();
+
+  IF v_volunteer.admin_pin_hash IS NULL
+     OR crypt(coalesce(p_pin, ''), v_volunteer.admin_pin_hash) <> v_volunteer.admin_pin_hash THEN
+    UPDATE admin_pin_attempts
+    SET failed_count = failed_count + 1,
+        locked_until = CASE WHEN failed_count + 1 >= v_max_attempts
+                            THEN now() + v_lockout ELSE NULL END,
+        last_attempt_at = now()
+    WHERE subject = ANY(v_subjects);
+
+    SELECT max(failed_count), max(locked_until) INTO v_failed, v_locked_until
+    FROM admin_pin_attempts
+    WHERE subject = ANY(v_subjects);
+
+    RETURN jsonb_build_object(
+      'success', false,
+      'message', CASE WHEN v_locked_until IS NOT NULL
+                      THEN 'Too many failed attempts. PIN locked.'
+                      ELSE 'Invalid admin PIN' END,
+      'attempts_remaining', greatest(v_max_attempts - v_failed, 0),
+      'locked_until', v_locked_until
+    );
+  END IF;
+
+  -- Correct PIN: reset counters, revoke older tokens, issue a new one
+  UPDATE admin_pin_attempts
+  SET failed_count = 0, locked_until = NULL, last_attempt_at = now()
+  WHERE subject = ANY(v_subjects);
+
+  DELETE FROM admin_tokens WHERE volunteer_id = v_volunteer.id OR expires_at < now();
+
+  v_expires := now() + v_token_ttl;
+  INSERT INTO admin_tokens (volunteer_id, device_id, expires_at)
+  VALUES (v_volunteer.id, p_device_id, v_expires)
+  RETURNING token INTO v_token;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', 'Admin access granted',
+    'token', v_token,
+    'expires_at', v_expires
+  );
+END;
+$$;
+
+-- Step 5: Token check used by every admin RPC
+-- Returns the volunteer id, or NULL if the token is missing, expired,
+-- or belongs to someone other than the caller
+CREATE OR REPLACE FUNCTION check_admin_token(p_admin_token UUID)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT t.volunteer_id
+  FROM admin_tokens t
+  JOIN volunteers v ON v.id = t.volunteer_id
+  WHERE t.token = p_admin_token
+    AND t.volunteer_id = auth.uid()
+    AND t.expires_at > now()
+    AND v.active
+    AND v.role IN ('gate_lead', 'admin');
+$$;
+
+-- Step 6: Admin overrides now take a token instead of a free-text name
+DROP FUNCTION IF EXISTS admin_force_allow(UUID, TEXT, TEXT);
+DROP FUNCTION IF EXISTS admin_reset_entry(UUID, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION admin_force_allow(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  -- admin_identifier / volunteer_id are stamped by the 003 trigger
+  INSERT INTO override_logs (ticket_id, admin_action, reason)
+  VALUES (p_ticket_id, 'ALLOW', trim(p_reason));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Entry forced for %s', v_ticket.name)
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION admin_reset_entry(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  UPDATE tickets SET ticket_status = 'valid' WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason)
+  VALUES (p_ticket_id, 'RESET', trim(p_reason));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Entry reset for %s', v_ticket.name)
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_verify_pin(TEXT, TEXT) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION check_admin_token(UUID) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_force_allow(UUID, TEXT, UUID) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_reset_entry(UUID, TEXT, UUID) FROM anon, public;
+GRANT EXECUTE ON FUNCTION admin_verify_pin(TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_force_allow(UUID, TEXT, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_reset_entry(UUID, TEXT, UUID) TO authenticated;
+
+-- ============================================
+-- Setting a gate lead's PIN
+-- ============================================
+-- UPDATE volunteers
+-- SET admin_pin_hash = crypt('4821', gen_salt('bf'))
+-- WHERE id = (SELECT id FROM auth.users WHERE email = 'priya@example.com');
+--
+-- Clear a lockout early:
+-- DELETE FROM admin_pin_attempts WHERE subject LIKE 'device:%';
+-- ============================================
@@ -0,0 +1,301 @@
+-- ============================================
+-- 005: Multi-day and multi-session entitlements
+-- ============================================
+-- A ticket now grants entry to specific sessions (Day 1, Day 2,
+-- workshop, pro-show) instead of relying on a 14-hour cooldown.
+--
+--   sessions             - what can be attended, chosen by the volunteer
+--   ticket_entitlements  - explicit grants per ticket
+--   session_usage        - one row per ticket per session admitted
+--
+-- Tickets with NO entitlement rows get every session marked
+-- default_included (Day 1 + Day 2), matching the old single ticket type.
+-- ============================================
+
+-- Step 1: Sessions
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  day INTEGER,
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  default_included BOOLEAN NOT NULL DEFAULT false,
+  sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO sessions (id, label, day, default_included, sort_order) VALUES
+  ('day1', 'Day 1', 1, true, 1),
+  ('day2', 'Day 2', 2, true, 2),
+  ('workshop', 'Workshop', NULL, false, 3),
+  ('proshow', 'Pro-Show', NULL, false, 4)
+ON CONFLICT (id) DO NOTHING;
+
+-- Step 2: Explicit grants
+CREATE TABLE IF NOT EXISTS ticket_entitlements (
+  ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  PRIMARY KEY (ticket_id, session_id)
+);
+
+-- Step 3: Per-session usage
+CREATE TABLE IF NOT EXISTS session_usage (
+  ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  used_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  used_by UUID REFERENCES volunteers(id),
+  PRIMARY KEY (ticket_id, session_id)
+);
+
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_entitlements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_usage ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Volunteers select sessions" ON sessions;
+CREATE POLICY "Volunteers select sessions" ON sessions
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Volunteers select entitlements" ON ticket_entitlements;
+CREATE POLICY "Volunteers select entitlements" ON ticket_entitlements
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Volunteers select session usage" ON session_usage;
+CREATE POLICY "Volunteers select session usage" ON session_usage
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+-- Step 4: Entitlement check
+CREATE OR REPLACE FUNCTION ticket_has_entitlement(p_ticket_id UUID, p_session_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN EXISTS (SELECT 1 FROM ticket_entitlements WHERE ticket_id = p_ticket_id)
+      THEN EXISTS (
+        SELECT 1 FROM ticket_entitlements
+        WHERE ticket_id = p_ticket_id AND session_id = p_session_id
+      )
+    ELSE coalesce(
+      (SELECT default_included FROM sessions WHERE id = p_session_id),
+      false
+    )
+  END;
+$$;
+
+-- Step 5: Session-aware atomic verification
+-- FOR UPDATE on the ticket row serialises concurrent scans of the same
+-- ticket, so only one device can record usage for a session.
+DROP FUNCTION IF EXISTS verify_and_mark_ticket(UUID);
+
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  SELECT used_at INTO v_used_at
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  IF FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'ALREADY_USED',
+      'message', format('Already admitted to %s at %s', v_session.label,
+                        to_char(v_used_at AT TIME ZONE 'Asia/Kolkata', 'HH24:MI')),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'used_at', v_used_at
+    );
+  END IF;
+
+  INSERT INTO session_usage (ticket_id, session_id, used_by)
+  VALUES (p_ticket_id, v_session.id, auth.uid());
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT) TO authenticated;
+
+-- Step 6: Overrides act on a session
+DROP FUNCTION IF EXISTS admin_force_allow(UUID, TEXT, UUID);
+DROP FUNCTION IF EXISTS admin_reset_entry(UUID, TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION admin_force_allow(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID,
+  p_session_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  IF p_session_id IS NOT NULL THEN
+    INSERT INTO session_usage (ticket_id, session_id, used_by)
+    VALUES (p_ticket_id, p_session_id, auth.uid())
+    ON CONFLICT (ticket_id, session_id) DO NOTHING;
+  END IF;
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, day, reason)
+  VALUES (p_ticket_id, 'ALLOW', p_session_id, trim(p_reason));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Entry forced for %s', v_ticket.name)
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION admin_reset_entry(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID,
+  p_session_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  -- Reset one session, or every session when none is given
+  DELETE FROM session_usage
+  WHERE ticket_id = p_ticket_id
+    AND (p_session_id IS NULL OR session_id = p_session_id);
+
+  IF NOT EXISTS (SELECT 1 FROM session_usage WHERE ticket_id = p_ticket_id) THEN
+    UPDATE tickets SET ticket_status = 'valid' WHERE id = p_ticket_id;
+  END IF;
+
+  INSERT INTO override_logs (ticket_id, admin_action, day, reason)
+  VALUES (p_ticket_id, 'RESET', p_session_id, trim(p_reason));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Entry reset for %s', v_ticket.name)
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_force_allow(UUID, TEXT, UUID, TEXT) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_reset_entry(UUID, TEXT, UUID, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION admin_force_allow(UUID, TEXT, UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_reset_entry(UUID, TEXT, UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- Granting sessions
+-- ============================================
+-- Workshop-only pass:
+-- INSERT INTO ticket_entitlements (ticket_id, session_id) VALUES ('<uuid>', 'workshop');
+--
+-- Day 1 + Pro-Show:
+-- INSERT INTO ticket_entitlements (ticket_id, session_id)
+-- VALUES ('<uuid>', 'day1'), ('<uuid>', 'proshow');
+-- ============================================
@@ -0,0 +1,300 @@
+-- ============================================
+-- 006: Entry / exit scanning with live occupancy
+-- ============================================
+-- Every admission and departure is written to gate_movements:
+--   in   - ticket entered the session's venue
+--   out  - ticket left
+--
+-- Anti-passback: a ticket already admitted to a session may only
+-- re-enter after an exit has been recorded. The inside-count is the
+-- number of tickets whose latest movement for the session is 'in'.
+--
+-- sessions.capacity (optional) drives the scanner's capacity warning.
+-- ============================================
+
+-- Step 1: Movement log
+CREATE TABLE IF NOT EXISTS gate_movements (
+  id BIGSERIAL PRIMARY KEY,
+  ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  direction TEXT NOT NULL CHECK (direction IN ('in', 'out')),
+  volunteer_id UUID REFERENCES volunteers(id) DEFAULT auth.uid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gate_movements_latest
+  ON gate_movements(session_id, ticket_id, created_at DESC);
+
+ALTER TABLE gate_movements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Volunteers select movements" ON gate_movements;
+CREATE POLICY "Volunteers select movements" ON gate_movements
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+-- Step 2: Venue capacity per session (NULL = no cap)
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS capacity INTEGER CHECK (capacity > 0);
+
+-- Step 3: Admissions recorded before this migration count as inside
+INSERT INTO gate_movements (ticket_id, session_id, direction, volunteer_id, created_at)
+SELECT u.ticket_id, u.session_id, 'in', u.used_by, u.used_at
+FROM session_usage u
+WHERE NOT EXISTS (
+  SELECT 1 FROM gate_movements m
+  WHERE m.ticket_id = u.ticket_id AND m.session_id = u.session_id
+);
+
+-- Step 4: Helpers
+CREATE OR REPLACE FUNCTION ticket_is_inside(p_ticket_id UUID, p_session_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT coalesce((
+    SELECT direction = 'in'
+    FROM gate_movements
+    WHERE ticket_id = p_ticket_id AND session_id = p_session_id
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  ), false);
+$$;
+
+-- First admissions and overrides go through session_usage; keep the
+-- movement log in step with it
+CREATE OR REPLACE FUNCTION sync_usage_movement()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (NEW.ticket_id, NEW.session_id, 'in');
+    RETURN NEW;
+  END IF;
+
+  -- Reset entry: whoever was let in by mistake is no longer inside
+  IF ticket_is_inside(OLD.ticket_id, OLD.session_id) THEN
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (OLD.ticket_id, OLD.session_id, 'out');
+  END IF;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS session_usage_movement ON session_usage;
+CREATE TRIGGER session_usage_movement
+  AFTER INSERT OR DELETE ON session_usage
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_usage_movement();
+
+-- Step 5: Entry with anti-passback
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  SELECT used_at INTO v_used_at
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  IF FOUND THEN
+    -- Anti-passback: re-entry only after a recorded exit
+    IF ticket_is_inside(p_ticket_id, v_session.id) THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'ALREADY_USED',
+        'message', format('Already inside %s since %s - no exit scanned', v_session.label,
+                          to_char(v_used_at AT TIME ZONE 'Asia/Kolkata', 'HH24:MI')),
+        'name', v_ticket.name,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'used_at', v_used_at
+      );
+    END IF;
+
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (p_ticket_id, v_session.id, 'in');
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Re-entry to %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  -- First admission - the session_usage trigger records the 'in' movement
+  INSERT INTO session_usage (ticket_id, session_id, used_by)
+  VALUES (p_ticket_id, v_session.id, auth.uid());
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  );
+END;
+$$;
+
+-- Step 6: Exit
+CREATE OR REPLACE FUNCTION record_exit(
+  p_ticket_id UUID,
+  p_session_id TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF NOT ticket_is_inside(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_INSIDE',
+      'message', format('No entry recorded for %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  INSERT INTO gate_movements (ticket_id, session_id, direction)
+  VALUES (p_ticket_id, v_session.id, 'out');
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'EXITED',
+    'message', format('Exit recorded - may re-enter %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  );
+END;
+$$;
+
+-- Step 7: Live occupancy
+CREATE OR REPLACE FUNCTION get_occupancy(p_session_id TEXT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'session_id', s.id,
+    'inside', (
+      SELECT count(*)
+      FROM (
+        SELECT DISTINCT ON (ticket_id) direction
+        FROM gate_movements
+        WHERE session_id = s.id
+        ORDER BY ticket_id, created_at DESC, id DESC
+      ) latest
+      WHERE latest.direction = 'in'
+    ),
+    'capacity', s.capacity
+  )
+  FROM sessions s
+  WHERE s.id = p_session_id
+    AND current_volunteer_role() IS NOT NULL;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_exit(UUID, TEXT) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION get_occupancy(TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION record_exit(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_occupancy(TEXT) TO authenticated;
+
+-- ============================================
+-- Setting a capacity
+-- ============================================
+-- UPDATE sessions SET capacity = 1500 WHERE id = 'proshow';
+-- ============================================
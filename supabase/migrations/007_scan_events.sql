@@ -0,0 +1,55 @@
+-- ============================================
+-- 007: Scan event log
+-- ============================================
+-- Every verification attempt is recorded - allowed, rejected, invalid
+-- and errored - so disputes ("I was never let in"), fraud spotting and
+-- post-event reporting have a full history, not just override_logs.
+--
+-- Rows are written by the scanner after each attempt. Offline attempts
+-- are uploaded when the device reconnects; scanned_at is the device time
+-- of the attempt, created_at the time the server received it.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS scan_events (
+  id BIGSERIAL PRIMARY KEY,
+  ticket_id UUID,                  -- no FK: unknown / forged ids are logged too
+  raw_payload TEXT,                -- QR text or typed code
+  action TEXT NOT NULL CHECK (action IN ('entry', 'exit')),
+  method TEXT NOT NULL CHECK (method IN ('qr', 'manual', 'search')),
+  result TEXT NOT NULL,            -- VALID, ALREADY_USED, NOT_ENTITLED, INVALID_TICKET, ERROR, ...
+  message TEXT,
+  session_id TEXT REFERENCES sessions(id) ON DELETE SET NULL,
+  gate TEXT,
+  device_id TEXT,
+  volunteer_id UUID NOT NULL DEFAULT auth.uid() REFERENCES volunteers(id),
+  offline BOOLEAN NOT NULL DEFAULT false,
+  scanned_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (ticket_id IS NOT NULL OR raw_payload IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_events_ticket ON scan_events(ticket_id, scanned_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scan_events_scanned_at ON scan_events(scanned_at DESC);
+
+ALTER TABLE scan_events ENABLE ROW LEVEL SECURITY;
+
+-- Volunteers can only log as themselves; the log is append-only
+DROP POLICY IF EXISTS "Volunteers insert own scan events" ON scan_events;
+CREATE POLICY "Volunteers insert own scan events" ON scan_events
+  FOR INSERT TO authenticated
+  WITH CHECK (volunteer_id = auth.uid() AND current_volunteer_role() IS NOT NULL);
+
+-- Gate leads and admins read the history
+DROP POLICY IF EXISTS "Leads select scan events" ON scan_events;
+CREATE POLICY "Leads select scan events" ON scan_events
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IN ('gate_lead', 'admin'));
+
+-- ============================================
+-- Dispute lookup
+-- ============================================
+-- SELECT scanned_at, action, result, message, gate, v.display_name
+-- FROM scan_events e JOIN volunteers v ON v.id = e.volunteer_id
+-- WHERE ticket_id = '<uuid>'
+-- ORDER BY scanned_at;
+-- ============================================
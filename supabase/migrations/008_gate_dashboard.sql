@@ -0,0 +1,80 @@
+-- ============================================
+-- 008: Live gate dashboard
+-- ============================================
+-- get_dashboard_stats aggregates scan_events / session_usage for the
+-- admin dashboard. scan_events is added to the realtime publication so
+-- the dashboard updates as scans happen (it polls if realtime is down).
+-- ============================================
+
+-- Step 1: Realtime for new scan events
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND tablename = 'scan_events'
+     ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE scan_events;
+  END IF;
+END;
+$$;
+
+-- Step 2: Dashboard aggregates
+-- p_window_minutes is the window used for scans-per-minute per gate;
+-- the result breakdown covers the whole session
+CREATE OR REPLACE FUNCTION get_dashboard_stats(
+  p_session_id TEXT,
+  p_window_minutes INTEGER DEFAULT 5
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_since TIMESTAMPTZ := now() - make_interval(mins => greatest(p_window_minutes, 1));
+BEGIN
+  IF current_volunteer_role() IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('error', 'Admins only');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_id', p_session_id,
+    'window_minutes', greatest(p_window_minutes, 1),
+    'total_tickets', (
+      SELECT count(*) FROM tickets t
+      WHERE t.ticket_status IN ('valid', 'used')
+        AND ticket_has_entitlement(t.id, p_session_id)
+    ),
+    'admitted', (
+      SELECT count(*) FROM session_usage WHERE session_id = p_session_id
+    ),
+    'inside', (get_occupancy(p_session_id) ->> 'inside')::INTEGER,
+    'capacity', (SELECT capacity FROM sessions WHERE id = p_session_id),
+    'gates', coalesce((
+      SELECT jsonb_agg(g ORDER BY g.scans DESC)
+      FROM (
+        SELECT coalesce(gate, 'Unknown') AS gate,
+               count(*) AS scans,
+               round(count(*)::NUMERIC / greatest(p_window_minutes, 1), 1) AS per_minute
+        FROM scan_events
+        WHERE session_id = p_session_id AND scanned_at >= v_since
+        GROUP BY coalesce(gate, 'Unknown')
+      ) g
+    ), '[]'::JSONB),
+    'results', coalesce((
+      SELECT jsonb_object_agg(result, total)
+      FROM (
+        SELECT result, count(*) AS total
+        FROM scan_events
+        WHERE session_id = p_session_id
+        GROUP BY result
+      ) r
+    ), '{}'::JSONB)
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_dashboard_stats(TEXT, INTEGER) FROM anon, public;
+GRANT EXECUTE ON FUNCTION get_dashboard_stats(TEXT, INTEGER) TO authenticated;
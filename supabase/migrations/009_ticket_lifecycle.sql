@@ -0,0 +1,341 @@
+-- ============================================
+-- 009: Ticket cancellation, reissue and transfer
+-- ============================================
+-- Admin actions for the ticket lifecycle, all behind the admin token
+-- from 004 and all written to override_logs:
+--
+--   admin_cancel_ticket   - status 'cancelled' (optionally refunded)
+--   admin_reissue_ticket  - new UUID + code; the old ticket becomes
+--                           'replaced' and its QR stops working
+--   admin_transfer_ticket - new holder name / email, same QR
+--
+-- verify_and_mark_ticket now answers CANCELLED / REPLACED instead of
+-- a generic INVALID_TICKET for those statuses.
+-- ============================================
+
+-- Step 1: Lifecycle columns
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES tickets(id);
+
+-- Structured details for actions that need more than a reason
+-- (refund flag, old/new holder, replacement ticket)
+ALTER TABLE override_logs
+  ADD COLUMN IF NOT EXISTS details JSONB;
+
+-- Step 2: Cancel
+CREATE OR REPLACE FUNCTION admin_cancel_ticket(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID,
+  p_refunded BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object('success', false, 'message', format('Ticket is already %s', v_ticket.ticket_status));
+  END IF;
+
+  UPDATE tickets SET ticket_status = 'cancelled' WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, details)
+  VALUES (p_ticket_id, 'CANCEL', trim(p_reason),
+          jsonb_build_object('refunded', coalesce(p_refunded, false),
+                             'previous_status', v_ticket.ticket_status));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Ticket cancelled for %s%s', v_ticket.name,
+                      CASE WHEN p_refunded THEN ' (refunded)' ELSE '' END)
+  );
+END;
+$$;
+
+-- Step 3: Reissue
+-- Entitlements, session usage and gate movements move to the new ticket,
+-- so a reissue never grants a second admission
+CREATE OR REPLACE FUNCTION admin_reissue_ticket(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_new_id UUID := gen_random_uuid();
+  v_code TEXT;
+  v_payload TEXT;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object('success', false, 'message', format('Cannot reissue a %s ticket', v_ticket.ticket_status));
+  END IF;
+
+  -- Unique 6-digit code (100000-999999), same range as the issuer
+  LOOP
+    v_code := (100000 + floor(random() * 900000))::INTEGER::TEXT;
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM tickets WHERE six_digit_code = v_code);
+  END LOOP;
+
+  v_payload := jsonb_build_object('id', v_new_id, 'code', v_code)::TEXT;
+
+  INSERT INTO tickets (id, registration_id, email, name, college, six_digit_code, qr_payload, ticket_status)
+  VALUES (v_new_id, v_ticket.registration_id, v_ticket.email, v_ticket.name, v_ticket.college,
+          v_code, v_payload, v_ticket.ticket_status);
+
+  UPDATE ticket_entitlements SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+  UPDATE session_usage SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+  UPDATE gate_movements SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+
+  UPDATE tickets
+  SET ticket_status = 'replaced', replaced_by = v_new_id
+  WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, details)
+  VALUES (p_ticket_id, 'REISSUE', trim(p_reason),
+          jsonb_build_object('replaced_by', v_new_id, 'new_code', v_code));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('New ticket issued for %s - code %s', v_ticket.name, v_code),
+    'ticket', jsonb_build_object(
+      'id', v_new_id,
+      'six_digit_code', v_code,
+      'qr_payload', v_payload
+    )
+  );
+END;
+$$;
+
+-- Step 4: Transfer to another attendee
+CREATE OR REPLACE FUNCTION admin_transfer_ticket(
+  p_ticket_id UUID,
+  p_name TEXT,
+  p_email TEXT,
+  p_reason TEXT,
+  p_admin_token UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_name TEXT := trim(coalesce(p_name, ''));
+  v_email TEXT := lower(trim(coalesce(p_email, '')));
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  IF v_name = '' OR v_email !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' THEN
+    RETURN jsonb_build_object('success', false, 'message', 'New holder needs a name and a valid email');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object('success', false, 'message', format('Cannot transfer a %s ticket', v_ticket.ticket_status));
+  END IF;
+
+  UPDATE tickets SET name = v_name, email = v_email WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, details)
+  VALUES (p_ticket_id, 'TRANSFER', trim(p_reason),
+          jsonb_build_object(
+            'from', jsonb_build_object('name', v_ticket.name, 'email', v_ticket.email),
+            'to', jsonb_build_object('name', v_name, 'email', v_email)
+          ));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Ticket transferred from %s to %s', v_ticket.name, v_name)
+  );
+END;
+$$;
+
+-- Step 5: Entry answers CANCELLED / REPLACED
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF v_ticket.ticket_status = 'cancelled' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'CANCELLED',
+      'message', 'Ticket was cancelled',
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF v_ticket.ticket_status = 'replaced' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'REPLACED',
+      'message', 'Ticket was reissued - old QR no longer valid',
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  SELECT used_at INTO v_used_at
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  IF FOUND THEN
+    -- Anti-passback: re-entry only after a recorded exit
+    IF ticket_is_inside(p_ticket_id, v_session.id) THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'ALREADY_USED',
+        'message', format('Already inside %s since %s - no exit scanned', v_session.label,
+                          to_char(v_used_at AT TIME ZONE 'Asia/Kolkata', 'HH24:MI')),
+        'name', v_ticket.name,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'used_at', v_used_at
+      );
+    END IF;
+
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (p_ticket_id, v_session.id, 'in');
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Re-entry to %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  -- First admission - the session_usage trigger records the 'in' movement
+  INSERT INTO session_usage (ticket_id, session_id, used_by)
+  VALUES (p_ticket_id, v_session.id, auth.uid());
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_cancel_ticket(UUID, TEXT, UUID, BOOLEAN) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_reissue_ticket(UUID, TEXT, UUID) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_transfer_ticket(UUID, TEXT, TEXT, TEXT, UUID) FROM anon, public;
+GRANT EXECUTE ON FUNCTION admin_cancel_ticket(UUID, TEXT, UUID, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_reissue_ticket(UUID, TEXT, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_transfer_ticket(UUID, TEXT, TEXT, TEXT, UUID) TO authenticated;
+
+-- ============================================
+-- Finding what a replaced ticket became
+-- ============================================
+-- SELECT id, six_digit_code, ticket_status, replaced_by
+-- FROM tickets WHERE six_digit_code = '123456';
+-- ============================================
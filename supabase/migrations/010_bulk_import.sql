@@ -0,0 +1,186 @@
+-- ============================================
+-- 010: Bulk import of registrations and tickets
+-- ============================================
+-- Walk-in and partner lists are imported from CSV / XLSX in the admin
+-- area instead of being hand-inserted in the Supabase dashboard.
+--
+-- admin_import_tickets takes already-mapped rows and, per row:
+--   1. validates name / email / phone / college (registrations rules)
+--   2. skips emails that already have a ticket
+--   3. creates (or reuses) the registration and issues a ticket with a
+--      unique six-digit code
+--
+-- With p_dry_run = true nothing is written; the report says what
+-- would happen. Admins only.
+-- ============================================
+
+-- Step 1: Unique six-digit code (100000-999999), same range as the issuer
+CREATE OR REPLACE FUNCTION generate_ticket_code()
+RETURNS TEXT
+LANGUAGE plpgsql
+VOLATILE
+SET search_path = public
+AS $$
+DECLARE
+  v_code TEXT;
+BEGIN
+  LOOP
+    v_code := (100000 + floor(random() * 900000))::INTEGER::TEXT;
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM tickets WHERE six_digit_code = v_code);
+  END LOOP;
+  RETURN v_code;
+END;
+$$;
+
+-- Step 2: Import
+-- p_rows: [{ "row": 2, "name": "...", "email": "...", "phone": "...",
+--            "college": "...", "ticket_type": "..." }, ...]
+-- Returns { dry_run, imported, ready, duplicate, invalid, failed,
+--           rows: [{ row, status, message, email, code?, ticket_id? }] }
+CREATE OR REPLACE FUNCTION admin_import_tickets(
+  p_rows JSONB,
+  p_dry_run BOOLEAN DEFAULT true
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_max_rows CONSTANT INTEGER := 500;
+  v_item JSONB;
+  v_row INTEGER;
+  v_name TEXT;
+  v_email TEXT;
+  v_phone TEXT;
+  v_college TEXT;
+  v_ticket_type TEXT;
+  v_errors TEXT[];
+  v_seen TEXT[] := '{}';
+  v_registration_id UUID;
+  v_ticket_id UUID;
+  v_code TEXT;
+  v_results JSONB := '[]'::JSONB;
+  v_counts JSONB := jsonb_build_object(
+    'imported', 0, 'ready', 0, 'duplicate', 0, 'invalid', 0, 'failed', 0
+  );
+  v_status TEXT;
+BEGIN
+  IF current_volunteer_role() IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('error', 'Admins only');
+  END IF;
+
+  IF jsonb_typeof(p_rows) IS DISTINCT FROM 'array' THEN
+    RETURN jsonb_build_object('error', 'Rows must be a list');
+  END IF;
+
+  IF jsonb_array_length(p_rows) > v_max_rows THEN
+    RETURN jsonb_build_object('error', format('At most %s rows per request', v_max_rows));
+  END IF;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_rows) LOOP
+    v_row := (v_item ->> 'row')::INTEGER;
+    v_name := trim(coalesce(v_item ->> 'name', ''));
+    v_email := lower(trim(coalesce(v_item ->> 'email', '')));
+    -- Digits only; drop a +91 / 0 prefix
+    v_phone := regexp_replace(coalesce(v_item ->> 'phone', ''), '\D', '', 'g');
+    v_phone := regexp_replace(v_phone, '^(91|0)(?=\d{10}$)', '');
+    v_college := trim(coalesce(v_item ->> 'college', ''));
+    v_ticket_type := nullif(trim(coalesce(v_item ->> 'ticket_type', '')), '');
+    v_errors := '{}';
+
+    IF v_name = '' THEN
+      v_errors := array_append(v_errors, 'Name is required');
+    END IF;
+    IF v_email !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' THEN
+      v_errors := array_append(v_errors, 'Invalid email');
+    END IF;
+    IF v_phone !~ '^[6-9]\d{9}$' THEN
+      v_errors := array_append(v_errors, 'Phone must be 10 digits starting with 6-9');
+    END IF;
+    IF v_college = '' THEN
+      v_errors := array_append(v_errors, 'College is required');
+    END IF;
+
+    IF array_length(v_errors, 1) > 0 THEN
+      v_status := 'invalid';
+    ELSIF v_email = ANY(v_seen) THEN
+      v_status := 'duplicate';
+      v_errors := ARRAY['Email appears earlier in this file'];
+    ELSIF EXISTS (SELECT 1 FROM tickets WHERE lower(email) = v_email) THEN
+      v_status := 'duplicate';
+      v_errors := ARRAY['Email already has a ticket'];
+    ELSIF p_dry_run THEN
+      v_status := 'ready';
+    ELSE
+      v_status := 'imported';
+    END IF;
+
+    v_seen := v_seen || v_email;
+    v_code := NULL;
+    v_ticket_id := NULL;
+
+    IF v_status = 'imported' THEN
+      BEGIN
+        SELECT id INTO v_registration_id FROM registrations WHERE lower(email) = v_email;
+
+        IF v_registration_id IS NULL THEN
+          INSERT INTO registrations (name, email, phone, college, ticket_type, is_rit_student)
+          VALUES (
+            v_name, v_email, v_phone, v_college, v_ticket_type,
+            v_email ~* '@([a-z]+\.)?ritchennai\.edu\.in$'
+              OR v_college ~* 'rajalakshmi institute of technology'
+              OR v_college ~ '\mRIT\M'
+          )
+          RETURNING id INTO v_registration_id;
+        END IF;
+
+        v_ticket_id := gen_random_uuid();
+        v_code := generate_ticket_code();
+
+        INSERT INTO tickets (id, registration_id, email, name, college, six_digit_code, qr_payload)
+        VALUES (v_ticket_id, v_registration_id, v_email, v_name, v_college, v_code,
+                jsonb_build_object('id', v_ticket_id, 'code', v_code)::TEXT);
+
+        UPDATE registrations SET ticket_generated = true WHERE id = v_registration_id;
+      EXCEPTION WHEN OTHERS THEN
+        v_status := 'failed';
+        v_errors := ARRAY[SQLERRM];
+        v_code := NULL;
+        v_ticket_id := NULL;
+      END;
+    END IF;
+
+    v_counts := jsonb_set(v_counts, ARRAY[v_status],
+                          to_jsonb((v_counts ->> v_status)::INTEGER + 1));
+
+    v_results := v_results || jsonb_build_object(
+      'row', v_row,
+      'status', v_status,
+      'message', CASE WHEN array_length(v_errors, 1) > 0
+                      THEN array_to_string(v_errors, '; ')
+                      WHEN v_status = 'ready' THEN 'Will be imported'
+                      ELSE format('Ticket %s issued', v_code) END,
+      'email', v_email,
+      'code', v_code,
+      'ticket_id', v_ticket_id
+    );
+  END LOOP;
+
+  RETURN v_counts || jsonb_build_object('dry_run', p_dry_run, 'rows', v_results);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION generate_ticket_code() FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_import_tickets(JSONB, BOOLEAN) FROM anon, public;
+GRANT EXECUTE ON FUNCTION admin_import_tickets(JSONB, BOOLEAN) TO authenticated;
+
+-- ============================================
+-- Example
+-- ============================================
+-- SELECT admin_import_tickets(
+--   '[{"row": 2, "name": "Asha", "email": "asha@example.com",
+--      "phone": "9876543210", "college": "RIT"}]'::JSONB,
+--   true
+-- );
+-- ============================================
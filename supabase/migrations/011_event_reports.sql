@@ -0,0 +1,132 @@
+-- ============================================
+-- 011: Attendance and audit reports
+-- ============================================
+-- get_event_report returns everything the post-event exports need in one
+-- call, for a date range and optionally one gate:
+--
+--   admitted     - first admission per ticket per session, with gate
+--   no_shows     - live tickets with no admission in the range
+--   overrides    - override_logs (force-allow, reset, cancel, ...)
+--   rejections   - rejected scan_events counted by gate and result
+--   gate_counts  - scans / allowed / rejected per gate
+--
+-- The gate filter applies to scan-based sections only; no-shows and
+-- overrides are not tied to a gate. Admins only.
+-- ============================================
+
+CREATE OR REPLACE FUNCTION get_event_report(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_gate TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF current_volunteer_role() IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('error', 'Admins only');
+  END IF;
+
+  IF p_from IS NULL OR p_to IS NULL OR p_from > p_to THEN
+    RETURN jsonb_build_object('error', 'Choose a valid date range');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'generated_at', now(),
+    'from', p_from,
+    'to', p_to,
+    'gate', p_gate,
+    'gates', coalesce((
+      SELECT jsonb_agg(DISTINCT gate ORDER BY gate)
+      FROM scan_events
+      WHERE gate IS NOT NULL
+    ), '[]'::JSONB),
+
+    'admitted', coalesce((
+      SELECT jsonb_agg(a ORDER BY a.used_at)
+      FROM (
+        SELECT t.id AS ticket_id, t.six_digit_code AS code, t.name, t.email, t.college,
+               u.session_id, s.label AS session_label, u.used_at, first_entry.gate
+        FROM session_usage u
+        JOIN tickets t ON t.id = u.ticket_id
+        JOIN sessions s ON s.id = u.session_id
+        LEFT JOIN LATERAL (
+          SELECT e.gate
+          FROM scan_events e
+          WHERE e.ticket_id = u.ticket_id
+            AND e.session_id = u.session_id
+            AND e.action = 'entry'
+            AND e.result = 'VALID'
+          ORDER BY e.scanned_at
+          LIMIT 1
+        ) first_entry ON true
+        WHERE u.used_at BETWEEN p_from AND p_to
+          AND (p_gate IS NULL OR first_entry.gate = p_gate)
+      ) a
+    ), '[]'::JSONB),
+
+    'no_shows', coalesce((
+      SELECT jsonb_agg(n ORDER BY n.name)
+      FROM (
+        SELECT t.id AS ticket_id, t.six_digit_code AS code, t.name, t.email, t.college,
+               t.ticket_status
+        FROM tickets t
+        WHERE t.ticket_status IN ('valid', 'used')
+          AND NOT EXISTS (
+            SELECT 1 FROM session_usage u
+            WHERE u.ticket_id = t.id AND u.used_at BETWEEN p_from AND p_to
+          )
+      ) n
+    ), '[]'::JSONB),
+
+    'overrides', coalesce((
+      SELECT jsonb_agg(o ORDER BY o.created_at)
+      FROM (
+        SELECT l.created_at, l.ticket_id, t.six_digit_code AS code, t.name,
+               l.admin_action, l.day AS session_id, l.reason, l.admin_identifier
+        FROM override_logs l
+        LEFT JOIN tickets t ON t.id = l.ticket_id
+        WHERE l.created_at BETWEEN p_from AND p_to
+      ) o
+    ), '[]'::JSONB),
+
+    'rejections', coalesce((
+      SELECT jsonb_agg(r ORDER BY r.gate, r.total DESC)
+      FROM (
+        SELECT coalesce(gate, 'Unknown') AS gate, result, count(*) AS total
+        FROM scan_events
+        WHERE scanned_at BETWEEN p_from AND p_to
+          AND (p_gate IS NULL OR gate = p_gate)
+          AND result NOT IN ('VALID', 'EXITED')
+        GROUP BY coalesce(gate, 'Unknown'), result
+      ) r
+    ), '[]'::JSONB),
+
+    'gate_counts', coalesce((
+      SELECT jsonb_agg(g ORDER BY g.scans DESC)
+      FROM (
+        SELECT coalesce(gate, 'Unknown') AS gate,
+               count(*) AS scans,
+               count(*) FILTER (WHERE result IN ('VALID', 'EXITED')) AS allowed,
+               count(*) FILTER (WHERE result NOT IN ('VALID', 'EXITED')) AS rejected
+        FROM scan_events
+        WHERE scanned_at BETWEEN p_from AND p_to
+          AND (p_gate IS NULL OR gate = p_gate)
+        GROUP BY coalesce(gate, 'Unknown')
+      ) g
+    ), '[]'::JSONB)
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_event_report(TIMESTAMPTZ, TIMESTAMPTZ, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION get_event_report(TIMESTAMPTZ, TIMESTAMPTZ, TEXT) TO authenticated;
+
+-- ============================================
+-- Example: Day 1, North Gate
+-- ============================================
+-- SELECT get_event_report('2026-03-06 00:00+05:30', '2026-03-06 23:59+05:30', 'North Gate');
+-- ============================================
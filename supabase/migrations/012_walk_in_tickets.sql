@@ -0,0 +1,139 @@
+-- ============================================
+-- 012: On-site ticket issuance for walk-ins
+-- ============================================
+-- Gate leads and admins (with the admin token from 004) can register a
+-- walk-in at the gate: admin_issue_ticket creates the registration and
+-- ticket rows and returns the QR payload and six-digit code. Each
+-- issue is written to override_logs as 'ISSUE'.
+--
+-- Admitting the walk-in straight away is done by the scanner calling
+-- verify_and_mark_ticket as usual, so it stays on the atomic path.
+-- ============================================
+
+-- Step 1: Registration field rules (same as the registrations schema and
+-- the 010 import): 10-digit phone starting 6-9, basic email shape
+CREATE OR REPLACE FUNCTION normalize_phone(p_phone TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT regexp_replace(
+    regexp_replace(coalesce(p_phone, ''), '\D', '', 'g'),
+    '^(91|0)(?=\d{10}$)', ''
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION registration_field_errors(
+  p_name TEXT,
+  p_email TEXT,
+  p_phone TEXT,
+  p_college TEXT
+)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT array_remove(ARRAY[
+    CASE WHEN trim(coalesce(p_name, '')) = '' THEN 'Name is required' END,
+    CASE WHEN lower(trim(coalesce(p_email, ''))) !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' THEN 'Invalid email' END,
+    CASE WHEN normalize_phone(p_phone) !~ '^[6-9]\d{9}$' THEN 'Phone must be 10 digits starting with 6-9' END,
+    CASE WHEN trim(coalesce(p_college, '')) = '' THEN 'College is required' END
+  ], NULL);
+$$;
+
+-- Step 2: Issue
+CREATE OR REPLACE FUNCTION admin_issue_ticket(
+  p_name TEXT,
+  p_email TEXT,
+  p_phone TEXT,
+  p_college TEXT,
+  p_admin_token UUID,
+  p_ticket_type TEXT DEFAULT 'Walk-in'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_name TEXT := trim(coalesce(p_name, ''));
+  v_email TEXT := lower(trim(coalesce(p_email, '')));
+  v_phone TEXT := normalize_phone(p_phone);
+  v_college TEXT := trim(coalesce(p_college, ''));
+  v_errors TEXT[];
+  v_existing TEXT;
+  v_registration_id UUID;
+  v_ticket_id UUID := gen_random_uuid();
+  v_code TEXT;
+  v_payload TEXT;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  v_errors := registration_field_errors(v_name, v_email, v_phone, v_college);
+  IF array_length(v_errors, 1) > 0 THEN
+    RETURN jsonb_build_object('success', false, 'message', array_to_string(v_errors, '; '));
+  END IF;
+
+  SELECT six_digit_code INTO v_existing
+  FROM tickets
+  WHERE lower(email) = v_email AND ticket_status IN ('valid', 'used')
+  LIMIT 1;
+
+  IF FOUND THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'message', format('%s already has ticket %s - search for it instead', v_email, v_existing)
+    );
+  END IF;
+
+  SELECT id INTO v_registration_id FROM registrations WHERE lower(email) = v_email;
+
+  IF v_registration_id IS NULL THEN
+    INSERT INTO registrations (name, email, phone, college, ticket_type, is_rit_student)
+    VALUES (
+      v_name, v_email, v_phone, v_college, nullif(trim(coalesce(p_ticket_type, '')), ''),
+      v_email ~* '@([a-z]+\.)?ritchennai\.edu\.in$'
+        OR v_college ~* 'rajalakshmi institute of technology'
+        OR v_college ~ '\mRIT\M'
+    )
+    RETURNING id INTO v_registration_id;
+  END IF;
+
+  v_code := generate_ticket_code();
+  v_payload := jsonb_build_object('id', v_ticket_id, 'code', v_code)::TEXT;
+
+  INSERT INTO tickets (id, registration_id, email, name, college, six_digit_code, qr_payload)
+  VALUES (v_ticket_id, v_registration_id, v_email, v_name, v_college, v_code, v_payload);
+
+  UPDATE registrations SET ticket_generated = true WHERE id = v_registration_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason)
+  VALUES (v_ticket_id, 'ISSUE', 'Walk-in ticket issued at gate');
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Ticket %s issued to %s', v_code, v_name),
+    'ticket', jsonb_build_object(
+      'id', v_ticket_id,
+      'six_digit_code', v_code,
+      'qr_payload', v_payload,
+      'name', v_name,
+      'email', v_email,
+      'college', v_college
+    )
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_issue_ticket(TEXT, TEXT, TEXT, TEXT, UUID, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION admin_issue_ticket(TEXT, TEXT, TEXT, TEXT, UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- Walk-ins issued today
+-- ============================================
+-- SELECT t.six_digit_code, t.name, t.email, t.created_at
+-- FROM tickets t JOIN registrations r ON r.id = t.registration_id
+-- WHERE r.ticket_type = 'Walk-in' AND t.created_at::date = current_date;
+-- ============================================
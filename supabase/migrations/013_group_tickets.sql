@@ -0,0 +1,394 @@
+-- ============================================
+-- 013: Group tickets with partial admission
+-- ============================================
+-- A ticket can now admit a group (tickets.headcount > 1) - a block of
+-- college passes under one QR. Admission is counted per session:
+--
+--   session_usage.admitted_count - people admitted so far
+--
+-- Scanning a group ticket without a count answers GROUP_COUNT with the
+-- remaining balance; the scanner asks "admit how many?" and calls again
+-- with p_count. The count is checked and added under the ticket row
+-- lock, so two gates can never over-admit the same group.
+--
+-- Once everyone is in, the group follows the normal anti-passback rule:
+-- an exit scan lets the whole group out, the next scan lets it back in.
+-- ============================================
+
+-- Step 1: Headcount and per-session admitted count
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS headcount INTEGER NOT NULL DEFAULT 1 CHECK (headcount > 0);
+
+ALTER TABLE session_usage
+  ADD COLUMN IF NOT EXISTS admitted_count INTEGER NOT NULL DEFAULT 1 CHECK (admitted_count > 0);
+
+-- Step 2: Entry with a count for group tickets
+-- Adding p_count changes the signature, so the old one is dropped first
+DROP FUNCTION IF EXISTS verify_and_mark_ticket(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL,
+  p_count INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+  v_admitted INTEGER;
+  v_remaining INTEGER;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF v_ticket.ticket_status = 'cancelled' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'CANCELLED',
+      'message', 'Ticket was cancelled',
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF v_ticket.ticket_status = 'replaced' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'REPLACED',
+      'message', 'Ticket was reissued - old QR no longer valid',
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    );
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  SELECT used_at, admitted_count INTO v_used_at, v_admitted
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  v_remaining := v_ticket.headcount - coalesce(v_admitted, 0);
+
+  -- Group still arriving: admit the requested count
+  IF v_ticket.headcount > 1 AND v_remaining > 0 THEN
+    IF p_count IS NULL OR p_count < 1 OR p_count > v_remaining THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'GROUP_COUNT',
+        'message', CASE
+          WHEN p_count IS NULL THEN format('Group of %s - %s remaining', v_ticket.headcount, v_remaining)
+          ELSE format('Only %s of the group remaining', v_remaining)
+        END,
+        'name', v_ticket.name,
+        'ticket_id', v_ticket.id,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'headcount', v_ticket.headcount,
+        'remaining', v_remaining
+      );
+    END IF;
+
+    IF v_admitted IS NULL THEN
+      -- First arrivals - the session_usage trigger records the 'in' movement
+      INSERT INTO session_usage (ticket_id, session_id, used_by, admitted_count)
+      VALUES (p_ticket_id, v_session.id, auth.uid(), p_count);
+    ELSE
+      UPDATE session_usage
+      SET admitted_count = admitted_count + p_count
+      WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+      INSERT INTO gate_movements (ticket_id, session_id, direction)
+      VALUES (p_ticket_id, v_session.id, 'in');
+    END IF;
+
+    UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Admitted %s of group to %s', p_count, v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount,
+      'admitted', p_count,
+      'remaining', v_remaining - p_count
+    );
+  END IF;
+
+  IF v_used_at IS NOT NULL THEN
+    -- Anti-passback: re-entry only after a recorded exit
+    IF ticket_is_inside(p_ticket_id, v_session.id) THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'ALREADY_USED',
+        'message', CASE
+          WHEN v_ticket.headcount > 1 THEN format('All %s of group already inside %s', v_ticket.headcount, v_session.label)
+          ELSE format('Already inside %s since %s - no exit scanned', v_session.label,
+                      to_char(v_used_at AT TIME ZONE 'Asia/Kolkata', 'HH24:MI'))
+        END,
+        'name', v_ticket.name,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'used_at', v_used_at,
+        'headcount', v_ticket.headcount,
+        'remaining', 0
+      );
+    END IF;
+
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (p_ticket_id, v_session.id, 'in');
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Re-entry to %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount
+    );
+  END IF;
+
+  -- First admission - the session_usage trigger records the 'in' movement
+  INSERT INTO session_usage (ticket_id, session_id, used_by)
+  VALUES (p_ticket_id, v_session.id, auth.uid());
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER) FROM anon, public;
+GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER) TO authenticated;
+
+-- Step 3: Occupancy counts people, not tickets
+CREATE OR REPLACE FUNCTION get_occupancy(p_session_id TEXT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'session_id', s.id,
+    'inside', (
+      SELECT coalesce(sum(coalesce(u.admitted_count, 1)), 0)
+      FROM (
+        SELECT DISTINCT ON (ticket_id) ticket_id, direction
+        FROM gate_movements
+        WHERE session_id = s.id
+        ORDER BY ticket_id, created_at DESC, id DESC
+      ) latest
+      LEFT JOIN session_usage u
+        ON u.ticket_id = latest.ticket_id AND u.session_id = s.id
+      WHERE latest.direction = 'in'
+    ),
+    'capacity', s.capacity
+  )
+  FROM sessions s
+  WHERE s.id = p_session_id
+    AND current_volunteer_role() IS NOT NULL;
+$$;
+
+-- Step 4: Setting the group size
+-- Cannot drop below the number already admitted to any session
+CREATE OR REPLACE FUNCTION admin_set_group_size(
+  p_ticket_id UUID,
+  p_headcount INTEGER,
+  p_reason TEXT,
+  p_admin_token UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_admitted INTEGER;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  IF p_headcount IS NULL OR p_headcount < 1 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Group size must be at least 1');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object('success', false, 'message', format('Cannot resize a %s ticket', v_ticket.ticket_status));
+  END IF;
+
+  SELECT coalesce(max(admitted_count), 0) INTO v_admitted
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id;
+
+  IF p_headcount < v_admitted THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'message', format('%s already admitted to a session - group size cannot be lower', v_admitted)
+    );
+  END IF;
+
+  UPDATE tickets SET headcount = p_headcount WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, details)
+  VALUES (p_ticket_id, 'GROUP_SIZE', trim(p_reason),
+          jsonb_build_object('previous_headcount', v_ticket.headcount, 'headcount', p_headcount));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('Group size for %s set to %s', v_ticket.name, p_headcount),
+    'headcount', p_headcount
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_set_group_size(UUID, INTEGER, TEXT, UUID) FROM anon, public;
+GRANT EXECUTE ON FUNCTION admin_set_group_size(UUID, INTEGER, TEXT, UUID) TO authenticated;
+
+-- Step 5: Reissue keeps the group size (otherwise as in 009)
+CREATE OR REPLACE FUNCTION admin_reissue_ticket(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_new_id UUID := gen_random_uuid();
+  v_code TEXT;
+  v_payload TEXT;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object('success', false, 'message', format('Cannot reissue a %s ticket', v_ticket.ticket_status));
+  END IF;
+
+  -- Unique 6-digit code (100000-999999), same range as the issuer
+  LOOP
+    v_code := (100000 + floor(random() * 900000))::INTEGER::TEXT;
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM tickets WHERE six_digit_code = v_code);
+  END LOOP;
+
+  v_payload := jsonb_build_object('id', v_new_id, 'code', v_code)::TEXT;
+
+  INSERT INTO tickets (id, registration_id, email, name, college, six_digit_code, qr_payload, ticket_status, headcount)
+  VALUES (v_new_id, v_ticket.registration_id, v_ticket.email, v_ticket.name, v_ticket.college,
+          v_code, v_payload, v_ticket.ticket_status, v_ticket.headcount);
+
+  UPDATE ticket_entitlements SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+  UPDATE session_usage SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+  UPDATE gate_movements SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+
+  UPDATE tickets
+  SET ticket_status = 'replaced', replaced_by = v_new_id
+  WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, details)
+  VALUES (p_ticket_id, 'REISSUE', trim(p_reason),
+          jsonb_build_object('replaced_by', v_new_id, 'new_code', v_code));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('New ticket issued for %s - code %s', v_ticket.name, v_code),
+    'ticket', jsonb_build_object(
+      'id', v_new_id,
+      'six_digit_code', v_code,
+      'qr_payload', v_payload
+    )
+  );
+END;
+$$;
+
+-- ============================================
+-- Creating group tickets in bulk
+-- ============================================
+-- UPDATE tickets SET headcount = 25 WHERE six_digit_code = '123456';
+--
+-- Group balance for a session:
+-- SELECT t.six_digit_code, t.name, t.headcount, coalesce(u.admitted_count, 0) AS admitted
+-- FROM tickets t
+-- LEFT JOIN session_usage u ON u.ticket_id = t.id AND u.session_id = 'day1'
+-- WHERE t.headcount > 1;
+-- ============================================
@@ -0,0 +1,433 @@
+-- ============================================
+-- 014: Ticket tiers, zones and gate access
+-- ============================================
+-- Every ticket has a tier (Event, Early Bird, RIT Student, VIP,
+-- Backstage). A tier grants one or more zones; each gate serves one or
+-- more zones. A ticket is admitted at a gate only when its tier grants
+-- a zone that gate serves - otherwise WRONG_ZONE.
+--
+--   ticket_tiers  - label, colour band shown on the scanner, zones
+--   gates         - zones served per gate name (the scanner's gate)
+--   tickets.tier_id
+--
+-- The tier comes from registrations.ticket_type when a ticket is
+-- created (ticket_tiers.ticket_types lists the names that map to it);
+-- anything unmatched is 'general'. Gates that are not configured serve
+-- the general zone only.
+--
+-- verify_and_mark_ticket gains p_gate and returns tier / tier_label /
+-- tier_color with every answer about a known ticket. admin_reissue_ticket
+-- copies the tier to the replacement ticket.
+-- ============================================
+
+-- Step 1: Tiers
+CREATE TABLE IF NOT EXISTS ticket_tiers (
+  id TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  color TEXT NOT NULL DEFAULT '#607d8b' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+  zones TEXT[] NOT NULL DEFAULT '{general}',
+  ticket_types TEXT[] NOT NULL DEFAULT '{}',  -- lower-case registrations.ticket_type values
+  sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO ticket_tiers (id, label, color, zones, ticket_types, sort_order) VALUES
+  ('general', 'Event', '#1e88e5', '{general}', '{event,regular,walk-in}', 1),
+  ('early_bird', 'Early Bird', '#00897b', '{general}', '{early bird,early-bird,earlybird}', 2),
+  ('rit_student', 'RIT Student', '#f57c00', '{general}', '{rit student,rit}', 3),
+  ('vip', 'VIP', '#8e24aa', '{general,vip}', '{vip,guest}', 4),
+  ('backstage', 'Backstage', '#c62828', '{general,vip,backstage}', '{backstage,crew,artist}', 5)
+ON CONFLICT (id) DO NOTHING;
+
+-- Step 2: Gates
+CREATE TABLE IF NOT EXISTS gates (
+  name TEXT PRIMARY KEY,
+  zones TEXT[] NOT NULL DEFAULT '{general}'
+);
+
+INSERT INTO gates (name, zones) VALUES
+  ('Main Gate', '{general}')
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE ticket_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Volunteers select tiers" ON ticket_tiers;
+CREATE POLICY "Volunteers select tiers" ON ticket_tiers
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Volunteers select gates" ON gates;
+CREATE POLICY "Volunteers select gates" ON gates
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+-- Step 3: Ticket tier
+ALTER TABLE tickets
+  ADD COLUMN IF NOT EXISTS tier_id TEXT REFERENCES ticket_tiers(id);
+
+CREATE OR REPLACE FUNCTION resolve_ticket_tier(p_ticket_type TEXT, p_is_rit_student BOOLEAN)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT coalesce(
+    (SELECT id FROM ticket_tiers
+     WHERE lower(trim(p_ticket_type)) = ANY(ticket_types)
+     ORDER BY sort_order
+     LIMIT 1),
+    CASE WHEN p_is_rit_student THEN 'rit_student' END,
+    'general'
+  );
+$$;
+
+-- New tickets (issuer, import, walk-in) pick up their tier from the
+-- registration unless one is given; reissues carry theirs over (Step 6)
+CREATE OR REPLACE FUNCTION set_ticket_tier()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.tier_id IS NULL THEN
+    SELECT resolve_ticket_tier(r.ticket_type, r.is_rit_student) INTO NEW.tier_id
+    FROM registrations r
+    WHERE r.id = NEW.registration_id;
+
+    NEW.tier_id := coalesce(NEW.tier_id, 'general');
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tickets_set_tier ON tickets;
+CREATE TRIGGER tickets_set_tier
+  BEFORE INSERT ON tickets
+  FOR EACH ROW
+  EXECUTE FUNCTION set_ticket_tier();
+
+UPDATE tickets t
+SET tier_id = resolve_ticket_tier(r.ticket_type, r.is_rit_student)
+FROM registrations r
+WHERE r.id = t.registration_id AND t.tier_id IS NULL;
+
+UPDATE tickets SET tier_id = 'general' WHERE tier_id IS NULL;
+
+-- Step 4: Zone check
+-- No gate given (admin screens, old scanners) = no zone restriction
+CREATE OR REPLACE FUNCTION gate_admits_tier(p_gate TEXT, p_tier_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT p_gate IS NULL OR coalesce(
+    (SELECT zones FROM ticket_tiers WHERE id = coalesce(p_tier_id, 'general')),
+    '{general}'
+  ) && coalesce(
+    (SELECT zones FROM gates WHERE name = p_gate),
+    '{general}'
+  );
+$$;
+
+-- Step 5: Entry checks the gate and reports the tier
+DROP FUNCTION IF EXISTS verify_and_mark_ticket(UUID, TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL,
+  p_count INTEGER DEFAULT NULL,
+  p_gate TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+  v_admitted INTEGER;
+  v_remaining INTEGER;
+  v_tier ticket_tiers%ROWTYPE;
+  v_tier_info JSONB;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  SELECT * INTO v_tier FROM ticket_tiers WHERE id = coalesce(v_ticket.tier_id, 'general');
+  v_tier_info := jsonb_build_object(
+    'tier', v_tier.id,
+    'tier_label', v_tier.label,
+    'tier_color', v_tier.color
+  );
+
+  IF v_ticket.ticket_status = 'cancelled' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'CANCELLED',
+      'message', 'Ticket was cancelled',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status = 'replaced' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'REPLACED',
+      'message', 'Ticket was reissued - old QR no longer valid',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT gate_admits_tier(p_gate, v_tier.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'WRONG_ZONE',
+      'message', format('%s ticket not valid at %s', v_tier.label, p_gate),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  SELECT used_at, admitted_count INTO v_used_at, v_admitted
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  v_remaining := v_ticket.headcount - coalesce(v_admitted, 0);
+
+  -- Group still arriving: admit the requested count
+  IF v_ticket.headcount > 1 AND v_remaining > 0 THEN
+    IF p_count IS NULL OR p_count < 1 OR p_count > v_remaining THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'GROUP_COUNT',
+        'message', CASE
+          WHEN p_count IS NULL THEN format('Group of %s - %s remaining', v_ticket.headcount, v_remaining)
+          ELSE format('Only %s of the group remaining', v_remaining)
+        END,
+        'name', v_ticket.name,
+        'ticket_id', v_ticket.id,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'headcount', v_ticket.headcount,
+        'remaining', v_remaining
+      ) || v_tier_info;
+    END IF;
+
+    IF v_admitted IS NULL THEN
+      -- First arrivals - the session_usage trigger records the 'in' movement
+      INSERT INTO session_usage (ticket_id, session_id, used_by, admitted_count)
+      VALUES (p_ticket_id, v_session.id, auth.uid(), p_count);
+    ELSE
+      UPDATE session_usage
+      SET admitted_count = admitted_count + p_count
+      WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+      INSERT INTO gate_movements (ticket_id, session_id, direction)
+      VALUES (p_ticket_id, v_session.id, 'in');
+    END IF;
+
+    UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Admitted %s of group to %s', p_count, v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount,
+      'admitted', p_count,
+      'remaining', v_remaining - p_count
+    ) || v_tier_info;
+  END IF;
+
+  IF v_used_at IS NOT NULL THEN
+    -- Anti-passback: re-entry only after a recorded exit
+    IF ticket_is_inside(p_ticket_id, v_session.id) THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'ALREADY_USED',
+        'message', CASE
+          WHEN v_ticket.headcount > 1 THEN format('All %s of group already inside %s', v_ticket.headcount, v_session.label)
+          ELSE format('Already inside %s since %s - no exit scanned', v_session.label,
+                      to_char(v_used_at AT TIME ZONE 'Asia/Kolkata', 'HH24:MI'))
+        END,
+        'name', v_ticket.name,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'used_at', v_used_at,
+        'headcount', v_ticket.headcount,
+        'remaining', 0
+      ) || v_tier_info;
+    END IF;
+
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (p_ticket_id, v_session.id, 'in');
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Re-entry to %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount
+    ) || v_tier_info;
+  END IF;
+
+  -- First admission - the session_usage trigger records the 'in' movement
+  INSERT INTO session_usage (ticket_id, session_id, used_by)
+  VALUES (p_ticket_id, v_session.id, auth.uid());
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  ) || v_tier_info;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT) TO authenticated;
+
+-- Step 6: Reissue keeps the ticket's tier (otherwise as in 013)
+CREATE OR REPLACE FUNCTION admin_reissue_ticket(
+  p_ticket_id UUID,
+  p_reason TEXT,
+  p_admin_token UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_new_id UUID := gen_random_uuid();
+  v_code TEXT;
+  v_payload TEXT;
+BEGIN
+  IF check_admin_token(p_admin_token) IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admin session expired. Re-enter PIN.');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Ticket not found');
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object('success', false, 'message', format('Cannot reissue a %s ticket', v_ticket.ticket_status));
+  END IF;
+
+  -- Unique 6-digit code (100000-999999), same range as the issuer
+  LOOP
+    v_code := (100000 + floor(random() * 900000))::INTEGER::TEXT;
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM tickets WHERE six_digit_code = v_code);
+  END LOOP;
+
+  v_payload := jsonb_build_object('id', v_new_id, 'code', v_code)::TEXT;
+
+  -- An explicit tier_id skips tickets_set_tier, so a ticket raised to
+  -- VIP / backstage by hand keeps that tier
+  INSERT INTO tickets (id, registration_id, email, name, college, six_digit_code, qr_payload, ticket_status, headcount, tier_id)
+  VALUES (v_new_id, v_ticket.registration_id, v_ticket.email, v_ticket.name, v_ticket.college,
+          v_code, v_payload, v_ticket.ticket_status, v_ticket.headcount, v_ticket.tier_id);
+
+  UPDATE ticket_entitlements SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+  UPDATE session_usage SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+  UPDATE gate_movements SET ticket_id = v_new_id WHERE ticket_id = p_ticket_id;
+
+  UPDATE tickets
+  SET ticket_status = 'replaced', replaced_by = v_new_id
+  WHERE id = p_ticket_id;
+
+  INSERT INTO override_logs (ticket_id, admin_action, reason, details)
+  VALUES (p_ticket_id, 'REISSUE', trim(p_reason),
+          jsonb_build_object('replaced_by', v_new_id, 'new_code', v_code));
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', format('New ticket issued for %s - code %s', v_ticket.name, v_code),
+    'ticket', jsonb_build_object(
+      'id', v_new_id,
+      'six_digit_code', v_code,
+      'qr_payload', v_payload
+    )
+  );
+END;
+$$;
+
+-- ============================================
+-- Configuring gates and tiers
+-- ============================================
+-- INSERT INTO gates (name, zones) VALUES ('VIP Entrance', '{vip}')
+-- ON CONFLICT (name) DO UPDATE SET zones = EXCLUDED.zones;
+--
+-- INSERT INTO gates (name, zones) VALUES ('Stage Door', '{backstage}')
+-- ON CONFLICT (name) DO UPDATE SET zones = EXCLUDED.zones;
+--
+-- UPDATE tickets SET tier_id = 'vip' WHERE six_digit_code = '123456';
+--
+-- Gate names must match the name set on each scanner (footer → Change).
+-- ============================================
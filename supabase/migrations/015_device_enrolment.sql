@@ -0,0 +1,616 @@
+-- ============================================
+-- 015: Device enrolment and per-gate configuration
+-- ============================================
+-- Every scanner device is registered to a named gate. The gate decides
+-- what the device may do:
+--
+--   gates.zones        - tiers admitted (014)
+--   gates.scan_modes   - qr / manual / search / exit
+--   gates.session_ids  - sessions scanned there (NULL = all)
+--
+-- A device checks in with device_checkin on start-up and appears in
+-- `devices` as pending until an admin assigns it a gate. Admins see
+-- every device with its last-seen time and can revoke a lost phone;
+-- a revoked device can no longer admit or exit anyone, including scans
+-- it queued offline.
+--
+-- verify_and_mark_ticket and record_exit take p_device_id instead of a
+-- client-supplied gate name: the gate (and so the zone check) comes
+-- from the enrolment. Each gate movement records the device.
+-- ============================================
+
+-- Step 1: Per-gate configuration
+ALTER TABLE gates
+  ADD COLUMN IF NOT EXISTS scan_modes TEXT[] NOT NULL DEFAULT '{qr,manual,search,exit}'
+    CHECK (scan_modes <@ '{qr,manual,search,exit}'),
+  ADD COLUMN IF NOT EXISTS session_ids TEXT[];
+
+-- Step 2: Devices
+CREATE TABLE IF NOT EXISTS devices (
+  id TEXT PRIMARY KEY,                -- per-browser id from the scanner
+  label TEXT NOT NULL,
+  gate TEXT REFERENCES gates(name) ON UPDATE CASCADE,  -- NULL = pending enrolment
+  enrolled_by UUID REFERENCES volunteers(id),
+  enrolled_at TIMESTAMPTZ,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_volunteer_id UUID REFERENCES volunteers(id),
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID REFERENCES volunteers(id),
+  revoke_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE devices ENABLE ROW LEVEL SECURITY;
+
+-- Read and written through the RPCs below only
+DROP POLICY IF EXISTS "Admins select devices" ON devices;
+CREATE POLICY "Admins select devices" ON devices
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() = 'admin');
+
+-- Step 3: Movements record the device (set per call by device_scan_denial)
+ALTER TABLE gate_movements
+  ADD COLUMN IF NOT EXISTS device_id TEXT
+    DEFAULT nullif(current_setting('yatra.device_id', true), '');
+
+-- Step 4: Device configuration
+CREATE OR REPLACE FUNCTION device_config(p_device devices)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'device_id', p_device.id,
+    'label', p_device.label,
+    'enrolled', p_device.gate IS NOT NULL AND p_device.revoked_at IS NULL,
+    'revoked', p_device.revoked_at IS NOT NULL,
+    'gate', p_device.gate,
+    'zones', g.zones,
+    'scan_modes', g.scan_modes,
+    'session_ids', g.session_ids
+  )
+  FROM (SELECT 1) AS one
+  LEFT JOIN gates g ON g.name = p_device.gate;
+$$;
+
+-- Step 5: Check-in (registers unknown devices as pending)
+CREATE OR REPLACE FUNCTION device_checkin(p_device_id TEXT, p_label TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_device devices%ROWTYPE;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Not signed in');
+  END IF;
+
+  IF trim(coalesce(p_device_id, '')) = '' THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Missing device id');
+  END IF;
+
+  INSERT INTO devices (id, label, last_volunteer_id)
+  VALUES (
+    p_device_id,
+    coalesce(
+      nullif(trim(p_label), ''),
+      (SELECT display_name || '''s device' FROM volunteers WHERE id = auth.uid())
+    ),
+    auth.uid()
+  )
+  ON CONFLICT (id) DO UPDATE
+  SET last_seen_at = now(),
+      last_volunteer_id = auth.uid()
+  RETURNING * INTO v_device;
+
+  RETURN jsonb_build_object('success', true) || device_config(v_device);
+END;
+$$;
+
+-- Step 6: Scan gate-keeping
+-- Returns a rejection, or NULL when the device may scan. p_mode is
+-- 'entry' (any of qr / manual / search) or 'exit'. Also stamps the
+-- device for gate_movements rows written in this transaction.
+CREATE OR REPLACE FUNCTION device_scan_denial(p_device_id TEXT, p_session_id TEXT, p_mode TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_device devices%ROWTYPE;
+  v_gate gates%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL THEN
+    -- Admin screens act without a device
+    IF current_volunteer_role() = 'admin' THEN
+      RETURN NULL;
+    END IF;
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'DEVICE_NOT_ENROLLED',
+      'message', 'This device is not registered to a gate'
+    );
+  END IF;
+
+  UPDATE devices
+  SET last_seen_at = now(),
+      last_volunteer_id = auth.uid()
+  WHERE id = p_device_id
+  RETURNING * INTO v_device;
+
+  IF NOT FOUND OR v_device.gate IS NULL THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'DEVICE_NOT_ENROLLED',
+      'message', 'This device is not registered to a gate'
+    );
+  END IF;
+
+  IF v_device.revoked_at IS NOT NULL THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'DEVICE_REVOKED',
+      'message', 'This device has been revoked - hand it to the gate lead'
+    );
+  END IF;
+
+  SELECT * INTO v_gate FROM gates WHERE name = v_device.gate;
+
+  IF p_mode = 'exit' AND NOT ('exit' = ANY(v_gate.scan_modes)) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'GATE_RESTRICTED',
+      'message', format('Exits are not scanned at %s', v_gate.name)
+    );
+  END IF;
+
+  IF p_mode = 'entry' AND NOT (v_gate.scan_modes && '{qr,manual,search}') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'GATE_RESTRICTED',
+      'message', format('Entries are not scanned at %s', v_gate.name)
+    );
+  END IF;
+
+  IF v_gate.session_ids IS NOT NULL AND NOT (p_session_id = ANY(v_gate.session_ids)) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'GATE_RESTRICTED',
+      'message', format('This session is not scanned at %s', v_gate.name)
+    );
+  END IF;
+
+  PERFORM set_config('yatra.device_id', p_device_id, true);
+  RETURN NULL;
+END;
+$$;
+
+-- Step 7: Entry checks the device; the gate comes from its enrolment
+DROP FUNCTION IF EXISTS verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL,
+  p_count INTEGER DEFAULT NULL,
+  p_device_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+  v_admitted INTEGER;
+  v_remaining INTEGER;
+  v_tier ticket_tiers%ROWTYPE;
+  v_tier_info JSONB;
+  v_denial JSONB;
+  v_gate TEXT;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  v_denial := device_scan_denial(p_device_id, v_session.id, 'entry');
+  IF v_denial IS NOT NULL THEN
+    RETURN v_denial || jsonb_build_object('session_id', v_session.id, 'session_label', v_session.label);
+  END IF;
+
+  SELECT gate INTO v_gate FROM devices WHERE id = p_device_id;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  SELECT * INTO v_tier FROM ticket_tiers WHERE id = coalesce(v_ticket.tier_id, 'general');
+  v_tier_info := jsonb_build_object(
+    'tier', v_tier.id,
+    'tier_label', v_tier.label,
+    'tier_color', v_tier.color
+  );
+
+  IF v_ticket.ticket_status = 'cancelled' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'CANCELLED',
+      'message', 'Ticket was cancelled',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status = 'replaced' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'REPLACED',
+      'message', 'Ticket was reissued - old QR no longer valid',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT gate_admits_tier(v_gate, v_tier.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'WRONG_ZONE',
+      'message', format('%s ticket not valid at %s', v_tier.label, v_gate),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  SELECT used_at, admitted_count INTO v_used_at, v_admitted
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  v_remaining := v_ticket.headcount - coalesce(v_admitted, 0);
+
+  -- Group still arriving: admit the requested count
+  IF v_ticket.headcount > 1 AND v_remaining > 0 THEN
+    IF p_count IS NULL OR p_count < 1 OR p_count > v_remaining THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'GROUP_COUNT',
+        'message', CASE
+          WHEN p_count IS NULL THEN format('Group of %s - %s remaining', v_ticket.headcount, v_remaining)
+          ELSE format('Only %s of the group remaining', v_remaining)
+        END,
+        'name', v_ticket.name,
+        'ticket_id', v_ticket.id,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'headcount', v_ticket.headcount,
+        'remaining', v_remaining
+      ) || v_tier_info;
+    END IF;
+
+    IF v_admitted IS NULL THEN
+      -- First arrivals - the session_usage trigger records the 'in' movement
+      INSERT INTO session_usage (ticket_id, session_id, used_by, admitted_count)
+      VALUES (p_ticket_id, v_session.id, auth.uid(), p_count);
+    ELSE
+      UPDATE session_usage
+      SET admitted_count = admitted_count + p_count
+      WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+      INSERT INTO gate_movements (ticket_id, session_id, direction)
+      VALUES (p_ticket_id, v_session.id, 'in');
+    END IF;
+
+    UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Admitted %s of group to %s', p_count, v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount,
+      'admitted', p_count,
+      'remaining', v_remaining - p_count
+    ) || v_tier_info;
+  END IF;
+
+  IF v_used_at IS NOT NULL THEN
+    -- Anti-passback: re-entry only after a recorded exit
+    IF ticket_is_inside(p_ticket_id, v_session.id) THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'ALREADY_USED',
+        'message', CASE
+          WHEN v_ticket.headcount > 1 THEN format('All %s of group already inside %s', v_ticket.headcount, v_session.label)
+          ELSE format('Already inside %s since %s - no exit scanned', v_session.label,
+                      to_char(v_used_at AT TIME ZONE 'Asia/Kolkata', 'HH24:MI'))
+        END,
+        'name', v_ticket.name,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'used_at', v_used_at,
+        'headcount', v_ticket.headcount,
+        'remaining', 0
+      ) || v_tier_info;
+    END IF;
+
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (p_ticket_id, v_session.id, 'in');
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Re-entry to %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount
+    ) || v_tier_info;
+  END IF;
+
+  -- First admission - the session_usage trigger records the 'in' movement
+  INSERT INTO session_usage (ticket_id, session_id, used_by)
+  VALUES (p_ticket_id, v_session.id, auth.uid());
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  ) || v_tier_info;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT) TO authenticated;
+
+-- Step 8: Exit checks the device
+DROP FUNCTION IF EXISTS record_exit(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION record_exit(
+  p_ticket_id UUID,
+  p_session_id TEXT,
+  p_device_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_denial JSONB;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  v_denial := device_scan_denial(p_device_id, v_session.id, 'exit');
+  IF v_denial IS NOT NULL THEN
+    RETURN v_denial || jsonb_build_object('session_id', v_session.id, 'session_label', v_session.label);
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF NOT ticket_is_inside(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_INSIDE',
+      'message', format('No entry recorded for %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  INSERT INTO gate_movements (ticket_id, session_id, direction)
+  VALUES (p_ticket_id, v_session.id, 'out');
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'EXITED',
+    'message', format('Exit recorded - may re-enter %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_exit(UUID, TEXT, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION record_exit(UUID, TEXT, TEXT) TO authenticated;
+
+-- Step 9: Admin device list
+CREATE OR REPLACE FUNCTION admin_list_devices()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF current_volunteer_role() IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('error', 'Admins only');
+  END IF;
+
+  RETURN jsonb_build_object('devices', coalesce((
+    SELECT jsonb_agg(jsonb_build_object(
+      'id', d.id,
+      'label', d.label,
+      'gate', d.gate,
+      'enrolled_at', d.enrolled_at,
+      'enrolled_by', enrolled.display_name,
+      'last_seen_at', d.last_seen_at,
+      'last_volunteer', seen.display_name,
+      'revoked_at', d.revoked_at,
+      'revoked_by', revoked.display_name,
+      'revoke_reason', d.revoke_reason
+    ) ORDER BY d.revoked_at IS NOT NULL, d.last_seen_at DESC)
+    FROM devices d
+    LEFT JOIN volunteers enrolled ON enrolled.id = d.enrolled_by
+    LEFT JOIN volunteers seen ON seen.id = d.last_volunteer_id
+    LEFT JOIN volunteers revoked ON revoked.id = d.revoked_by
+  ), '[]'::JSONB));
+END;
+$$;
+
+-- Step 10: Enrol / move a device (also restores a revoked one)
+CREATE OR REPLACE FUNCTION admin_enrol_device(
+  p_device_id TEXT,
+  p_gate TEXT,
+  p_label TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF current_volunteer_role() IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admins only');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM gates WHERE name = p_gate) THEN
+    RETURN jsonb_build_object('success', false, 'message', format('Unknown gate: %s', p_gate));
+  END IF;
+
+  UPDATE devices
+  SET gate = p_gate,
+      label = coalesce(nullif(trim(p_label), ''), label),
+      enrolled_by = auth.uid(),
+      enrolled_at = now(),
+      revoked_at = NULL,
+      revoked_by = NULL,
+      revoke_reason = NULL
+  WHERE id = p_device_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Device not found - open the scanner on it first');
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'message', format('Device enrolled at %s', p_gate));
+END;
+$$;
+
+-- Step 11: Revoke a lost / retired device
+CREATE OR REPLACE FUNCTION admin_revoke_device(
+  p_device_id TEXT,
+  p_reason TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF current_volunteer_role() IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Admins only');
+  END IF;
+
+  IF length(trim(coalesce(p_reason, ''))) < 10 THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Reason must be at least 10 characters');
+  END IF;
+
+  UPDATE devices
+  SET revoked_at = now(),
+      revoked_by = auth.uid(),
+      revoke_reason = trim(p_reason)
+  WHERE id = p_device_id AND revoked_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Device not found or already revoked');
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'message', 'Device revoked');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION device_config(devices) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION device_scan_denial(TEXT, TEXT, TEXT) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION device_checkin(TEXT, TEXT) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_list_devices() FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_enrol_device(TEXT, TEXT, TEXT) FROM anon, public;
+REVOKE EXECUTE ON FUNCTION admin_revoke_device(TEXT, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION device_checkin(TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_list_devices() TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_enrol_device(TEXT, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_revoke_device(TEXT, TEXT) TO authenticated;
+
+-- ============================================
+-- Configuring gates
+-- ============================================
+-- Exit-only gate:
+-- INSERT INTO gates (name, zones, scan_modes) VALUES ('North Exit', '{general}', '{exit}')
+-- ON CONFLICT (name) DO UPDATE SET scan_modes = EXCLUDED.scan_modes;
+--
+-- Workshop desk - manual entry and search, workshop session only:
+-- INSERT INTO gates (name, zones, scan_modes, session_ids)
+-- VALUES ('Workshop Desk', '{general}', '{manual,search}', '{workshop}')
+-- ON CONFLICT (name) DO UPDATE
+-- SET scan_modes = EXCLUDED.scan_modes, session_ids = EXCLUDED.session_ids;
+--
+-- Devices are enrolled and revoked from the admin Devices screen
+-- (#/devices), or: SELECT admin_enrol_device('<device id>', 'Main Gate');
+-- ============================================
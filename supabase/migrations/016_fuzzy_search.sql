@@ -0,0 +1,214 @@
+-- ============================================
+-- 016: Fuzzy, phonetic attendee search
+-- ============================================
+-- search_tickets replaces the scanner's plain ilike search. One query
+-- string is matched against:
+--   name     - trigram similarity, plus a phonetic key that folds common
+--              transliteration variants (Shriram / Sriram, Lakshmi /
+--              Laxmi, Preeti / Priti, Vishwa / Vishva)
+--   email    - substring / trigram
+--   college  - substring / trigram
+--   code     - exact or partial six-digit code (3+ digits)
+--   phone    - registrations.phone, any 4+ consecutive digits
+--   id       - exact ticket UUID
+--
+-- Results are ranked by score and list which fields matched so the
+-- scanner can highlight them. Phone numbers are returned masked.
+-- ============================================
+
+-- Step 1: Trigram matching
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Old search_tickets(VARCHAR) from the setup guides (anon-executable,
+-- code_6_digit schema)
+DROP FUNCTION IF EXISTS search_tickets(VARCHAR);
+
+-- Step 2: Phonetic key for Indian names written in Latin script
+-- Both sides of a comparison go through the same rules, so they only
+-- need to be consistent, not linguistically exact.
+CREATE OR REPLACE FUNCTION phonetic_key(p_text TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+DECLARE
+  v_key TEXT := regexp_replace(lower(coalesce(p_text, '')), '[^a-z ]', '', 'g');
+  v_rule TEXT[];
+BEGIN
+  FOREACH v_rule SLICE 1 IN ARRAY ARRAY[
+    ['shr', 'sr'],   -- Shriram / Sriram, Shreya / Sreya
+    ['ksh', 'ks'],   -- Lakshmi / Laksmi
+    ['x', 'ks'],     -- Laxmi
+    ['ph', 'f'],
+    ['sh', 's'],     -- Subhash / Subash
+    ['th', 't'],     -- Karthik / Kartik
+    ['dh', 'd'],
+    ['bh', 'b'],
+    ['kh', 'k'],
+    ['gh', 'g'],
+    ['jh', 'j'],
+    ['w', 'v'],      -- Vishwa / Vishva
+    ['z', 'j'],
+    ['q', 'k'],
+    ['ck', 'k'],
+    ['ee', 'i'],     -- Preeti / Priti
+    ['oo', 'u'],     -- Poonam / Punam
+    ['y', 'i']       -- Vijay / Viji
+  ] LOOP
+    v_key := replace(v_key, v_rule[1], v_rule[2]);
+  END LOOP;
+
+  -- Doubled letters (Pallavi / Palavi) and word-final h (Shah / Sha)
+  v_key := regexp_replace(v_key, '([a-z])\1+', '\1', 'g');
+  v_key := regexp_replace(v_key, 'h\M', '', 'g');
+  RETURN v_key;
+END;
+$$;
+
+-- Step 3: Indexes
+CREATE INDEX IF NOT EXISTS idx_tickets_name_trgm
+  ON tickets USING gin (lower(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_tickets_name_phonetic_trgm
+  ON tickets USING gin (phonetic_key(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_tickets_email_trgm
+  ON tickets USING gin (lower(email) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_tickets_college_trgm
+  ON tickets USING gin (lower(college) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_tickets_code_trgm
+  ON tickets USING gin (six_digit_code gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_registrations_phone_trgm
+  ON registrations USING gin (normalize_phone(phone) gin_trgm_ops);
+
+-- Step 4: Search
+CREATE OR REPLACE FUNCTION search_tickets(
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  id UUID,
+  six_digit_code TEXT,
+  name TEXT,
+  email TEXT,
+  college TEXT,
+  phone TEXT,
+  ticket_status TEXT,
+  headcount INTEGER,
+  tier_id TEXT,
+  session_usage JSONB,
+  matched TEXT[],
+  score REAL
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+SET pg_trgm.similarity_threshold = 0.3
+SET pg_trgm.word_similarity_threshold = 0.5
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_text TEXT := lower(trim(coalesce(p_query, '')));
+  v_digits TEXT := regexp_replace(coalesce(p_query, ''), '\D', '', 'g');
+  v_phonetic TEXT := phonetic_key(p_query);
+  -- LIKE pattern with the user's % / _ / \ taken literally
+  v_like TEXT := '%' || regexp_replace(lower(trim(coalesce(p_query, ''))), '([\\%_])', '\\\1', 'g') || '%';
+  v_id UUID;
+BEGIN
+  IF current_volunteer_role() IS NULL OR length(v_text) < 2 THEN
+    RETURN;
+  END IF;
+
+  IF v_text ~ '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+    v_id := v_text::UUID;
+  END IF;
+
+  -- Digits only count as a code / phone search when the query is mostly digits
+  IF length(v_digits) < 3 OR length(v_digits) < length(regexp_replace(v_text, '[\s+()-]', '', 'g')) THEN
+    v_digits := NULL;
+  ELSE
+    v_digits := normalize_phone(v_digits);  -- +91 / leading 0
+  END IF;
+
+  RETURN QUERY
+  WITH candidates AS (
+    SELECT
+      t.*,
+      normalize_phone(r.phone) AS reg_phone,
+      CASE
+        WHEN t.id = v_id THEN 1.0
+        WHEN t.six_digit_code = v_digits THEN 1.0
+        WHEN t.six_digit_code LIKE v_digits || '%' THEN 0.9
+        WHEN t.six_digit_code LIKE '%' || v_digits || '%' THEN 0.7
+        ELSE 0
+      END AS code_score,
+      CASE
+        WHEN length(v_digits) >= 4 AND normalize_phone(r.phone) = v_digits THEN 1.0
+        WHEN length(v_digits) >= 4 AND normalize_phone(r.phone) LIKE '%' || v_digits || '%' THEN 0.8
+        ELSE 0
+      END AS phone_score,
+      greatest(
+        word_similarity(v_text, lower(t.name)),
+        word_similarity(v_phonetic, phonetic_key(t.name)) * 0.95,
+        CASE WHEN lower(t.name) LIKE v_like THEN 0.9 ELSE 0 END
+      ) AS name_score,
+      CASE
+        WHEN lower(t.email) = v_text THEN 1.0
+        WHEN lower(t.email) LIKE v_like THEN 0.85
+        ELSE word_similarity(v_text, lower(t.email)) * 0.8
+      END AS email_score,
+      CASE
+        WHEN lower(t.college) LIKE v_like THEN 0.6
+        ELSE word_similarity(v_text, lower(t.college)) * 0.5
+      END AS college_score
+    FROM tickets t
+    LEFT JOIN registrations r ON r.id = t.registration_id
+    WHERE t.id = v_id
+      OR t.six_digit_code LIKE '%' || v_digits || '%'
+      OR (length(v_digits) >= 4 AND normalize_phone(r.phone) LIKE '%' || v_digits || '%')
+      OR v_text <% lower(t.name)
+      OR v_phonetic <% phonetic_key(t.name)
+      OR lower(t.name) LIKE v_like
+      OR lower(t.email) LIKE v_like
+      OR v_text <% lower(t.email)
+      OR lower(t.college) LIKE v_like
+  )
+  SELECT
+    c.id,
+    c.six_digit_code::TEXT,
+    c.name::TEXT,
+    c.email::TEXT,
+    c.college::TEXT,
+    CASE WHEN c.reg_phone <> '' THEN repeat('•', greatest(length(c.reg_phone) - 4, 0)) || right(c.reg_phone, 4) END,
+    c.ticket_status::TEXT,
+    c.headcount,
+    c.tier_id,
+    coalesce((
+      SELECT jsonb_agg(jsonb_build_object('session_id', u.session_id, 'admitted_count', u.admitted_count))
+      FROM session_usage u
+      WHERE u.ticket_id = c.id
+    ), '[]'::JSONB),
+    array_remove(ARRAY[
+      CASE WHEN c.code_score > 0 THEN 'code' END,
+      CASE WHEN c.phone_score > 0 THEN 'phone' END,
+      CASE WHEN c.name_score >= 0.5 THEN 'name' END,
+      CASE WHEN c.email_score >= 0.5 THEN 'email' END,
+      CASE WHEN c.college_score >= 0.3 THEN 'college' END
+    ], NULL),
+    greatest(c.code_score, c.phone_score, c.name_score, c.email_score, c.college_score)::REAL AS score
+  FROM candidates c
+  ORDER BY score DESC, c.name
+  LIMIT least(greatest(coalesce(p_limit, 20), 1), 50);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION search_tickets(TEXT, INTEGER) FROM anon, public;
+GRANT EXECUTE ON FUNCTION search_tickets(TEXT, INTEGER) TO authenticated;
+
+-- ============================================
+-- Example usage
+-- ============================================
+-- SELECT name, matched, score FROM search_tickets('shriram');   -- finds "Sriram K"
+-- SELECT name, matched, score FROM search_tickets('98450');     -- phone / code digits
+-- SELECT name, matched, score FROM search_tickets('laxmi pes'); -- "Lakshmi", college
+-- ============================================
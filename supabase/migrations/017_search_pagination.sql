@@ -0,0 +1,160 @@
+-- ============================================
+-- 017: Paginated search_tickets
+-- ============================================
+-- search_tickets (016) gains p_offset and returns total_count with every
+-- row, so the scanner can page through results ("Load more") without a
+-- second query. Ranking is unchanged; ties are broken by name then id,
+-- so consecutive pages never repeat or skip a ticket.
+--
+-- Every search goes through this RPC with typed parameters - the
+-- scanner no longer builds PostgREST filter strings from user input.
+--
+-- Row shape (stable - the scanner depends on it):
+--   id, six_digit_code, name, email, college, phone (masked),
+--   ticket_status, headcount, tier_id, session_usage [{session_id,
+--   admitted_count}], matched (fields), score, total_count
+-- ============================================
+
+DROP FUNCTION IF EXISTS search_tickets(TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_tickets(
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  six_digit_code TEXT,
+  name TEXT,
+  email TEXT,
+  college TEXT,
+  phone TEXT,
+  ticket_status TEXT,
+  headcount INTEGER,
+  tier_id TEXT,
+  session_usage JSONB,
+  matched TEXT[],
+  score REAL,
+  total_count INTEGER
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+SET pg_trgm.similarity_threshold = 0.3
+SET pg_trgm.word_similarity_threshold = 0.5
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_text TEXT := lower(trim(coalesce(p_query, '')));
+  v_digits TEXT := regexp_replace(coalesce(p_query, ''), '\D', '', 'g');
+  v_phonetic TEXT := phonetic_key(p_query);
+  -- LIKE pattern with the user's % / _ / \ taken literally
+  v_like TEXT := '%' || regexp_replace(lower(trim(coalesce(p_query, ''))), '([\\%_])', '\\\1', 'g') || '%';
+  v_id UUID;
+BEGIN
+  IF current_volunteer_role() IS NULL OR length(v_text) < 2 THEN
+    RETURN;
+  END IF;
+
+  IF v_text ~ '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+    v_id := v_text::UUID;
+  END IF;
+
+  -- Digits only count as a code / phone search when the query is mostly digits
+  IF length(v_digits) < 3 OR length(v_digits) < length(regexp_replace(v_text, '[\s+()-]', '', 'g')) THEN
+    v_digits := NULL;
+  ELSE
+    v_digits := normalize_phone(v_digits);  -- +91 / leading 0
+  END IF;
+
+  RETURN QUERY
+  WITH candidates AS (
+    SELECT
+      t.*,
+      normalize_phone(r.phone) AS reg_phone,
+      CASE
+        WHEN t.id = v_id THEN 1.0
+        WHEN t.six_digit_code = v_digits THEN 1.0
+        WHEN t.six_digit_code LIKE v_digits || '%' THEN 0.9
+        WHEN t.six_digit_code LIKE '%' || v_digits || '%' THEN 0.7
+        ELSE 0
+      END AS code_score,
+      CASE
+        WHEN length(v_digits) >= 4 AND normalize_phone(r.phone) = v_digits THEN 1.0
+        WHEN length(v_digits) >= 4 AND normalize_phone(r.phone) LIKE '%' || v_digits || '%' THEN 0.8
+        ELSE 0
+      END AS phone_score,
+      greatest(
+        word_similarity(v_text, lower(t.name)),
+        word_similarity(v_phonetic, phonetic_key(t.name)) * 0.95,
+        CASE WHEN lower(t.name) LIKE v_like THEN 0.9 ELSE 0 END
+      ) AS name_score,
+      CASE
+        WHEN lower(t.email) = v_text THEN 1.0
+        WHEN lower(t.email) LIKE v_like THEN 0.85
+        ELSE word_similarity(v_text, lower(t.email)) * 0.8
+      END AS email_score,
+      CASE
+        WHEN lower(t.college) LIKE v_like THEN 0.6
+        ELSE word_similarity(v_text, lower(t.college)) * 0.5
+      END AS college_score
+    FROM tickets t
+    LEFT JOIN registrations r ON r.id = t.registration_id
+    WHERE t.id = v_id
+      OR t.six_digit_code LIKE '%' || v_digits || '%'
+      OR (length(v_digits) >= 4 AND normalize_phone(r.phone) LIKE '%' || v_digits || '%')
+      OR v_text <% lower(t.name)
+      OR v_phonetic <% phonetic_key(t.name)
+      OR lower(t.name) LIKE v_like
+      OR lower(t.email) LIKE v_like
+      OR v_text <% lower(t.email)
+      OR lower(t.college) LIKE v_like
+  ), ranked AS (
+    SELECT
+      c.*,
+      greatest(c.code_score, c.phone_score, c.name_score, c.email_score, c.college_score) AS rank_score
+    FROM candidates c
+  )
+  SELECT
+    c.id,
+    c.six_digit_code::TEXT,
+    c.name::TEXT,
+    c.email::TEXT,
+    c.college::TEXT,
+    CASE WHEN c.reg_phone <> '' THEN repeat('•', greatest(length(c.reg_phone) - 4, 0)) || right(c.reg_phone, 4) END,
+    c.ticket_status::TEXT,
+    c.headcount,
+    c.tier_id,
+    coalesce((
+      SELECT jsonb_agg(jsonb_build_object('session_id', u.session_id, 'admitted_count', u.admitted_count))
+      FROM session_usage u
+      WHERE u.ticket_id = c.id
+    ), '[]'::JSONB),
+    array_remove(ARRAY[
+      CASE WHEN c.code_score > 0 THEN 'code' END,
+      CASE WHEN c.phone_score > 0 THEN 'phone' END,
+      CASE WHEN c.name_score >= 0.5 THEN 'name' END,
+      CASE WHEN c.email_score >= 0.5 THEN 'email' END,
+      CASE WHEN c.college_score >= 0.3 THEN 'college' END
+    ], NULL),
+    c.rank_score::REAL,
+    (count(*) OVER ())::INTEGER
+  FROM ranked c
+  -- id breaks ties so pages don't overlap
+  ORDER BY c.rank_score DESC, c.name, c.id
+  LIMIT least(greatest(coalesce(p_limit, 20), 1), 50)
+  OFFSET greatest(coalesce(p_offset, 0), 0);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION search_tickets(TEXT, INTEGER, INTEGER) FROM anon, public;
+GRANT EXECUTE ON FUNCTION search_tickets(TEXT, INTEGER, INTEGER) TO authenticated;
+
+-- ============================================
+-- Example usage
+-- ============================================
+-- First page and the next one:
+-- SELECT name, score, total_count FROM search_tickets('kumar', 20, 0);
+-- SELECT name, score, total_count FROM search_tickets('kumar', 20, 20);
+-- ============================================
@@ -0,0 +1,83 @@
+-- ============================================
+-- 018: Override history for gate leads
+-- ============================================
+-- get_ticket_override_logs (002) was still callable by anyone holding
+-- the anon key and predates the columns added since. It now:
+--   - answers gate leads and admins only (others get no rows)
+--   - returns details (009) and the session in `day` (005)
+--
+-- Also closes the reads left open by the baseline policies in 001:
+--   - "Allow authenticated read" on tickets let any signed-in user - not
+--     just active volunteers - read every ticket alongside the 003 policy
+--   - "Allow authenticated read" / "Allow authenticated update" on
+--     registrations did the same for sign-ups, and let anyone signed in
+--     edit them. Volunteers may now read them and admins edit them; the
+--     import and walk-in RPCs write as the owner. The public form's
+--     insert policy is unchanged
+--   - override_logs gets a select policy for gate leads and admins;
+--     nobody may write it directly - the RPCs insert as its owner
+-- ============================================
+
+-- Step 1: Only the volunteer policy from 003 remains on tickets
+DROP POLICY IF EXISTS "Allow authenticated read" ON tickets;
+
+-- Registrations follow the same rule; only admins correct them by hand
+DROP POLICY IF EXISTS "Allow authenticated read" ON registrations;
+DROP POLICY IF EXISTS "Allow authenticated update" ON registrations;
+
+DROP POLICY IF EXISTS "Volunteers select registrations" ON registrations;
+CREATE POLICY "Volunteers select registrations" ON registrations
+  FOR SELECT
+  TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins update registrations" ON registrations;
+CREATE POLICY "Admins update registrations" ON registrations
+  FOR UPDATE
+  TO authenticated
+  USING (current_volunteer_role() = 'admin')
+  WITH CHECK (current_volunteer_role() = 'admin');
+
+-- Step 2: Gate leads and admins may read the log; writes go through the RPCs
+DROP POLICY IF EXISTS "Gate leads select override logs" ON override_logs;
+CREATE POLICY "Gate leads select override logs" ON override_logs
+  FOR SELECT
+  TO authenticated
+  USING (current_volunteer_role() IN ('gate_lead', 'admin'));
+
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON override_logs FROM anon, authenticated;
+
+-- Step 3: History for one ticket, newest first
+DROP FUNCTION IF EXISTS get_ticket_override_logs(UUID);
+
+CREATE OR REPLACE FUNCTION get_ticket_override_logs(p_ticket_id UUID)
+RETURNS TABLE (
+  id UUID,
+  admin_action TEXT,
+  day TEXT,
+  reason TEXT,
+  details JSONB,
+  admin_identifier TEXT,
+  created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT l.id, l.admin_action, l.day, l.reason, l.details, l.admin_identifier, l.created_at
+  FROM override_logs l
+  WHERE l.ticket_id = p_ticket_id
+    AND current_volunteer_role() IN ('gate_lead', 'admin')
+  ORDER BY l.created_at DESC, l.id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_ticket_override_logs(UUID) FROM anon, public;
+GRANT EXECUTE ON FUNCTION get_ticket_override_logs(UUID) TO authenticated;
+
+-- ============================================
+-- Example usage
+-- ============================================
+-- SELECT admin_action, day, reason, admin_identifier, created_at
+-- FROM get_ticket_override_logs('<ticket uuid>');
+-- ============================================
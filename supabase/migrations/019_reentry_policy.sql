@@ -0,0 +1,392 @@
+-- ============================================
+-- 019: Re-entry policy per event and per tier
+-- ============================================
+-- What happens when a ticket already admitted to a session is scanned
+-- again used to be fixed in verify_and_mark_ticket (re-entry after a
+-- recorded exit). It is now configuration:
+--
+--   unlimited   - re-entry after every exit scan, until the session's
+--                 ends_at (if set). The default - same as before.
+--   single_use  - one admission per session, no re-entry
+--   daily       - one admission per calendar day in the event timezone
+--   cooldown    - one admission per reentry_cooldown_hours
+--
+-- event_settings holds the event-wide policy and timezone; a tier may
+-- override the policy (ticket_tiers.reentry_policy, NULL = event's).
+-- Daily and cooldown tickets re-open without an exit scan - people leave
+-- without scanning out.
+--
+-- ALREADY_USED now says when the ticket is valid again and returns
+-- valid_again_at (NULL when it never is, or after an exit scan) and
+-- reentry_policy.
+-- ============================================
+
+-- Step 1: Event-wide settings (one row)
+CREATE TABLE IF NOT EXISTS event_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+  reentry_policy TEXT NOT NULL DEFAULT 'unlimited'
+    CHECK (reentry_policy IN ('unlimited', 'single_use', 'daily', 'cooldown')),
+  reentry_cooldown_hours NUMERIC CHECK (reentry_cooldown_hours > 0),
+  CHECK (reentry_policy <> 'cooldown' OR reentry_cooldown_hours IS NOT NULL)
+);
+
+INSERT INTO event_settings (id) VALUES (true)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE event_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Volunteers select event settings" ON event_settings;
+CREATE POLICY "Volunteers select event settings" ON event_settings
+  FOR SELECT TO authenticated
+  USING (current_volunteer_role() IS NOT NULL);
+
+-- Step 2: Per-tier override
+ALTER TABLE ticket_tiers
+  ADD COLUMN IF NOT EXISTS reentry_policy TEXT
+    CHECK (reentry_policy IN ('unlimited', 'single_use', 'daily', 'cooldown')),
+  ADD COLUMN IF NOT EXISTS reentry_cooldown_hours NUMERIC CHECK (reentry_cooldown_hours > 0);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'ticket_tiers_reentry_cooldown_check') THEN
+    ALTER TABLE ticket_tiers ADD CONSTRAINT ticket_tiers_reentry_cooldown_check
+      CHECK (reentry_policy IS DISTINCT FROM 'cooldown' OR reentry_cooldown_hours IS NOT NULL);
+  END IF;
+END;
+$$;
+
+-- Step 3: Times in the event timezone - HH:MI today, DD Mon HH:MI otherwise
+CREATE OR REPLACE FUNCTION event_time(p_at TIMESTAMPTZ, p_timezone TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN (p_at AT TIME ZONE p_timezone)::DATE = (now() AT TIME ZONE p_timezone)::DATE
+      THEN to_char(p_at AT TIME ZONE p_timezone, 'HH24:MI')
+    ELSE to_char(p_at AT TIME ZONE p_timezone, 'DD Mon HH24:MI')
+  END;
+$$;
+
+-- Step 4: Re-entry check for a ticket already admitted to the session
+-- Returns an ALREADY_USED rejection, or NULL when it may enter again
+CREATE OR REPLACE FUNCTION reentry_denial(p_ticket tickets, p_session sessions)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_event event_settings%ROWTYPE;
+  v_tier ticket_tiers%ROWTYPE;
+  v_timezone TEXT;
+  v_policy TEXT;
+  v_cooldown NUMERIC;
+  v_last_in TIMESTAMPTZ;
+  v_again TIMESTAMPTZ;
+  v_message TEXT;
+BEGIN
+  SELECT * INTO v_event FROM event_settings;
+  SELECT * INTO v_tier FROM ticket_tiers WHERE id = coalesce(p_ticket.tier_id, 'general');
+
+  v_timezone := coalesce(v_event.timezone, 'Asia/Kolkata');
+
+  -- The tier's policy wins over the event's
+  IF v_tier.reentry_policy IS NOT NULL THEN
+    v_policy := v_tier.reentry_policy;
+    v_cooldown := v_tier.reentry_cooldown_hours;
+  ELSE
+    v_policy := coalesce(v_event.reentry_policy, 'unlimited');
+    v_cooldown := v_event.reentry_cooldown_hours;
+  END IF;
+
+  -- Latest admission (movements start with 006; older usage has none)
+  SELECT max(created_at) INTO v_last_in
+  FROM gate_movements
+  WHERE ticket_id = p_ticket.id AND session_id = p_session.id AND direction = 'in';
+
+  IF v_last_in IS NULL THEN
+    SELECT used_at INTO v_last_in
+    FROM session_usage
+    WHERE ticket_id = p_ticket.id AND session_id = p_session.id;
+  END IF;
+
+  IF v_policy = 'single_use' THEN
+    v_message := format('Single-use ticket - admitted to %s at %s, no re-entry',
+                        p_session.label, event_time(v_last_in, v_timezone));
+
+  ELSIF v_policy = 'daily' THEN
+    -- Midnight after the last admission, in the event timezone
+    v_again := (date_trunc('day', v_last_in AT TIME ZONE v_timezone) + INTERVAL '1 day') AT TIME ZONE v_timezone;
+    IF now() >= v_again THEN
+      RETURN NULL;
+    END IF;
+    v_message := format('Already admitted today at %s - valid again at %s',
+                        event_time(v_last_in, v_timezone), event_time(v_again, v_timezone));
+
+  ELSIF v_policy = 'cooldown' THEN
+    v_again := v_last_in + v_cooldown * INTERVAL '1 hour';
+    IF now() >= v_again THEN
+      RETURN NULL;
+    END IF;
+    v_message := format('Admitted at %s - valid again at %s',
+                        event_time(v_last_in, v_timezone), event_time(v_again, v_timezone));
+
+  ELSE
+    -- unlimited: anti-passback, then the session window
+    IF ticket_is_inside(p_ticket.id, p_session.id) THEN
+      v_message := CASE
+        WHEN p_ticket.headcount > 1
+          THEN format('All %s of group already inside %s - valid again after an exit scan',
+                      p_ticket.headcount, p_session.label)
+        ELSE format('Already inside %s since %s - valid again after an exit scan',
+                    p_session.label, event_time(v_last_in, v_timezone))
+      END;
+    ELSIF p_session.ends_at IS NOT NULL AND now() > p_session.ends_at THEN
+      v_message := format('%s has ended - no re-entry', p_session.label);
+    ELSE
+      RETURN NULL;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'allowed', false,
+    'reason', 'ALREADY_USED',
+    'message', v_message,
+    'reentry_policy', v_policy,
+    'valid_again_at', v_again
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION reentry_denial(tickets, sessions) FROM anon, public;
+
+-- Step 5: Entry applies the policy
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL,
+  p_count INTEGER DEFAULT NULL,
+  p_device_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+  v_admitted INTEGER;
+  v_remaining INTEGER;
+  v_tier ticket_tiers%ROWTYPE;
+  v_tier_info JSONB;
+  v_denial JSONB;
+  v_gate TEXT;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  v_denial := device_scan_denial(p_device_id, v_session.id, 'entry');
+  IF v_denial IS NOT NULL THEN
+    RETURN v_denial || jsonb_build_object('session_id', v_session.id, 'session_label', v_session.label);
+  END IF;
+
+  SELECT gate INTO v_gate FROM devices WHERE id = p_device_id;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  SELECT * INTO v_tier FROM ticket_tiers WHERE id = coalesce(v_ticket.tier_id, 'general');
+  v_tier_info := jsonb_build_object(
+    'tier', v_tier.id,
+    'tier_label', v_tier.label,
+    'tier_color', v_tier.color
+  );
+
+  IF v_ticket.ticket_status = 'cancelled' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'CANCELLED',
+      'message', 'Ticket was cancelled',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status = 'replaced' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'REPLACED',
+      'message', 'Ticket was reissued - old QR no longer valid',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT gate_admits_tier(v_gate, v_tier.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'WRONG_ZONE',
+      'message', format('%s ticket not valid at %s', v_tier.label, v_gate),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  SELECT used_at, admitted_count INTO v_used_at, v_admitted
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  v_remaining := v_ticket.headcount - coalesce(v_admitted, 0);
+
+  -- Group still arriving: admit the requested count
+  IF v_ticket.headcount > 1 AND v_remaining > 0 THEN
+    IF p_count IS NULL OR p_count < 1 OR p_count > v_remaining THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'GROUP_COUNT',
+        'message', CASE
+          WHEN p_count IS NULL THEN format('Group of %s - %s remaining', v_ticket.headcount, v_remaining)
+          ELSE format('Only %s of the group remaining', v_remaining)
+        END,
+        'name', v_ticket.name,
+        'ticket_id', v_ticket.id,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'headcount', v_ticket.headcount,
+        'remaining', v_remaining
+      ) || v_tier_info;
+    END IF;
+
+    IF v_admitted IS NULL THEN
+      -- First arrivals - the session_usage trigger records the 'in' movement
+      INSERT INTO session_usage (ticket_id, session_id, used_by, admitted_count)
+      VALUES (p_ticket_id, v_session.id, auth.uid(), p_count);
+    ELSE
+      UPDATE session_usage
+      SET admitted_count = admitted_count + p_count
+      WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+      INSERT INTO gate_movements (ticket_id, session_id, direction)
+      VALUES (p_ticket_id, v_session.id, 'in');
+    END IF;
+
+    UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Admitted %s of group to %s', p_count, v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount,
+      'admitted', p_count,
+      'remaining', v_remaining - p_count
+    ) || v_tier_info;
+  END IF;
+
+  IF v_used_at IS NOT NULL THEN
+    -- Re-entry follows the tier's / event's policy (reentry_denial)
+    v_denial := reentry_denial(v_ticket, v_session);
+    IF v_denial IS NOT NULL THEN
+      RETURN v_denial || jsonb_build_object(
+        'name', v_ticket.name,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'used_at', v_used_at,
+        'headcount', v_ticket.headcount,
+        'remaining', 0
+      ) || v_tier_info;
+    END IF;
+
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (p_ticket_id, v_session.id, 'in');
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Re-entry to %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount
+    ) || v_tier_info;
+  END IF;
+
+  -- First admission - the session_usage trigger records the 'in' movement
+  INSERT INTO session_usage (ticket_id, session_id, used_by)
+  VALUES (p_ticket_id, v_session.id, auth.uid());
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  ) || v_tier_info;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT) TO authenticated;
+-- ============================================
+-- Configuring re-entry
+-- ============================================
+-- Whole event - one admission per day, in the event's timezone:
+-- UPDATE event_settings SET reentry_policy = 'daily', timezone = 'Asia/Kolkata';
+--
+-- VIPs may come and go; early birds get a 4-hour cooldown:
+-- UPDATE ticket_tiers SET reentry_policy = 'unlimited' WHERE id = 'vip';
+-- UPDATE ticket_tiers SET reentry_policy = 'cooldown', reentry_cooldown_hours = 4
+-- WHERE id = 'early_bird';
+--
+-- Back to the event's policy: UPDATE ticket_tiers SET reentry_policy = NULL WHERE id = 'vip';
+-- ============================================
@@ -0,0 +1,149 @@
+-- ============================================
+-- 020: Admin PIN hashes out of the volunteers table
+-- ============================================
+-- 004 put admin_pin_hash on volunteers, whose 003 policy lets every
+-- volunteer read their own row - so a gate lead could fetch their bcrypt
+-- hash and brute-force the PIN offline, around the lockout. The hashes
+-- now live in volunteer_pins, which no client role can read; only
+-- admin_verify_pin looks at them.
+-- ============================================
+
+-- Step 1: PIN hashes, one per gate lead or admin
+CREATE TABLE IF NOT EXISTS volunteer_pins (
+  volunteer_id UUID PRIMARY KEY REFERENCES volunteers(id) ON DELETE CASCADE,
+  admin_pin_hash TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- No policies and no grants - only SECURITY DEFINER functions read it
+ALTER TABLE volunteer_pins ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON volunteer_pins FROM anon, authenticated, public;
+
+-- Step 2: Move the existing hashes and drop the column
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'volunteers' AND column_name = 'admin_pin_hash'
+  ) THEN
+    INSERT INTO volunteer_pins (volunteer_id, admin_pin_hash)
+    SELECT id, admin_pin_hash FROM volunteers WHERE admin_pin_hash IS NOT NULL
+    ON CONFLICT (volunteer_id) DO NOTHING;
+
+    ALTER TABLE volunteers DROP COLUMN admin_pin_hash;
+  END IF;
+END;
+$$;
+
+-- Step 3: admin_verify_pin reads the hash from volunteer_pins
+CREATE OR REPLACE FUNCTION admin_verify_pin(p_pin TEXT, p_device_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_max_attempts CONSTANT INTEGER := 5;
+  v_lockout CONSTANT INTERVAL := INTERVAL '15 minutes';
+  v_token_ttl CONSTANT INTERVAL := INTERVAL '10 minutes';
+  v_volunteer volunteers%ROWTYPE;
+  v_pin_hash TEXT;
+  v_subjects TEXT[];
+  v_locked_until TIMESTAMPTZ;
+  v_failed INTEGER;
+  v_token UUID;
+  v_expires TIMESTAMPTZ;
+BEGIN
+  SELECT * INTO v_volunteer FROM volunteers WHERE id = auth.uid() AND active;
+
+  IF NOT FOUND OR v_volunteer.role NOT IN ('gate_lead', 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Only gate leads and admins can override');
+  END IF;
+
+  IF coalesce(p_device_id, '') = '' THEN
+    RETURN jsonb_build_object('success', false, 'message', 'Device not identified');
+  END IF;
+
+  v_subjects := ARRAY['device:' || p_device_id, 'volunteer:' || v_volunteer.id];
+
+  -- Serialise attempts for this device/volunteer
+  INSERT INTO admin_pin_attempts (subject)
+  SELECT unnest(v_subjects)
+  ON CONFLICT (subject) DO NOTHING;
+
+  PERFORM 1 FROM admin_pin_attempts WHERE subject = ANY(v_subjects) FOR UPDATE;
+
+  SELECT max(locked_until) INTO v_locked_until
+  FROM admin_pin_attempts
+  WHERE subject = ANY(v_subjects);
+
+  IF v_locked_until IS NOT NULL AND v_locked_until > now() THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'message', 'Too many failed attempts. PIN locked.',
+      'locked_until', v_locked_until
+    );
+  END IF;
+
+  -- Expired lockouts start counting from zero again
+  UPDATE admin_pin_attempts
+  SET failed_count = 0, locked_until = NULL
+  WHERE subject = ANY(v_subjects) AND locked_until <= now();
+
+  SELECT admin_pin_hash INTO v_pin_hash FROM volunteer_pins WHERE volunteer_id = v_volunteer.id;
+
+  IF v_pin_hash IS NULL
+     OR crypt(coalesce(p_pin, ''), v_pin_hash) <> v_pin_hash THEN
+    UPDATE admin_pin_attempts
+    SET failed_count = failed_count + 1,
+        locked_until = CASE WHEN failed_count + 1 >= v_max_attempts
+                            THEN now() + v_lockout ELSE NULL END,
+        last_attempt_at = now()
+    WHERE subject = ANY(v_subjects);
+
+    SELECT max(failed_count), max(locked_until) INTO v_failed, v_locked_until
+    FROM admin_pin_attempts
+    WHERE subject = ANY(v_subjects);
+
+    RETURN jsonb_build_object(
+      'success', false,
+      'message', CASE WHEN v_locked_until IS NOT NULL
+                      THEN 'Too many failed attempts. PIN locked.'
+                      ELSE 'Invalid admin PIN' END,
+      'attempts_remaining', greatest(v_max_attempts - v_failed, 0),
+      'locked_until', v_locked_until
+    );
+  END IF;
+
+  -- Correct PIN: reset counters, revoke older tokens, issue a new one
+  UPDATE admin_pin_attempts
+  SET failed_count = 0, locked_until = NULL, last_attempt_at = now()
+  WHERE subject = ANY(v_subjects);
+
+  DELETE FROM admin_tokens WHERE volunteer_id = v_volunteer.id OR expires_at < now();
+
+  v_expires := now() + v_token_ttl;
+  INSERT INTO admin_tokens (volunteer_id, device_id, expires_at)
+  VALUES (v_volunteer.id, p_device_id, v_expires)
+  RETURNING token INTO v_token;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'message', 'Admin access granted',
+    'token', v_token,
+    'expires_at', v_expires
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_verify_pin(TEXT, TEXT) FROM anon, public;
+GRANT EXECUTE ON FUNCTION admin_verify_pin(TEXT, TEXT) TO authenticated;
+
+-- ============================================
+-- Setting a gate lead's PIN
+-- ============================================
+-- INSERT INTO volunteer_pins (volunteer_id, admin_pin_hash)
+-- SELECT id, crypt('4821', gen_salt('bf')) FROM auth.users WHERE email = 'priya@example.com'
+-- ON CONFLICT (volunteer_id) DO UPDATE
+--   SET admin_pin_hash = EXCLUDED.admin_pin_hash, updated_at = now();
+-- ============================================
@@ -0,0 +1,443 @@
+-- ============================================
+-- 021: Offline scans keep the time they were scanned
+-- ============================================
+-- A scan queued offline used to be stamped with the time the queue
+-- replayed - possibly hours later - so the movement log, occupancy
+-- history and the re-entry checks all saw the wrong time.
+-- verify_and_mark_ticket and record_exit now take p_scanned_at, the
+-- device's scan time, and use it for session_usage.used_at, the
+-- gate_movements row and the re-entry policy.
+--
+-- Device clocks aren't trusted beyond a bound: the time is never ahead
+-- of the server's, never more than 24 hours back (the longest a queue
+-- is expected to wait), and never before the ticket's last movement
+-- for the session, so the log stays in order. Live scans pass NULL and
+-- get now().
+-- ============================================
+
+-- Step 1: The time to record a scan at
+CREATE OR REPLACE FUNCTION scan_time(p_scanned_at TIMESTAMPTZ, p_ticket_id UUID, p_session_id TEXT)
+RETURNS TIMESTAMPTZ
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT greatest(
+    least(coalesce(p_scanned_at, now()), now()),
+    now() - INTERVAL '24 hours',
+    (SELECT max(created_at) FROM gate_movements
+     WHERE ticket_id = p_ticket_id AND session_id = p_session_id)
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION scan_time(TIMESTAMPTZ, UUID, TEXT) FROM anon, public;
+
+-- Step 2: First admissions log their 'in' movement at used_at
+CREATE OR REPLACE FUNCTION sync_usage_movement()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO gate_movements (ticket_id, session_id, direction, created_at)
+    VALUES (NEW.ticket_id, NEW.session_id, 'in', NEW.used_at);
+    RETURN NEW;
+  END IF;
+
+  -- Reset entry: whoever was let in by mistake is no longer inside
+  IF ticket_is_inside(OLD.ticket_id, OLD.session_id) THEN
+    INSERT INTO gate_movements (ticket_id, session_id, direction)
+    VALUES (OLD.ticket_id, OLD.session_id, 'out');
+  END IF;
+  RETURN OLD;
+END;
+$$;
+
+-- Step 3: Re-entry is judged at the scan time
+DROP FUNCTION IF EXISTS reentry_denial(tickets, sessions);
+
+CREATE OR REPLACE FUNCTION reentry_denial(p_ticket tickets, p_session sessions, p_at TIMESTAMPTZ DEFAULT now())
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_event event_settings%ROWTYPE;
+  v_tier ticket_tiers%ROWTYPE;
+  v_timezone TEXT;
+  v_policy TEXT;
+  v_cooldown NUMERIC;
+  v_last_in TIMESTAMPTZ;
+  v_again TIMESTAMPTZ;
+  v_message TEXT;
+BEGIN
+  SELECT * INTO v_event FROM event_settings;
+  SELECT * INTO v_tier FROM ticket_tiers WHERE id = coalesce(p_ticket.tier_id, 'general');
+
+  v_timezone := coalesce(v_event.timezone, 'Asia/Kolkata');
+
+  -- The tier's policy wins over the event's
+  IF v_tier.reentry_policy IS NOT NULL THEN
+    v_policy := v_tier.reentry_policy;
+    v_cooldown := v_tier.reentry_cooldown_hours;
+  ELSE
+    v_policy := coalesce(v_event.reentry_policy, 'unlimited');
+    v_cooldown := v_event.reentry_cooldown_hours;
+  END IF;
+
+  -- Latest admission (movements start with 006; older usage has none)
+  SELECT max(created_at) INTO v_last_in
+  FROM gate_movements
+  WHERE ticket_id = p_ticket.id AND session_id = p_session.id AND direction = 'in';
+
+  IF v_last_in IS NULL THEN
+    SELECT used_at INTO v_last_in
+    FROM session_usage
+    WHERE ticket_id = p_ticket.id AND session_id = p_session.id;
+  END IF;
+
+  IF v_policy = 'single_use' THEN
+    v_message := format('Single-use ticket - admitted to %s at %s, no re-entry',
+                        p_session.label, event_time(v_last_in, v_timezone));
+
+  ELSIF v_policy = 'daily' THEN
+    -- Midnight after the last admission, in the event timezone
+    v_again := (date_trunc('day', v_last_in AT TIME ZONE v_timezone) + INTERVAL '1 day') AT TIME ZONE v_timezone;
+    IF p_at >= v_again THEN
+      RETURN NULL;
+    END IF;
+    v_message := format('Already admitted today at %s - valid again at %s',
+                        event_time(v_last_in, v_timezone), event_time(v_again, v_timezone));
+
+  ELSIF v_policy = 'cooldown' THEN
+    v_again := v_last_in + v_cooldown * INTERVAL '1 hour';
+    IF p_at >= v_again THEN
+      RETURN NULL;
+    END IF;
+    v_message := format('Admitted at %s - valid again at %s',
+                        event_time(v_last_in, v_timezone), event_time(v_again, v_timezone));
+
+  ELSE
+    -- unlimited: anti-passback, then the session window
+    IF ticket_is_inside(p_ticket.id, p_session.id) THEN
+      v_message := CASE
+        WHEN p_ticket.headcount > 1
+          THEN format('All %s of group already inside %s - valid again after an exit scan',
+                      p_ticket.headcount, p_session.label)
+        ELSE format('Already inside %s since %s - valid again after an exit scan',
+                    p_session.label, event_time(v_last_in, v_timezone))
+      END;
+    ELSIF p_session.ends_at IS NOT NULL AND p_at > p_session.ends_at THEN
+      v_message := format('%s has ended - no re-entry', p_session.label);
+    ELSE
+      RETURN NULL;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'allowed', false,
+    'reason', 'ALREADY_USED',
+    'message', v_message,
+    'reentry_policy', v_policy,
+    'valid_again_at', v_again
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION reentry_denial(tickets, sessions, TIMESTAMPTZ) FROM anon, public;
+
+-- Step 4: Entry takes the scan time
+DROP FUNCTION IF EXISTS verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION verify_and_mark_ticket(
+  p_ticket_id UUID,
+  p_session_id TEXT DEFAULT NULL,
+  p_count INTEGER DEFAULT NULL,
+  p_device_id TEXT DEFAULT NULL,
+  p_scanned_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_used_at TIMESTAMPTZ;
+  v_admitted INTEGER;
+  v_remaining INTEGER;
+  v_tier ticket_tiers%ROWTYPE;
+  v_tier_info JSONB;
+  v_denial JSONB;
+  v_gate TEXT;
+  v_at TIMESTAMPTZ;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  -- No session chosen: use the one running now
+  IF p_session_id IS NULL THEN
+    SELECT * INTO v_session FROM sessions
+    WHERE now() BETWEEN starts_at AND ends_at
+    ORDER BY sort_order
+    LIMIT 1;
+  ELSE
+    SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  IF v_session.id IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  v_denial := device_scan_denial(p_device_id, v_session.id, 'entry');
+  IF v_denial IS NOT NULL THEN
+    RETURN v_denial || jsonb_build_object('session_id', v_session.id, 'session_label', v_session.label);
+  END IF;
+
+  SELECT gate INTO v_gate FROM devices WHERE id = p_device_id;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  SELECT * INTO v_tier FROM ticket_tiers WHERE id = coalesce(v_ticket.tier_id, 'general');
+  v_tier_info := jsonb_build_object(
+    'tier', v_tier.id,
+    'tier_label', v_tier.label,
+    'tier_color', v_tier.color
+  );
+
+  IF v_ticket.ticket_status = 'cancelled' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'CANCELLED',
+      'message', 'Ticket was cancelled',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status = 'replaced' THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'REPLACED',
+      'message', 'Ticket was reissued - old QR no longer valid',
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF v_ticket.ticket_status NOT IN ('valid', 'used') THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', format('Ticket is %s', v_ticket.ticket_status),
+      'name', v_ticket.name
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT gate_admits_tier(v_gate, v_tier.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'WRONG_ZONE',
+      'message', format('%s ticket not valid at %s', v_tier.label, v_gate),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  IF NOT ticket_has_entitlement(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_ENTITLED',
+      'message', format('%s not included in this ticket', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    ) || v_tier_info;
+  END IF;
+
+  v_at := scan_time(p_scanned_at, p_ticket_id, v_session.id);
+
+  SELECT used_at, admitted_count INTO v_used_at, v_admitted
+  FROM session_usage
+  WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+  v_remaining := v_ticket.headcount - coalesce(v_admitted, 0);
+
+  -- Group still arriving: admit the requested count
+  IF v_ticket.headcount > 1 AND v_remaining > 0 THEN
+    IF p_count IS NULL OR p_count < 1 OR p_count > v_remaining THEN
+      RETURN jsonb_build_object(
+        'allowed', false,
+        'reason', 'GROUP_COUNT',
+        'message', CASE
+          WHEN p_count IS NULL THEN format('Group of %s - %s remaining', v_ticket.headcount, v_remaining)
+          ELSE format('Only %s of the group remaining', v_remaining)
+        END,
+        'name', v_ticket.name,
+        'ticket_id', v_ticket.id,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'headcount', v_ticket.headcount,
+        'remaining', v_remaining
+      ) || v_tier_info;
+    END IF;
+
+    IF v_admitted IS NULL THEN
+      -- First arrivals - the session_usage trigger records the 'in' movement
+      INSERT INTO session_usage (ticket_id, session_id, used_by, admitted_count, used_at)
+      VALUES (p_ticket_id, v_session.id, auth.uid(), p_count, v_at);
+    ELSE
+      UPDATE session_usage
+      SET admitted_count = admitted_count + p_count
+      WHERE ticket_id = p_ticket_id AND session_id = v_session.id;
+
+      INSERT INTO gate_movements (ticket_id, session_id, direction, created_at)
+      VALUES (p_ticket_id, v_session.id, 'in', v_at);
+    END IF;
+
+    UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Admitted %s of group to %s', p_count, v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount,
+      'admitted', p_count,
+      'remaining', v_remaining - p_count
+    ) || v_tier_info;
+  END IF;
+
+  IF v_used_at IS NOT NULL THEN
+    -- Re-entry follows the tier's / event's policy (reentry_denial)
+    v_denial := reentry_denial(v_ticket, v_session, v_at);
+    IF v_denial IS NOT NULL THEN
+      RETURN v_denial || jsonb_build_object(
+        'name', v_ticket.name,
+        'session_id', v_session.id,
+        'session_label', v_session.label,
+        'used_at', v_used_at,
+        'headcount', v_ticket.headcount,
+        'remaining', 0
+      ) || v_tier_info;
+    END IF;
+
+    INSERT INTO gate_movements (ticket_id, session_id, direction, created_at)
+    VALUES (p_ticket_id, v_session.id, 'in', v_at);
+
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'reason', 'VALID',
+      'message', format('Re-entry to %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label,
+      'headcount', v_ticket.headcount
+    ) || v_tier_info;
+  END IF;
+
+  -- First admission - the session_usage trigger records the 'in' movement
+  INSERT INTO session_usage (ticket_id, session_id, used_by, used_at)
+  VALUES (p_ticket_id, v_session.id, auth.uid(), v_at);
+
+  UPDATE tickets SET ticket_status = 'used' WHERE id = p_ticket_id;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'VALID',
+    'message', format('Welcome to %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  ) || v_tier_info;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT, TIMESTAMPTZ) FROM anon, public;
+GRANT EXECUTE ON FUNCTION verify_and_mark_ticket(UUID, TEXT, INTEGER, TEXT, TIMESTAMPTZ) TO authenticated;
+
+-- Step 5: Exit takes the scan time
+DROP FUNCTION IF EXISTS record_exit(UUID, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION record_exit(
+  p_ticket_id UUID,
+  p_session_id TEXT,
+  p_device_id TEXT DEFAULT NULL,
+  p_scanned_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ticket tickets%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_denial JSONB;
+BEGIN
+  IF current_volunteer_role() IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'Not signed in');
+  END IF;
+
+  SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('allowed', false, 'reason', 'ERROR', 'message', 'No active session selected');
+  END IF;
+
+  v_denial := device_scan_denial(p_device_id, v_session.id, 'exit');
+  IF v_denial IS NOT NULL THEN
+    RETURN v_denial || jsonb_build_object('session_id', v_session.id, 'session_label', v_session.label);
+  END IF;
+
+  SELECT * INTO v_ticket FROM tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'INVALID_TICKET',
+      'message', 'Invalid ticket - not found'
+    );
+  END IF;
+
+  IF NOT ticket_is_inside(p_ticket_id, v_session.id) THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'NOT_INSIDE',
+      'message', format('No entry recorded for %s', v_session.label),
+      'name', v_ticket.name,
+      'session_id', v_session.id,
+      'session_label', v_session.label
+    );
+  END IF;
+
+  INSERT INTO gate_movements (ticket_id, session_id, direction, created_at)
+  VALUES (p_ticket_id, v_session.id, 'out', scan_time(p_scanned_at, p_ticket_id, v_session.id));
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'reason', 'EXITED',
+    'message', format('Exit recorded - may re-enter %s', v_session.label),
+    'name', v_ticket.name,
+    'session_id', v_session.id,
+    'session_label', v_session.label
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_exit(UUID, TEXT, TEXT, TIMESTAMPTZ) FROM anon, public;
+GRANT EXECUTE ON FUNCTION record_exit(UUID, TEXT, TEXT, TIMESTAMPTZ) TO authenticated;
@@ -0,0 +1,328 @@
+-- ============================================
+-- pgTAP: the RPCs and policies the scanner depends on
+-- ============================================
+-- Run after every migration has been applied:
+--   sh scripts/db-migrate.sh --test
+-- or with the Supabase CLI: supabase test db
+--
+-- Everything runs in one transaction and is rolled back.
+-- ============================================
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap;
+
+SELECT plan(44);
+
+-- ============================================
+-- Fixtures (as the migration owner)
+-- ============================================
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-4000-8000-00000000000a', 'admin@example.com'),
+  ('00000000-0000-4000-8000-00000000000b', 'lead@example.com'),
+  ('00000000-0000-4000-8000-00000000000c', 'volunteer@example.com'),
+  ('00000000-0000-4000-8000-00000000000d', 'outsider@example.com');
+
+INSERT INTO volunteers (id, display_name, role) VALUES
+  ('00000000-0000-4000-8000-00000000000a', 'Test Admin', 'admin'),
+  ('00000000-0000-4000-8000-00000000000b', 'Test Lead', 'gate_lead'),
+  ('00000000-0000-4000-8000-00000000000c', 'Test Volunteer', 'volunteer');
+
+INSERT INTO registrations (id, name, email, phone, college) VALUES
+  ('00000000-0000-4000-8000-0000000000f1', 'Sriram K', 'sriram@example.com', '9845012345', 'PES University');
+
+INSERT INTO tickets (id, registration_id, email, name, college, six_digit_code, qr_payload) VALUES
+  ('00000000-0000-4000-8000-000000000001', '00000000-0000-4000-8000-0000000000f1',
+   'sriram@example.com', 'Sriram K', 'PES University', '482913', '{}'),
+  ('00000000-0000-4000-8000-000000000002', '00000000-0000-4000-8000-0000000000f1',
+   'sriram@example.com', 'Sriram K', 'PES University', '305177', '{}'),
+  ('00000000-0000-4000-8000-000000000003', '00000000-0000-4000-8000-0000000000f1',
+   'sriram@example.com', 'Sriram K', 'PES University', '617420', '{}');
+
+-- A PIN-verified admin session for the gate lead (see admin_verify_pin)
+INSERT INTO admin_tokens (token, volunteer_id, device_id, expires_at) VALUES
+  ('00000000-0000-4000-8000-0000000000aa', '00000000-0000-4000-8000-00000000000b',
+   'test-device', now() + INTERVAL '10 minutes');
+
+-- ============================================
+-- Functions exist with the signatures the client calls
+-- ============================================
+SELECT has_function('verify_and_mark_ticket', ARRAY['uuid', 'text', 'integer', 'text', 'timestamp with time zone']);
+SELECT has_function('admin_force_allow', ARRAY['uuid', 'text', 'uuid', 'text']);
+SELECT has_function('admin_reset_entry', ARRAY['uuid', 'text', 'uuid', 'text']);
+SELECT has_function('get_ticket_override_logs', ARRAY['uuid']);
+
+-- Superseded overloads are gone
+SELECT hasnt_function('verify_and_mark_ticket', ARRAY['uuid']);
+SELECT hasnt_function('verify_and_mark_ticket', ARRAY['uuid', 'text', 'integer', 'text']);
+SELECT hasnt_function('admin_force_allow', ARRAY['uuid', 'text', 'text']);
+
+-- ============================================
+-- Signed-out clients cannot call the RPCs
+-- ============================================
+SELECT ok(
+  NOT has_function_privilege('anon', 'verify_and_mark_ticket(uuid, text, integer, text, timestamptz)', 'EXECUTE'),
+  'anon cannot verify tickets'
+);
+SELECT ok(
+  NOT has_function_privilege('anon', 'admin_force_allow(uuid, text, uuid, text)', 'EXECUTE'),
+  'anon cannot force entry'
+);
+SELECT ok(
+  NOT has_function_privilege('anon', 'admin_reset_entry(uuid, text, uuid, text)', 'EXECUTE'),
+  'anon cannot reset entry'
+);
+SELECT ok(
+  NOT has_function_privilege('anon', 'get_ticket_override_logs(uuid)', 'EXECUTE'),
+  'anon cannot read override history'
+);
+
+-- ============================================
+-- verify_and_mark_ticket
+-- ============================================
+SET LOCAL ROLE authenticated;
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000a"}', true);
+
+SELECT is(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000001', 'day1') ->> 'reason',
+  'VALID',
+  'first scan admits'
+);
+SELECT is(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000001', 'day1') ->> 'reason',
+  'ALREADY_USED',
+  'second scan without an exit is rejected'
+);
+SELECT is(
+  verify_and_mark_ticket('00000000-0000-4000-8000-0000000000ff', 'day1') ->> 'reason',
+  'INVALID_TICKET',
+  'unknown ticket is rejected'
+);
+
+-- ============================================
+-- Replayed offline scans keep their scan time (021)
+-- ============================================
+SELECT is(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000003', 'day1', NULL, NULL,
+                         now() - INTERVAL '2 hours') ->> 'reason',
+  'VALID',
+  'a queued admission replays'
+);
+SELECT is(
+  (SELECT used_at FROM session_usage WHERE ticket_id = '00000000-0000-4000-8000-000000000003'),
+  now() - INTERVAL '2 hours',
+  'the admission is recorded at the scan time'
+);
+SELECT is(
+  (SELECT created_at FROM gate_movements
+   WHERE ticket_id = '00000000-0000-4000-8000-000000000003' AND direction = 'in'),
+  now() - INTERVAL '2 hours',
+  'the entry movement is logged at the scan time'
+);
+SELECT is(
+  record_exit('00000000-0000-4000-8000-000000000003', 'day1', NULL, now() + INTERVAL '1 hour') ->> 'reason',
+  'EXITED',
+  'a queued exit replays'
+);
+SELECT is(
+  (SELECT created_at FROM gate_movements
+   WHERE ticket_id = '00000000-0000-4000-8000-000000000003' AND direction = 'out'),
+  now(),
+  'scan times ahead of the server clock are not trusted'
+);
+
+-- ============================================
+-- Re-entry policy (019)
+-- ============================================
+SELECT matches(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000001', 'day1') ->> 'message',
+  '^Already inside Day 1 since \d\d:\d\d - valid again after an exit scan$',
+  'ALREADY_USED says when the ticket is valid again'
+);
+SELECT is(
+  record_exit('00000000-0000-4000-8000-000000000001', 'day1') ->> 'reason',
+  'EXITED',
+  'exit is recorded'
+);
+
+RESET ROLE;
+UPDATE event_settings SET reentry_policy = 'single_use';
+SET LOCAL ROLE authenticated;
+
+SELECT matches(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000001', 'day1') ->> 'message',
+  '^Single-use ticket - admitted to Day 1 at \d\d:\d\d, no re-entry$',
+  'single-use tickets stay out after an exit'
+);
+
+RESET ROLE;
+UPDATE event_settings SET reentry_policy = 'unlimited';
+UPDATE ticket_tiers SET reentry_policy = 'cooldown', reentry_cooldown_hours = 2 WHERE id = 'general';
+SET LOCAL ROLE authenticated;
+
+SELECT is(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000001', 'day1') ->> 'valid_again_at',
+  (SELECT to_jsonb(max(created_at) + INTERVAL '2 hours') #>> '{}' FROM gate_movements
+   WHERE ticket_id = '00000000-0000-4000-8000-000000000001' AND direction = 'in'),
+  'the tier cooldown overrides the event policy'
+);
+
+RESET ROLE;
+UPDATE ticket_tiers SET reentry_policy = NULL, reentry_cooldown_hours = NULL WHERE id = 'general';
+SET LOCAL ROLE authenticated;
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000c"}', true);
+
+SELECT is(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000002', 'day1') ->> 'reason',
+  'DEVICE_NOT_ENROLLED',
+  'volunteers scan from an enrolled device only'
+);
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000d"}', true);
+
+SELECT is(
+  verify_and_mark_ticket('00000000-0000-4000-8000-000000000002', 'day1') ->> 'message',
+  'Not signed in',
+  'auth users without a volunteer profile cannot scan'
+);
+SELECT is_empty('SELECT id FROM tickets', 'auth users without a volunteer profile cannot read tickets');
+SELECT is_empty('SELECT id FROM registrations', 'auth users without a volunteer profile cannot read registrations');
+SELECT is_empty(
+  $$UPDATE registrations SET phone = '0000000000' RETURNING id$$,
+  'auth users without a volunteer profile cannot edit registrations'
+);
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000c"}', true);
+
+SELECT is_empty(
+  $$UPDATE registrations SET phone = '0000000000' RETURNING id$$,
+  'volunteers cannot edit registrations'
+);
+
+-- ============================================
+-- Overrides
+-- ============================================
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000b"}', true);
+
+SELECT is(
+  admin_force_allow('00000000-0000-4000-8000-000000000002', 'QR damaged, ID checked',
+                    '00000000-0000-4000-8000-0000000000ff', 'day1') ->> 'message',
+  'Admin session expired. Re-enter PIN.',
+  'force allow needs a valid admin token'
+);
+SELECT is(
+  admin_force_allow('00000000-0000-4000-8000-000000000002', 'ok',
+                    '00000000-0000-4000-8000-0000000000aa', 'day1') ->> 'message',
+  'Reason must be at least 10 characters',
+  'force allow needs a reason'
+);
+SELECT is(
+  (admin_force_allow('00000000-0000-4000-8000-000000000002', 'QR damaged, ID checked',
+                     '00000000-0000-4000-8000-0000000000aa', 'day1') ->> 'success')::BOOLEAN,
+  true,
+  'gate lead forces entry'
+);
+SELECT is(
+  (admin_reset_entry('00000000-0000-4000-8000-000000000002', 'Wristband scanned twice',
+                     '00000000-0000-4000-8000-0000000000aa', 'day1') ->> 'success')::BOOLEAN,
+  true,
+  'gate lead resets entry'
+);
+
+-- Both overrides ran in this transaction; separate them in time
+RESET ROLE;
+UPDATE override_logs SET created_at = created_at - INTERVAL '1 minute'
+WHERE ticket_id = '00000000-0000-4000-8000-000000000002' AND admin_action = 'ALLOW';
+SET LOCAL ROLE authenticated;
+
+-- ============================================
+-- get_ticket_override_logs and override_logs RLS
+-- ============================================
+SELECT is(
+  ARRAY(SELECT admin_action FROM get_ticket_override_logs('00000000-0000-4000-8000-000000000002')),
+  ARRAY['RESET', 'ALLOW'],
+  'history is newest first'
+);
+SELECT is(
+  ARRAY(SELECT DISTINCT admin_identifier FROM get_ticket_override_logs('00000000-0000-4000-8000-000000000002')),
+  ARRAY['Test Lead'],
+  'overrides are stamped with the volunteer, not client input'
+);
+SELECT is(
+  (SELECT count(*)::INTEGER FROM override_logs WHERE ticket_id = '00000000-0000-4000-8000-000000000002'),
+  2,
+  'gate leads can read the log'
+);
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000c"}', true);
+
+SELECT is_empty(
+  $$SELECT id FROM get_ticket_override_logs('00000000-0000-4000-8000-000000000002')$$,
+  'volunteers get no override history'
+);
+SELECT is_empty('SELECT id FROM override_logs', 'volunteers cannot read the log');
+
+SELECT throws_ok(
+  $$DELETE FROM override_logs$$,
+  '42501',
+  NULL,
+  'nobody can delete from the log'
+);
+
+-- ============================================
+-- Reissue keeps a hand-set tier (014)
+-- ============================================
+RESET ROLE;
+UPDATE tickets SET tier_id = 'vip' WHERE id = '00000000-0000-4000-8000-000000000001';
+SET LOCAL ROLE authenticated;
+
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000b"}', true);
+
+SELECT is(
+  (admin_reissue_ticket('00000000-0000-4000-8000-000000000001', 'Phone stolen, ID checked',
+                        '00000000-0000-4000-8000-0000000000aa') ->> 'success')::BOOLEAN,
+  true,
+  'gate lead reissues a ticket'
+);
+
+RESET ROLE;
+
+-- The registration has no ticket_type, so the trigger alone would pick 'general'
+SELECT is(
+  (SELECT replacement.tier_id FROM tickets original
+   JOIN tickets replacement ON replacement.id = original.replaced_by
+   WHERE original.id = '00000000-0000-4000-8000-000000000001'),
+  'vip',
+  'the replacement ticket keeps the tier set on the original'
+);
+
+-- ============================================
+-- Admin PIN hashes (020)
+-- ============================================
+INSERT INTO volunteer_pins (volunteer_id, admin_pin_hash) VALUES
+  ('00000000-0000-4000-8000-00000000000b', crypt('4821', gen_salt('bf')));
+
+SELECT hasnt_column('volunteers', 'admin_pin_hash', 'PIN hashes are not on the volunteers row each volunteer can read');
+
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-00000000000b"}', true);
+
+SELECT throws_ok(
+  $$SELECT admin_pin_hash FROM volunteer_pins$$,
+  '42501',
+  NULL,
+  'gate leads cannot read PIN hashes'
+);
+SELECT is(
+  (admin_verify_pin('4821', 'test-device') ->> 'success')::BOOLEAN,
+  true,
+  'admin_verify_pin checks the PIN against volunteer_pins'
+);
+
+RESET ROLE;
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,169 @@
+-- ============================================
+-- pgTAP: two gates scanning the same ticket at once
+-- ============================================
+-- Run after every migration has been applied:
+--   sh scripts/db-migrate.sh --test
+--
+-- Unlike gate_rpcs.test.sql this cannot run in one rolled-back
+-- transaction: the scans come from two other sessions (dblink), which
+-- only see committed rows. The fixtures use their own ids, are removed
+-- first in case an earlier run stopped half way, and are removed again
+-- at the end.
+--
+-- The sessions connect to yatra.test_conninfo (db-migrate.sh sets it to
+-- DATABASE_URL), or to this database over the local socket.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS pgtap;
+CREATE EXTENSION IF NOT EXISTS dblink;
+
+SELECT plan(7);
+
+-- ============================================
+-- Fixtures (as the migration owner, committed)
+-- ============================================
+-- Deleting the registration removes the tickets, their usage and logs;
+-- deleting the auth user removes the volunteer and their admin token
+DELETE FROM registrations WHERE id = '00000000-0000-4000-9000-0000000000f1';
+DELETE FROM auth.users WHERE id = '00000000-0000-4000-9000-00000000000a';
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-4000-9000-00000000000a', 'race-admin@example.com');
+
+INSERT INTO volunteers (id, display_name, role) VALUES
+  ('00000000-0000-4000-9000-00000000000a', 'Race Admin', 'admin');
+
+INSERT INTO registrations (id, name, email, phone, college) VALUES
+  ('00000000-0000-4000-9000-0000000000f1', 'Meera R', 'meera@example.com', '9845067890', 'RV College');
+
+INSERT INTO tickets (id, registration_id, email, name, college, six_digit_code, qr_payload) VALUES
+  ('00000000-0000-4000-9000-000000000001', '00000000-0000-4000-9000-0000000000f1',
+   'meera@example.com', 'Meera R', 'RV College', '731046', '{}');
+
+INSERT INTO admin_tokens (token, volunteer_id, device_id, expires_at) VALUES
+  ('00000000-0000-4000-9000-0000000000aa', '00000000-0000-4000-9000-00000000000a',
+   'race-device', now() + INTERVAL '10 minutes');
+
+-- ============================================
+-- Two gate sessions, both signed in as the admin (no device needed)
+-- ============================================
+SELECT dblink_connect(name, coalesce(nullif(current_setting('yatra.test_conninfo', true), ''),
+                                     format('dbname=%s', current_database())))
+FROM (VALUES ('gate_a'), ('gate_b')) AS c(name);
+
+SELECT dblink_exec(name, $$SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-9000-00000000000a"}', false)$$)
+FROM (VALUES ('gate_a'), ('gate_b')) AS c(name);
+
+-- gate_b always calls as the API role; gate_a switches per transaction
+SELECT dblink_exec('gate_b', 'SET ROLE authenticated');
+
+CREATE TEMP TABLE gate_pids AS
+SELECT c.name, t.pid
+FROM (VALUES ('gate_a'), ('gate_b')) AS c(name),
+  LATERAL dblink(c.name, 'SELECT pg_backend_pid()') AS t(pid INTEGER);
+
+-- Waits up to 5 s for p_waiter to queue on a lock held by p_holder
+CREATE FUNCTION pg_temp.waits_for(p_waiter TEXT, p_holder TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_waiter INTEGER := (SELECT pid FROM gate_pids WHERE name = p_waiter);
+  v_holder INTEGER := (SELECT pid FROM gate_pids WHERE name = p_holder);
+BEGIN
+  FOR i IN 1..100 LOOP
+    IF v_holder = ANY (pg_blocking_pids(v_waiter)) THEN
+      RETURN true;
+    END IF;
+    PERFORM pg_sleep(0.05);
+  END LOOP;
+  RETURN false;
+END;
+$$;
+
+-- ============================================
+-- The same ticket scanned at two gates: exactly one admission
+-- ============================================
+SELECT dblink_exec('gate_a', 'BEGIN');
+SELECT dblink_exec('gate_a', 'SET LOCAL ROLE authenticated');
+
+SELECT is(
+  (SELECT result::JSONB ->> 'reason'
+   FROM dblink('gate_a', $$SELECT verify_and_mark_ticket('00000000-0000-4000-9000-000000000001', 'day1')::TEXT$$)
+     AS t(result TEXT)),
+  'VALID',
+  'gate A admits the ticket (not yet committed)'
+);
+
+SELECT dblink_send_query('gate_b', $$SELECT verify_and_mark_ticket('00000000-0000-4000-9000-000000000001', 'day1')::TEXT$$);
+
+SELECT ok(
+  pg_temp.waits_for('gate_b', 'gate_a'),
+  'gate B waits on the ticket row gate A has locked'
+);
+
+SELECT dblink_exec('gate_a', 'COMMIT');
+
+SELECT is(
+  (SELECT result::JSONB ->> 'reason' FROM dblink_get_result('gate_b') AS t(result TEXT)),
+  'ALREADY_USED',
+  'gate B is refused once gate A commits'
+);
+SELECT * FROM dblink_get_result('gate_b') AS t(result TEXT);
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM session_usage
+   WHERE ticket_id = '00000000-0000-4000-9000-000000000001' AND session_id = 'day1'),
+  1,
+  'the ticket is admitted to the session once'
+);
+
+-- ============================================
+-- The other ticket-mutating RPCs wait for the row lock too
+-- ============================================
+-- gate_a holds the lock as the owner (RLS would hide the row from
+-- authenticated without an update policy); gate_b calls the RPC
+CREATE FUNCTION pg_temp.waits_for_row_lock(p_call TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_waited BOOLEAN;
+BEGIN
+  PERFORM dblink_exec('gate_a', 'BEGIN');
+  PERFORM dblink_exec('gate_a', $q$SELECT id FROM tickets WHERE id = '00000000-0000-4000-9000-000000000001' FOR UPDATE$q$);
+  PERFORM dblink_send_query('gate_b', format('SELECT (%s)::TEXT', p_call));
+
+  v_waited := pg_temp.waits_for('gate_b', 'gate_a');
+
+  PERFORM dblink_exec('gate_a', 'ROLLBACK');
+  PERFORM * FROM dblink_get_result('gate_b') AS t(result TEXT);
+  PERFORM * FROM dblink_get_result('gate_b') AS t(result TEXT);
+  RETURN v_waited;
+END;
+$$;
+
+SELECT ok(
+  pg_temp.waits_for_row_lock($$record_exit('00000000-0000-4000-9000-000000000001', 'day1')$$),
+  'record_exit waits for the ticket row lock'
+);
+SELECT ok(
+  pg_temp.waits_for_row_lock($$admin_force_allow('00000000-0000-4000-9000-000000000001', 'QR damaged, ID checked',
+                                                 '00000000-0000-4000-9000-0000000000aa', 'day1')$$),
+  'admin_force_allow waits for the ticket row lock'
+);
+SELECT ok(
+  pg_temp.waits_for_row_lock($$admin_reset_entry('00000000-0000-4000-9000-000000000001', 'Wristband scanned twice',
+                                                 '00000000-0000-4000-9000-0000000000aa', 'day1')$$),
+  'admin_reset_entry waits for the ticket row lock'
+);
+
+-- ============================================
+-- Clean up
+-- ============================================
+SELECT dblink_disconnect(name) FROM (VALUES ('gate_a'), ('gate_b')) AS c(name);
+
+DELETE FROM registrations WHERE id = '00000000-0000-4000-9000-0000000000f1';
+DELETE FROM auth.users WHERE id = '00000000-0000-4000-9000-00000000000a';
+
+SELECT * FROM finish();
@@ -1,9 +1,44 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable app + service worker that precaches the app shell, so a
+    // reload on a flaky network still opens the scanner. Ticket data comes
+    // from the offline roster (lib/offlineSync.js), never the SW cache.
+    VitePWA({
+      // New builds wait for the volunteer to tap Reload (UpdatePrompt.jsx)
+      registerType: 'prompt',
+      includeAssets: ['icons/icon.svg', 'icons/apple-touch-icon.png'],
+      manifest: {
+        name: 'YATRA Event Entry Scanner',
+        short_name: 'YATRA Scanner',
+        description: 'QR code and manual ticket verification',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        display_override: ['fullscreen', 'standalone'],
+        orientation: 'portrait',
+        background_color: '#000000',
+        theme_color: '#000000',
+        icons: [
+          { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+          // The glyph sits inside the maskable safe zone
+          { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,webmanifest}'],
+        // Hash routing - every navigation is index.html
+        navigateFallback: 'index.html',
+        cleanupOutdatedCaches: true,
+      },
+    }),
+  ],
   server: {
     host: true, // Allow access from mobile devices on same network
     port: 5173,
@@ -13,4 +48,19 @@ export default defineConfig({
     minify: 'terser',
     sourcemap: false,
   },
+  test: {
+    // Headless and offline: components render in jsdom and every ticket
+    // call goes to the in-memory repository (see src/test/setup.js)
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    env: {
+      VITE_SUPABASE_URL: '',
+      VITE_SUPABASE_ANON_KEY: '',
+      VITE_SUPABASE_PUBLISHABLE_DEFAULT_KEY: '',
+      VITE_DEMO_MODE: 'false',
+      VITE_REQUIRE_SIGNED_TICKETS: 'false',
+      VITE_TICKET_PUBLIC_KEY: '',
+      VITE_EVENT_ID: '',
+    },
+  },
 })